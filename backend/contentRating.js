@@ -0,0 +1,287 @@
+// --- Content Rating ---
+// Every session is played at one content rating, chosen when it starts. The
+// rating is written into the GM and image prompts, and a moderation step
+// checks player actions and the GM's turns against it: a flagged action is
+// refused, and a flagged turn is rewritten once and withheld if it still
+// doesn't fit. Classifiers report findings as { category, severity, match };
+// each rating allows every category up to some severity.
+
+export const CONTENT_RATINGS = {
+  FAMILY: "family",
+  TEEN: "teen",
+  MATURE: "mature",
+};
+
+export const DEFAULT_CONTENT_RATING = CONTENT_RATINGS.TEEN;
+
+export const MODERATION_CATEGORIES = {
+  VIOLENCE: "violence",
+  GORE: "gore",
+  SEXUAL: "sexual",
+  PROFANITY: "profanity",
+  SELF_HARM: "self_harm",
+  DRUGS: "drugs",
+  HATE: "hate",
+};
+
+// What was checked, and what the moderation step did about it
+export const MODERATION_SOURCES = {
+  ACTION: "action", // Player action or vote proposal
+  TURN: "turn", // GM narrative, image prompt and suggested actions
+  PORTRAIT: "portrait", // Character description for a generated portrait
+};
+
+export const MODERATION_OUTCOMES = {
+  BLOCKED: "blocked",
+  REWRITTEN: "rewritten",
+};
+
+// 1 = mild or implied, 2 = strong or explicit, 3 = never acceptable
+export const SEVERITIES = {
+  MILD: 1,
+  STRONG: 2,
+  NEVER: 3,
+};
+
+const { VIOLENCE, GORE, SEXUAL, PROFANITY, SELF_HARM, DRUGS, HATE } =
+  MODERATION_CATEGORIES;
+const { MILD, STRONG, NEVER } = SEVERITIES;
+
+// Highest severity each rating allows per category
+const RATING_LIMITS = {
+  family: {
+    [VIOLENCE]: MILD,
+    [GORE]: 0,
+    [SEXUAL]: 0,
+    [PROFANITY]: 0,
+    [SELF_HARM]: 0,
+    [DRUGS]: 0,
+    [HATE]: 0,
+  },
+  teen: {
+    [VIOLENCE]: STRONG,
+    [GORE]: MILD,
+    [SEXUAL]: MILD,
+    [PROFANITY]: MILD,
+    [SELF_HARM]: MILD,
+    [DRUGS]: MILD,
+    [HATE]: 0,
+  },
+  mature: {
+    [VIOLENCE]: STRONG,
+    [GORE]: STRONG,
+    [SEXUAL]: MILD, // Intimacy fades to black at every rating
+    [PROFANITY]: STRONG,
+    [SELF_HARM]: MILD,
+    [DRUGS]: STRONG,
+    [HATE]: MILD,
+  },
+};
+
+// What the GM is told about each rating
+const RATING_GUIDELINES = {
+  family:
+    "FAMILY (all ages). Conflict and peril are fine, but violence stays bloodless and nobody is shown badly hurt. No romance beyond friendship, no swearing, no alcohol or drugs, and nothing scary enough to upset a young child.",
+  teen: "TEEN (like a PG-13 film). Action violence and some blood are fine, but no lingering gore. Romance can include kissing; anything more happens off-screen. Mild swearing only, and no drug use shown approvingly.",
+  mature:
+    "MATURE (adults). Graphic violence, dark themes, strong language and drug use are fine when the story calls for them. Intimacy still fades to black: nothing sexually explicit.",
+};
+
+// Appended to every image prompt of a session
+const IMAGE_GUIDELINES = {
+  family:
+    "Family-friendly image: no blood, injuries, frightening imagery or revealing clothing.",
+  teen: "No gore, nudity or sexualized poses.",
+  mature: "No nudity or sexually explicit content.",
+};
+
+// Local classifier: words that reliably signal a category on their own.
+// Deliberately short, since a false positive costs a rewrite of a good turn.
+const KEYWORD_RULES = [
+  { category: GORE, severity: MILD, pattern: /\b(bloody|bleeding|corpses?)\b/ },
+  {
+    category: GORE,
+    severity: STRONG,
+    pattern:
+      /\b(decapitat\w*|dismember\w*|disembowel\w*|entrails|mutilat\w*|gore|severed (?:head|limb|arm|leg)s?)\b/,
+  },
+  {
+    category: VIOLENCE,
+    severity: STRONG,
+    pattern: /\b(tortur\w*|massacre\w*|slaughter\w*)\b/,
+  },
+  {
+    category: SEXUAL,
+    severity: MILD,
+    pattern: /\b(seduc\w*|sensual\w*|lingerie|undress\w*)\b/,
+  },
+  {
+    category: SEXUAL,
+    severity: STRONG,
+    pattern:
+      /\b(sex|sexual\w*|naked|nude|nudity|erotic\w*|orgasm\w*|genital\w*|intercourse)\b/,
+  },
+  {
+    category: PROFANITY,
+    severity: MILD,
+    pattern: /\b(damn\w*|crap|bastards?|bloody hell)\b/,
+  },
+  {
+    category: PROFANITY,
+    severity: STRONG,
+    pattern: /\b(\w*fuck\w*|shit\w*|cunts?|assholes?)\b/,
+  },
+  {
+    category: SELF_HARM,
+    severity: MILD,
+    pattern:
+      /\b(suicid\w*|self-harm\w*|kill (?:myself|himself|herself|themselves))\b/,
+  },
+  { category: DRUGS, severity: MILD, pattern: /\b(drugs?|narcotics?|opium)\b/ },
+  {
+    category: DRUGS,
+    severity: STRONG,
+    pattern: /\b(cocaine|heroin|methamphetamine|overdos\w*)\b/,
+  },
+];
+
+// OpenAI moderation categories, as [our category, highest severity]
+const OPENAI_CATEGORY_MAP = {
+  violence: [VIOLENCE, STRONG],
+  "violence/graphic": [GORE, STRONG],
+  sexual: [SEXUAL, STRONG],
+  "sexual/minors": [SEXUAL, NEVER],
+  harassment: [HATE, MILD],
+  "harassment/threatening": [HATE, STRONG],
+  hate: [HATE, STRONG],
+  "hate/threatening": [HATE, NEVER],
+  "self-harm": [SELF_HARM, MILD],
+  "self-harm/intent": [SELF_HARM, STRONG],
+  "self-harm/instructions": [SELF_HARM, NEVER],
+  illicit: [DRUGS, MILD],
+  "illicit/violent": [VIOLENCE, STRONG],
+};
+
+export class ContentRatingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ContentRatingError";
+  }
+}
+
+// Text refused for going beyond the session's rating; `source` is one of
+// MODERATION_SOURCES
+export class ContentModerationError extends Error {
+  constructor(message, { source, reason }) {
+    super(message);
+    this.name = "ContentModerationError";
+    this.source = source;
+    this.reason = reason;
+  }
+}
+
+// Rating given at game start, or the default when none was given
+export function normalizeContentRating(rating) {
+  if (rating === undefined || rating === null || rating === "") {
+    return DEFAULT_CONTENT_RATING;
+  }
+  if (!Object.values(CONTENT_RATINGS).includes(rating)) {
+    throw new ContentRatingError(
+      `Invalid content rating. Use one of: ${Object.values(
+        CONTENT_RATINGS
+      ).join(", ")}.`
+    );
+  }
+  return rating;
+}
+
+// Rows stored before ratings existed have none
+function resolveRating(rating) {
+  return RATING_LIMITS[rating] ? rating : DEFAULT_CONTENT_RATING;
+}
+
+export function getContentRatingGuideline(rating) {
+  return RATING_GUIDELINES[resolveRating(rating)];
+}
+
+export function injectContentRating(systemPrompt, rating) {
+  return systemPrompt.replace(
+    /{{contentRating}}/g,
+    getContentRatingGuideline(rating)
+  );
+}
+
+export function applyImageContentRating(prompt, rating) {
+  return `${prompt}\n${IMAGE_GUIDELINES[resolveRating(rating)]}`;
+}
+
+// gpt-image-1's own filter: relaxed only for mature sessions
+export function getOpenAIImageModeration(rating) {
+  return resolveRating(rating) === CONTENT_RATINGS.MATURE ? "low" : "auto";
+}
+
+function addFinding(findings, category, severity, match) {
+  const current = findings.get(category);
+  if (!current || severity > current.severity) {
+    findings.set(category, { category, severity, match });
+  }
+}
+
+// Findings of the local keyword classifier, the strongest one per category
+export function classifyContent(text) {
+  const findings = new Map();
+  const normalized = String(text || "").toLowerCase();
+  for (const { category, severity, pattern } of KEYWORD_RULES) {
+    const match = normalized.match(pattern);
+    if (match) addFinding(findings, category, severity, match[0]);
+  }
+  return [...findings.values()];
+}
+
+// Findings from an OpenAI moderation result ({ categories, category_scores }),
+// with severity growing with the category score
+export function findingsFromOpenAIModeration(result) {
+  const findings = new Map();
+  for (const [name, score] of Object.entries(result?.category_scores ?? {})) {
+    const mapping = OPENAI_CATEGORY_MAP[name];
+    if (!mapping || score < 0.4) continue;
+    const [category, maxSeverity] = mapping;
+    const severity =
+      maxSeverity === NEVER
+        ? NEVER
+        : Math.min(maxSeverity, score >= 0.8 ? STRONG : MILD);
+    addFinding(findings, category, severity, name);
+  }
+  return [...findings.values()];
+}
+
+// Findings beyond what the rating allows
+export function findRatingViolations(findings, rating) {
+  const limits = RATING_LIMITS[resolveRating(rating)];
+  return findings.filter(
+    (finding) => finding.severity > (limits[finding.category] ?? 0)
+  );
+}
+
+// Reason shown to players and kept in the moderation log
+export function describeViolations(violations) {
+  return violations
+    .map(({ category, match }) => `${category.replace(/_/g, " ")} ("${match}")`)
+    .join(", ");
+}
+
+// User prompt asking the LLM to tone a turn down to the rating
+export function buildRewritePrompt(turnData, violations) {
+  const turn = {
+    narrative: turnData.narrative,
+    image_prompt: turnData.image_prompt,
+    suggested_actions: turnData.suggested_actions,
+  };
+  return `--- Flagged Content ---
+${violations
+  .map(({ category, match }) => `- ${category}: "${match}"`)
+  .join("\n")}
+
+--- Turn ---
+${JSON.stringify(turn, null, 2)}`;
+}
@@ -0,0 +1,165 @@
+import crypto from "crypto";
+
+// --- Dice Rules ---
+// Optional rules engine: player characters have four attributes, and when a
+// session uses dice every action gets a d20 skill check before the GM writes
+// the turn. The GM must narrate the rolled outcome. Rolls come from a
+// per-session seed and the new turn's ID (SHA-256 of both), so anyone holding
+// the seed (it travels with session backups) can recompute every roll stored
+// on the turns.
+
+export const DICE_ATTRIBUTES = ["strength", "agility", "intellect", "charisma"];
+
+// Each attribute is a bonus added to the d20; points are spent from a pool
+export const ATTRIBUTE_RULES = { min: 0, max: 3, pointPool: 6 };
+
+export const DEFAULT_ATTRIBUTES = {
+  strength: 1,
+  agility: 1,
+  intellect: 1,
+  charisma: 1,
+};
+
+export const DICE_OUTCOMES = {
+  CRITICAL_SUCCESS: "critical_success",
+  SUCCESS: "success",
+  FAILURE: "failure",
+  CRITICAL_FAILURE: "critical_failure",
+};
+
+const CHECK_DIE_SIDES = 20;
+
+// Words that tie an action to the attribute it tests
+const ATTRIBUTE_KEYWORDS = {
+  strength:
+    /\b(attack|fight|punch|hit|strike|smash|break|force|lift|push|pull|carry|climb|wrestle|grab|throw|bash|kick|swing|shove)\w*/gi,
+  agility:
+    /\b(sneak|dodge|jump|leap|run|flee|hide|steal|pickpocket|balance|evade|chase|escape|shoot|aim|catch|duck|tiptoe|sprint|slip)\w*/gi,
+  intellect:
+    /\b(search|investigate|examine|study|read|decipher|recall|remember|analy[sz]e|solve|inspect|deduce|research|hack|repair|craft|track|identify|translate)\w*/gi,
+  charisma:
+    /\b(persuade|convince|charm|lie|deceive|bluff|intimidate|threaten|negotiate|bargain|flirt|seduce|plead|perform|befriend|bribe|inspire|distract|sing)\w*/gi,
+};
+
+export class CharacterAttributesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CharacterAttributesError";
+  }
+}
+
+// Validates attributes sent by the client; missing ones mean the defaults
+export function normalizeAttributes(input) {
+  if (input === undefined || input === null) return { ...DEFAULT_ATTRIBUTES };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new CharacterAttributesError("Attributes must be an object.");
+  }
+  const unknown = Object.keys(input).filter(
+    (key) => !DICE_ATTRIBUTES.includes(key)
+  );
+  if (unknown.length > 0) {
+    throw new CharacterAttributesError(
+      `Unknown attributes: ${unknown.join(", ")}.`
+    );
+  }
+  const attributes = {};
+  for (const attribute of DICE_ATTRIBUTES) {
+    const value = input[attribute] ?? DEFAULT_ATTRIBUTES[attribute];
+    if (
+      !Number.isInteger(value) ||
+      value < ATTRIBUTE_RULES.min ||
+      value > ATTRIBUTE_RULES.max
+    ) {
+      throw new CharacterAttributesError(
+        `${attribute} must be a whole number between ${ATTRIBUTE_RULES.min} and ${ATTRIBUTE_RULES.max}.`
+      );
+    }
+    attributes[attribute] = value;
+  }
+  const spent = Object.values(attributes).reduce((sum, value) => sum + value);
+  if (spent > ATTRIBUTE_RULES.pointPool) {
+    throw new CharacterAttributesError(
+      `Attributes can use at most ${ATTRIBUTE_RULES.pointPool} points (got ${spent}).`
+    );
+  }
+  return attributes;
+}
+
+export function createDiceSeed() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+// Deterministic roll of a die with `sides` sides for a seed and nonce. The
+// modulo bias of 2^32 % sides is far too small to matter for a d20.
+export function rollDie(seed, nonce, sides) {
+  const digest = crypto
+    .createHash("sha256")
+    .update(`${seed}:${nonce}`)
+    .digest();
+  return 1 + (digest.readUInt32BE(0) % sides);
+}
+
+// Attribute an action tests: the one with the most keyword hits, or null for
+// actions that don't clearly test any (a plain roll, no bonus)
+export function chooseCheckAttribute(action) {
+  let best = null;
+  let bestHits = 0;
+  for (const attribute of DICE_ATTRIBUTES) {
+    const hits = (String(action).match(ATTRIBUTE_KEYWORDS[attribute]) || [])
+      .length;
+    if (hits > bestHits) {
+      best = attribute;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+// d20 + attribute against the difficulty; natural 20s and 1s are criticals.
+// `attributes` is null when nobody in particular acts (merged party actions).
+export function performSkillCheck({
+  seed,
+  nonce,
+  action,
+  attributes,
+  difficulty,
+}) {
+  const roll = rollDie(seed, nonce, CHECK_DIE_SIDES);
+  const attribute = chooseCheckAttribute(action);
+  const modifier = attribute && attributes ? attributes[attribute] ?? 0 : 0;
+  const total = roll + modifier;
+  let outcome;
+  if (roll === CHECK_DIE_SIDES) outcome = DICE_OUTCOMES.CRITICAL_SUCCESS;
+  else if (roll === 1) outcome = DICE_OUTCOMES.CRITICAL_FAILURE;
+  else if (total >= difficulty) outcome = DICE_OUTCOMES.SUCCESS;
+  else outcome = DICE_OUTCOMES.FAILURE;
+  return {
+    die: CHECK_DIE_SIDES,
+    roll,
+    attribute,
+    modifier,
+    total,
+    difficulty,
+    outcome,
+    nonce,
+  };
+}
+
+const OUTCOME_INSTRUCTIONS = {
+  [DICE_OUTCOMES.CRITICAL_SUCCESS]:
+    "CRITICAL SUCCESS. The action succeeds spectacularly, with an extra benefit.",
+  [DICE_OUTCOMES.SUCCESS]: "SUCCESS. The action achieves what was intended.",
+  [DICE_OUTCOMES.FAILURE]:
+    "FAILURE. The action does not achieve what was intended; show how it falls short.",
+  [DICE_OUTCOMES.CRITICAL_FAILURE]:
+    "CRITICAL FAILURE. The action fails badly and causes a complication.",
+};
+
+// Dice section of the turn prompt
+export function formatDiceRollForPrompt(diceRoll, actorName) {
+  const check = diceRoll.attribute
+    ? `${diceRoll.attribute} check: d${diceRoll.die} rolled ${diceRoll.roll} + ${diceRoll.modifier} = ${diceRoll.total}`
+    : `check: d${diceRoll.die} rolled ${diceRoll.roll}`;
+  return `${actorName}'s ${check} against difficulty ${diceRoll.difficulty}.
+Outcome (binding): ${OUTCOME_INSTRUCTIONS[diceRoll.outcome]}`;
+}
@@ -0,0 +1,85 @@
+// --- Image Job Queue ---
+// In-process queue for slow image generation so turns can be committed right
+// away. Jobs are keyed (by turn ID) so the same image is never generated twice
+// at once, run with limited concurrency to respect provider rate limits, and
+// are retried with exponential backoff before being reported as failed.
+// Jobs aren't persisted here: the caller tracks state in the database and
+// re-enqueues unfinished work on startup.
+
+export const IMAGE_STATUS = {
+  PENDING: "pending",
+  READY: "ready",
+  FAILED: "failed",
+};
+
+export function createImageJobQueue({
+  processJob, // async (payload, attempt) => void, throws to trigger a retry
+  onJobFailed = null, // async (payload, error) => void, after the last attempt
+  concurrency = 1,
+  maxAttempts = 3,
+  baseDelayMs = 2000,
+  maxDelayMs = 30000,
+}) {
+  const readyJobs = [];
+  const activeKeys = new Set(); // Queued, running or waiting to retry
+  let runningCount = 0;
+
+  function drain() {
+    while (runningCount < concurrency && readyJobs.length > 0) {
+      const job = readyJobs.shift();
+      runningCount++;
+      runJob(job).finally(() => {
+        runningCount--;
+        drain();
+      });
+    }
+  }
+
+  async function runJob(job) {
+    try {
+      await processJob(job.payload, job.attempt);
+      activeKeys.delete(job.key);
+    } catch (error) {
+      if (job.attempt >= maxAttempts) {
+        activeKeys.delete(job.key);
+        console.error(
+          `Image job ${job.key} failed after ${job.attempt} attempts:`,
+          error.message
+        );
+        try {
+          await onJobFailed?.(job.payload, error);
+        } catch (failureError) {
+          console.error(
+            `Image job ${job.key}: failure handler threw:`,
+            failureError
+          );
+        }
+        return;
+      }
+
+      const delay = Math.min(baseDelayMs * 2 ** (job.attempt - 1), maxDelayMs);
+      console.warn(
+        `Image job ${job.key} attempt ${job.attempt}/${maxAttempts} failed (${error.message}). Retrying in ${delay}ms.`
+      );
+      const retryTimer = setTimeout(() => {
+        readyJobs.push({ ...job, attempt: job.attempt + 1 });
+        drain();
+      }, delay);
+      retryTimer.unref?.(); // Don't keep the process alive just for a retry
+    }
+  }
+
+  return {
+    // Returns false if a job with this key is already queued or running
+    enqueue(key, payload) {
+      if (activeKeys.has(key)) return false;
+      activeKeys.add(key);
+      readyJobs.push({ key, payload, attempt: 1 });
+      drain();
+      return true;
+    },
+    has(key) {
+      return activeKeys.has(key);
+    },
+  };
+}
@@ -0,0 +1,118 @@
+import crypto from "crypto";
+import fs from "fs";
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+
+// --- Content-Addressed Image Store ---
+// Generated images are written to disk named by the SHA-256 of their bytes, so
+// identical images are stored once and their URLs never change (safe to cache
+// forever). The database only keeps the short URL instead of base64 data.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const IMAGE_STORE_DIR = path.join(
+  __dirname,
+  "uploads",
+  "generated_images"
+);
+export const IMAGE_STORE_ROUTE = "/api/images/generated";
+
+const MIME_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+const DATA_URL_PATTERN = /^data:(image\/[a-z+.-]+);base64,/i;
+const IMAGE_ID_PATTERN = /^[a-f0-9]{64}\.(png|jpg|webp|gif)$/;
+
+// --- Create Image Store Directory ---
+export function ensureImageStoreDir() {
+  if (!fs.existsSync(IMAGE_STORE_DIR)) {
+    fs.mkdirSync(IMAGE_STORE_DIR, { recursive: true });
+    console.log(`Created image store directory: ${IMAGE_STORE_DIR}`);
+  }
+}
+
+// True for `data:image/...;base64,` URLs as returned by the image providers
+export function isInlineImageUrl(imageUrl) {
+  return typeof imageUrl === "string" && DATA_URL_PATTERN.test(imageUrl);
+}
+
+// Returns the absolute path for a stored image ID, or null if the ID is malformed
+export function resolveImagePath(imageId) {
+  if (!IMAGE_ID_PATTERN.test(imageId)) return null;
+  return path.join(IMAGE_STORE_DIR, imageId);
+}
+
+// Writes image bytes to the store (once per unique content) and returns its URL
+export async function storeImageBuffer(buffer, mimeType = "image/png") {
+  const extension = MIME_EXTENSIONS[mimeType.toLowerCase()];
+  if (!extension) {
+    throw new Error(`Unsupported image type for image store: ${mimeType}`);
+  }
+  const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+  const imageId = `${hash}.${extension}`;
+  const filePath = path.join(IMAGE_STORE_DIR, imageId);
+
+  if (!fs.existsSync(filePath)) {
+    // Write to a temp file first so readers never see a partial image
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tempPath, buffer);
+    await fs.promises.rename(tempPath, filePath);
+    console.log(`Image store: Saved ${imageId} (${buffer.length} bytes).`);
+  } else {
+    console.log(`Image store: ${imageId} already stored, reusing.`);
+  }
+  return `${IMAGE_STORE_ROUTE}/${imageId}`;
+}
+
+// Moves an inline base64 image into the store. Any other URL (placeholders,
+// uploads, already-stored images) is returned unchanged.
+export async function persistImageUrl(imageUrl) {
+  if (!isInlineImageUrl(imageUrl)) return imageUrl;
+  const mimeType = imageUrl.match(DATA_URL_PATTERN)[1];
+  const base64Data = imageUrl.split(",", 2)[1];
+  return storeImageBuffer(Buffer.from(base64Data, "base64"), mimeType);
+}
+
+// Maps a file name's extension to its image MIME type, or null if unsupported
+export function getImageMimeType(fileName) {
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+  const normalized = extension === "jpeg" ? "jpg" : extension;
+  const entry = Object.entries(MIME_EXTENSIONS).find(
+    ([, ext]) => ext === normalized
+  );
+  return entry ? entry[0] : null;
+}
+
+// Returns { mimeType, buffer } for an inline or stored image, or null if the
+// URL doesn't point at image data we hold (e.g. an external placeholder)
+export async function readImageData(imageUrl) {
+  if (!imageUrl) return null;
+  if (isInlineImageUrl(imageUrl)) {
+    return {
+      mimeType: imageUrl.match(DATA_URL_PATTERN)[1].toLowerCase(),
+      buffer: Buffer.from(imageUrl.split(",", 2)[1], "base64"),
+    };
+  }
+  if (!imageUrl.startsWith(`${IMAGE_STORE_ROUTE}/`)) return null;
+
+  const imageId = imageUrl.slice(IMAGE_STORE_ROUTE.length + 1);
+  const filePath = resolveImagePath(imageId);
+  if (!filePath) return null;
+  try {
+    const buffer = await fs.promises.readFile(filePath);
+    return { mimeType: getImageMimeType(imageId), buffer };
+  } catch (error) {
+    console.warn(`Image store: Could not read ${imageUrl}: ${error.message}`);
+    return null;
+  }
+}
+
+// Returns the base64 payload of an inline or stored image, or null (see readImageData)
+export async function readImageBase64(imageUrl) {
+  const image = await readImageData(imageUrl);
+  return image ? image.buffer.toString("base64") : null;
+}
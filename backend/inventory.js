@@ -0,0 +1,119 @@
+import { findNameMatch, getNameTokens } from "./nameMatching.js";
+
+// --- Inventory ---
+// The GM reports what the players gain and lose each turn
+// (`inventory_changes`). The changes are resolved to a player index and kept
+// on the turn that made them, so a player's inventory on a timeline is the sum
+// of the changes on that timeline's turns and forks keep their own items.
+
+export const INVENTORY_LIMITS = {
+  maxChangesPerTurn: 20,
+  maxItemNameLength: 80,
+  maxNoteLength: 200,
+  maxQuantityChange: 999,
+};
+
+// Articles don't tell items apart ("a rusty key" is "rusty key")
+const ITEM_FILLER_WORDS = new Set(["a", "an", "the", "some"]);
+const PLAYER_NAME_FILLER_WORDS = new Set(["the"]);
+
+// Assigns each change of a turn to a player. `players` are session_players
+// rows; changes without a recognisable player go to the acting one, or to the
+// only player of a single-player session. Changes nobody can be found for are
+// dropped. Returns [{ playerIndex, item, quantity, note }].
+export function resolveInventoryChanges(changes, players, actingPlayerIndex) {
+  if (!Array.isArray(changes)) return [];
+  const playerEntries = players.map((player) => ({
+    id: player.player_index,
+    names: [player.character_name],
+  }));
+  const fallbackIndex =
+    actingPlayerIndex ??
+    (players.length === 1 ? players[0].player_index : null);
+
+  return changes
+    .slice(0, INVENTORY_LIMITS.maxChangesPerTurn)
+    .map((change) => {
+      const matchedIndex =
+        typeof change.player === "string"
+          ? findNameMatch(
+              change.player,
+              playerEntries,
+              PLAYER_NAME_FILLER_WORDS
+            )
+          : null;
+      const limit = INVENTORY_LIMITS.maxQuantityChange;
+      return {
+        playerIndex: matchedIndex ?? fallbackIndex,
+        item: change.item.trim().slice(0, INVENTORY_LIMITS.maxItemNameLength),
+        quantity: Math.max(-limit, Math.min(limit, change.quantity)),
+        note:
+          typeof change.note === "string" && change.note.trim()
+            ? change.note.trim().slice(0, INVENTORY_LIMITS.maxNoteLength)
+            : null,
+      };
+    })
+    .filter((change) => change.playerIndex !== null);
+}
+
+function getItemKey(name) {
+  const tokens = getNameTokens(name, ITEM_FILLER_WORDS);
+  return tokens.length > 0 ? tokens.join(" ") : name.toLowerCase();
+}
+
+// Inventories of one timeline as a Map of player index to
+// [{ name, quantity, note, acquiredTurnIndex, lastChangedTurnIndex }].
+// `timelineRows` are the timeline's turns in order, with their
+// `inventory_changes` column. Losing more than is carried just empties the
+// slot, since the GM sometimes drops items nobody recorded picking up.
+export function buildInventories(timelineRows) {
+  const inventories = new Map();
+  for (const row of timelineRows) {
+    if (!row.inventory_changes) continue;
+    for (const change of JSON.parse(row.inventory_changes)) {
+      const items = inventories.get(change.playerIndex) || new Map();
+      inventories.set(change.playerIndex, items);
+      const key = getItemKey(change.item);
+      const item = items.get(key);
+      if (!item) {
+        if (change.quantity > 0) {
+          items.set(key, {
+            name: change.item,
+            quantity: change.quantity,
+            note: change.note,
+            acquiredTurnIndex: row.turn_index,
+            lastChangedTurnIndex: row.turn_index,
+          });
+        }
+        continue;
+      }
+      item.quantity += change.quantity;
+      item.note = change.note || item.note;
+      item.lastChangedTurnIndex = row.turn_index;
+      if (item.quantity <= 0) items.delete(key);
+    }
+  }
+  return new Map(
+    [...inventories].map(([playerIndex, items]) => [
+      playerIndex,
+      [...items.values()],
+    ])
+  );
+}
+
+// Inventory section of the GM prompt, one line per player
+export function formatInventoryForPrompt(inventories, players) {
+  if (players.length === 0) return "(Nobody is carrying anything yet.)";
+  return players
+    .map((player) => {
+      const items = inventories.get(player.player_index) || [];
+      const itemList = items
+        .map(
+          (item) =>
+            `${item.name}${item.quantity > 1 ? ` (x${item.quantity})` : ""}`
+        )
+        .join(", ");
+      return `- ${player.character_name}: ${itemList || "(nothing)"}`;
+    })
+    .join("\n");
+}
@@ -0,0 +1,179 @@
+import axios from "axios";
+
+// --- LLM Provider Registry ---
+// callLLM looks providers up here by name (ACTIVE_LLM_PROVIDER,
+// INITIAL_LLM_PROVIDER or an explicit override), so a new backend only needs a
+// registerLLMProvider() call. A provider is an object with:
+//   defaultModel     - model for regular game turns
+//   initialModel     - model for world building and Turn 0 (defaults to defaultModel)
+//   historyTokenBudget - optional, tokens the game history may take up in a
+//                      turn prompt (see storyMemory.js); size it to the context window
+//   validateConfig() - optional, throws at startup if the provider can't be used
+//   call(request)    - resolves with the raw response text
+//   stream(request, onDelta) - optional, streams the raw text through onDelta
+//                      and resolves with the full text once done
+// `request` is { systemPrompt, userPrompt, model, callType, onUsage }, where
+// callType is one of LLM_CALL_TYPES (useful for providers that don't read the
+// prompt). Providers that learn the token counts of a call pass them to
+// onUsage({ inputTokens, outputTokens }); otherwise callLLM estimates them.
+
+export const LLM_CALL_TYPES = {
+  WORLD_BUILDING: "world_building",
+  INITIAL_TURN: "initial_turn",
+  TURN: "turn",
+  SUMMARY: "summary",
+  CONTENT_REWRITE: "content_rewrite",
+  JSON_REPAIR: "json_repair",
+};
+
+const providers = new Map();
+
+export function registerLLMProvider(name, provider) {
+  if (typeof provider?.call !== "function") {
+    throw new Error(`LLM provider '${name}' must implement call(request).`);
+  }
+  if (providers.has(name)) {
+    console.warn(`LLM provider '${name}' is already registered, replacing it.`);
+  }
+  providers.set(name, provider);
+}
+
+export function listLLMProviders() {
+  return [...providers.keys()];
+}
+
+// Throws for unknown names so misconfiguration fails at startup, not mid-game
+export function getLLMProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(
+      `Unknown LLM provider: ${name}. Registered providers: ${listLLMProviders().join(
+        ", "
+      )}.`
+    );
+  }
+  return provider;
+}
+
+// Returns a validateConfig() that requires an environment variable to be set
+export function requireEnvValue(envVarName, value) {
+  return () => {
+    if (!value) {
+      throw new Error(
+        `FATAL ERROR: ${envVarName} is not set for the configured LLM provider.`
+      );
+    }
+  };
+}
+
+// Yields the parsed JSON payload of each `data:` line of an SSE response stream
+export async function* readSseData(stream) {
+  stream.setEncoding("utf8"); // Avoid splitting multi-byte characters across chunks
+  let buffer = "";
+  for await (const chunk of stream) {
+    buffer += chunk;
+    const lines = buffer.split("\n");
+    buffer = lines.pop(); // Keep the incomplete trailing line for the next chunk
+    for (const line of lines) {
+      const trimmedLine = line.trim();
+      if (!trimmedLine.startsWith("data:")) continue;
+      const data = trimmedLine.slice(5).trim();
+      if (!data || data === "[DONE]") continue;
+      yield JSON.parse(data);
+    }
+  }
+}
+
+// --- OpenAI-Compatible Chat Completions Provider ---
+// Works with OpenAI itself and with local servers exposing the same API
+// (Ollama's /v1 endpoint, LM Studio, vLLM, llama.cpp server, ...).
+export function createOpenAICompatibleProvider({
+  label,
+  endpoint,
+  apiKey = null,
+  apiKeyEnvVar = null, // When set, the key is required at startup
+  defaultModel,
+  initialModel = defaultModel,
+  historyTokenBudget = null,
+  jsonMode = true, // Send response_format; disable for servers that reject it
+  streamUsage = false, // Ask for token counts at the end of streams (stream_options)
+  timeout = 30000,
+}) {
+  const buildRequest = (systemPrompt, userPrompt, model, stream) => {
+    const body = {
+      model,
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt },
+      ],
+      temperature: 0.7,
+    };
+    if (jsonMode) body.response_format = { type: "json_object" };
+    if (stream) body.stream = true;
+    if (stream && streamUsage) body.stream_options = { include_usage: true };
+
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    return { body, headers };
+  };
+
+  return {
+    defaultModel,
+    initialModel,
+    historyTokenBudget,
+    validateConfig() {
+      if (apiKeyEnvVar) requireEnvValue(apiKeyEnvVar, apiKey)();
+      if (!endpoint) {
+        throw new Error(`FATAL ERROR: No endpoint configured for ${label}.`);
+      }
+    },
+    async call({ systemPrompt, userPrompt, model, onUsage }) {
+      console.log(` -> Calling ${label} with model: ${model}`);
+      const { body, headers } = buildRequest(
+        systemPrompt,
+        userPrompt,
+        model,
+        false
+      );
+      const response = await axios.post(endpoint, body, { headers, timeout });
+      reportUsage(response.data.usage, onUsage);
+      // Return the raw JSON string for central parsing
+      return response.data.choices[0]?.message?.content;
+    },
+    async stream({ systemPrompt, userPrompt, model, onUsage }, onDelta) {
+      console.log(` -> Streaming from ${label} with model: ${model}`);
+      const { body, headers } = buildRequest(
+        systemPrompt,
+        userPrompt,
+        model,
+        true
+      );
+      const response = await axios.post(endpoint, body, {
+        headers,
+        responseType: "stream",
+        timeout: timeout * 2, // The full response streams over the connection
+      });
+
+      let fullText = "";
+      for await (const event of readSseData(response.data)) {
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+          fullText += delta;
+          onDelta(delta);
+        }
+        // With include_usage, the final event carries the counts
+        reportUsage(event.usage, onUsage);
+      }
+      return fullText;
+    },
+  };
+}
+
+// Passes an OpenAI-style usage object on as token counts
+function reportUsage(usage, onUsage) {
+  if (!usage || !onUsage) return;
+  onUsage({
+    inputTokens: usage.prompt_tokens ?? 0,
+    outputTokens: usage.completion_tokens ?? 0,
+  });
+}
@@ -0,0 +1,175 @@
+import { findNameMatch, getNameTokens } from "./nameMatching.js";
+
+// --- Location Graph ---
+// The GM names the location of every turn (`location`) and says whether the
+// players stayed put (`isSameLocation`). `session_locations` holds the places
+// of a session (matched by name, seeded with the lore's key locations) and
+// `location_visits` where each turn took place and where the players came
+// from when they moved. As with the NPC codex, the map of a timeline is
+// built from the visits on that timeline's turns.
+
+const LOCATION_FILLER_WORDS = new Set(["the", "a", "an", "of"]);
+
+// Trimmed location name from GM output, or null
+export function sanitizeLocationName(name) {
+  if (typeof name !== "string") return null;
+  const trimmed = name.trim().slice(0, 100);
+  return getNameTokens(trimmed, LOCATION_FILLER_WORDS).length > 0
+    ? trimmed
+    : null;
+}
+
+// Finds the known location a name refers to; `locations` is
+// [{ locationId, names }]. Returns the locationId or null for a new place.
+export function matchLocation(name, locations) {
+  return findNameMatch(
+    name,
+    locations.map((location) => ({
+      id: location.locationId,
+      names: location.names,
+    })),
+    LOCATION_FILLER_WORDS
+  );
+}
+
+// Where a turn took place. Staying put keeps the previous location (the name
+// is then just another name for it); moving without a name leaves the
+// location unknown. Returns { locationId, isNew, isNewName } or null.
+export function resolveTurnLocation({
+  locationName,
+  isSameLocation,
+  previousLocationId,
+  locations,
+}) {
+  if (isSameLocation && previousLocationId) {
+    const location = locations.find(
+      (known) => known.locationId === previousLocationId
+    );
+    return {
+      locationId: previousLocationId,
+      isNew: false,
+      isNewName: !!(
+        location &&
+        locationName &&
+        !location.names.includes(locationName) &&
+        matchLocation(locationName, locations) === null
+      ),
+    };
+  }
+  if (!locationName) return null;
+  const locationId = matchLocation(locationName, locations);
+  if (locationId) {
+    const location = locations.find((known) => known.locationId === locationId);
+    return {
+      locationId,
+      isNew: false,
+      isNewName: !location.names.includes(locationName),
+    };
+  }
+  return { locationId: null, isNew: true, isNewName: false };
+}
+
+// Key locations of a session's world lore as [{ name, description }]
+export function getLoreLocations(worldLore) {
+  let lore = worldLore;
+  if (typeof lore === "string") {
+    try {
+      lore = JSON.parse(lore);
+    } catch {
+      return [];
+    }
+  }
+  if (!Array.isArray(lore?.key_locations)) return [];
+  return lore.key_locations
+    .map((location) => ({
+      name: sanitizeLocationName(location?.name),
+      description:
+        typeof location?.description === "string" ? location.description : null,
+    }))
+    .filter((location) => location.name);
+}
+
+// Map of one timeline. `locations` are session_locations rows, `visits`
+// location_visits rows and `turnIndexById` maps the timeline's turn IDs to
+// their index. Unvisited key locations are included so players can head
+// for them.
+export function buildLocationMap(locations, visits, turnIndexById) {
+  const timelineVisits = visits
+    .filter((visit) => visit.location_id && turnIndexById.has(visit.turn_id))
+    .map((visit) => ({ ...visit, turnIndex: turnIndexById.get(visit.turn_id) }))
+    .sort((a, b) => a.turnIndex - b.turnIndex);
+
+  const visitsByLocation = new Map();
+  const connections = new Map();
+  for (const visit of timelineVisits) {
+    const visited = visitsByLocation.get(visit.location_id) || [];
+    visited.push(visit.turnIndex);
+    visitsByLocation.set(visit.location_id, visited);
+
+    if (
+      visit.from_location_id &&
+      visit.from_location_id !== visit.location_id
+    ) {
+      // Paths work both ways, so A -> B and B -> A are one connection
+      const [a, b] = [visit.from_location_id, visit.location_id].sort();
+      const key = `${a}|${b}`;
+      const connection = connections.get(key) || {
+        locationIds: [a, b],
+        turnIndices: [],
+      };
+      connection.turnIndices.push(visit.turnIndex);
+      connections.set(key, connection);
+    }
+  }
+
+  const mapLocations = locations
+    .filter(
+      (location) =>
+        visitsByLocation.has(location.location_id) || location.is_key_location
+    )
+    .map((location) => {
+      const visited = visitsByLocation.get(location.location_id) || [];
+      const names = JSON.parse(location.names);
+      return {
+        locationId: location.location_id,
+        name: location.name,
+        aliases: names.filter((name) => name !== location.name),
+        description: location.description,
+        isKeyLocation: location.is_key_location === 1,
+        visitCount: visited.length,
+        firstVisitTurnIndex: visited[0] ?? null,
+        lastVisitTurnIndex: visited.at(-1) ?? null,
+      };
+    });
+
+  return {
+    currentLocationId: timelineVisits.at(-1)?.location_id ?? null,
+    locations: mapLocations,
+    connections: [...connections.values()],
+  };
+}
+
+// Location section of the GM prompt
+export function formatLocationContext(map) {
+  const byId = new Map(
+    map.locations.map((location) => [location.locationId, location])
+  );
+  const current = byId.get(map.currentLocationId);
+  const visited = map.locations.filter((location) => location.visitCount > 0);
+  const lines = [`Current location: ${current ? current.name : "(unknown)"}`];
+  if (visited.length > 0) {
+    lines.push(
+      `Places visited: ${visited.map((location) => location.name).join(", ")}`
+    );
+  }
+  if (map.connections.length > 0) {
+    lines.push(
+      `Known routes: ${map.connections
+        .map(({ locationIds }) =>
+          locationIds.map((id) => byId.get(id)?.name).join(" <-> ")
+        )
+        .join("; ")}`
+    );
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,393 @@
+import { LLM_CALL_TYPES } from "./llmProviders.js";
+
+// --- Mock LLM Provider ---
+// Offline provider for development and CI: no network, no API keys. Responses
+// are derived from a hash of the prompt, so the same prompt always produces the
+// same JSON, and each turn meets one more goal prerequisite until the goal can
+// be completed. That makes the whole game loop playable end to end.
+
+const TIMES_OF_DAY = [
+  "Dawn",
+  "Morning",
+  "Midday",
+  "Afternoon",
+  "Dusk",
+  "Night",
+];
+const SCENES = [
+  {
+    name: "Lantern Harbor",
+    description: "a fog-covered harbor where lanterns sway above the docks",
+  },
+  {
+    name: "The Silent Library",
+    description: "a quiet library whose shelves climb into darkness",
+  },
+  {
+    name: "Crossroads Market",
+    description: "a crossroads market packed with shouting merchants",
+  },
+  {
+    name: "Manor Courtyard",
+    description: "an overgrown courtyard behind a shuttered manor",
+  },
+  {
+    name: "Torchlit Canyon",
+    description: "a narrow canyon path lit by flickering torches",
+  },
+];
+const MOCK_CHARACTERS = [
+  {
+    name: "Mira Vale",
+    description: "A cartographer who claims to know every hidden road.",
+    appearance: "Ink-stained fingers, a patched coat and a satchel of maps.",
+    opinionOfPlayer: "Curious",
+  },
+  {
+    name: "Old Tobin",
+    description: "A ferryman who trades stories for passage.",
+    appearance: "Weathered face, grey beard and a lantern on a pole.",
+    opinionOfPlayer: "Wary",
+  },
+  {
+    name: "Sister Ashe",
+    description: "A keeper of records with secrets of her own.",
+    appearance: "Hooded robe, silver spectacles and a ring of keys.",
+    opinionOfPlayer: "Friendly",
+  },
+];
+const MOCK_ITEMS = ["Brass Lantern", "Torn Map Fragment", "Ferry Token"];
+const MOCK_GOAL = "Recover the lost compass and bring it home";
+const MOCK_PREREQUISITES = [
+  "Find the cartographer's notes",
+  "Earn the ferryman's trust",
+  "Open the sealed archive",
+];
+
+// FNV-1a, enough to spread prompts across the canned options deterministically
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function pick(options, seed, offset = 0) {
+  return options[(seed + offset) % options.length];
+}
+
+function parseJsonArrayLine(text, label) {
+  const match = text.match(new RegExp(`${label}:\\s*(\\[.*\\])`));
+  if (!match) return [];
+  try {
+    const parsed = JSON.parse(match[1]);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function humanizeKey(key) {
+  return key.replace(/_/g, " ").replace(/^\w/, (char) => char.toUpperCase());
+}
+
+// Fills a world-building JSON skeleton ("String: ..." placeholders) with mock
+// values of the same shape, so any theme's structure comes back valid
+function fillWorldTemplate(template, key = "Detail", index = null) {
+  const suffix = index === null ? "" : ` ${index}`;
+  if (typeof template === "string") {
+    return `Mock ${humanizeKey(key).toLowerCase()}${suffix}.`;
+  }
+  if (Array.isArray(template)) {
+    return [1, 2].map((itemIndex) =>
+      fillWorldTemplate(template[0] ?? "String", key, itemIndex)
+    );
+  }
+  if (template && typeof template === "object") {
+    return Object.fromEntries(
+      Object.entries(template).map(([field, value]) => [
+        field,
+        field === "name"
+          ? `Mock ${humanizeKey(key).replace(/s$/, "")}${suffix}`
+          : fillWorldTemplate(value, field, index),
+      ])
+    );
+  }
+  return template;
+}
+
+function buildWorldBuildingResponse(systemPrompt) {
+  // The skeleton follows WORLD_BUILDING_PROMPT_TEMPLATE's "...structure:" line
+  const start = systemPrompt.indexOf("{", systemPrompt.indexOf("structure:"));
+  const end = systemPrompt.lastIndexOf("}");
+  if (start !== -1 && end > start) {
+    try {
+      return fillWorldTemplate(JSON.parse(systemPrompt.slice(start, end + 1)));
+    } catch {
+      // Not a plain JSON skeleton, fall through to the generic world
+    }
+  }
+  return {
+    world_summary: "A mock world of misty harbors and forgotten archives.",
+    key_locations: [
+      { name: "Mock Harbor", description: "Where every story starts." },
+    ],
+  };
+}
+
+function buildInitialTurnResponse(seed) {
+  const scene = pick(SCENES, seed);
+  return {
+    narrative: `You find yourself in ${scene.description}. Somewhere nearby, someone is waiting for you to make the first move.`,
+    timeOfDay: pick(TIMES_OF_DAY, seed),
+    image_prompt: `Wide establishing shot of ${scene.description}, atmospheric lighting, no people in the foreground.`,
+    suggested_actions: [
+      "Look around carefully",
+      "Ask a passerby for directions",
+      "Follow the sound of distant music",
+      "Challenge a pigeon to a staring contest",
+    ],
+    isSameLocation: true,
+    location: scene.name,
+    characters: [],
+    inventory_changes: [
+      { item: "Traveler's Pack", quantity: 1, note: "Everything you own." },
+    ],
+    game_goal: MOCK_GOAL,
+    goal_prerequisites: MOCK_PREREQUISITES,
+  };
+}
+
+function buildTurnResponse(systemPrompt, userPrompt, seed) {
+  const actionMatch = userPrompt.match(
+    /--- Player Action \(from .*?\) ---\n([\s\S]*?)\n\n/
+  );
+  const action = actionMatch ? actionMatch[1].trim() : "wait and observe";
+
+  // A failed skill check (dice rules sessions) gets the players nowhere
+  const isFailedCheck = /^Outcome \(binding\): (CRITICAL )?FAILURE/m.test(
+    userPrompt
+  );
+
+  // Meet the next unmet prerequisite each turn; once all were met before this
+  // turn, the goal is achieved
+  const allPrerequisites = parseJsonArrayLine(
+    systemPrompt,
+    "All Prerequisites"
+  );
+  const metPrerequisites = parseJsonArrayLine(
+    systemPrompt,
+    "Prerequisites Met So Far"
+  );
+  const nextPrerequisite = isFailedCheck
+    ? null
+    : allPrerequisites.find(
+        (prerequisite) => !metPrerequisites.includes(prerequisite)
+      );
+  const isGoalMet =
+    !isFailedCheck && allPrerequisites.length > 0 && !nextPrerequisite;
+  const updatedMetPrerequisites = nextPrerequisite
+    ? [...metPrerequisites, nextPrerequisite]
+    : metPrerequisites;
+
+  // "Travel to X" (the world map's travel button) always moves to X; otherwise
+  // the players stay put on some turns, as named in the location context
+  const travelMatch = action.match(/^travel to (.+?)\.?$/i);
+  const currentLocation = systemPrompt.match(/^Current location: (.+)$/m)?.[1];
+  const isSameLocation =
+    !travelMatch &&
+    seed % 3 !== 0 &&
+    !!currentLocation &&
+    currentLocation !== "(unknown)";
+  const scene = pick(SCENES, seed);
+  const location = travelMatch
+    ? travelMatch[1]
+    : isSameLocation
+    ? currentLocation
+    : scene.name;
+  const character = pick(MOCK_CHARACTERS, seed);
+  // "Take X" picks X up and "Use X" / "Drop X" loses it; other turns sometimes
+  // turn up a canned item
+  const takeMatch = action.match(/^(?:take|pick up|grab) (.+?)\.?$/i);
+  const loseMatch = action.match(/^(?:use|drop|give away) (.+?)\.?$/i);
+  const inventoryChanges = takeMatch
+    ? [{ item: takeMatch[1], quantity: 1 }]
+    : loseMatch
+    ? [{ item: loseMatch[1], quantity: -1 }]
+    : seed % 2 === 0
+    ? [{ item: pick(MOCK_ITEMS, seed), quantity: 1 }]
+    : [];
+  let narrative = `You decide to ${action.replace(/^\w/, (char) =>
+    char.toLowerCase()
+  )}. The scene shifts to ${scene.description}, where ${
+    character.name
+  } watches you closely.`;
+  if (isFailedCheck) {
+    narrative += " Despite your efforts, it doesn't go as planned.";
+  } else if (isGoalMet) {
+    narrative += " At last, everything you worked for falls into place.";
+  } else if (nextPrerequisite) {
+    narrative += " You feel one step closer to what you are looking for.";
+  }
+
+  return {
+    narrative,
+    timeOfDay: pick(TIMES_OF_DAY, seed, 1),
+    image_prompt: `${
+      scene.description
+    }, ${character.appearance.toLowerCase()} Cinematic lighting.`,
+    suggested_actions: [
+      `Talk to ${character.name}`,
+      "Search the area for clues",
+      "Climb the nearest tall structure",
+      "Start an impromptu dance contest",
+    ],
+    isSameLocation,
+    location,
+    characters: [character],
+    inventory_changes: inventoryChanges,
+    updated_met_prerequisites: updatedMetPrerequisites,
+    is_goal_met_this_turn: isGoalMet,
+  };
+}
+
+// Appends the actions of the new turns to the previous summary
+function buildSummaryResponse(userPrompt) {
+  const previous = userPrompt.match(
+    /--- Summary So Far ---\n([\s\S]*?)\n\n--- New Turns ---/
+  );
+  const actions = [
+    ...userPrompt.matchAll(/^Action Taken(?: \(by (.+?)\))?: (.+)$/gm),
+  ].map(([, actor, action]) => (actor ? `${actor}: ${action}` : action));
+  const summary = [
+    previous && !previous[1].startsWith("(") ? previous[1] : null,
+    `Then: ${actions.join("; ")}.`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+  return { summary };
+}
+
+// Drops the sentences and actions that contain a flagged term
+function buildRewriteResponse(userPrompt) {
+  const flaggedTerms = [...userPrompt.matchAll(/^- \w+: "(.+)"$/gm)].map(
+    ([, term]) => term.toLowerCase()
+  );
+  const turn = JSON.parse(userPrompt.split("--- Turn ---\n")[1]);
+  const isClean = (text) =>
+    !flaggedTerms.some((term) => text.toLowerCase().includes(term));
+  const sentences = turn.narrative.match(/[^.!?]+[.!?]*/g) || [];
+  return {
+    narrative:
+      sentences.filter(isClean).join("").trim() ||
+      "The scene fades before anything more can happen.",
+    image_prompt: isClean(turn.image_prompt)
+      ? turn.image_prompt
+      : "A quiet, softly lit scene. Cinematic lighting.",
+    suggested_actions: turn.suggested_actions.filter(isClean),
+  };
+}
+
+// Keeps what already fits the schema and fills in the rest with placeholders
+// of the right type
+function conformToSchema(value, schema) {
+  const types = [].concat(schema.type ?? []);
+  if (value === null && types.includes("null")) return null;
+  switch (types[0]) {
+    case "object": {
+      const object =
+        value && typeof value === "object" && !Array.isArray(value)
+          ? { ...value }
+          : {};
+      for (const [key, propertySchema] of Object.entries(
+        schema.properties ?? {}
+      )) {
+        if (key in object || schema.required?.includes(key)) {
+          object[key] = conformToSchema(object[key], propertySchema);
+        }
+      }
+      return object;
+    }
+    case "array":
+      return Array.isArray(value)
+        ? value.map((item) =>
+            schema.items ? conformToSchema(item, schema.items) : item
+          )
+        : [];
+    case "string":
+      return typeof value === "string" && value.trim()
+        ? value
+        : "Mock repaired text.";
+    case "boolean":
+      return typeof value === "boolean" ? value : false;
+    case "integer":
+    case "number":
+      return Number.isInteger(value) && value !== 0 ? value : 1;
+    default:
+      return value ?? null;
+  }
+}
+
+function buildRepairResponse(userPrompt) {
+  const schema = JSON.parse(userPrompt.match(/--- JSON Schema ---\n(.*)\n/)[1]);
+  const rawResponse = userPrompt.split("--- Response ---\n")[1] ?? "";
+  let parsed;
+  try {
+    parsed = JSON.parse(
+      rawResponse
+        .slice(rawResponse.indexOf("{"), rawResponse.lastIndexOf("}") + 1)
+        .replace(/,\s*([}\]])/g, "$1")
+    );
+  } catch {
+    parsed = {}; // Beyond a mock's repair skills, so start over
+  }
+  return conformToSchema(parsed, schema);
+}
+
+function buildMockResponse({ systemPrompt, userPrompt, callType }) {
+  const seed = hashString(`${systemPrompt}\n${userPrompt}`);
+  let response;
+  switch (callType) {
+    case LLM_CALL_TYPES.WORLD_BUILDING:
+      response = buildWorldBuildingResponse(systemPrompt);
+      break;
+    case LLM_CALL_TYPES.INITIAL_TURN:
+      response = buildInitialTurnResponse(seed);
+      break;
+    case LLM_CALL_TYPES.SUMMARY:
+      response = buildSummaryResponse(userPrompt);
+      break;
+    case LLM_CALL_TYPES.CONTENT_REWRITE:
+      response = buildRewriteResponse(userPrompt);
+      break;
+    case LLM_CALL_TYPES.JSON_REPAIR:
+      response = buildRepairResponse(userPrompt);
+      break;
+    default:
+      response = buildTurnResponse(systemPrompt, userPrompt, seed);
+  }
+  return JSON.stringify(response, null, 2);
+}
+
+export function createMockLLMProvider({ streamDelayMs = 0 } = {}) {
+  return {
+    defaultModel: "mock",
+    initialModel: "mock",
+    async call(request) {
+      console.log(` -> Calling mock LLM (${request.callType})`);
+      return buildMockResponse(request);
+    },
+    async stream(request, onDelta) {
+      console.log(` -> Streaming from mock LLM (${request.callType})`);
+      const responseText = buildMockResponse(request);
+      const chunkSize = 24;
+      for (let i = 0; i < responseText.length; i += chunkSize) {
+        onDelta(responseText.slice(i, i + chunkSize));
+        await new Promise((resolve) => setTimeout(resolve, streamDelayMs));
+      }
+      return responseText;
+    },
+  };
+}
@@ -0,0 +1,48 @@
+// --- Name Matching ---
+// The GM refers to the same person or place by slightly different names
+// ("Captain Mara" / "Mara Voss", "The Rusty Anchor" / "Rusty Anchor Tavern").
+// Names are compared by their identifying words, ignoring case, accents,
+// punctuation and the given filler words.
+
+// Identifying words of a name; if only filler words remain, they are kept
+// ("The Captain" stays "the captain")
+export function getNameTokens(name, fillerWords) {
+  const tokens = String(name)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Combining accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+  const identifying = tokens.filter((token) => !fillerWords.has(token));
+  return identifying.length > 0 ? identifying : tokens;
+}
+
+function isSubset(smaller, larger) {
+  return smaller.every((token) => larger.includes(token));
+}
+
+// Finds the known entry a name refers to. `entries` is [{ id, names }], where
+// names are every name the entry has been listed under. An exact match wins;
+// otherwise a partial one ("Mara" / "Mara Voss") counts only if it is
+// unambiguous. Returns the id or null for something new.
+export function findNameMatch(name, entries, fillerWords) {
+  const tokens = getNameTokens(name, fillerWords);
+  if (tokens.length === 0) return null;
+  const key = tokens.join(" ");
+  const knownTokens = (known) => getNameTokens(known, fillerWords);
+
+  const exact = entries.find((entry) =>
+    entry.names.some((known) => knownTokens(known).join(" ") === key)
+  );
+  if (exact) return exact.id;
+
+  const partial = entries.filter((entry) =>
+    entry.names.some((known) => {
+      const other = knownTokens(known);
+      return isSubset(tokens, other) || isSubset(other, tokens);
+    })
+  );
+  return partial.length === 1 ? partial[0].id : null;
+}
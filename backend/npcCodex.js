@@ -0,0 +1,156 @@
+import { findNameMatch, getNameTokens } from "./nameMatching.js";
+
+// --- NPC Codex ---
+// The GM lists the NPCs present in each turn, and those lists are merged into
+// a per-session registry: `session_npcs` holds one row per person (matched by
+// name across turns) and `npc_appearances` one row per NPC per turn. The
+// codex of a timeline is built from the appearances on that timeline's turns,
+// so abandoned branches don't leak NPCs into the one being played.
+
+// Words that don't identify a person on their own ("Captain Mara" is "Mara")
+const NAME_TITLES = new Set([
+  "the",
+  "a",
+  "an",
+  "mr",
+  "mrs",
+  "ms",
+  "miss",
+  "dr",
+  "doctor",
+  "sir",
+  "dame",
+  "lady",
+  "lord",
+  "captain",
+  "capt",
+  "professor",
+  "prof",
+  "detective",
+  "officer",
+  "sergeant",
+  "agent",
+  "master",
+  "mistress",
+  "old",
+  "young",
+]);
+
+// Finds the known NPC a name refers to; `npcs` is [{ npcId, names }], where
+// names are every name the NPC has been listed under. Returns the npcId or
+// null for someone new.
+export function matchNpc(name, npcs) {
+  return findNameMatch(
+    name,
+    npcs.map((npc) => ({ id: npc.npcId, names: npc.names })),
+    NAME_TITLES
+  );
+}
+
+// Drops malformed entries from a turn's `characters` list
+export function sanitizeCharacters(characters) {
+  if (!Array.isArray(characters)) return [];
+  return characters
+    .filter(
+      (character) =>
+        character &&
+        typeof character.name === "string" &&
+        getNameTokens(character.name, NAME_TITLES).length > 0
+    )
+    .map((character) => ({
+      name: character.name.trim(),
+      description: textOrNull(character.description),
+      appearance: textOrNull(character.appearance),
+      opinionOfPlayer: textOrNull(character.opinionOfPlayer),
+    }));
+}
+
+function textOrNull(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+// Codex of one timeline. `appearances` are npc_appearances rows with the
+// NPC's display name as `npc_name`; `turnIndexById` maps the turn IDs of the
+// timeline to their index. Latest sightings first.
+export function buildNpcCodex(appearances, turnIndexById) {
+  const byNpc = new Map();
+  const sorted = appearances
+    .filter((row) => turnIndexById.has(row.turn_id))
+    .map((row) => ({ ...row, turnIndex: turnIndexById.get(row.turn_id) }))
+    .sort((a, b) => a.turnIndex - b.turnIndex);
+
+  for (const row of sorted) {
+    let npc = byNpc.get(row.npc_id);
+    if (!npc) {
+      npc = {
+        npcId: row.npc_id,
+        name: row.npc_name,
+        namesSeen: [],
+        description: null,
+        appearance: null,
+        opinionOfPlayer: null,
+        opinionHistory: [], // Only the turns where the opinion changed
+        firstSeenTurnIndex: row.turnIndex,
+        lastSeenTurnIndex: row.turnIndex,
+        appearanceCount: 0,
+      };
+      byNpc.set(row.npc_id, npc);
+    }
+    npc.appearanceCount += 1;
+    npc.lastSeenTurnIndex = row.turnIndex;
+    if (!npc.namesSeen.includes(row.name)) npc.namesSeen.push(row.name);
+    npc.description = row.description || npc.description;
+    npc.appearance = row.appearance || npc.appearance;
+    if (
+      row.opinion_of_player &&
+      row.opinion_of_player !== npc.opinionOfPlayer
+    ) {
+      npc.opinionOfPlayer = row.opinion_of_player;
+      npc.opinionHistory.push({
+        turnIndex: row.turnIndex,
+        opinion: row.opinion_of_player,
+      });
+    }
+  }
+
+  return [...byNpc.values()]
+    .map(({ namesSeen, ...npc }) => ({
+      ...npc,
+      aliases: namesSeen.filter((name) => name !== npc.name),
+    }))
+    .sort(
+      (a, b) =>
+        b.lastSeenTurnIndex - a.lastSeenTurnIndex ||
+        a.firstSeenTurnIndex - b.firstSeenTurnIndex
+    );
+}
+
+// Codex section of the GM prompt (most recently seen NPCs first)
+export function formatNpcCodexForPrompt(codex, limit) {
+  if (codex.length === 0) return "(None met yet.)";
+  const lines = codex.slice(0, limit).map((npc) => {
+    const parts = [
+      `- ${npc.name}${
+        npc.aliases.length > 0 ? ` (also called ${npc.aliases.join(", ")})` : ""
+      }`,
+    ];
+    if (npc.description) parts.push(`Description: ${npc.description}`);
+    if (npc.appearance) parts.push(`Appearance: ${npc.appearance}`);
+    if (npc.opinionOfPlayer) {
+      const previous = npc.opinionHistory.at(-2)?.opinion;
+      parts.push(
+        `Opinion of the players: ${npc.opinionOfPlayer}${
+          previous ? ` (previously: ${previous})` : ""
+        }`
+      );
+    }
+    parts.push(
+      `First met turn ${npc.firstSeenTurnIndex}, last seen turn ${npc.lastSeenTurnIndex}`
+    );
+    return parts.join(" | ");
+  });
+  if (codex.length > limit) {
+    lines.push(`(${codex.length - limit} more NPCs seen earlier omitted.)`);
+  }
+  return lines.join("\n");
+}
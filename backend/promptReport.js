@@ -0,0 +1,43 @@
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+import dotenv from "dotenv";
+import { getPromptExperimentReport } from "./promptTemplates.js";
+
+// --- Prompt Experiment Report ---
+// Compares the variants of prompt experiments (session length, goals reached
+// and JSON failure rate) and the JSON failure rate of every prompt version:
+//   node promptReport.js [experimentId]
+
+dotenv.config();
+const dbPath = process.env.SQLITE_DB_PATH || "./ai_adventure.db";
+
+async function printReport(experimentId) {
+  const db = await open({
+    filename: dbPath,
+    driver: sqlite3.Database,
+    mode: sqlite3.OPEN_READONLY,
+  });
+  try {
+    const { variants, versions } = await getPromptExperimentReport(
+      db,
+      experimentId
+    );
+    console.log(
+      experimentId
+        ? `Prompt experiment '${experimentId}':`
+        : "Prompt experiments:"
+    );
+    if (variants.length > 0) console.table(variants);
+    else console.log("No sessions assigned yet.");
+    console.log("Prompt versions:");
+    if (versions.length > 0) console.table(versions);
+    else console.log("No checked responses yet.");
+  } finally {
+    await db.close();
+  }
+}
+
+printReport(process.argv[2] || null).catch((error) => {
+  console.error("Error building the prompt experiment report:", error);
+  process.exitCode = 1;
+});
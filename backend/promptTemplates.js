@@ -0,0 +1,336 @@
+import crypto from "crypto";
+import { LLM_CALL_TYPES } from "./llmProviders.js";
+import { GM_BASE_PROMPT, WORLD_BUILDING_PROMPT_TEMPLATE } from "./prompts.js";
+import { RESPONSE_CHECK_OUTCOMES } from "./responseSchemas.js";
+
+// --- Prompt Templates & Experiments ---
+// The GM prompt and the world-building instructions are versioned templates.
+// A version ID is derived from the template text (gm_base@1a2b3c4d5e6f), so
+// editing a prompt in prompts.js makes a new version on the next start, and
+// every version ever used is kept in the prompt_templates table. Sessions
+// record the versions they started with, and every turn the GM prompt version
+// that wrote it.
+//
+// Experiments try alternative templates on part of the new sessions. Each
+// session gets one variant per experiment, picked by weight from a hash of
+// its ID, and keeps it for good; a variant without a file is the built-in
+// template (the control group). Experiments are given as JSON, at most one
+// per template, with variant files read relative to the backend directory:
+// [{ "id": "terse-gm", "template": "gm_base", "variants": [
+//   { "name": "control" },
+//   { "name": "terse", "file": "prompt_variants/gm_terse.txt", "weight": 1 }
+// ] }]
+
+export const PROMPT_TEMPLATES = {
+  GM_BASE: "gm_base", // GM system prompt of every turn
+  WORLD_BUILDING: "world_building", // Instructions after each theme's own prompt
+};
+
+export const CONTROL_VARIANT = "control";
+
+const BUILT_IN_TEMPLATES = {
+  [PROMPT_TEMPLATES.GM_BASE]: GM_BASE_PROMPT,
+  [PROMPT_TEMPLATES.WORLD_BUILDING]: WORLD_BUILDING_PROMPT_TEMPLATE,
+};
+
+// LLM calls whose JSON a template's wording shapes, for the failure rates
+const TEMPLATE_CALL_TYPES = {
+  [PROMPT_TEMPLATES.GM_BASE]: [
+    LLM_CALL_TYPES.INITIAL_TURN,
+    LLM_CALL_TYPES.TURN,
+  ],
+  [PROMPT_TEMPLATES.WORLD_BUILDING]: [LLM_CALL_TYPES.WORLD_BUILDING],
+};
+
+export class PromptExperimentConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PromptExperimentConfigError";
+  }
+}
+
+export function getPromptVersionId(templateKey, body) {
+  const hash = crypto.createHash("sha256").update(body).digest("hex");
+  return `${templateKey}@${hash.slice(0, 12)}`;
+}
+
+function makeVersion(templateKey, variant, body) {
+  return {
+    versionId: getPromptVersionId(templateKey, body),
+    templateKey,
+    variant,
+    body,
+  };
+}
+
+function getPlaceholders(body) {
+  return [...new Set(body.match(/{{\w+}}/g) ?? [])];
+}
+
+function readVariant(experimentId, template, variant, readFile) {
+  const { name, file, weight = 1 } = variant ?? {};
+  if (typeof name !== "string" || !/^[\w-]+$/.test(name)) {
+    throw new PromptExperimentConfigError(
+      `Variants of prompt experiment '${experimentId}' need a name of letters, digits, - or _.`
+    );
+  }
+  if (!Number.isFinite(weight) || weight <= 0) {
+    throw new PromptExperimentConfigError(
+      `Variant '${name}' of prompt experiment '${experimentId}' needs a positive weight.`
+    );
+  }
+  let body = BUILT_IN_TEMPLATES[template];
+  if (file) {
+    try {
+      body = readFile(file).trim();
+    } catch (error) {
+      throw new PromptExperimentConfigError(
+        `Variant '${name}' of prompt experiment '${experimentId}': can't read ${file} (${error.message}).`
+      );
+    }
+    // The server fills these in; a variant without them loses that context
+    const missing = getPlaceholders(BUILT_IN_TEMPLATES[template]).filter(
+      (placeholder) => !body.includes(placeholder)
+    );
+    if (missing.length > 0) {
+      throw new PromptExperimentConfigError(
+        `Variant '${name}' of prompt experiment '${experimentId}' lacks ${missing.join(
+          ", "
+        )}.`
+      );
+    }
+  }
+  return { name, weight, version: makeVersion(template, name, body) };
+}
+
+// Experiments from their JSON definition (null = none); `readFile(path)`
+// returns the text of a variant file
+export function buildPromptExperiments(configJson, readFile) {
+  if (!configJson) return [];
+  let config;
+  try {
+    config = JSON.parse(configJson);
+  } catch (error) {
+    throw new PromptExperimentConfigError(
+      `Prompt experiments are not valid JSON: ${error.message}`
+    );
+  }
+  if (!Array.isArray(config)) {
+    throw new PromptExperimentConfigError(
+      "Prompt experiments must be a list of experiments."
+    );
+  }
+  const experimentIds = new Set();
+  const templates = new Set();
+  return config.map((experiment) => {
+    const { id, template, variants } = experiment ?? {};
+    if (typeof id !== "string" || !/^[\w-]+$/.test(id)) {
+      throw new PromptExperimentConfigError(
+        "Every prompt experiment needs an id of letters, digits, - or _."
+      );
+    }
+    if (experimentIds.has(id)) {
+      throw new PromptExperimentConfigError(
+        `Prompt experiment '${id}' is defined twice.`
+      );
+    }
+    if (!BUILT_IN_TEMPLATES[template]) {
+      throw new PromptExperimentConfigError(
+        `Prompt experiment '${id}' needs a template: ${Object.values(
+          PROMPT_TEMPLATES
+        ).join(" or ")}.`
+      );
+    }
+    if (templates.has(template)) {
+      throw new PromptExperimentConfigError(
+        `Only one prompt experiment per template can run, but '${template}' has several.`
+      );
+    }
+    if (!Array.isArray(variants) || variants.length < 2) {
+      throw new PromptExperimentConfigError(
+        `Prompt experiment '${id}' needs at least two variants.`
+      );
+    }
+    const resolvedVariants = variants.map((variant) =>
+      readVariant(id, template, variant, readFile)
+    );
+    const names = resolvedVariants.map(({ name }) => name);
+    if (new Set(names).size !== names.length) {
+      throw new PromptExperimentConfigError(
+        `Variant names of prompt experiment '${id}' must be unique.`
+      );
+    }
+    experimentIds.add(id);
+    templates.add(template);
+    return { id, template, variants: resolvedVariants };
+  });
+}
+
+// Weighted pick from a hash of experiment and session, so a session always
+// lands in the same variant and different experiments split independently
+function pickVariant(experiment, sessionId) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${experiment.id}:${sessionId}`)
+    .digest();
+  const totalWeight = experiment.variants.reduce(
+    (sum, { weight }) => sum + weight,
+    0
+  );
+  let target = (hash.readUInt32BE(0) / 2 ** 32) * totalWeight;
+  for (const variant of experiment.variants) {
+    target -= variant.weight;
+    if (target < 0) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+// The templates of this instance: built-in ones and running experiments
+export class PromptRegistry {
+  constructor(experiments = []) {
+    this.experiments = experiments;
+  }
+
+  // Every version this instance may use, for the prompt_templates table
+  getVersions() {
+    return [
+      ...Object.entries(BUILT_IN_TEMPLATES).map(([templateKey, body]) =>
+        makeVersion(templateKey, CONTROL_VARIANT, body)
+      ),
+      ...this.experiments.flatMap(({ variants }) =>
+        variants.map(({ version }) => version)
+      ),
+    ];
+  }
+
+  // A variant of every running experiment for a new session, as
+  // [{ experimentId, templateKey, variant }]
+  assignSession(sessionId) {
+    return this.experiments.map((experiment) => ({
+      experimentId: experiment.id,
+      templateKey: experiment.template,
+      variant: pickVariant(experiment, sessionId).name,
+    }));
+  }
+
+  // Version of a template a session uses, given its assignments (as from
+  // assignSession). Sessions outside the template's experiment, or whose
+  // experiment has ended, get the built-in template.
+  resolve(templateKey, assignments = []) {
+    for (const { experimentId, variant } of assignments) {
+      const experiment = this.experiments.find(
+        ({ id, template }) => id === experimentId && template === templateKey
+      );
+      const match = experiment?.variants.find(({ name }) => name === variant);
+      if (match) return match.version;
+    }
+    return makeVersion(
+      templateKey,
+      CONTROL_VARIANT,
+      BUILT_IN_TEMPLATES[templateKey]
+    );
+  }
+}
+
+// SQL condition matching response checks (c) to the calls the template of a
+// version (pt) shaped; built from constants only
+const TEMPLATE_CALL_FILTER = Object.entries(TEMPLATE_CALL_TYPES)
+  .map(
+    ([templateKey, callTypes]) =>
+      `(pt.template_key = '${templateKey}' AND c.call_type IN (${callTypes
+        .map((callType) => `'${callType}'`)
+        .join(", ")}))`
+  )
+  .join(" OR ");
+
+const CHECK_SUMS = `COUNT(c.check_id) AS responses,
+  COALESCE(SUM(c.outcome != '${RESPONSE_CHECK_OUTCOMES.VALID}'), 0) AS invalidResponses,
+  COALESCE(SUM(c.outcome = '${RESPONSE_CHECK_OUTCOMES.REPAIRED}'), 0) AS repairedResponses`;
+
+function withFailureRate(row) {
+  return {
+    ...row,
+    jsonFailureRate:
+      row.responses > 0
+        ? Math.round((row.invalidResponses / row.responses) * 1000) / 1000
+        : null,
+  };
+}
+
+// Per experiment variant: sessions, their average length (actions taken
+// after the opening turn on the active timeline, so abandoned branches don't
+// count), how many reached their goal, and the share of GM
+// responses whose JSON didn't match the schema at first. Also the same JSON
+// figures per prompt version, experiment or not.
+export async function getPromptExperimentReport(db, experimentId = null) {
+  const experimentFilter = experimentId ? "WHERE se.experiment_id = ?" : "";
+  const params = experimentId ? [experimentId] : [];
+  const [sessionRows, checkRows, versionRows] = await Promise.all([
+    // Walks each session's active branch back from its tip, like the
+    // server's getBranchTimeline
+    db.all(
+      `WITH RECURSIVE timeline(session_id, turn_id) AS (
+         SELECT s.session_id, (
+           SELECT turn_id FROM turns
+           WHERE session_id = s.session_id
+             AND branch_id = COALESCE(s.active_branch_id, 'main')
+           ORDER BY turn_index DESC LIMIT 1
+         )
+         FROM sessions s
+         WHERE s.session_id IN (SELECT session_id FROM session_experiments)
+         UNION ALL
+         SELECT timeline.session_id, t.parent_turn_id FROM turns t
+         JOIN timeline ON t.turn_id = timeline.turn_id
+         WHERE t.parent_turn_id IS NOT NULL
+       )
+       SELECT se.experiment_id AS experimentId, se.variant,
+         COUNT(*) AS sessions,
+         ROUND(AVG(COALESCE(t.turns, 1) - 1), 2) AS avgActions,
+         ROUND(AVG(COALESCE(s.is_goal_met, 0)), 3) AS goalMetRate
+       FROM session_experiments se
+       JOIN sessions s ON s.session_id = se.session_id
+       LEFT JOIN (
+         SELECT session_id, COUNT(turn_id) AS turns FROM timeline
+         GROUP BY session_id
+       ) t ON t.session_id = se.session_id
+       ${experimentFilter}
+       GROUP BY se.experiment_id, se.variant
+       ORDER BY se.experiment_id, se.variant`,
+      params
+    ),
+    db.all(
+      `SELECT se.experiment_id AS experimentId, se.variant, ${CHECK_SUMS}
+       FROM session_experiments se
+       JOIN llm_response_checks c ON c.session_id = se.session_id
+       JOIN prompt_templates pt ON pt.version_id = c.prompt_version
+         AND pt.template_key = se.template_key
+         AND (${TEMPLATE_CALL_FILTER})
+       ${experimentFilter}
+       GROUP BY se.experiment_id, se.variant`,
+      params
+    ),
+    db.all(
+      `SELECT pt.version_id AS versionId, pt.template_key AS templateKey,
+         pt.variant, pt.first_seen_at AS firstSeenAt,
+         COUNT(DISTINCT c.session_id) AS sessions, ${CHECK_SUMS}
+       FROM prompt_templates pt
+       JOIN llm_response_checks c ON c.prompt_version = pt.version_id
+         AND (${TEMPLATE_CALL_FILTER})
+       GROUP BY pt.version_id
+       ORDER BY pt.template_key, pt.first_seen_at`
+    ),
+  ]);
+  const variants = sessionRows.map((row) => {
+    const checks = checkRows.find(
+      ({ experimentId: id, variant }) =>
+        id === row.experimentId && variant === row.variant
+    );
+    return withFailureRate({
+      ...row,
+      responses: checks?.responses ?? 0,
+      invalidResponses: checks?.invalidResponses ?? 0,
+      repairedResponses: checks?.repairedResponses ?? 0,
+    });
+  });
+  return { variants, versions: versionRows.map(withFailureRate) };
+}
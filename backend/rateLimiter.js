@@ -0,0 +1,234 @@
+// --- Rate Limiting ---
+// Token buckets in front of the routes that trigger paid LLM and image calls.
+// Every limited route has one bucket per user and one per client IP (larger,
+// since players behind one NAT share it). A request takes a token from both;
+// tokens trickle back at a steady rate up to the bucket's capacity, so short
+// bursts are fine but a tight loop runs dry. Bucket state lives in memory
+// (per instance, lost on restart) or in the game database (shared by the
+// instances that use it, kept across restarts).
+
+export const RATE_LIMIT_STORES = ["memory", "sqlite"];
+
+// capacity = burst size, refillPerMinute = sustained rate
+const DEFAULT_RATE_LIMITS = {
+  game_start: {
+    user: { capacity: 3, refillPerMinute: 0.5 },
+    ip: { capacity: 10, refillPerMinute: 2 },
+  },
+  game_action: {
+    user: { capacity: 20, refillPerMinute: 10 },
+    ip: { capacity: 60, refillPerMinute: 30 },
+  },
+  character_image: {
+    user: { capacity: 5, refillPerMinute: 1 },
+    ip: { capacity: 15, refillPerMinute: 3 },
+  },
+  turn_image: {
+    user: { capacity: 5, refillPerMinute: 1 },
+    ip: { capacity: 15, refillPerMinute: 3 },
+  },
+};
+
+const RATE_LIMIT_SCOPES = ["user", "ip"];
+
+// Memory store size past which fully refilled buckets are dropped
+const MAX_MEMORY_BUCKETS = 10000;
+// The SQLite store drops fully refilled buckets once every this many takes
+const SQLITE_PRUNE_INTERVAL_TAKES = 1000;
+
+export class RateLimitConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RateLimitConfigError";
+  }
+}
+
+function validateLimit(route, scope, limit) {
+  if (limit === null) return; // Scope not limited
+  const { capacity, refillPerMinute } = limit ?? {};
+  if (
+    !Number.isFinite(capacity) ||
+    capacity < 1 ||
+    !Number.isFinite(refillPerMinute) ||
+    refillPerMinute <= 0
+  ) {
+    throw new RateLimitConfigError(
+      `Rate limit '${route}.${scope}' needs a capacity of at least 1 and a positive refillPerMinute (or null to turn it off).`
+    );
+  }
+}
+
+// Default limits merged with overrides given as JSON, per route and scope:
+// { "game_start": { "user": { "capacity": 5, "refillPerMinute": 1 }, "ip": null } }
+export function buildRateLimitRules(overridesJson = null) {
+  const rules = structuredClone(DEFAULT_RATE_LIMITS);
+  if (!overridesJson) return rules;
+  let overrides;
+  try {
+    overrides = JSON.parse(overridesJson);
+  } catch (error) {
+    throw new RateLimitConfigError(
+      `Rate limits are not valid JSON: ${error.message}`
+    );
+  }
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new RateLimitConfigError(
+      "Rate limits must be an object keyed by route."
+    );
+  }
+  for (const [route, scopes] of Object.entries(overrides)) {
+    if (!rules[route]) {
+      throw new RateLimitConfigError(
+        `Unknown rate-limited route: ${route}. Known routes: ${Object.keys(
+          rules
+        ).join(", ")}.`
+      );
+    }
+    for (const [scope, limit] of Object.entries(scopes ?? {})) {
+      if (!RATE_LIMIT_SCOPES.includes(scope)) {
+        throw new RateLimitConfigError(
+          `Rate limit scope of '${route}' must be user or ip, not '${scope}'.`
+        );
+      }
+      validateLimit(route, scope, limit);
+      rules[route][scope] = limit;
+    }
+  }
+  return rules;
+}
+
+// Takes one token from a bucket ({ tokens, updatedAt } or null when new),
+// returning the bucket's new state and, when it was empty, how long until the
+// next token is back
+export function takeFromBucket(bucket, { capacity, refillPerMinute }, now) {
+  const elapsedMs = bucket ? Math.max(0, now - bucket.updatedAt) : 0;
+  const tokens = bucket
+    ? Math.min(capacity, bucket.tokens + (elapsedMs / 60000) * refillPerMinute)
+    : capacity;
+  if (tokens >= 1) {
+    return {
+      isAllowed: true,
+      bucket: { tokens: tokens - 1, updatedAt: now },
+      retryAfterSeconds: 0,
+    };
+  }
+  return {
+    isAllowed: false,
+    bucket: { tokens, updatedAt: now },
+    retryAfterSeconds: Math.max(
+      1,
+      Math.ceil(((1 - tokens) / refillPerMinute) * 60)
+    ),
+  };
+}
+
+// Milliseconds until an emptied bucket is full again (safe to forget then)
+function getRefillMs({ capacity, refillPerMinute }) {
+  return (capacity / refillPerMinute) * 60000;
+}
+
+// Buckets of this instance only; forgotten on restart
+export class MemoryBucketStore {
+  constructor() {
+    this.buckets = new Map(); // key -> { tokens, updatedAt, expiresAt }
+  }
+
+  async take(key, limit, now = Date.now()) {
+    if (this.buckets.size > MAX_MEMORY_BUCKETS) this.prune(now);
+    const result = takeFromBucket(this.buckets.get(key) ?? null, limit, now);
+    this.buckets.set(key, {
+      ...result.bucket,
+      expiresAt: now + getRefillMs(limit),
+    });
+    return result;
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.expiresAt <= now) this.buckets.delete(key);
+    }
+  }
+}
+
+// Buckets in the rate_limit_buckets table of the game database. Takes are
+// queued so concurrent requests on this connection never read the same
+// bucket state twice.
+export class SqliteBucketStore {
+  constructor(db) {
+    this.db = db;
+    this.queue = Promise.resolve();
+    this.takeCount = 0;
+  }
+
+  take(key, limit, now = Date.now()) {
+    const result = this.queue.then(() => this.takeNow(key, limit, now));
+    this.queue = result.catch(() => {}); // A failed take doesn't block the next
+    return result;
+  }
+
+  async takeNow(key, limit, now) {
+    if (++this.takeCount % SQLITE_PRUNE_INTERVAL_TAKES === 0) {
+      await this.prune(now);
+    }
+    const row = await this.db.get(
+      "SELECT tokens, updated_at FROM rate_limit_buckets WHERE bucket_key = ?",
+      [key]
+    );
+    const result = takeFromBucket(
+      row ? { tokens: row.tokens, updatedAt: row.updated_at } : null,
+      limit,
+      now
+    );
+    await this.db.run(
+      `INSERT OR REPLACE INTO rate_limit_buckets (bucket_key, tokens, updated_at, expires_at)
+       VALUES (?, ?, ?, ?)`,
+      [
+        key,
+        result.bucket.tokens,
+        result.bucket.updatedAt,
+        now + getRefillMs(limit),
+      ]
+    );
+    return result;
+  }
+
+  async prune(now = Date.now()) {
+    await this.db.run("DELETE FROM rate_limit_buckets WHERE expires_at <= ?", [
+      now,
+    ]);
+  }
+}
+
+// Takes a token for `route` from the buckets of the user and IP that made the
+// request. The IP bucket goes first, so a user's own allowance isn't spent on
+// requests their network was going to be refused anyway.
+export async function consumeRateLimit(
+  store,
+  rules,
+  route,
+  { userId, ip },
+  now = Date.now()
+) {
+  const rule = rules[route];
+  if (!rule)
+    throw new RateLimitConfigError(`Unknown rate-limited route: ${route}.`);
+  for (const [scope, subject] of [
+    ["ip", ip],
+    ["user", userId],
+  ]) {
+    if (!rule[scope] || !subject) continue;
+    const result = await store.take(
+      `${route}:${scope}:${subject}`,
+      rule[scope],
+      now
+    );
+    if (!result.isAllowed) {
+      return {
+        isAllowed: false,
+        scope,
+        retryAfterSeconds: result.retryAfterSeconds,
+      };
+    }
+  }
+  return { isAllowed: true, scope: null, retryAfterSeconds: 0 };
+}
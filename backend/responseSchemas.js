@@ -0,0 +1,288 @@
+import { LLM_CALL_TYPES } from "./llmProviders.js";
+
+// --- LLM Response Schemas ---
+// The JSON contracts of the GM's responses, declared once as JSON Schemas and
+// checked by validateJson, which understands the subset of keywords used here
+// (type, properties, required, items, minItems, pattern, const, not).
+// World-building responses follow their theme's JSON structure instead; a
+// schema is derived from it. A response that doesn't match gets a targeted
+// repair call listing the problems, rather than a full regeneration.
+
+// How an answered LLM request's JSON fared (recorded per request)
+export const RESPONSE_CHECK_OUTCOMES = {
+  VALID: "valid", // Matched the schema right away
+  REPAIRED: "repaired", // Matched after a repair call
+  FAILED: "failed", // Still didn't match, so the attempt failed
+};
+
+// Problems listed in a repair prompt; the rest usually share a cause
+const MAX_REPORTED_ERRORS = 20;
+
+const NON_BLANK_STRING = { type: "string", pattern: "\\S" };
+const STRING_ARRAY = { type: "array", items: { type: "string" } };
+
+const CHARACTER_SCHEMA = {
+  type: "object",
+  required: ["name", "description", "appearance", "opinionOfPlayer"],
+  properties: {
+    name: { type: "string" },
+    description: { type: "string" },
+    appearance: { type: "string" },
+    opinionOfPlayer: { type: "string" },
+  },
+};
+
+// { item, quantity, player?, note? } with a non-zero whole quantity
+const INVENTORY_CHANGE_SCHEMA = {
+  type: "object",
+  required: ["item", "quantity"],
+  properties: {
+    player: { type: ["string", "null"] },
+    item: NON_BLANK_STRING,
+    quantity: { type: "integer", not: { const: 0 } },
+    note: { type: ["string", "null"] },
+  },
+};
+
+// Keys every GM turn has, initial or not
+const TURN_PROPERTIES = {
+  narrative: { type: "string" },
+  image_prompt: { type: "string" },
+  suggested_actions: STRING_ARRAY,
+  timeOfDay: { type: "string" },
+  isSameLocation: { type: "boolean" },
+  characters: { type: "array", items: CHARACTER_SCHEMA },
+  inventory_changes: { type: "array", items: INVENTORY_CHANGE_SCHEMA },
+};
+
+export const INITIAL_TURN_SCHEMA = {
+  type: "object",
+  required: [
+    ...Object.keys(TURN_PROPERTIES),
+    "game_goal",
+    "goal_prerequisites",
+  ],
+  properties: {
+    ...TURN_PROPERTIES,
+    game_goal: NON_BLANK_STRING,
+    goal_prerequisites: STRING_ARRAY,
+  },
+};
+
+export const TURN_SCHEMA = {
+  type: "object",
+  required: [
+    ...Object.keys(TURN_PROPERTIES),
+    "updated_met_prerequisites",
+    "is_goal_met_this_turn",
+  ],
+  properties: {
+    ...TURN_PROPERTIES,
+    updated_met_prerequisites: STRING_ARRAY,
+    is_goal_met_this_turn: { type: "boolean" },
+  },
+};
+
+export const SUMMARY_SCHEMA = {
+  type: "object",
+  required: ["summary"],
+  properties: { summary: NON_BLANK_STRING },
+};
+
+export const CONTENT_REWRITE_SCHEMA = {
+  type: "object",
+  required: ["narrative", "image_prompt", "suggested_actions"],
+  properties: {
+    narrative: NON_BLANK_STRING,
+    image_prompt: { type: "string" },
+    suggested_actions: STRING_ARRAY,
+  },
+};
+
+const RESPONSE_SCHEMAS = {
+  [LLM_CALL_TYPES.WORLD_BUILDING]: { type: "object" }, // Narrowed per theme
+  [LLM_CALL_TYPES.INITIAL_TURN]: INITIAL_TURN_SCHEMA,
+  [LLM_CALL_TYPES.TURN]: TURN_SCHEMA,
+  [LLM_CALL_TYPES.SUMMARY]: SUMMARY_SCHEMA,
+  [LLM_CALL_TYPES.CONTENT_REWRITE]: CONTENT_REWRITE_SCHEMA,
+};
+
+export function getResponseSchema(callType) {
+  return RESPONSE_SCHEMAS[callType] ?? { type: "object" };
+}
+
+// Schema of a theme's world-building JSON structure, an example object whose
+// values show the expected shape ("String: ..." placeholders, arrays with one
+// sample item). Every key of the example is required.
+export function schemaFromJsonStructure(jsonStructure) {
+  let example;
+  try {
+    example = JSON.parse(jsonStructure);
+  } catch {
+    return { type: "object" }; // Not an example object, so nothing to check
+  }
+  return schemaFromExample(example);
+}
+
+function schemaFromExample(example) {
+  if (Array.isArray(example)) {
+    return example.length > 0
+      ? { type: "array", items: schemaFromExample(example[0]) }
+      : { type: "array" };
+  }
+  if (example !== null && typeof example === "object") {
+    return {
+      type: "object",
+      required: Object.keys(example),
+      properties: Object.fromEntries(
+        Object.entries(example).map(([key, value]) => [
+          key,
+          schemaFromExample(value),
+        ])
+      ),
+    };
+  }
+  if (typeof example === "string") return { type: "string" };
+  if (typeof example === "number") return { type: "number" };
+  if (typeof example === "boolean") return { type: "boolean" };
+  return {}; // null: anything goes
+}
+
+function getJsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actualType = getJsonType(value);
+  return actualType === type || (type === "number" && actualType === "integer");
+}
+
+function formatPath(path, key) {
+  return typeof key === "number"
+    ? `${path}[${key}]`
+    : /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${path}.${key}`
+    : `${path}[${JSON.stringify(key)}]`;
+}
+
+// Everything wrong with `value` against `schema`, as [{ path, message }] with
+// paths like $.characters[1].name; empty when it matches
+export function validateJson(value, schema, path = "$") {
+  const errors = [];
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({
+        path,
+        message: `expected ${types.join(" or ")}, got ${
+          value === undefined ? "nothing" : getJsonType(value)
+        }`,
+      });
+      return errors; // Nothing below makes sense for the wrong type
+    }
+  }
+  if ("const" in schema && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.not && validateJson(value, schema.not, path).length === 0) {
+    errors.push({
+      path,
+      message: `must not be ${JSON.stringify(value)}`,
+    });
+  }
+  if (
+    schema.pattern &&
+    typeof value === "string" &&
+    !new RegExp(schema.pattern, "u").test(value)
+  ) {
+    errors.push({
+      path,
+      message:
+        schema.pattern === NON_BLANK_STRING.pattern
+          ? "must not be empty"
+          : `must match /${schema.pattern}/`,
+    });
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({
+        path,
+        message: `must have at least ${schema.minItems} items`,
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        errors.push(
+          ...validateJson(item, schema.items, formatPath(path, index))
+        )
+      );
+    }
+  } else if (value !== null && typeof value === "object") {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) {
+        errors.push({
+          path: formatPath(path, key),
+          message: "is required",
+        });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(
+      schema.properties ?? {}
+    )) {
+      if (key in value) {
+        errors.push(
+          ...validateJson(value[key], propertySchema, formatPath(path, key))
+        );
+      }
+    }
+  }
+  return errors;
+}
+
+export function formatSchemaErrors(errors) {
+  const lines = errors
+    .slice(0, MAX_REPORTED_ERRORS)
+    .map(({ path, message }) => `- ${path}: ${message}`);
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    lines.push(`- ...and ${errors.length - MAX_REPORTED_ERRORS} more`);
+  }
+  return lines.join("\n");
+}
+
+// Parses a model's JSON answer, tolerating a Markdown code fence or a sentence
+// around the object; throws a SyntaxError when there's no valid JSON in it
+export function parseLlmJson(text) {
+  const cleaned = text
+    .trim()
+    .replace(/^```(?:json)?\s*/, "")
+    .replace(/\s*```$/, "");
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    const start = cleaned.indexOf("{");
+    const end = cleaned.lastIndexOf("}");
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(cleaned.slice(start, end + 1));
+      } catch {
+        // Report the error of the whole response below
+      }
+    }
+    throw error;
+  }
+}
+
+// User prompt of a repair call (see JSON_REPAIR_PROMPT)
+export function buildRepairPrompt(rawResponse, errors, schema) {
+  return `--- JSON Schema ---
+${JSON.stringify(schema)}
+
+--- Problems ---
+${formatSchemaErrors(errors)}
+
+--- Response ---
+${rawResponse}`;
+}
@@ -15,14 +15,207 @@ import OpenAI from "openai";
 
 // Import prompts
 import {
-  WORLD_BUILDING_PROMPT_TEMPLATE,
-  GM_BASE_PROMPT,
-  WORLD_BUILDING_JSON_STRUCTURE,
-  WORLD_BUILDING_PROMPTS,
+  CONTENT_REWRITE_PROMPT,
+  JSON_REPAIR_PROMPT,
+  STORY_SUMMARY_PROMPT,
 } from "./prompts.js";
 
+// Import theme registry (built-in and custom themes)
+import {
+  BUILT_IN_THEMES,
+  DEFAULT_PORTRAIT_STYLE,
+  ThemeValidationError,
+  buildWorldBuildingPrompt,
+  formatTheme,
+  normalizeThemeInput,
+} from "./themeRegistry.js";
+
+// Import generated image storage
+import {
+  IMAGE_STORE_ROUTE,
+  ensureImageStoreDir,
+  getImageMimeType,
+  persistImageUrl,
+  readImageBase64,
+  readImageData,
+  resolveImagePath,
+  storeImageBuffer,
+} from "./imageStore.js";
+
+// Import storybook export formats
+import {
+  EXPORT_FORMATS,
+  buildStoryBook,
+  isValidExportFormat,
+  renderStoryBook,
+} from "./storyExport.js";
+
+// Import portable session backups
+import {
+  SessionArchiveError,
+  buildSessionArchive,
+  parseSessionArchive,
+  remapSessionArchive,
+  resolveArchiveUserIds,
+} from "./sessionArchive.js";
+
+// Import the NPC codex (characters merged across turns)
+import {
+  buildNpcCodex,
+  formatNpcCodexForPrompt,
+  matchNpc,
+  sanitizeCharacters,
+} from "./npcCodex.js";
+
+// Import the location graph (places visited and routes between them)
+import {
+  buildLocationMap,
+  formatLocationContext,
+  getLoreLocations,
+  resolveTurnLocation,
+  sanitizeLocationName,
+} from "./locationGraph.js";
+
+// Import inventory tracking (items each player carries)
+import {
+  buildInventories,
+  formatInventoryForPrompt,
+  resolveInventoryChanges,
+} from "./inventory.js";
+
+// Import the optional dice rules (attributes and seeded skill checks)
+import {
+  CharacterAttributesError,
+  createDiceSeed,
+  formatDiceRollForPrompt,
+  normalizeAttributes,
+  performSkillCheck,
+} from "./diceRules.js";
+
+// Import LLM provider registry
+import {
+  LLM_CALL_TYPES,
+  createOpenAICompatibleProvider,
+  getLLMProvider,
+  readSseData,
+  registerLLMProvider,
+  requireEnvValue,
+} from "./llmProviders.js";
+import { createMockLLMProvider } from "./mockLlmProvider.js";
+
+// Import the JSON Schemas of LLM responses (validation and repair)
+import {
+  RESPONSE_CHECK_OUTCOMES,
+  buildRepairPrompt,
+  formatSchemaErrors,
+  getResponseSchema,
+  parseLlmJson,
+  schemaFromJsonStructure,
+  validateJson,
+} from "./responseSchemas.js";
+
+// Import versioned prompt templates (and A/B experiments on them)
+import {
+  PROMPT_TEMPLATES,
+  PromptRegistry,
+  buildPromptExperiments,
+} from "./promptTemplates.js";
+
+// Import story memory (rolling summary of older turns)
+import {
+  DEFAULT_HISTORY_TOKEN_BUDGET,
+  buildHistoryContext,
+  buildSummaryPrompt,
+  estimateTokens,
+  findTimelineSummary,
+  getTurnsToSummarize,
+  sanitizeSummary,
+} from "./storyMemory.js";
+
+// Import story retrieval (full-text index of earlier passages)
+import {
+  PASSAGE_TYPES,
+  buildPassageQuery,
+  formatPassagesForPrompt,
+  getLorePassages,
+  getTurnPassages,
+  selectRelevantPassages,
+} from "./storyRetrieval.js";
+
+// Import usage ledger (token and cost accounting, daily quotas)
+import {
+  IMAGE_CALL_TYPES,
+  buildPriceTable,
+  estimateCost,
+  getQuotaStatus,
+  getUsageDayStart,
+} from "./usageLedger.js";
+
+// Import content rating (rating guidance in prompts, moderation)
+import {
+  CONTENT_RATINGS,
+  ContentModerationError,
+  ContentRatingError,
+  MODERATION_OUTCOMES,
+  MODERATION_SOURCES,
+  applyImageContentRating,
+  buildRewritePrompt,
+  classifyContent,
+  describeViolations,
+  findRatingViolations,
+  findingsFromOpenAIModeration,
+  getContentRatingGuideline,
+  getOpenAIImageModeration,
+  injectContentRating,
+  normalizeContentRating,
+} from "./contentRating.js";
+
+// Import rate limiting (token buckets on the expensive routes)
+import {
+  MemoryBucketStore,
+  RATE_LIMIT_STORES,
+  SqliteBucketStore,
+  buildRateLimitRules,
+  consumeRateLimit,
+} from "./rateLimiter.js";
+
+// Import background image job queue
+import { IMAGE_STATUS, createImageJobQueue } from "./imageJobQueue.js";
+
+// Import multiplayer turn modes and vote rounds
+import {
+  TURN_MODES,
+  castVote,
+  createVoteRound,
+  getRoundOutcome,
+  hasEveryoneVoted,
+  isValidTurnMode,
+  isVotingTurnMode,
+  serializeVoteRound,
+  submitProposal,
+  voteRoundFromRow,
+  voteRoundToRow,
+} from "./voteRounds.js";
+
+// Import idle turn timers
+import {
+  TURN_TIMEOUT_ACTIONS,
+  createTurnTimers,
+  getSecondsLeft,
+  isValidTurnTimeoutAction,
+} from "./turnTimers.js";
+
+// Import pluggable Socket.IO adapters (multi-instance broadcasting)
+import {
+  createRedisAdapter,
+  getSocketAdapterFactory,
+  registerSocketAdapter,
+} from "./socketAdapters.js";
+import { createSqliteAdapter } from "./sqliteSocketAdapter.js";
+
 // --- WebSocket Imports ---
 import http from "http";
+import { AsyncLocalStorage } from "async_hooks";
 import { Server as SocketIOServer } from "socket.io";
 // -----------------------------
 
@@ -64,10 +257,120 @@ if (!fs.existsSync(UPLOAD_DIR)) {
   fs.mkdirSync(UPLOAD_DIR, { recursive: true });
   console.log(`Created upload directory: ${UPLOAD_DIR}`);
 }
+ensureImageStoreDir();
 
 // --- Database Setup  ---
 const DB_PATH = process.env.SQLITE_DB_PATH || "./ai_adventure.db";
 let db;
+let rateLimitStore; // Created once the database is open
+
+// --- Transactions ---
+// Every request shares the one `db` connection, where a second BEGIN fails, a
+// ROLLBACK aborts whatever transaction is open, whoever opened it, and any
+// statement run meanwhile becomes part of it. So transactions take turns:
+// withTransaction waits for the previous one to end, runs `work` between
+// BEGIN IMMEDIATE and COMMIT, and rolls back only its own transaction if
+// `work` throws. Writes from outside a transaction (turn locks, usage,
+// rate limit buckets, presence...) queue up the same way, so they are never
+// rolled back with someone else's. Keep slow work (LLM calls, files) outside.
+let transactionQueue = Promise.resolve();
+// { isOpen } while the current async context runs inside withTransaction
+const transactionContext = new AsyncLocalStorage();
+
+// Runs `task` once everything queued before it is done
+async function takeTransactionTurn(task) {
+  const previousTask = transactionQueue;
+  let releaseTurn;
+  transactionQueue = new Promise((resolve) => {
+    releaseTurn = resolve;
+  });
+  await previousTask;
+  try {
+    return await task();
+  } finally {
+    releaseTurn();
+  }
+}
+
+async function withTransaction(work) {
+  return takeTransactionTurn(() => {
+    const transaction = { isOpen: true };
+    return transactionContext.run(transaction, async () => {
+      try {
+        await db.run("BEGIN IMMEDIATE");
+        try {
+          const result = await work();
+          await db.run("COMMIT");
+          return result;
+        } catch (error) {
+          await db
+            .run("ROLLBACK")
+            .catch((rbError) => console.error("Rollback failed:", rbError));
+          throw error;
+        }
+      } finally {
+        // Callbacks started by `work` may outlive it; they queue from now on
+        transaction.isOpen = false;
+      }
+    });
+  });
+}
+
+// Makes writes on `database` from outside withTransaction wait for their turn
+// instead of landing in whichever transaction is open. Reads go straight
+// through.
+function queueWritesBehindTransactions(database) {
+  for (const method of ["run", "exec"]) {
+    const write = database[method].bind(database);
+    database[method] = (...args) =>
+      transactionContext.getStore()?.isOpen
+        ? write(...args)
+        : takeTransactionTurn(() => write(...args));
+  }
+  return database;
+}
+
+// --- Timeline Branching ---
+// Every session starts on the "main" branch. Acting from an older turn forks a
+// new branch whose first turn points back at the source turn via parent_turn_id,
+// so abandoned futures are kept as alternate branches.
+const MAIN_BRANCH_ID = "main";
+
+// Shared turns DDL so fresh databases and the branching migration rebuild agree
+function turnsTableSql(tableName) {
+  return `
+      CREATE TABLE IF NOT EXISTS ${tableName} (
+        turn_id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        turn_index INTEGER NOT NULL,
+        scenario_text TEXT,
+        image_url TEXT,
+        image_prompt TEXT,
+        image_status TEXT,       -- 'pending' | 'ready' | 'failed' (see IMAGE_STATUS)
+        suggested_actions TEXT, -- Stored as JSON string
+        action_taken TEXT,
+        time_of_day TEXT,
+        is_same_location INTEGER, -- Boolean (0 or 1)
+        characters TEXT,         -- Stored as JSON string [{name, description, appearance, opinionOfPlayer}]
+        acting_player_user_id TEXT, -- User ID of the player who took the action leading to this turn
+        acting_player_index INTEGER,   -- Player index of the user who took the action
+        branch_id TEXT NOT NULL DEFAULT '${MAIN_BRANCH_ID}', -- Timeline branch this turn was created on
+        parent_turn_id TEXT,       -- Turn this one continues from (NULL for turn 0)
+        met_prerequisites TEXT,    -- JSON array string snapshot of met prerequisites after this turn
+        is_goal_met INTEGER,       -- Boolean (0 or 1) snapshot of goal state after this turn
+        idempotency_key TEXT,      -- Client key of the action that created this turn, so retries can't repeat it
+        location_name TEXT,        -- Where the turn takes place, as named by the GM
+        inventory_changes TEXT,    -- JSON array string [{playerIndex, item, quantity, note}] of items gained (+) and lost (-)
+        dice_roll TEXT,            -- JSON object string of the skill check the action got (dice rules sessions only)
+        retrieved_passages TEXT,   -- JSON array string of the earlier passages put into this turn's prompt (for debugging)
+        prompt_version TEXT,       -- GM prompt template version that wrote this turn (see promptTemplates.js)
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE,
+        FOREIGN KEY (acting_player_user_id) REFERENCES users(user_id), -- Optional: Link action taker
+        UNIQUE(session_id, branch_id, turn_index)
+      );
+    `;
+}
 
 async function initializeDatabase() {
   try {
@@ -77,6 +380,8 @@ async function initializeDatabase() {
       driver: sqlite3.Database,
     });
     await dbInstance.run("PRAGMA foreign_keys = ON;");
+    // Other backend instances may hold the write lock for a moment
+    await dbInstance.run("PRAGMA busy_timeout = 5000;");
 
     // --- Create users table (if not exists) ---
     // Added IF NOT EXISTS for robustness
@@ -108,6 +413,16 @@ async function initializeDatabase() {
         goal_prerequisites TEXT,           -- JSON array string of prerequisites
         met_prerequisites TEXT DEFAULT '[]', -- JSON array string of met prerequisites
         is_goal_met INTEGER DEFAULT 0,      -- Boolean (0 or 1) if goal is met
+        world_lore TEXT,                   -- JSON object string of the generated world lore
+        active_branch_id TEXT DEFAULT 'main', -- Timeline branch currently being played
+        turn_mode TEXT DEFAULT 'round_robin', -- How multiplayer turns are decided (see TURN_MODES)
+        turn_timeout_seconds INTEGER,      -- Idle time before the turn times out (NULL = no limit)
+        turn_timeout_action TEXT DEFAULT 'skip', -- What a timeout does (see TURN_TIMEOUT_ACTIONS)
+        use_dice_rules INTEGER DEFAULT 0,  -- Boolean (0 or 1): every action gets a skill check
+        dice_seed TEXT,                    -- Seed of the session's rolls (see diceRules.js)
+        content_rating TEXT DEFAULT 'teen', -- CONTENT_RATINGS value (see contentRating.js)
+        gm_prompt_version TEXT,            -- GM prompt template version of the first turn
+        world_prompt_version TEXT,         -- World-building template version of the lore
         FOREIGN KEY (user_id) REFERENCES users(user_id)
       );
     `);
@@ -115,27 +430,7 @@ async function initializeDatabase() {
 
     // --- Create turns table (if not exists) ---
     // Added IF NOT EXISTS for robustness
-    await dbInstance.exec(`
-      CREATE TABLE IF NOT EXISTS turns (
-        turn_id TEXT PRIMARY KEY,
-        session_id TEXT NOT NULL,
-        turn_index INTEGER NOT NULL,
-        scenario_text TEXT,
-        image_url TEXT,
-        image_prompt TEXT,
-        suggested_actions TEXT, -- Stored as JSON string
-        action_taken TEXT,
-        time_of_day TEXT,
-        is_same_location INTEGER, -- Boolean (0 or 1)
-        characters TEXT,         -- Stored as JSON string [{name, description, appearance, opinionOfPlayer}]
-        acting_player_user_id TEXT, -- User ID of the player who took the action leading to this turn
-        acting_player_index INTEGER,   -- Player index of the user who took the action
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE,
-        FOREIGN KEY (acting_player_user_id) REFERENCES users(user_id), -- Optional: Link action taker
-        UNIQUE(session_id, turn_index)
-      );
-    `);
+    await dbInstance.exec(turnsTableSql("turns"));
     console.log("Turns table checked/created.");
 
     // --- Create session_players table (if not exists) ---
@@ -150,14 +445,260 @@ async function initializeDatabase() {
         character_image_url TEXT,
         joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         is_active INTEGER DEFAULT 1, -- Boolean (0 or 1) for disconnected/active status
+        last_seen_at DATETIME,       -- Last socket authenticate, heartbeat or disconnect
+        character_attributes TEXT,   -- JSON object string of attribute bonuses (dice rules sessions only)
         FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE,
         FOREIGN KEY (user_id) REFERENCES users(user_id),
         UNIQUE(session_id, user_id), -- User can only be in a session once
         UNIQUE(session_id, player_index) -- Turn order must be unique within a session
       );
     `);
+
+    // --- Create shared realtime state tables (if not exists) ---
+    // Live sockets and turn locks of every backend instance, so connection
+    // checks and turn validation agree across instances
+    await dbInstance.exec(`
+      CREATE TABLE IF NOT EXISTS socket_connections (
+        socket_id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        server_id TEXT NOT NULL,      -- Instance holding the socket
+        connected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP -- Refreshed by heartbeats
+      );
+      CREATE INDEX IF NOT EXISTS idx_socket_connections_session
+        ON socket_connections (session_id, user_id);
+      CREATE TABLE IF NOT EXISTS session_turn_locks (
+        session_id TEXT PRIMARY KEY,
+        lock_token TEXT NOT NULL,
+        server_id TEXT NOT NULL,
+        expires_at DATETIME NOT NULL  -- Crashed holders can't block a session forever
+      );
+    `);
     console.log("Session_players table checked/created.");
 
+    // --- Create vote round and turn timer tables (if not exist) ---
+    // Shared by every instance, so any of them can take a proposal, vote or
+    // expiry for a session. Times are milliseconds since epoch.
+    await dbInstance.exec(`
+      CREATE TABLE IF NOT EXISTS vote_rounds (
+        session_id TEXT PRIMARY KEY,   -- One open round per session
+        round_id TEXT NOT NULL,
+        turn_mode TEXT NOT NULL,
+        turn_index INTEGER NOT NULL,   -- Turn the proposals continue from
+        branch_id TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        ends_at INTEGER NOT NULL,
+        resolving_at INTEGER,          -- When an instance claimed it (NULL = open)
+        proposals TEXT NOT NULL,       -- JSON array [{proposalId, userId, playerName, action, createdAt}]
+        votes TEXT NOT NULL,           -- JSON object {userId: proposalId}
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_vote_rounds_ends ON vote_rounds (ends_at);
+      CREATE TABLE IF NOT EXISTS turn_timers (
+        session_id TEXT PRIMARY KEY,   -- One timer per session
+        timer_id TEXT NOT NULL,
+        turn_id TEXT,                  -- Turn awaiting an action
+        player_index INTEGER,
+        timeout_action TEXT NOT NULL,  -- TURN_TIMEOUT_ACTIONS value
+        started_at INTEGER NOT NULL,
+        ends_at INTEGER NOT NULL,
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_turn_timers_ends ON turn_timers (ends_at);
+    `);
+    console.log("Vote round and turn timer tables checked/created.");
+
+    // --- Create themes table (if not exists) ---
+    await dbInstance.exec(`
+      CREATE TABLE IF NOT EXISTS themes (
+        theme_id TEXT PRIMARY KEY,
+        owner_user_id TEXT,            -- Creator of a custom theme (NULL = built-in)
+        name TEXT NOT NULL,
+        description TEXT,
+        system_prompt TEXT NOT NULL,   -- World-building system prompt
+        json_structure TEXT NOT NULL,  -- JSON structure the world lore must follow
+        portrait_style TEXT NOT NULL,  -- Style keywords for character portraits
+        cover_image_url TEXT,
+        color TEXT,                    -- Card background color (#RRGGBB)
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (owner_user_id) REFERENCES users(user_id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_themes_owner ON themes (owner_user_id);
+    `);
+    await seedBuiltInThemes(dbInstance);
+    console.log("Themes table checked/created.");
+
+    // --- Create NPC codex tables (if not exists) ---
+    await dbInstance.exec(`
+      CREATE TABLE IF NOT EXISTS session_npcs (
+        npc_id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        name TEXT NOT NULL,            -- Display name (the most complete one seen)
+        names TEXT NOT NULL,           -- JSON array of every name the GM used
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_session_npcs_session ON session_npcs (session_id);
+      CREATE TABLE IF NOT EXISTS npc_appearances (
+        turn_id TEXT NOT NULL,
+        npc_id TEXT NOT NULL,
+        session_id TEXT NOT NULL,
+        name TEXT NOT NULL,            -- Name used in this turn
+        description TEXT,
+        appearance TEXT,
+        opinion_of_player TEXT,
+        PRIMARY KEY (turn_id, npc_id),
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE,
+        FOREIGN KEY (npc_id) REFERENCES session_npcs(npc_id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_npc_appearances_session ON npc_appearances (session_id);
+    `);
+    console.log("NPC codex tables checked/created.");
+
+    // --- Create location graph tables (if not exists) ---
+    await dbInstance.exec(`
+      CREATE TABLE IF NOT EXISTS session_locations (
+        location_id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        name TEXT NOT NULL,            -- Display name (the first one seen)
+        names TEXT NOT NULL,           -- JSON array of every name the GM used
+        description TEXT,              -- From the lore's key_locations
+        is_key_location INTEGER DEFAULT 0, -- Listed in the lore (shown before it is visited)
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_session_locations_session ON session_locations (session_id);
+      CREATE TABLE IF NOT EXISTS location_visits (
+        turn_id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        location_id TEXT,              -- NULL when the players moved somewhere unnamed
+        from_location_id TEXT,         -- Previous location when the players moved
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE,
+        FOREIGN KEY (location_id) REFERENCES session_locations(location_id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_location_visits_session ON location_visits (session_id);
+    `);
+    console.log("Location graph tables checked/created.");
+
+    // --- Create story summary table (if not exists) ---
+    await dbInstance.exec(`
+      CREATE TABLE IF NOT EXISTS story_summaries (
+        turn_id TEXT PRIMARY KEY,      -- Last turn the summary covers
+        session_id TEXT NOT NULL,
+        summary TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_story_summaries_session ON story_summaries (session_id);
+    `);
+    console.log("Story summary table checked/created.");
+
+    // --- Create story retrieval index (if not exists) ---
+    // FTS5 tables can't have foreign keys, so deleting a session deletes its
+    // passages explicitly
+    await dbInstance.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS story_passages USING fts5(
+        content,                       -- Searchable text
+        label UNINDEXED,               -- Shown in the prompt ("Turn 12", "Lore: Key locations", ...)
+        session_id UNINDEXED,
+        source_type UNINDEXED,         -- turn, npc or lore
+        source_id UNINDEXED,
+        turn_id UNINDEXED,             -- NULL for lore, which every timeline shares
+        tokenize = 'porter unicode61'
+      );
+    `);
+    console.log("Story retrieval index checked/created.");
+
+    // --- Create usage ledger table (if not exists) ---
+    // No foreign keys: usage stays on record after sessions are deleted
+    await dbInstance.exec(`
+      CREATE TABLE IF NOT EXISTS usage_ledger (
+        usage_id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,         -- User the call is billed to
+        session_id TEXT,               -- NULL for calls outside a game (e.g. portraits)
+        provider TEXT NOT NULL,
+        model TEXT,
+        call_type TEXT NOT NULL,       -- LLM_CALL_TYPES or IMAGE_CALL_TYPES value
+        input_tokens INTEGER NOT NULL DEFAULT 0,
+        output_tokens INTEGER NOT NULL DEFAULT 0,
+        tokens_estimated INTEGER NOT NULL DEFAULT 0, -- Boolean: the provider didn't report usage
+        image_count INTEGER NOT NULL DEFAULT 0,
+        estimated_cost_usd REAL,       -- NULL when the model's price is unknown
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_usage_ledger_user ON usage_ledger (user_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_usage_ledger_session ON usage_ledger (session_id);
+    `);
+    console.log("Usage ledger table checked/created.");
+
+    // --- Create moderation log table (if not exists) ---
+    // No foreign keys: the log outlives the sessions it mentions
+    await dbInstance.exec(`
+      CREATE TABLE IF NOT EXISTS moderation_log (
+        moderation_id TEXT PRIMARY KEY,
+        session_id TEXT,               -- NULL for portraits made before a game starts
+        user_id TEXT,                  -- Player who acted, or who the turn was billed to
+        source TEXT NOT NULL,          -- MODERATION_SOURCES value
+        content_rating TEXT NOT NULL,
+        outcome TEXT NOT NULL,         -- MODERATION_OUTCOMES value
+        findings TEXT NOT NULL,        -- JSON array of { category, severity, match }
+        reason TEXT NOT NULL,
+        excerpt TEXT,                  -- Start of the flagged text
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_moderation_log_session ON moderation_log (session_id);
+    `);
+    console.log("Moderation log table checked/created.");
+
+    // --- Create rate limit buckets table (if not exists) ---
+    // Only used when RATE_LIMIT_STORE is "sqlite"
+    await dbInstance.exec(`
+      CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+        bucket_key TEXT PRIMARY KEY,   -- route:scope:subject
+        tokens REAL NOT NULL,
+        updated_at INTEGER NOT NULL,   -- Milliseconds since epoch
+        expires_at INTEGER NOT NULL    -- Full again from then on; safe to prune
+      );
+    `);
+    console.log("Rate limit buckets table checked/created.");
+
+    // --- Create prompt template tables (if not exist) ---
+    // Every template version ever used, the experiment variants of each
+    // session, and how the JSON of each answered LLM request fared. The
+    // checks have no foreign key: like the usage ledger, they outlive sessions.
+    await dbInstance.exec(`
+      CREATE TABLE IF NOT EXISTS prompt_templates (
+        version_id TEXT PRIMARY KEY,   -- template@hash of the text
+        template_key TEXT NOT NULL,    -- PROMPT_TEMPLATES value
+        variant TEXT NOT NULL,         -- Experiment variant, or 'control' for the built-in text
+        body TEXT NOT NULL,
+        first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS session_experiments (
+        session_id TEXT NOT NULL,
+        experiment_id TEXT NOT NULL,
+        template_key TEXT NOT NULL,
+        variant TEXT NOT NULL,
+        assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (session_id, experiment_id),
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE
+      );
+      CREATE TABLE IF NOT EXISTS llm_response_checks (
+        check_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL,
+        call_type TEXT NOT NULL,       -- LLM_CALL_TYPES value
+        prompt_version TEXT,           -- Template version of the call's prompt, if any
+        outcome TEXT NOT NULL,         -- RESPONSE_CHECK_OUTCOMES value
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_llm_response_checks_session ON llm_response_checks (session_id);
+      CREATE INDEX IF NOT EXISTS idx_llm_response_checks_version ON llm_response_checks (prompt_version);
+    `);
+    await seedPromptTemplates(dbInstance);
+    console.log("Prompt template tables checked/created.");
+
     // --- Add Columns using ALTER TABLE (Safer for existing data) ---
     // Use try-catch blocks to ignore "duplicate column name" errors
     console.log(
@@ -195,6 +736,8 @@ async function initializeDatabase() {
     await addColumn("sessions", "goal_prerequisites", "TEXT");
     await addColumn("sessions", "met_prerequisites", "TEXT DEFAULT '[]'");
     await addColumn("sessions", "is_goal_met", "INTEGER DEFAULT 0");
+    await addColumn("sessions", "world_lore", "TEXT");
+    await addColumn("sessions", "theme_id", "TEXT");
 
     // Add to 'turns'
     await addColumn("turns", "time_of_day", "TEXT");
@@ -202,8 +745,126 @@ async function initializeDatabase() {
     await addColumn("turns", "characters", "TEXT");
     await addColumn("turns", "acting_player_user_id", "TEXT");
     await addColumn("turns", "acting_player_index", "INTEGER");
+    await addColumn(
+      "turns",
+      "branch_id",
+      `TEXT NOT NULL DEFAULT '${MAIN_BRANCH_ID}'`
+    );
+    await addColumn("turns", "parent_turn_id", "TEXT");
+    await addColumn("turns", "met_prerequisites", "TEXT");
+    await addColumn("turns", "is_goal_met", "INTEGER");
+    await addColumn("turns", "image_status", "TEXT");
+    await addColumn("turns", "idempotency_key", "TEXT");
+    await addColumn("turns", "location_name", "TEXT");
+    await addColumn("turns", "inventory_changes", "TEXT");
+    await addColumn("turns", "dice_roll", "TEXT");
+    await addColumn("turns", "retrieved_passages", "TEXT");
+    await addColumn("sessions", "active_branch_id", "TEXT");
+    await addColumn(
+      "sessions",
+      "turn_mode",
+      `TEXT DEFAULT '${TURN_MODES.ROUND_ROBIN}'`
+    );
+    await addColumn("session_players", "last_seen_at", "DATETIME");
+    await addColumn("sessions", "turn_timeout_seconds", "INTEGER");
+    await addColumn(
+      "sessions",
+      "turn_timeout_action",
+      `TEXT DEFAULT '${TURN_TIMEOUT_ACTIONS.SKIP}'`
+    );
+    await addColumn("sessions", "use_dice_rules", "INTEGER DEFAULT 0");
+    await addColumn("sessions", "dice_seed", "TEXT");
+    await addColumn(
+      "sessions",
+      "content_rating",
+      `TEXT DEFAULT '${CONTENT_RATINGS.TEEN}'`
+    );
+    await addColumn("session_players", "character_attributes", "TEXT");
+    await addColumn("sessions", "gm_prompt_version", "TEXT");
+    await addColumn("sessions", "world_prompt_version", "TEXT");
+    await addColumn("turns", "prompt_version", "TEXT");
 
     console.log("Column addition checks complete.");
+
+    // --- Migrate turns table for timeline branching ---
+    // Older databases enforce UNIQUE(session_id, turn_index), which rules out
+    // forks. SQLite can't drop a table constraint, so rebuild the table.
+    const turnsTableRow = await dbInstance.get(
+      "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'turns'"
+    );
+    if (
+      turnsTableRow?.sql
+        ?.replace(/\s+/g, "")
+        .includes("UNIQUE(session_id,turn_index)")
+    ) {
+      console.log("Rebuilding turns table to allow timeline branching...");
+      const turnColumns = (
+        await dbInstance.all("PRAGMA table_info(turns)")
+      ).map((col) => col.name);
+      const columnList = turnColumns.join(", ");
+      // Foreign keys must be off so the DROP doesn't cascade into dependents
+      await dbInstance.run("PRAGMA foreign_keys = OFF;");
+      try {
+        await dbInstance.run("BEGIN");
+        await dbInstance.exec(turnsTableSql("turns_branching"));
+        await dbInstance.run(
+          `INSERT INTO turns_branching (${columnList}) SELECT ${columnList} FROM turns`
+        );
+        await dbInstance.run("DROP TABLE turns");
+        await dbInstance.run("ALTER TABLE turns_branching RENAME TO turns");
+        await dbInstance.run("COMMIT");
+        console.log(" -> Turns table rebuilt.");
+      } catch (err) {
+        await dbInstance.run("ROLLBACK");
+        throw err;
+      } finally {
+        await dbInstance.run("PRAGMA foreign_keys = ON;");
+      }
+    }
+
+    // Backfill branch data for turns created before branching existed
+    await dbInstance.run(
+      "UPDATE turns SET branch_id = ? WHERE branch_id IS NULL",
+      [MAIN_BRANCH_ID]
+    );
+    await dbInstance.run(`
+      UPDATE turns SET parent_turn_id = (
+        SELECT p.turn_id FROM turns p
+        WHERE p.session_id = turns.session_id
+          AND p.branch_id = turns.branch_id
+          AND p.turn_index = turns.turn_index - 1
+      )
+      WHERE parent_turn_id IS NULL AND turn_index > 0
+    `);
+    await dbInstance.run(
+      "UPDATE sessions SET active_branch_id = ? WHERE active_branch_id IS NULL",
+      [MAIN_BRANCH_ID]
+    );
+    await dbInstance.exec(
+      "CREATE INDEX IF NOT EXISTS idx_turns_parent_turn_id ON turns(parent_turn_id);"
+    );
+    await dbInstance.exec(
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_turns_idempotency_key ON turns(session_id, idempotency_key) WHERE idempotency_key IS NOT NULL;"
+    );
+    console.log("Timeline branching checks complete.");
+
+    // Turns from before the image job queue: a turn without an image is still
+    // owed one, so mark it pending and let the startup resume pick it up
+    await dbInstance.run(
+      `UPDATE turns SET image_status = CASE WHEN image_url IS NULL THEN ? ELSE ? END
+       WHERE image_status IS NULL`,
+      [IMAGE_STATUS.PENDING, IMAGE_STATUS.READY]
+    );
+
+    // --- Build the NPC codex of turns created before it existed ---
+    await backfillNpcCodex(dbInstance);
+    // --- Same for the location graph ---
+    await backfillLocationGraph(dbInstance);
+    // --- And for the story retrieval index ---
+    await backfillStoryPassages(dbInstance);
+
+    // --- Move inline base64 images into the image store ---
+    await migrateInlineImages(dbInstance);
     // ----------------------------------------------
 
     console.log("Database connection opened successfully.");
@@ -214,6 +875,356 @@ async function initializeDatabase() {
   }
 }
 
+// --- Built-in Theme Seeding ---
+// Built-in themes are defined in themeRegistry.js; re-seeding on every start
+// keeps the table in step with the code.
+async function seedBuiltInThemes(dbInstance) {
+  for (const theme of BUILT_IN_THEMES) {
+    await dbInstance.run(
+      `INSERT INTO themes (
+        theme_id, owner_user_id, name, description, system_prompt,
+        json_structure, portrait_style, cover_image_url, color
+      ) VALUES (?, NULL, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(theme_id) DO UPDATE SET
+        name = excluded.name,
+        description = excluded.description,
+        system_prompt = excluded.system_prompt,
+        json_structure = excluded.json_structure,
+        portrait_style = excluded.portrait_style,
+        cover_image_url = excluded.cover_image_url,
+        color = excluded.color`,
+      [
+        theme.id,
+        theme.name,
+        theme.description,
+        theme.systemPrompt,
+        theme.jsonStructure,
+        theme.portraitStyle,
+        theme.coverImageUrl,
+        theme.color,
+      ]
+    );
+  }
+}
+
+// --- Prompt Template Seeding ---
+// Stores the versions this instance can use. Old versions stay, so every
+// version a session or turn names can still be looked up.
+async function seedPromptTemplates(dbInstance) {
+  for (const version of promptRegistry.getVersions()) {
+    await dbInstance.run(
+      `INSERT OR IGNORE INTO prompt_templates (version_id, template_key, variant, body)
+       VALUES (?, ?, ?, ?)`,
+      [version.versionId, version.templateKey, version.variant, version.body]
+    );
+  }
+}
+
+// Experiment variants a session was assigned when it started
+async function getSessionPromptAssignments(sessionId) {
+  return db.all(
+    "SELECT experiment_id AS experimentId, variant FROM session_experiments WHERE session_id = ?",
+    [sessionId]
+  );
+}
+
+// --- NPC Codex Recording ---
+// Merges a turn's `characters` list into the session's NPC registry and
+// records who appeared in the turn. Takes the connection so it can run during
+// startup as well as inside the callers' transactions.
+async function recordTurnNpcs(dbConn, sessionId, turnId, characters) {
+  const sightings = sanitizeCharacters(characters);
+  if (sightings.length === 0) return;
+
+  const npcs = (
+    await dbConn.all(
+      "SELECT npc_id, name, names FROM session_npcs WHERE session_id = ?",
+      [sessionId]
+    )
+  ).map((row) => ({
+    npcId: row.npc_id,
+    name: row.name,
+    names: JSON.parse(row.names),
+  }));
+
+  for (const sighting of sightings) {
+    let npc = npcs.find(
+      (known) => known.npcId === matchNpc(sighting.name, npcs)
+    );
+    if (!npc) {
+      npc = { npcId: uuidv4(), name: sighting.name, names: [sighting.name] };
+      npcs.push(npc);
+      await dbConn.run(
+        "INSERT INTO session_npcs (npc_id, session_id, name, names) VALUES (?, ?, ?, ?)",
+        [npc.npcId, sessionId, npc.name, JSON.stringify(npc.names)]
+      );
+    } else if (!npc.names.includes(sighting.name)) {
+      npc.names.push(sighting.name);
+      // "Mara" then "Captain Mara Voss": show the fuller name
+      if (sighting.name.length > npc.name.length) npc.name = sighting.name;
+      await dbConn.run(
+        "UPDATE session_npcs SET name = ?, names = ? WHERE npc_id = ?",
+        [npc.name, JSON.stringify(npc.names), npc.npcId]
+      );
+    }
+    // A name listed twice in one turn is one appearance
+    await dbConn.run(
+      `INSERT OR IGNORE INTO npc_appearances (
+        turn_id, npc_id, session_id, name, description, appearance, opinion_of_player
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        turnId,
+        npc.npcId,
+        sessionId,
+        sighting.name,
+        sighting.description,
+        sighting.appearance,
+        sighting.opinionOfPlayer,
+      ]
+    );
+  }
+}
+
+// Turns with characters but no recorded appearances, in the order they were
+// played (older databases and restored backups)
+async function backfillNpcCodex(dbConn, sessionId = null) {
+  const turns = await dbConn.all(
+    `SELECT turn_id, session_id, characters FROM turns
+     WHERE characters IS NOT NULL AND characters NOT IN ('', '[]')
+       AND (? IS NULL OR session_id = ?)
+       AND NOT EXISTS (SELECT 1 FROM npc_appearances a WHERE a.turn_id = turns.turn_id)
+     ORDER BY session_id, turn_index, created_at`,
+    [sessionId, sessionId]
+  );
+  if (turns.length === 0) return;
+  if (!sessionId) {
+    console.log(`Building the NPC codex from ${turns.length} turns...`);
+  }
+  for (const turn of turns) {
+    let characters;
+    try {
+      characters = JSON.parse(turn.characters);
+    } catch {
+      continue; // Unreadable lists have nothing to contribute
+    }
+    await recordTurnNpcs(dbConn, turn.session_id, turn.turn_id, characters);
+  }
+}
+
+// --- Location Graph Recording ---
+// Adds the lore's key locations of a session that has no locations yet
+async function seedLoreLocations(dbConn, sessionId, worldLore) {
+  const existing = await dbConn.get(
+    "SELECT 1 FROM session_locations WHERE session_id = ? LIMIT 1",
+    [sessionId]
+  );
+  if (existing) return;
+  for (const location of getLoreLocations(worldLore)) {
+    await dbConn.run(
+      `INSERT INTO session_locations (
+        location_id, session_id, name, names, description, is_key_location
+      ) VALUES (?, ?, ?, ?, ?, 1)`,
+      [
+        uuidv4(),
+        sessionId,
+        location.name,
+        JSON.stringify([location.name]),
+        location.description,
+      ]
+    );
+  }
+}
+
+// Records where a turn took place, adding new places and names to the
+// session's graph. The parent turn must have been recorded already.
+async function recordTurnLocation(
+  dbConn,
+  sessionId,
+  { turnId, parentTurnId, locationName, isSameLocation }
+) {
+  const locations = (
+    await dbConn.all(
+      "SELECT location_id, names FROM session_locations WHERE session_id = ?",
+      [sessionId]
+    )
+  ).map((row) => ({
+    locationId: row.location_id,
+    names: JSON.parse(row.names),
+  }));
+  const previousLocationId = parentTurnId
+    ? (
+        await dbConn.get(
+          "SELECT location_id FROM location_visits WHERE turn_id = ?",
+          [parentTurnId]
+        )
+      )?.location_id ?? null
+    : null;
+  const name = sanitizeLocationName(locationName);
+  const resolved = resolveTurnLocation({
+    locationName: name,
+    isSameLocation,
+    previousLocationId,
+    locations,
+  });
+
+  let locationId = resolved?.locationId ?? null;
+  if (resolved?.isNew) {
+    locationId = uuidv4();
+    await dbConn.run(
+      "INSERT INTO session_locations (location_id, session_id, name, names) VALUES (?, ?, ?, ?)",
+      [locationId, sessionId, name, JSON.stringify([name])]
+    );
+  } else if (resolved?.isNewName) {
+    const location = locations.find((known) => known.locationId === locationId);
+    await dbConn.run(
+      "UPDATE session_locations SET names = ? WHERE location_id = ?",
+      [JSON.stringify([...location.names, name]), locationId]
+    );
+  }
+  await dbConn.run(
+    `INSERT OR IGNORE INTO location_visits (turn_id, session_id, location_id, from_location_id)
+     VALUES (?, ?, ?, ?)`,
+    [
+      turnId,
+      sessionId,
+      locationId,
+      locationId && previousLocationId !== locationId
+        ? previousLocationId
+        : null,
+    ]
+  );
+}
+
+// Lore locations of sessions without any, and visits of turns that have a
+// location name but weren't recorded (older databases and restored backups)
+async function backfillLocationGraph(dbConn, sessionId = null) {
+  const sessions = await dbConn.all(
+    `SELECT session_id, world_lore FROM sessions
+     WHERE world_lore IS NOT NULL AND (? IS NULL OR session_id = ?)
+       AND NOT EXISTS (SELECT 1 FROM session_locations l WHERE l.session_id = sessions.session_id)`,
+    [sessionId, sessionId]
+  );
+  for (const session of sessions) {
+    await seedLoreLocations(dbConn, session.session_id, session.world_lore);
+  }
+
+  // Parents sort before their children, so each turn sees where it came from
+  const turns = await dbConn.all(
+    `SELECT turn_id, session_id, parent_turn_id, location_name, is_same_location
+     FROM turns
+     WHERE location_name IS NOT NULL AND (? IS NULL OR session_id = ?)
+       AND NOT EXISTS (SELECT 1 FROM location_visits v WHERE v.turn_id = turns.turn_id)
+     ORDER BY session_id, turn_index, created_at`,
+    [sessionId, sessionId]
+  );
+  if (turns.length === 0) return;
+  if (!sessionId) {
+    console.log(`Building the location graph from ${turns.length} turns...`);
+  }
+  for (const turn of turns) {
+    await recordTurnLocation(dbConn, turn.session_id, {
+      turnId: turn.turn_id,
+      parentTurnId: turn.parent_turn_id,
+      locationName: turn.location_name,
+      isSameLocation: turn.is_same_location === 1,
+    });
+  }
+}
+
+// --- Story Passage Indexing ---
+// Adds passages (see storyRetrieval.js) to the session's retrieval index
+async function insertStoryPassages(dbConn, sessionId, passages) {
+  for (const passage of passages) {
+    await dbConn.run(
+      `INSERT INTO story_passages (content, label, session_id, source_type, source_id, turn_id)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        passage.content,
+        passage.label,
+        sessionId,
+        passage.sourceType,
+        passage.sourceId,
+        passage.turnId,
+      ]
+    );
+  }
+}
+
+// Turns and lore that aren't indexed yet (older databases and restored
+// backups), after dropping the passages of deleted sessions
+async function backfillStoryPassages(dbConn, sessionId = null) {
+  if (!sessionId) {
+    await dbConn.run(
+      "DELETE FROM story_passages WHERE session_id NOT IN (SELECT session_id FROM sessions)"
+    );
+  }
+  const sessions = await dbConn.all(
+    `SELECT session_id, world_lore FROM sessions
+     WHERE world_lore IS NOT NULL AND (? IS NULL OR session_id = ?)
+       AND session_id NOT IN (SELECT session_id FROM story_passages WHERE source_type = ?)`,
+    [sessionId, sessionId, PASSAGE_TYPES.LORE]
+  );
+  for (const session of sessions) {
+    await insertStoryPassages(
+      dbConn,
+      session.session_id,
+      getLorePassages(session.world_lore)
+    );
+  }
+
+  const turns = await dbConn.all(
+    `SELECT turn_id, session_id, turn_index, action_taken, scenario_text, characters
+     FROM turns
+     WHERE (? IS NULL OR session_id = ?)
+       AND turn_id NOT IN (SELECT turn_id FROM story_passages WHERE source_type = ?)`,
+    [sessionId, sessionId, PASSAGE_TYPES.TURN]
+  );
+  if (turns.length === 0) return;
+  if (!sessionId) {
+    console.log(`Indexing ${turns.length} turns for story retrieval...`);
+  }
+  for (const turn of turns) {
+    await insertStoryPassages(dbConn, turn.session_id, getTurnPassages(turn));
+  }
+}
+
+// --- Inline Image Migration ---
+// Older rows store generated images as base64 data URLs, which bloats every
+// session broadcast. Rows are converted one at a time to keep memory flat.
+async function migrateInlineImages(dbInstance) {
+  const imageColumns = [
+    { table: "turns", idColumn: "turn_id", urlColumn: "image_url" },
+    {
+      table: "session_players",
+      idColumn: "id",
+      urlColumn: "character_image_url",
+    },
+  ];
+
+  for (const { table, idColumn, urlColumn } of imageColumns) {
+    const rows = await dbInstance.all(
+      `SELECT ${idColumn} AS id FROM ${table} WHERE ${urlColumn} LIKE 'data:image/%'`
+    );
+    if (rows.length === 0) continue;
+
+    console.log(
+      `Moving ${rows.length} inline images from ${table}.${urlColumn} to the image store...`
+    );
+    for (const { id } of rows) {
+      const row = await dbInstance.get(
+        `SELECT ${urlColumn} AS url FROM ${table} WHERE ${idColumn} = ?`,
+        [id]
+      );
+      const storedUrl = await persistImageUrl(row.url);
+      await dbInstance.run(
+        `UPDATE ${table} SET ${urlColumn} = ? WHERE ${idColumn} = ?`,
+        [storedUrl, id]
+      );
+    }
+    console.log(` -> Inline images in ${table}.${urlColumn} migrated.`);
+  }
+}
+
 // --- Google Auth Client ---
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 if (!GOOGLE_CLIENT_ID) {
@@ -228,9 +1239,8 @@ const googleClient = new OAuth2Client(GOOGLE_CLIENT_ID);
 const ACTIVE_LLM_PROVIDER = process.env.ACTIVE_LLM_PROVIDER || "openai"; // Default to openai
 const ACTIVE_IMAGE_PROVIDER = process.env.ACTIVE_IMAGE_PROVIDER || "google"; // Default to openai
 
-const INITIAL_LLM_PROVIDER = process.env.INITIAL_LLM_PROVIDER || "openai";
-const INITIAL_GOOGLE_MODEL =
-  process.env.INITIAL_GOOGLE_MODEL || "gemini-2.5-pro-preview-03-25";
+const INITIAL_LLM_PROVIDER =
+  process.env.INITIAL_LLM_PROVIDER || ACTIVE_LLM_PROVIDER; // World building and Turn 0
 
 // OpenAI Config
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
@@ -238,14 +1248,25 @@ const OPENAI_API_ENDPOINT =
   process.env.OPENAI_API_ENDPOINT ||
   "https://api.openai.com/v1/chat/completions";
 const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o";
-
-const openai = new OpenAI({
-  apiKey: OPENAI_API_KEY,
-});
+const INITIAL_OPENAI_MODEL = process.env.INITIAL_OPENAI_MODEL || OPENAI_MODEL;
+const OPENAI_HISTORY_TOKEN_BUDGET =
+  parseInt(process.env.OPENAI_HISTORY_TOKEN_BUDGET, 10) || 12000;
+
+// Created on first use: the SDK throws without a key, which would stop
+// keyless setups (e.g. the mock LLM provider) from booting
+let openaiClient = null;
+function getOpenAIClient() {
+  if (!openaiClient) openaiClient = new OpenAI({ apiKey: OPENAI_API_KEY });
+  return openaiClient;
+}
 
 // Google Gemini Config
 const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
 const GOOGLE_MODEL = process.env.GOOGLE_MODEL || "gemini-2.0-flash";
+const INITIAL_GOOGLE_MODEL =
+  process.env.INITIAL_GOOGLE_MODEL || "gemini-2.5-pro-preview-03-25";
+const GOOGLE_HISTORY_TOKEN_BUDGET =
+  parseInt(process.env.GOOGLE_HISTORY_TOKEN_BUDGET, 10) || 12000;
 
 const googleGenAI = new GoogleGenAI({
   apiKey: GOOGLE_API_KEY,
@@ -261,6 +1282,10 @@ const GOOGLE_FLASH_API_ENDPOINT_TEMPLATE = `https://generativelanguage.googleapi
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const ANTHROPIC_MODEL =
   process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20240620";
+const INITIAL_ANTHROPIC_MODEL =
+  process.env.INITIAL_ANTHROPIC_MODEL || ANTHROPIC_MODEL;
+const ANTHROPIC_HISTORY_TOKEN_BUDGET =
+  parseInt(process.env.ANTHROPIC_HISTORY_TOKEN_BUDGET, 10) || 12000;
 const ANTHROPIC_API_ENDPOINT = "https://api.anthropic.com/v1/messages";
 const ANTHROPIC_API_VERSION = process.env.ANTHROPIC_API_VERSION || "2023-06-01";
 
@@ -269,34 +1294,240 @@ const IMAGEN_MODEL = process.env.IMAGEN_MODEL || "imagen-3.0-generate-002";
 const IMAGEN_API_ENDPOINT = `https://generativelanguage.googleapis.com/v1beta/models/${IMAGEN_MODEL}:predict`;
 const IMAGEN_ASPECT_RATIO = process.env.IMAGEN_ASPECT_RATIO || "16:9"; // Default to 16:9
 
+// Model each image provider bills for (see the generateImageWith* functions)
+const IMAGE_PROVIDER_MODELS = {
+  google: IMAGEN_MODEL,
+  "google-flash": "gemini-2.0-flash-exp-image-generation",
+  openai: "gpt-image-1",
+};
+
+// --- Image Job Queue Configuration ---
+const IMAGE_JOB_CONCURRENCY =
+  parseInt(process.env.IMAGE_JOB_CONCURRENCY, 10) || 1;
+const IMAGE_JOB_MAX_ATTEMPTS =
+  parseInt(process.env.IMAGE_JOB_MAX_ATTEMPTS, 10) || 3;
+const IMAGE_JOB_RETRY_DELAY_MS =
+  parseInt(process.env.IMAGE_JOB_RETRY_DELAY_MS, 10) || 2000; // Doubles per attempt
+
+// --- Vote Round Configuration ---
+const VOTE_WINDOW_MS = parseInt(process.env.VOTE_WINDOW_MS, 10) || 60000; // Time players get to propose and vote
+const VOTE_ROUND_SWEEP_MS = 1000; // How often closed rounds are looked for
+const MERGED_ACTION_INSTRUCTION =
+  "Each line above is one player's proposal for this turn. Combine them into a single coherent party action and outcome in which every proposal plays a part.";
+
+// --- Turn Timer Configuration ---
+// Default idle limit for new multiplayer games (0 = no limit); games can set their own
+const DEFAULT_TURN_TIMEOUT_SECONDS =
+  parseInt(process.env.TURN_TIMEOUT_SECONDS, 10) || 0;
+const MAX_TURN_TIMEOUT_SECONDS = 3600;
+const TURN_TIMER_TICK_MS = parseInt(process.env.TURN_TIMER_TICK_MS, 10) || 5000; // Countdown broadcast interval
+const TURN_TIMER_SWEEP_MS = 1000; // How often expired timers are looked for
+
+// --- Presence Configuration ---
+// Clients send a heartbeat this often. A player whose last heartbeat is older
+// than PRESENCE_TIMEOUT_MS counts as offline even without a recorded
+// disconnect (e.g. the server handling their socket crashed).
+const PRESENCE_HEARTBEAT_MS =
+  parseInt(process.env.PRESENCE_HEARTBEAT_MS, 10) || 20000;
+const PRESENCE_TIMEOUT_SECONDS = Math.ceil((PRESENCE_HEARTBEAT_MS * 3) / 1000);
+
+// --- NPC Codex Configuration ---
+// Most NPCs listed in the GM prompt (the most recently seen ones)
+const NPC_CODEX_PROMPT_LIMIT =
+  parseInt(process.env.NPC_CODEX_PROMPT_LIMIT, 10) || 25;
+
+// --- Usage Quota Configuration ---
+// Daily limits per user, counted over UTC days (0 = unlimited). Starting a
+// game or acting is refused once a limit is reached.
+const USAGE_DAILY_TOKEN_QUOTA =
+  parseInt(process.env.USAGE_DAILY_TOKEN_QUOTA, 10) || 0;
+const USAGE_DAILY_COST_QUOTA_USD =
+  parseFloat(process.env.USAGE_DAILY_COST_QUOTA_USD) || 0;
+// Built-in prices plus USAGE_PRICES_JSON overrides (see usageLedger.js)
+const USAGE_PRICES = buildPriceTable(process.env.USAGE_PRICES_JSON);
+// Providers that run locally cost nothing per token
+const FREE_LLM_PROVIDERS = new Set(["mock", "ollama", "openai-compatible"]);
+const MAX_USAGE_REPORT_DAYS = 90;
+
+// --- Content Moderation Configuration ---
+// How actions and turns are checked against the session's content rating:
+// "keywords" (local word lists), "openai" (OpenAI's free moderation API,
+// needs OPENAI_API_KEY) or "off" (the rating only guides the prompts)
+const MODERATION_PROVIDERS = ["keywords", "openai", "off"];
+const MODERATION_PROVIDER = process.env.MODERATION_PROVIDER || "keywords";
+const OPENAI_MODERATION_MODEL = "omni-moderation-latest";
+const MAX_MODERATION_EXCERPT_LENGTH = 500;
+
+// --- Rate Limit Configuration ---
+// Token buckets per user and per client IP on the routes that call paid
+// providers. Defaults and the RATE_LIMITS_JSON override format are in
+// rateLimiter.js; RATE_LIMITS_ENABLED=false turns limiting off.
+const RATE_LIMITS_ENABLED = process.env.RATE_LIMITS_ENABLED !== "false";
+const RATE_LIMITS = buildRateLimitRules(process.env.RATE_LIMITS_JSON);
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory"; // "memory" or "sqlite"
+// Express "trust proxy" setting, so client IPs are read from X-Forwarded-For
+// behind a reverse proxy (e.g. "1" for one hop, "loopback"); unset = off
+const TRUST_PROXY = process.env.TRUST_PROXY;
+
+// --- Prompt Experiment Configuration ---
+// A/B experiments on the prompt templates, as PROMPT_EXPERIMENTS_JSON (format
+// in promptTemplates.js); variant files are read relative to this directory.
+// `node promptReport.js` compares the variants.
+const PROMPT_EXPERIMENTS = buildPromptExperiments(
+  process.env.PROMPT_EXPERIMENTS_JSON,
+  (file) => fs.readFileSync(path.resolve(__dirname, file), "utf8")
+);
+const promptRegistry = new PromptRegistry(PROMPT_EXPERIMENTS);
+
+// --- Dice Rules Configuration ---
+// Total a skill check must reach (d20 + attribute) to succeed
+const DICE_CHECK_DIFFICULTY =
+  parseInt(process.env.DICE_CHECK_DIFFICULTY, 10) || 12;
+
+// --- Story Memory Configuration ---
+// The turn prompt carries the last STORY_VERBATIM_TURNS turns in full and a
+// summary of everything before; the summary is extended once
+// STORY_SUMMARY_BATCH_TURNS more turns have left the verbatim window. The
+// token budget of the history section is set per provider (see below).
+const STORY_VERBATIM_TURNS =
+  parseInt(process.env.STORY_VERBATIM_TURNS, 10) || 6;
+const STORY_SUMMARY_BATCH_TURNS =
+  parseInt(process.env.STORY_SUMMARY_BATCH_TURNS, 10) || 3;
+
+// --- Story Retrieval Configuration ---
+// Earlier passages matching the action that go into the turn prompt, picked
+// from the best STORY_RETRIEVAL_CANDIDATES matches in the session (matches on
+// other timelines and turns already quoted verbatim are skipped)
+const STORY_RETRIEVAL_LIMIT =
+  parseInt(process.env.STORY_RETRIEVAL_LIMIT, 10) || 4;
+const STORY_RETRIEVAL_CANDIDATES = 100;
+
+// --- Multi-Instance Configuration ---
+// Several backend instances can serve the same sessions when they share the
+// database and a Socket.IO adapter other than "memory"
+const SOCKET_IO_ADAPTER = process.env.SOCKET_IO_ADAPTER || "memory";
+const SOCKET_IO_SQLITE_PATH =
+  process.env.SOCKET_IO_SQLITE_PATH || "./socket_io_bus.db"; // "sqlite" adapter only
+const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379"; // "redis" adapter only
+const SERVER_ID = process.env.SERVER_ID || uuidv4(); // Identifies this instance's rows
+const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+const TURN_LOCK_TTL_MS = parseInt(process.env.TURN_LOCK_TTL_MS, 10) || 180000; // Outlives a slow LLM call with retries
+
+// OpenAI-compatible local server Config (LM Studio, vLLM, llama.cpp, ...)
+const LOCAL_LLM_ENDPOINT =
+  process.env.LOCAL_LLM_ENDPOINT || "http://localhost:1234/v1/chat/completions";
+const LOCAL_LLM_MODEL = process.env.LOCAL_LLM_MODEL || "local-model";
+const LOCAL_LLM_API_KEY = process.env.LOCAL_LLM_API_KEY || null;
+const LOCAL_LLM_JSON_MODE = process.env.LOCAL_LLM_JSON_MODE !== "false";
+const LOCAL_LLM_HISTORY_TOKEN_BUDGET =
+  parseInt(process.env.LOCAL_LLM_HISTORY_TOKEN_BUDGET, 10) || 3000; // Local models often have small context windows
+
+// Ollama Config (uses Ollama's OpenAI-compatible endpoint)
+const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || "http://localhost:11434";
+const OLLAMA_MODEL = process.env.OLLAMA_MODEL || "llama3.1";
+const OLLAMA_HISTORY_TOKEN_BUDGET =
+  parseInt(process.env.OLLAMA_HISTORY_TOKEN_BUDGET, 10) || 3000;
+
+// Mock LLM Config (offline, deterministic responses for development and CI)
+const MOCK_LLM_STREAM_DELAY_MS =
+  parseInt(process.env.MOCK_LLM_STREAM_DELAY_MS, 10) || 0;
+
+// --- LLM Provider Registration ---
+registerLLMProvider(
+  "openai",
+  createOpenAICompatibleProvider({
+    label: "OpenAI",
+    endpoint: OPENAI_API_ENDPOINT,
+    apiKey: OPENAI_API_KEY,
+    apiKeyEnvVar: "OPENAI_API_KEY",
+    defaultModel: OPENAI_MODEL,
+    initialModel: INITIAL_OPENAI_MODEL,
+    historyTokenBudget: OPENAI_HISTORY_TOKEN_BUDGET,
+    streamUsage: true,
+  })
+);
+registerLLMProvider("google", {
+  defaultModel: GOOGLE_MODEL,
+  initialModel: INITIAL_GOOGLE_MODEL,
+  historyTokenBudget: GOOGLE_HISTORY_TOKEN_BUDGET,
+  validateConfig: requireEnvValue("GOOGLE_API_KEY", GOOGLE_API_KEY),
+  call: ({ systemPrompt, userPrompt, model, onUsage }) =>
+    callGoogle(systemPrompt, userPrompt, model, onUsage),
+  stream: ({ systemPrompt, userPrompt, model, onUsage }, onDelta) =>
+    callGoogleStream(systemPrompt, userPrompt, model, onDelta, onUsage),
+});
+registerLLMProvider("anthropic", {
+  defaultModel: ANTHROPIC_MODEL,
+  initialModel: INITIAL_ANTHROPIC_MODEL,
+  historyTokenBudget: ANTHROPIC_HISTORY_TOKEN_BUDGET,
+  validateConfig: requireEnvValue("ANTHROPIC_API_KEY", ANTHROPIC_API_KEY),
+  call: ({ systemPrompt, userPrompt, model, onUsage }) =>
+    callAnthropic(systemPrompt, userPrompt, model, onUsage),
+  stream: ({ systemPrompt, userPrompt, model, onUsage }, onDelta) =>
+    callAnthropicStream(systemPrompt, userPrompt, model, onDelta, onUsage),
+});
+registerLLMProvider(
+  "openai-compatible",
+  createOpenAICompatibleProvider({
+    label: "OpenAI-compatible server",
+    endpoint: LOCAL_LLM_ENDPOINT,
+    apiKey: LOCAL_LLM_API_KEY,
+    defaultModel: LOCAL_LLM_MODEL,
+    jsonMode: LOCAL_LLM_JSON_MODE,
+    historyTokenBudget: LOCAL_LLM_HISTORY_TOKEN_BUDGET,
+    timeout: 120000, // Local models can be slow
+  })
+);
+registerLLMProvider(
+  "ollama",
+  createOpenAICompatibleProvider({
+    label: "Ollama",
+    endpoint: `${OLLAMA_BASE_URL.replace(/\/$/, "")}/v1/chat/completions`,
+    defaultModel: OLLAMA_MODEL,
+    historyTokenBudget: OLLAMA_HISTORY_TOKEN_BUDGET,
+    timeout: 120000,
+  })
+);
+registerLLMProvider(
+  "mock",
+  createMockLLMProvider({ streamDelayMs: MOCK_LLM_STREAM_DELAY_MS })
+);
+
 // --- Configuration Validation ---
 console.log(`Using LLM Provider: ${ACTIVE_LLM_PROVIDER}`);
-switch (ACTIVE_LLM_PROVIDER) {
-  case "openai":
-    if (!OPENAI_API_KEY)
-      throw new Error(
-        "FATAL ERROR: OPENAI_API_KEY is not set for the active provider."
-      );
-    break;
-  case "google":
-    if (!GOOGLE_API_KEY)
-      throw new Error(
-        "FATAL ERROR: GOOGLE_API_KEY is not set for the active provider."
-      );
-    break;
-  case "anthropic":
-    if (!ANTHROPIC_API_KEY)
-      throw new Error(
-        "FATAL ERROR: ANTHROPIC_API_KEY is not set for the active provider."
-      );
-    break;
-  default:
-    throw new Error(
-      `FATAL ERROR: Unknown ACTIVE_LLM_PROVIDER: ${ACTIVE_LLM_PROVIDER}. Use 'openai', 'google', or 'anthropic'.`
-    );
+for (const providerName of new Set([
+  ACTIVE_LLM_PROVIDER,
+  INITIAL_LLM_PROVIDER,
+])) {
+  getLLMProvider(providerName).validateConfig?.(); // Throws if unknown or misconfigured
+}
+if (!MODERATION_PROVIDERS.includes(MODERATION_PROVIDER)) {
+  throw new Error(
+    `FATAL ERROR: Unknown MODERATION_PROVIDER: ${MODERATION_PROVIDER}. Use one of: ${MODERATION_PROVIDERS.join(
+      ", "
+    )}.`
+  );
+}
+if (MODERATION_PROVIDER === "openai" && !OPENAI_API_KEY) {
+  throw new Error(
+    "FATAL ERROR: MODERATION_PROVIDER is 'openai' but OPENAI_API_KEY is not set."
+  );
+}
+if (!RATE_LIMIT_STORES.includes(RATE_LIMIT_STORE)) {
+  throw new Error(
+    `FATAL ERROR: Unknown RATE_LIMIT_STORE: ${RATE_LIMIT_STORE}. Use one of: ${RATE_LIMIT_STORES.join(
+      ", "
+    )}.`
+  );
 }
 
 // --- Middleware  ---
+if (TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY
+  );
+}
 app.use(cors());
 app.use(express.json());
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
@@ -331,6 +1562,18 @@ const upload = multer({
   },
 });
 
+// Session backups are parsed straight from memory; they embed their images
+const MAX_CUSTOM_THEMES_PER_USER =
+  parseInt(process.env.MAX_CUSTOM_THEMES_PER_USER, 10) || 50;
+const SESSION_ARCHIVE_MAX_MB =
+  parseInt(process.env.SESSION_ARCHIVE_MAX_MB, 10) || 50;
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: SESSION_ARCHIVE_MAX_MB * 1024 * 1024,
+  },
+});
+
 // --- Authentication Middleware --- (Used for REST API, also needed for WS auth)
 async function authenticateToken(req, res, next) {
   const authHeader = req.headers["authorization"];
@@ -403,36 +1646,67 @@ async function authenticateToken(req, res, next) {
   }
 }
 
+// --- Rate Limit Middleware ---
+// Goes after authenticateToken. Takes a token from the user's and the client
+// IP's bucket for `route` (see rateLimiter.js), answering 429 with
+// Retry-After once either is empty. If the store fails, the request goes
+// through rather than locking everyone out.
+function rateLimit(route) {
+  return async (req, res, next) => {
+    if (!RATE_LIMITS_ENABLED) return next();
+    let result;
+    try {
+      result = await consumeRateLimit(rateLimitStore, RATE_LIMITS, route, {
+        userId: req.user?.id,
+        ip: req.ip,
+      });
+    } catch (error) {
+      console.error(`Rate limit check for ${route} failed:`, error.message);
+      return next();
+    }
+    if (result.isAllowed) return next();
+
+    const { retryAfterSeconds } = result;
+    console.warn(
+      `Rate limit: ${route} refused for ${result.scope} ${
+        result.scope === "user" ? req.user.id : req.ip
+      } (retry in ${retryAfterSeconds}s)`
+    );
+    const wait =
+      retryAfterSeconds < 120
+        ? `${retryAfterSeconds} second${retryAfterSeconds === 1 ? "" : "s"}`
+        : `${Math.ceil(retryAfterSeconds / 60)} minutes`;
+    res.set("Retry-After", String(retryAfterSeconds));
+    res.status(429).json({
+      error: `Too many requests. Please try again in ${wait}.`,
+      retryAfterSeconds,
+    });
+  };
+}
+
+// --- Helper to look up a theme a user can play ---
+// Matches the theme ID or, case-insensitively, its name among the built-in
+// themes and the user's own custom themes. Resolves to the row or undefined.
+function findTheme(themeKey, userId) {
+  return db.get(
+    `SELECT * FROM themes
+     WHERE (owner_user_id IS NULL OR owner_user_id = ?)
+       AND (theme_id = ? OR lower(name) = lower(?))
+     ORDER BY owner_user_id IS NULL DESC
+     LIMIT 1`,
+    [userId, themeKey, themeKey]
+  );
+}
+
 // --- Helper function to generate character portrait prompt ---
-function generateCharacterPrompt(theme, name, gender, description) {
-  let styleKeywords = "digital painting, detailed, character concept art";
-  switch (theme?.toLowerCase()) {
-    case "fantasy":
-      styleKeywords =
-        "fantasy art, digital painting, detailed illustration, character portrait";
-      break;
-    case "sci-fi":
-      styleKeywords =
-        "sci-fi art, futuristic, detailed concept art, character portrait";
-      break;
-    case "cyberpunk noir":
-      styleKeywords =
-        "cyberpunk art, noir film style, neon lighting, rain, character portrait";
-      break;
-    case "mystery":
-      styleKeywords =
-        "photorealistic, dramatic lighting, suspenseful, character portrait";
-      break;
-    case "horror":
-      styleKeywords =
-        "horror art, dark fantasy, atmospheric, unsettling, character portrait";
-      break;
-    case "western":
-      styleKeywords =
-        "western art, realistic painting, dusty, character portrait";
-      break;
-    // Add more themes as needed
-  }
+// styleKeywords come from the theme's portrait style
+function generateCharacterPrompt(
+  theme,
+  styleKeywords,
+  name,
+  gender,
+  description
+) {
   // Construct the prompt
   let prompt = `${gender} character named ${name}, ${theme}. ${styleKeywords}.`;
   // Append description if provided
@@ -442,35 +1716,460 @@ function generateCharacterPrompt(theme, name, gender, description) {
   return prompt;
 }
 
-// --- Provider-Specific API Call Functions ---
+// --- Helper to format persisted world lore for GM prompt injection ---
+// Accepts either the parsed lore object (fresh from world building) or the
+// JSON string stored in sessions.world_lore. Sessions created before lore was
+// persisted have no lore, so fall back to an explicit note for the GM.
+function formatWorldLore(worldLore) {
+  if (!worldLore) {
+    return "(No world lore was recorded for this session. Infer the world from the game history.)";
+  }
+  return typeof worldLore === "string" ? worldLore : JSON.stringify(worldLore);
+}
 
-async function callOpenAI(systemPrompt, userPrompt, modelOverride = null) {
-  const modelToUse = modelOverride || OPENAI_MODEL;
-  console.log(` -> Calling OpenAI with model: ${modelToUse}`);
-  const response = await axios.post(
-    OPENAI_API_ENDPOINT,
+// --- Helper to inject world lore into a GM system prompt ---
+// Uses a replacer function so '$' sequences in the lore are not treated as
+// replacement patterns.
+function injectWorldLore(systemPrompt, worldLore) {
+  const loreString = formatWorldLore(worldLore);
+  return systemPrompt.replace(/{{worldLore}}/g, () => loreString);
+}
+
+// --- Helper to inject the NPC codex into a GM system prompt ---
+function injectNpcCodex(systemPrompt, codex) {
+  const codexString = formatNpcCodexForPrompt(codex, NPC_CODEX_PROMPT_LIMIT);
+  return systemPrompt.replace(/{{npcCodex}}/g, () => codexString);
+}
+
+// --- Helper to inject the players' inventories into a GM system prompt ---
+// players: session_players rows; timelineRows: the turns of the timeline so far
+function injectInventory(systemPrompt, players, timelineRows) {
+  const inventoryString = formatInventoryForPrompt(
+    buildInventories(timelineRows),
+    players
+  );
+  return systemPrompt.replace(/{{inventory}}/g, () => inventoryString);
+}
+
+// --- Helper to inject the location graph into a GM system prompt ---
+function injectLocationContext(systemPrompt, locationMap) {
+  const contextString = locationMap
+    ? formatLocationContext(locationMap)
+    : "(The story hasn't started yet.)";
+  return systemPrompt.replace(/{{locationContext}}/g, () => contextString);
+}
+
+// --- Helper to build the location map of a timeline ---
+// timelineRows: the turns of the timeline, in order (see getBranchTimeline)
+async function getLocationMap(sessionId, timelineRows) {
+  const [locations, visits] = await Promise.all([
+    db.all(
+      "SELECT * FROM session_locations WHERE session_id = ? ORDER BY created_at, rowid",
+      [sessionId]
+    ),
+    db.all(
+      "SELECT turn_id, location_id, from_location_id FROM location_visits WHERE session_id = ?",
+      [sessionId]
+    ),
+  ]);
+  const turnIndexById = new Map(
+    timelineRows.map((row) => [row.turn_id, row.turn_index])
+  );
+  return buildLocationMap(locations, visits, turnIndexById);
+}
+
+// --- Helper to build the NPC codex of a timeline ---
+// timelineRows: the turns of the timeline, in order (see getBranchTimeline)
+async function getNpcCodex(sessionId, timelineRows) {
+  const appearances = await db.all(
+    `SELECT a.turn_id, a.npc_id, a.name, a.description, a.appearance,
+            a.opinion_of_player, n.name AS npc_name
+     FROM npc_appearances a JOIN session_npcs n ON n.npc_id = a.npc_id
+     WHERE a.session_id = ?`,
+    [sessionId]
+  );
+  const turnIndexById = new Map(
+    timelineRows.map((row) => [row.turn_id, row.turn_index])
+  );
+  return buildNpcCodex(appearances, turnIndexById);
+}
+
+// --- Helper to load the story summary of a timeline ---
+// timelineRows: the turns of the timeline, in order (see getBranchTimeline)
+async function getTimelineSummary(sessionId, timelineRows) {
+  const summaries = await db.all(
+    "SELECT turn_id, summary FROM story_summaries WHERE session_id = ?",
+    [sessionId]
+  );
+  return findTimelineSummary(timelineRows, summaries);
+}
+
+// --- Helper to retrieve earlier passages relevant to an action ---
+// timelineRows: the turns of the timeline so far; passages of
+// excludedTurnIds are already in the prompt
+async function retrieveRelevantPassages(
+  sessionId,
+  action,
+  timelineRows,
+  excludedTurnIds
+) {
+  const query = buildPassageQuery(action);
+  if (!query) return [];
+  const candidates = await db.all(
+    `SELECT source_type, source_id, turn_id, label, content, bm25(story_passages) AS score
+     FROM story_passages
+     WHERE story_passages MATCH ? AND session_id = ?
+     ORDER BY score
+     LIMIT ?`,
+    [query, sessionId, STORY_RETRIEVAL_CANDIDATES]
+  );
+  return selectRelevantPassages(candidates, {
+    turnIndexById: new Map(
+      timelineRows.map((row) => [row.turn_id, row.turn_index])
+    ),
+    excludedTurnIds,
+    limit: STORY_RETRIEVAL_LIMIT,
+  });
+}
+
+// --- Story Summary Refresh ---
+// Extends the timeline's summary with the turns that left the verbatim window,
+// in batches, until it has caught up. Only one refresh per session runs on
+// this instance; an instance racing it just rewrites the same summary row.
+const storySummaryRefreshes = new Set();
+async function refreshStorySummary(sessionId, branchId, usageContext) {
+  if (storySummaryRefreshes.has(sessionId)) return;
+  storySummaryRefreshes.add(sessionId);
+  try {
+    const [timelineRows, players] = await Promise.all([
+      getBranchTimeline(sessionId, branchId),
+      db.all(
+        "SELECT player_index, character_name FROM session_players WHERE session_id = ?",
+        [sessionId]
+      ),
+    ]);
+    let summary = await getTimelineSummary(sessionId, timelineRows);
+    for (;;) {
+      const turns = getTurnsToSummarize(
+        timelineRows,
+        summary,
+        STORY_VERBATIM_TURNS,
+        STORY_SUMMARY_BATCH_TURNS
+      );
+      if (turns.length === 0) break;
+      const lastTurn = turns[turns.length - 1];
+      const result = await callLLM(
+        buildSummaryPrompt(summary?.summary, turns, players),
+        STORY_SUMMARY_PROMPT,
+        { callType: LLM_CALL_TYPES.SUMMARY, maxRetries: 2, usageContext }
+      );
+      summary = {
+        turnId: lastTurn.turn_id,
+        turnIndex: lastTurn.turn_index,
+        summary: sanitizeSummary(result.summary),
+      };
+      await db.run(
+        "INSERT OR REPLACE INTO story_summaries (turn_id, session_id, summary) VALUES (?, ?, ?)",
+        [summary.turnId, sessionId, summary.summary]
+      );
+      console.log(
+        `Session ${sessionId}: Story summary now covers turns 0-${summary.turnIndex}.`
+      );
+    }
+  } finally {
+    storySummaryRefreshes.delete(sessionId);
+  }
+}
+
+// --- Usage Recording ---
+// Adds a row to the usage ledger. Never throws: a bookkeeping failure must
+// not fail the game action that made the call.
+async function recordUsage({
+  sessionId = null,
+  userId,
+  provider,
+  model,
+  callType,
+  inputTokens = 0,
+  outputTokens = 0,
+  isEstimated = false,
+  imageCount = 0,
+}) {
+  try {
+    const estimatedCost = FREE_LLM_PROVIDERS.has(provider)
+      ? 0
+      : estimateCost(USAGE_PRICES, {
+          model,
+          inputTokens,
+          outputTokens,
+          imageCount,
+        });
+    await db.run(
+      `INSERT INTO usage_ledger (
+        usage_id, user_id, session_id, provider, model, call_type,
+        input_tokens, output_tokens, tokens_estimated, image_count, estimated_cost_usd
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        userId,
+        sessionId,
+        provider,
+        model,
+        callType,
+        inputTokens,
+        outputTokens,
+        isEstimated ? 1 : 0,
+        imageCount,
+        estimatedCost,
+      ]
+    );
+  } catch (error) {
+    console.error(`Failed to record ${callType} usage for ${userId}:`, error);
+  }
+}
+
+// The world-building and Turn 0 calls of a game start are recorded under its
+// new session ID before the session row exists. When the start fails, that
+// row never comes: the usage stays billed to the user, outside any session,
+// and the response checks go, since the experiment report can't show the
+// session they'd count for. Never throws.
+async function cleanUpFailedStart(sessionId) {
+  try {
+    await db.run(
+      `UPDATE usage_ledger SET session_id = NULL
+       WHERE session_id = ?
+         AND NOT EXISTS (SELECT 1 FROM sessions WHERE session_id = ?)`,
+      [sessionId, sessionId]
+    );
+    await db.run(
+      `DELETE FROM llm_response_checks
+       WHERE session_id = ?
+         AND NOT EXISTS (SELECT 1 FROM sessions WHERE session_id = ?)`,
+      [sessionId, sessionId]
+    );
+  } catch (error) {
+    console.error(
+      `Failed to clean up the records of failed start ${sessionId}:`,
+      error
+    );
+  }
+}
+
+// Records how the JSON of an answered LLM request of a session fared (see
+// RESPONSE_CHECK_OUTCOMES), for the prompt experiment report. Never throws.
+async function recordResponseCheck(usageContext, callType, outcome) {
+  if (!usageContext?.sessionId) return;
+  try {
+    await db.run(
+      `INSERT INTO llm_response_checks (session_id, call_type, prompt_version, outcome)
+       VALUES (?, ?, ?, ?)`,
+      [
+        usageContext.sessionId,
+        callType,
+        usageContext.promptVersion ?? null,
+        outcome,
+      ]
+    );
+  } catch (error) {
+    console.error(
+      `Failed to record ${callType} response check for session ${usageContext.sessionId}:`,
+      error
+    );
+  }
+}
+
+// --- Helper to check a user's daily quotas ---
+async function getUsageQuotaStatus(userId) {
+  const now = new Date();
+  const today = await db.get(
+    `SELECT COALESCE(SUM(input_tokens + output_tokens), 0) AS tokens,
+            COALESCE(SUM(estimated_cost_usd), 0) AS costUsd
+     FROM usage_ledger
+     WHERE user_id = ? AND created_at >= datetime(?)`,
+    [userId, getUsageDayStart(now).toISOString()]
+  );
+  return getQuotaStatus(
+    today,
     {
-      model: modelToUse, // Use determined model
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-      temperature: 0.7,
-      response_format: { type: "json_object" },
+      tokenLimit: USAGE_DAILY_TOKEN_QUOTA,
+      costLimitUsd: USAGE_DAILY_COST_QUOTA_USD,
     },
-    {
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      timeout: 30000, // 30 seconds timeout
+    now
+  );
+}
+
+// --- Helper to refuse work once a user is over quota ---
+// Sends 429 (retry after the daily reset) and returns true when the user has
+// reached a daily quota; returns false and sends nothing otherwise.
+async function rejectIfOverQuota(res, userId) {
+  if (!USAGE_DAILY_TOKEN_QUOTA && !USAGE_DAILY_COST_QUOTA_USD) return false;
+  const quota = await getUsageQuotaStatus(userId);
+  if (!quota.isExceeded) return false;
+  res.set("Retry-After", String(quota.retryAfterSeconds));
+  res.status(429).json({
+    error:
+      "You have reached your daily usage limit. It resets at midnight UTC.",
+    quota,
+  });
+  return true;
+}
+
+// --- Content Moderation ---
+// Checks text against a content rating with MODERATION_PROVIDER (see
+// contentRating.js) and keeps every refusal and rewrite in moderation_log.
+
+// Findings beyond `rating`. The keyword lists stand in when the moderation API
+// fails, so an outage there doesn't stop every game.
+async function findContentViolations(text, rating) {
+  if (MODERATION_PROVIDER === "off" || !text) return [];
+  let findings = null;
+  if (MODERATION_PROVIDER === "openai") {
+    try {
+      const response = await getOpenAIClient().moderations.create({
+        model: OPENAI_MODERATION_MODEL,
+        input: text,
+      });
+      findings = findingsFromOpenAIModeration(response.results?.[0]);
+    } catch (error) {
+      console.error(
+        "OpenAI moderation failed, falling back to keywords:",
+        error.message
+      );
     }
+  }
+  return findRatingViolations(findings ?? classifyContent(text), rating);
+}
+
+// Never throws: a failed log write shouldn't change what the player sees
+async function logModeration({
+  sessionId = null,
+  userId = null,
+  source,
+  rating,
+  outcome,
+  violations,
+  text,
+}) {
+  const reason = describeViolations(violations);
+  console.warn(
+    `Moderation: ${source} ${outcome} at ${rating} rating${
+      sessionId ? ` in session ${sessionId}` : ""
+    }: ${reason}`
   );
-  // Return the raw JSON string for central parsing
-  return response.data.choices[0]?.message?.content;
+  try {
+    await db.run(
+      `INSERT INTO moderation_log (
+         moderation_id, session_id, user_id, source, content_rating, outcome, findings, reason, excerpt
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        sessionId,
+        userId,
+        source,
+        rating,
+        outcome,
+        JSON.stringify(violations),
+        reason,
+        String(text || "").slice(0, MAX_MODERATION_EXCERPT_LENGTH),
+      ]
+    );
+  } catch (error) {
+    console.error("Failed to write the moderation log:", error);
+  }
+}
+
+// Throws ContentModerationError if text a player wrote (an action or a
+// portrait description) goes beyond the rating
+async function moderatePlayerText(text, { source, rating, sessionId, userId }) {
+  const violations = await findContentViolations(text, rating);
+  if (violations.length === 0) return;
+  await logModeration({
+    sessionId,
+    userId,
+    source,
+    rating,
+    outcome: MODERATION_OUTCOMES.BLOCKED,
+    violations,
+    text,
+  });
+  const reason = describeViolations(violations);
+  throw new ContentModerationError(
+    `That doesn't fit this game's ${rating} content rating (${reason}). Try something else.`,
+    { source, reason }
+  );
+}
+
+// The parts of a GM turn players get to see
+function getTurnModerationText(turnData) {
+  return [
+    turnData.narrative,
+    turnData.image_prompt,
+    ...(turnData.suggested_actions || []),
+  ].join("\n");
+}
+
+// The GM's turn, rewritten once by the LLM if it goes beyond the rating.
+// Throws ContentModerationError when the rewrite still doesn't fit.
+async function moderateTurnData(turnData, { rating, sessionId, usageContext }) {
+  const violations = await findContentViolations(
+    getTurnModerationText(turnData),
+    rating
+  );
+  if (violations.length === 0) return turnData;
+
+  let rewrittenTurnData = null;
+  let remainingViolations = violations;
+  try {
+    const rewrite = await callLLM(
+      buildRewritePrompt(turnData, violations),
+      injectContentRating(CONTENT_REWRITE_PROMPT, rating),
+      {
+        callType: LLM_CALL_TYPES.CONTENT_REWRITE,
+        maxRetries: 2,
+        usageContext,
+      }
+    );
+    rewrittenTurnData = { ...turnData, ...rewrite };
+    remainingViolations = await findContentViolations(
+      getTurnModerationText(rewrittenTurnData),
+      rating
+    );
+  } catch (error) {
+    console.error(`Session ${sessionId}: Content rewrite failed:`, error);
+  }
+
+  const isBlocked = remainingViolations.length > 0;
+  await logModeration({
+    sessionId,
+    userId: usageContext?.userId,
+    source: MODERATION_SOURCES.TURN,
+    rating,
+    outcome: isBlocked
+      ? MODERATION_OUTCOMES.BLOCKED
+      : MODERATION_OUTCOMES.REWRITTEN,
+    violations: remainingViolations,
+    text: turnData.narrative,
+  });
+  if (isBlocked) {
+    throw new ContentModerationError(
+      `The GM's reply went beyond this game's ${rating} content rating and was withheld. Try a different action.`,
+      {
+        source: MODERATION_SOURCES.TURN,
+        reason: describeViolations(remainingViolations),
+      }
+    );
+  }
+  return rewrittenTurnData;
 }
 
-async function callGoogle(systemPrompt, userPrompt, modelOverride = null) {
+// --- Provider-Specific API Call Functions ---
+
+async function callGoogle(
+  systemPrompt,
+  userPrompt,
+  modelOverride = null,
+  onUsage = null
+) {
   const modelToUse = modelOverride || GOOGLE_MODEL;
   console.log(` -> Calling Google Gemini with model: ${modelToUse}`);
 
@@ -484,12 +2183,23 @@ async function callGoogle(systemPrompt, userPrompt, modelOverride = null) {
 
   console.log("Google response: ", response);
 
+  if (response.usageMetadata) {
+    onUsage?.({
+      inputTokens: response.usageMetadata.promptTokenCount ?? 0,
+      outputTokens: response.usageMetadata.candidatesTokenCount ?? 0,
+    });
+  }
   const responseText = response.candidates[0]?.content?.parts[0]?.text;
   console.log("Google response data: ", responseText);
   return responseText;
 }
 
-async function callAnthropic(systemPrompt, userPrompt, modelOverride = null) {
+async function callAnthropic(
+  systemPrompt,
+  userPrompt,
+  modelOverride = null,
+  onUsage = null
+) {
   const modelToUse = modelOverride || ANTHROPIC_MODEL;
   console.log(` -> Calling Anthropic Claude with model: ${modelToUse}`);
   const response = await axios.post(
@@ -510,209 +2220,347 @@ async function callAnthropic(systemPrompt, userPrompt, modelOverride = null) {
       timeout: 40000, // Timeout for Anthropic
     }
   );
+  if (response.data.usage) {
+    onUsage?.({
+      inputTokens: response.data.usage.input_tokens ?? 0,
+      outputTokens: response.data.usage.output_tokens ?? 0,
+    });
+  }
   // Return the raw JSON string for central parsing
   return response.data.content[0]?.text;
 }
 
+// --- Streaming Provider Variants ---
+// (OpenAI-compatible providers stream via llmProviders.js.) Each streams the raw response text through onDelta and resolves with the
+// full text once the provider finishes, so callLLM can validate it as usual.
+
+async function callGoogleStream(
+  systemPrompt,
+  userPrompt,
+  modelOverride = null,
+  onDelta,
+  onUsage = null
+) {
+  const modelToUse = modelOverride || GOOGLE_MODEL;
+  console.log(` -> Streaming from Google Gemini with model: ${modelToUse}`);
+
+  const responseStream = await googleGenAI.models.generateContentStream({
+    model: modelToUse,
+    contents: [{ role: "user", parts: [{ text: userPrompt }] }],
+    config: {
+      systemInstruction: systemPrompt,
+    },
+  });
+
+  let fullText = "";
+  let usageMetadata = null; // Running totals; the last chunk has the final ones
+  for await (const chunk of responseStream) {
+    const delta = chunk.text;
+    if (delta) {
+      fullText += delta;
+      onDelta(delta);
+    }
+    if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+  }
+  if (usageMetadata) {
+    onUsage?.({
+      inputTokens: usageMetadata.promptTokenCount ?? 0,
+      outputTokens: usageMetadata.candidatesTokenCount ?? 0,
+    });
+  }
+  return fullText;
+}
+
+async function callAnthropicStream(
+  systemPrompt,
+  userPrompt,
+  modelOverride = null,
+  onDelta,
+  onUsage = null
+) {
+  const modelToUse = modelOverride || ANTHROPIC_MODEL;
+  console.log(` -> Streaming from Anthropic Claude with model: ${modelToUse}`);
+  const response = await axios.post(
+    ANTHROPIC_API_ENDPOINT,
+    {
+      model: modelToUse,
+      system: systemPrompt,
+      messages: [{ role: "user", content: userPrompt }],
+      max_tokens: 4096,
+      temperature: 0.7,
+      stream: true,
+    },
+    {
+      headers: {
+        "x-api-key": ANTHROPIC_API_KEY,
+        "anthropic-version": ANTHROPIC_API_VERSION,
+        "content-type": "application/json",
+      },
+      responseType: "stream",
+      timeout: 60000,
+    }
+  );
+
+  let fullText = "";
+  // Input tokens arrive with message_start, the output count with message_delta
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  for await (const event of readSseData(response.data)) {
+    if (event.type === "content_block_delta" && event.delta?.text) {
+      fullText += event.delta.text;
+      onDelta(event.delta.text);
+    } else if (event.type === "message_start") {
+      usage.inputTokens = event.message?.usage?.input_tokens ?? 0;
+    } else if (event.type === "message_delta") {
+      usage.outputTokens = event.usage?.output_tokens ?? usage.outputTokens;
+    } else if (event.type === "error") {
+      throw new Error(
+        `Anthropic stream error: ${event.error?.message || "Unknown error"}`
+      );
+    }
+  }
+  onUsage?.(usage);
+  return fullText;
+}
+
+// --- Helper to Extract a JSON String Field from a Partial JSON Stream ---
+// The GM responds with JSON, so raw deltas include keys and escapes. The
+// returned function takes each raw chunk and returns only the newly decoded
+// characters of the given top-level string field (e.g. "narrative").
+function createJsonStringFieldStreamParser(fieldName) {
+  const fieldPattern = new RegExp(`"${fieldName}"\\s*:\\s*"`);
+  const escapeChars = {
+    '"': '"',
+    "\\": "\\",
+    "/": "/",
+    b: "\b",
+    f: "\f",
+    n: "\n",
+    r: "\r",
+    t: "\t",
+  };
+  let rawText = "";
+  let cursor = -1; // Position of the next undecoded character of the value
+  let isComplete = false;
+
+  return (chunk) => {
+    rawText += chunk;
+    if (isComplete) return "";
+    if (cursor === -1) {
+      const match = fieldPattern.exec(rawText);
+      if (!match) return "";
+      cursor = match.index + match[0].length;
+    }
+
+    let decoded = "";
+    while (cursor < rawText.length) {
+      const char = rawText[cursor];
+      if (char === '"') {
+        isComplete = true;
+        break;
+      }
+      if (char !== "\\") {
+        decoded += char;
+        cursor++;
+        continue;
+      }
+      // Escape sequence: wait for more data if it's cut off mid-sequence
+      const escapeType = rawText[cursor + 1];
+      if (escapeType === undefined) break;
+      if (escapeType === "u") {
+        const hex = rawText.slice(cursor + 2, cursor + 6);
+        if (hex.length < 4) break;
+        decoded += String.fromCharCode(parseInt(hex, 16));
+        cursor += 6;
+      } else {
+        decoded += escapeChars[escapeType] ?? escapeType;
+        cursor += 2;
+      }
+    }
+    return decoded;
+  };
+}
+
 // Central LLM Dispatcher with Retries and Validation ---
+// Log label of each call type
+const LLM_CALL_LABELS = {
+  [LLM_CALL_TYPES.WORLD_BUILDING]: "World Building",
+  [LLM_CALL_TYPES.INITIAL_TURN]: "Game Turn",
+  [LLM_CALL_TYPES.TURN]: "Game Turn",
+  [LLM_CALL_TYPES.SUMMARY]: "Story Summary",
+  [LLM_CALL_TYPES.CONTENT_REWRITE]: "Content Rewrite",
+};
+
+// Sends a prompt to the LLM and returns its JSON answer once it matches the
+// call type's schema. Options:
+// - callType: LLM_CALL_TYPES value; picks the schema, model and usage label
+// - maxRetries: attempts before giving up
+// - providerOverride, modelOverride: instead of the call type's defaults
+// - streamHandlers: { onAttemptStart(attempt), onDelta(text) } to stream the raw response
+// - usageContext: { sessionId, userId, promptVersion? } the call is billed and reported under
+// - responseSchema: overrides the call type's schema (world building: the theme's)
 async function callLLM(
   promptContent,
-  systemPromptInput = null, // Input system prompt (can be null to use default GM prompt)
-  maxRetries = 3,
-  isInitialTurn = false, // Still relevant for GM prompt validation logic
-  providerOverride = null,
-  modelOverride = null,
-  isWorldBuildingCall = false
+  systemPromptInput = null,
+  {
+    callType = LLM_CALL_TYPES.TURN,
+    maxRetries = 3,
+    providerOverride = null,
+    modelOverride = null,
+    streamHandlers = null,
+    usageContext = null,
+    responseSchema = null,
+  } = {}
 ) {
-  // Determine the provider and model to use for this specific call
+  // The initial turn and world building set up the whole story, so they go
+  // to the initial provider's initial model
+  const isStoryOpening =
+    callType === LLM_CALL_TYPES.INITIAL_TURN ||
+    callType === LLM_CALL_TYPES.WORLD_BUILDING;
   const providerToUse =
     providerOverride ||
-    (isInitialTurn ? INITIAL_LLM_PROVIDER : ACTIVE_LLM_PROVIDER);
-  let modelToUse = modelOverride;
+    (isStoryOpening ? INITIAL_LLM_PROVIDER : ACTIVE_LLM_PROVIDER);
+  const provider = getLLMProvider(providerToUse);
+  const modelToUse =
+    modelOverride ||
+    (isStoryOpening
+      ? provider.initialModel || provider.defaultModel
+      : provider.defaultModel);
+  const callLabel = LLM_CALL_LABELS[callType] ?? callType;
   console.log("Provider to use: ", providerToUse);
   console.log("Model to use: ", modelToUse);
-  if (!modelToUse) {
-    // Only determine default model if override not provided
-    switch (providerToUse) {
-      case "openai":
-        modelToUse = isInitialTurn ? INITIAL_OPENAI_MODEL : OPENAI_MODEL;
-        break;
-      case "google":
-        modelToUse = isInitialTurn ? INITIAL_GOOGLE_MODEL : GOOGLE_MODEL;
-        break;
-      case "anthropic":
-        modelToUse = isInitialTurn ? INITIAL_ANTHROPIC_MODEL : ANTHROPIC_MODEL;
-        break;
-      default:
-        // This case should ideally be caught by startup validation, but handle defensively
-        console.error(`callLLM: Invalid provider determined: ${providerToUse}`);
-        throw new Error(`Invalid LLM provider configured: ${providerToUse}`);
-    }
-  }
 
   // Determine the system prompt to use
   const systemPrompt = systemPromptInput || "";
-
-  let lastError = null;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    console.log(
-      `--- Calling LLM Provider: ${providerToUse} (Model: ${modelToUse}) (Attempt ${attempt}/${maxRetries}) ---`
-    );
+  const schema = responseSchema || getResponseSchema(callType);
+
+  // Sends one request with the determined model and bills it. Every answered
+  // request is billed, even if its JSON turns out invalid.
+  const sendRequest = async (request, onDelta = null) => {
+    let reportedUsage = null;
+    const providerRequest = {
+      ...request,
+      model: modelToUse,
+      onUsage: (usage) => {
+        reportedUsage = usage;
+      },
+    };
+    const content =
+      onDelta && provider.stream
+        ? await provider.stream(providerRequest, onDelta)
+        : await provider.call(providerRequest);
+    if (usageContext) {
+      await recordUsage({
+        ...usageContext,
+        provider: providerToUse,
+        model: modelToUse,
+        callType: request.callType,
+        inputTokens:
+          reportedUsage?.inputTokens ??
+          estimateTokens(request.systemPrompt) +
+            estimateTokens(request.userPrompt),
+        outputTokens: reportedUsage?.outputTokens ?? estimateTokens(content),
+        isEstimated: !reportedUsage,
+      });
+    }
+    if (!content) {
+      throw new Error(`LLM response content is empty from ${providerToUse}.`);
+    }
+    return content;
+  };
+
+  // Asks the model to fix a response that failed validation. Cheaper than a
+  // new response, and the story it already wrote survives.
+  const repairResponse = async (rawResponse, errors) => {
+    const repairedContent = await sendRequest({
+      systemPrompt: JSON_REPAIR_PROMPT,
+      userPrompt: buildRepairPrompt(rawResponse, errors, schema),
+      callType: LLM_CALL_TYPES.JSON_REPAIR,
+    });
+    let repairedJson;
     try {
-      let llmResponseContent; // Raw JSON string
+      repairedJson = parseLlmJson(repairedContent);
+    } catch (parseError) {
+      throw new Error(
+        `JSON repair returned invalid JSON: ${parseError.message}`
+      );
+    }
+    const remainingErrors = validateJson(repairedJson, schema);
+    if (remainingErrors.length > 0) {
+      throw new Error(
+        `LLM JSON response doesn't match the ${callLabel} schema even after repair: ${remainingErrors
+          .slice(0, 3)
+          .map(({ path, message }) => `${path} ${message}`)
+          .join("; ")}`
+      );
+    }
+    console.log(` -> Repaired ${callLabel} JSON validated.`);
+    return repairedJson;
+  };
 
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    console.log(
+      `--- Calling LLM Provider: ${providerToUse} (Model: ${modelToUse}) (Attempt ${attempt}/${maxRetries}) ---`
+    );
+    try {
       console.log("--- Using System Prompt ---");
       console.log("System Prompt: ", systemPrompt.substring(0, 300) + "..."); // Log start of system prompt
-      // 1. Dispatch to the correct provider function, passing the determined model
-      switch (providerToUse) {
-        case "openai":
-          llmResponseContent = await callOpenAI(
-            systemPrompt,
-            promptContent,
-            modelToUse
-          );
-          break;
-        case "google":
-          llmResponseContent = await callGoogle(
-            systemPrompt,
-            promptContent,
-            modelToUse
-          );
-          break;
-        case "anthropic":
-          llmResponseContent = await callAnthropic(
-            systemPrompt,
-            promptContent,
-            modelToUse
-          );
-          break;
-        default: // Should not happen due to validation, but good failsafe
-          throw new Error(
-            `Invalid LLM provider configured for call: ${providerToUse}`
-          );
-      }
+      // Each attempt streams from scratch, so listeners must reset their output
+      if (streamHandlers) streamHandlers.onAttemptStart?.(attempt);
 
-      if (!llmResponseContent) {
-        throw new Error(`LLM response content is empty from ${providerToUse}.`);
-      }
+      // 1. Dispatch to the registered provider
+      const llmResponseContent = await sendRequest(
+        { systemPrompt, userPrompt: promptContent, callType },
+        streamHandlers?.onDelta
+      );
 
       console.log(`--- Received Raw LLM Response from ${providerToUse} ---`);
       // console.log(llmResponseContent);
       console.log("----------------------------------------");
 
-      // 2. Try Parsing JSON (Centralized)
-      let parsedJson;
+      // 2. Parse and validate against the call's schema. A response that
+      // doesn't match gets one repair call before the attempt counts as failed.
+      let parsedJson = null;
+      let schemaErrors;
       try {
-        // Sometimes models might still wrap output slightly, try cleaning common prefixes/suffixes
-        const cleanedResponse = llmResponseContent
-          .trim()
-          .replace(/^```json\s*/, "")
-          .replace(/\s*```$/, "");
-        parsedJson = JSON.parse(cleanedResponse);
+        parsedJson = parseLlmJson(llmResponseContent);
+        schemaErrors = validateJson(parsedJson, schema);
       } catch (parseError) {
-        console.error(
-          `LLM Response (Attempt ${attempt}/${maxRetries}) - Invalid JSON Syntax: ${parseError.message}`
-        );
-        console.error(
-          `Raw Response that failed parsing: ${llmResponseContent}`
-        );
-        throw new Error(`Failed to parse LLM JSON response`);
+        schemaErrors = [
+          { path: "$", message: `invalid JSON (${parseError.message})` },
+        ];
       }
-
-      // 3. Validate Structure and Types (Centralized & Conditional)
-      if (isWorldBuildingCall) {
-        console.log("World Building ready to be returned!");
-        return parsedJson;
-      } else {
-        // Game Turn Validation (Existing Logic)
-        if (
-          typeof parsedJson.narrative !== "string" ||
-          typeof parsedJson.image_prompt !== "string" ||
-          !Array.isArray(parsedJson.suggested_actions) ||
-          !parsedJson.suggested_actions.every(
-            (action) => typeof action === "string"
-          ) ||
-          typeof parsedJson.timeOfDay !== "string" ||
-          typeof parsedJson.isSameLocation !== "boolean" ||
-          !Array.isArray(parsedJson.characters) ||
-          !parsedJson.characters.every(
-            (char) =>
-              typeof char === "object" && // Check if char is an object
-              char !== null && // Check if char is not null
-              typeof char.name === "string" &&
-              typeof char.description === "string" &&
-              typeof char.appearance === "string" &&
-              typeof char.opinionOfPlayer === "string"
-          )
-        ) {
-          console.error(
-            `Game Turn Validation Error: Missing/Invalid common keys. Parsed Object: ${JSON.stringify(
-              parsedJson,
-              null,
-              2
-            )}`
-          );
-          throw new Error(
-            "LLM JSON response missing required common game keys or has invalid types."
-          );
-        }
-
-        // Goal/Prerequisite Field Validation based on turn type
-        if (isInitialTurn) {
-          // Initial Turn: Must have game_goal and goal_prerequisites
-          if (
-            typeof parsedJson.game_goal !== "string" ||
-            parsedJson.game_goal.trim() === ""
-          ) {
-            throw new Error(
-              "LLM JSON response missing/invalid 'game_goal' (string) on initial turn."
-            );
-          }
-          if (
-            !Array.isArray(parsedJson.goal_prerequisites) ||
-            !parsedJson.goal_prerequisites.every((p) => typeof p === "string")
-          ) {
-            throw new Error(
-              "LLM JSON response missing/invalid 'goal_prerequisites' (array of strings) on initial turn."
-            );
-          }
-        } else {
-          // Subsequent Turn: Must have updated_met_prerequisites and is_goal_met_this_turn
-          if (
-            !Array.isArray(parsedJson.updated_met_prerequisites) ||
-            !parsedJson.updated_met_prerequisites.every(
-              (p) => typeof p === "string"
-            )
-          ) {
-            throw new Error(
-              "LLM JSON response missing/invalid 'updated_met_prerequisites' (array of strings) on subsequent turn."
-            );
-          }
-          if (typeof parsedJson.is_goal_met_this_turn !== "boolean") {
-            throw new Error(
-              "LLM JSON response missing/invalid 'is_goal_met_this_turn' (boolean) on subsequent turn."
-            );
-          }
+      let checkOutcome = RESPONSE_CHECK_OUTCOMES.VALID;
+      if (schemaErrors.length > 0) {
+        console.warn(
+          `LLM Response (Attempt ${attempt}/${maxRetries}) doesn't match the ${callLabel} schema:\n${formatSchemaErrors(
+            schemaErrors
+          )}`
+        );
+        checkOutcome = RESPONSE_CHECK_OUTCOMES.FAILED;
+        try {
+          parsedJson = await repairResponse(llmResponseContent, schemaErrors);
+          checkOutcome = RESPONSE_CHECK_OUTCOMES.REPAIRED;
+        } finally {
+          await recordResponseCheck(usageContext, callType, checkOutcome);
         }
-        console.log(" -> Game Turn JSON structure validated.");
+      } else {
+        await recordResponseCheck(usageContext, callType, checkOutcome);
       }
 
       // Success!
       console.log(
-        `LLM Response (Attempt ${attempt}/${maxRetries}) - Valid JSON received and structure verified (${
-          isWorldBuildingCall ? "World Building" : "Game Turn"
-        }).`
+        `LLM Response (Attempt ${attempt}/${maxRetries}) - Valid JSON received and structure verified (${callLabel}).`
       );
+      if (callType === LLM_CALL_TYPES.CONTENT_REWRITE) {
+        const { narrative, image_prompt, suggested_actions } = parsedJson;
+        return { narrative, image_prompt, suggested_actions };
+      }
       return parsedJson;
     } catch (error) {
       lastError = error;
-      console.error(
-        `LLM Call Failed (${
-          isWorldBuildingCall ? "World Building" : "Game Turn"
-        }):`,
-        error
-      ); // Add context to error log
+      console.error(`LLM Call Failed (${callLabel}):`, error); // Add context to error log
       // Check if error is from axios (has response) or other source
       const errorMessage = error.response
         ? JSON.stringify(error.response.data)
@@ -733,9 +2581,7 @@ async function callLLM(
   // If loop finishes, all retries failed
   console.error(`LLM call failed permanently after ${maxRetries} attempts.`);
   throw new Error(
-    `LLM (${providerToUse}) (${
-      isWorldBuildingCall ? "World Building" : "Game Turn"
-    }) failed after ${maxRetries} attempts: ${
+    `LLM (${providerToUse}) (${callLabel}) failed after ${maxRetries} attempts: ${
       lastError?.message || "Unknown LLM Error"
     }`
   );
@@ -798,11 +2644,7 @@ async function generateImageWithImagen(prompt, aspectRatioOverride = null) {
         ? JSON.stringify(error.response.data, null, 2)
         : error.message
     );
-    // Return placeholder with aspect ratio info
-    return `https://via.placeholder.com/1024x576.png?text=Image+Generation+Failed&ratio=${effectiveAspectRatio.replace(
-      ":",
-      "x"
-    )}`;
+    throw error; // Let callers retry or report the failure
   }
 }
 
@@ -859,11 +2701,12 @@ async function generateImageWithGoogleFlash(prompt, base64Image = null) {
         ? JSON.stringify(error.response.data, null, 2)
         : error.message
     );
-    return `https://via.placeholder.com/1024x576.png?text=Image+Generation+Failed`;
+    throw error; // Let callers retry or report the failure
   }
 }
 
-async function generateImageWithOpenAI(prompt) {
+// `moderation` is gpt-image-1's own filter level (see getOpenAIImageModeration)
+async function generateImageWithOpenAI(prompt, moderation = "auto") {
   const apiKey = OPENAI_API_KEY;
   const endpoint = `${OPENAI_API_ENDPOINT}?key=${apiKey}`;
 
@@ -873,12 +2716,12 @@ async function generateImageWithOpenAI(prompt) {
 
   console.log("Generating image with OpenAI with prompt: ", prompt);
 
-  const result = await openai.images.generate({
+  const result = await getOpenAIClient().images.generate({
     model: "gpt-image-1",
     prompt: prompt,
     size: "1024x1536",
     quality: "medium",
-    moderation: "low",
+    moderation,
   });
 
   const image_base64 = result.data[0].b64_json;
@@ -889,354 +2732,497 @@ async function generateImageWithOpenAI(prompt) {
 
 // POST /api/game/start - Start a new game
 // --- NEW Game Start Endpoint ---
-app.post("/api/game/start", authenticateToken, async (req, res) => {
-  console.log("[API /api/game/start] Received request"); // +++ LOG
-  const {
-    theme,
-    characterName,
-    characterGender,
-    characterImageUrl, // Optional
-    isMultiplayer, // Optional flag
-    maxPlayers, // Optional max players
-  } = req.body;
-  const userId = req.user.id; // Get user ID from middleware
-
-  // --- 1. Validation ---
-  if (!theme) return res.status(400).json({ error: "Theme is required." });
-  if (!characterName)
-    return res.status(400).json({ error: "Character name is required." });
-  if (!characterGender)
-    return res.status(400).json({ error: "Character gender is required." });
-  if (!userId)
-    return res.status(401).json({ error: "User ID missing after auth." });
-
-  const isGameMultiplayer = !!isMultiplayer; // Ensure boolean
-  const gameMaxPlayers = isGameMultiplayer ? parseInt(maxPlayers, 10) || 4 : 1;
-  if (isGameMultiplayer && (gameMaxPlayers < 2 || gameMaxPlayers > 8)) {
-    return res
-      .status(400)
-      .json({ error: "Multiplayer games must have between 2 and 8 players." });
-  }
-  console.log("[API /api/game/start] Validation passed"); // +++ LOG
-  // ----------------
-
-  // --- 2. Create Session Variables ---
-  const sessionId = uuidv4();
-  const turnId = uuidv4(); // ID for the initial turn
-  const inviteCode = isGameMultiplayer
-    ? `INV-${uuidv4().substring(0, 8).toUpperCase()}`
-    : null;
+app.post(
+  "/api/game/start",
+  authenticateToken,
+  rateLimit("game_start"),
+  async (req, res) => {
+    console.log("[API /api/game/start] Received request"); // +++ LOG
+    const {
+      theme,
+      characterName,
+      characterGender,
+      characterImageUrl, // Optional
+      isMultiplayer, // Optional flag
+      maxPlayers, // Optional max players
+      turnMode, // Optional multiplayer turn mode (see TURN_MODES)
+      turnTimeoutSeconds, // Optional idle limit per turn (0 = no limit)
+      turnTimeoutAction, // Optional, what a timeout does (see TURN_TIMEOUT_ACTIONS)
+      useDiceRules, // Optional, every action gets a skill check
+      characterAttributes, // Optional attribute bonuses (dice rules only)
+      contentRating, // Optional (see CONTENT_RATINGS), defaults to teen
+    } = req.body;
+    const userId = req.user.id; // Get user ID from middleware
+
+    // --- 1. Validation ---
+    if (!theme) return res.status(400).json({ error: "Theme is required." });
+    if (!characterName)
+      return res.status(400).json({ error: "Character name is required." });
+    if (!characterGender)
+      return res.status(400).json({ error: "Character gender is required." });
+    if (!userId)
+      return res.status(401).json({ error: "User ID missing after auth." });
 
-  try {
-    console.log(
-      `BEGIN endpoint: User ${userId} starting ${
-        isGameMultiplayer
-          ? `multiplayer (Max: ${gameMaxPlayers}, Invite: ${inviteCode})`
-          : "single-player"
-      } game with theme: "${theme}", Name: ${characterName}, Gender: ${characterGender}`
-    );
+    const isGameMultiplayer = !!isMultiplayer; // Ensure boolean
+    const gameMaxPlayers = isGameMultiplayer
+      ? parseInt(maxPlayers, 10) || 4
+      : 1;
+    if (isGameMultiplayer && (gameMaxPlayers < 2 || gameMaxPlayers > 8)) {
+      return res.status(400).json({
+        error: "Multiplayer games must have between 2 and 8 players.",
+      });
+    }
+    // Voting needs several players, so single-player games always take turns
+    const gameTurnMode = isGameMultiplayer
+      ? turnMode || TURN_MODES.ROUND_ROBIN
+      : TURN_MODES.ROUND_ROBIN;
+    if (!isValidTurnMode(gameTurnMode)) {
+      return res.status(400).json({
+        error: `Invalid turn mode. Use one of: ${Object.values(TURN_MODES).join(
+          ", "
+        )}.`,
+      });
+    }
+    const gameTurnTimeoutSeconds =
+      turnTimeoutSeconds === undefined || turnTimeoutSeconds === null
+        ? DEFAULT_TURN_TIMEOUT_SECONDS
+        : Number(turnTimeoutSeconds);
+    if (
+      !Number.isInteger(gameTurnTimeoutSeconds) ||
+      gameTurnTimeoutSeconds < 0 ||
+      gameTurnTimeoutSeconds > MAX_TURN_TIMEOUT_SECONDS
+    ) {
+      return res.status(400).json({
+        error: `Turn timeout must be a whole number of seconds between 0 and ${MAX_TURN_TIMEOUT_SECONDS}.`,
+      });
+    }
+    const gameTurnTimeoutAction =
+      turnTimeoutAction || TURN_TIMEOUT_ACTIONS.SKIP;
+    if (!isValidTurnTimeoutAction(gameTurnTimeoutAction)) {
+      return res.status(400).json({
+        error: `Invalid turn timeout action. Use one of: ${Object.values(
+          TURN_TIMEOUT_ACTIONS
+        ).join(", ")}.`,
+      });
+    }
+    const gameUsesDiceRules = !!useDiceRules;
+    let creatorAttributes = null;
+    if (gameUsesDiceRules) {
+      try {
+        creatorAttributes = normalizeAttributes(characterAttributes);
+      } catch (error) {
+        if (error instanceof CharacterAttributesError) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+    }
+    let gameContentRating;
+    try {
+      gameContentRating = normalizeContentRating(contentRating);
+    } catch (error) {
+      if (error instanceof ContentRatingError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+    console.log("[API /api/game/start] Validation passed"); // +++ LOG
+    // ----------------
+
+    // --- 2. Create Session Variables ---
+    const sessionId = uuidv4();
+    const turnId = uuidv4(); // ID for the initial turn
+    const inviteCode = isGameMultiplayer
+      ? `INV-${uuidv4().substring(0, 8).toUpperCase()}`
+      : null;
 
-    // --- 3. Generate World Lore ---
-    console.log("--- Generating World Lore ---");
-    console.log("Theme:", theme);
-    let worldBuildingSystemPrompt = WORLD_BUILDING_PROMPTS[theme.toLowerCase()];
+    try {
+      if (await rejectIfOverQuota(res, userId)) return;
+      const themeRow = await findTheme(theme, userId);
+      if (!themeRow) {
+        return res.status(400).json({ error: `Unknown theme: ${theme}.` });
+      }
 
-    if (theme === "romance") {
-      worldBuildingSystemPrompt = worldBuildingSystemPrompt.replace(
-        /{{protagonist_gender}}/g,
-        characterGender
+      console.log(
+        `BEGIN endpoint: User ${userId} starting ${
+          isGameMultiplayer
+            ? `multiplayer (Max: ${gameMaxPlayers}, Invite: ${inviteCode})`
+            : "single-player"
+        } game with theme: "${theme}", Name: ${characterName}, Gender: ${characterGender}`
       );
-    }
 
-    worldBuildingSystemPrompt += WORLD_BUILDING_PROMPT_TEMPLATE;
-    worldBuildingSystemPrompt +=
-      WORLD_BUILDING_JSON_STRUCTURE[theme.toLowerCase()];
-
-    const worldBuildingUserInstruction = `Create your original story details, responding with the JSON object only.`;
+      // Prompt variants of the running experiments, kept for the session
+      const promptAssignments = promptRegistry.assignSession(sessionId);
+      const worldPrompt = promptRegistry.resolve(
+        PROMPT_TEMPLATES.WORLD_BUILDING,
+        promptAssignments
+      );
+      const gmPrompt = promptRegistry.resolve(
+        PROMPT_TEMPLATES.GM_BASE,
+        promptAssignments
+      );
 
-    // Use a specific model for world building if desired by overriding provider/model here
-    const worldData = await callLLM(
-      worldBuildingUserInstruction,
-      worldBuildingSystemPrompt, // Pass the specific world-building prompt
-      3,
-      false, // Not the 'initial game turn' in the GM sense
-      INITIAL_LLM_PROVIDER,
-      "gemini-2.5-pro-preview-03-25",
-      true // Is world building call
-    );
-    console.log("[API /api/game/start] World lore generated by LLM"); // +++ LOG
-    console.log(
-      " -> World Lore Generated (Snippet):", // Modified log label
-      JSON.stringify(worldData).substring(0, 200) + "..."
-    );
+      // --- 3. Generate World Lore ---
+      console.log("--- Generating World Lore ---");
+      console.log("Theme:", themeRow.name, `(${themeRow.theme_id})`);
+      const worldBuildingSystemPrompt = `${buildWorldBuildingPrompt(
+        themeRow,
+        characterGender,
+        worldPrompt.body
+      )}\nThe story is played at this content rating, so keep the setting and characters within it: ${getContentRatingGuideline(
+        gameContentRating
+      )}`;
+
+      const worldBuildingUserInstruction = `Create your original story details, responding with the JSON object only.`;
+
+      // Use a specific model for world building if desired by overriding provider/model here
+      const worldData = await callLLM(
+        worldBuildingUserInstruction,
+        worldBuildingSystemPrompt, // Pass the specific world-building prompt
+        {
+          callType: LLM_CALL_TYPES.WORLD_BUILDING,
+          usageContext: {
+            sessionId,
+            userId,
+            promptVersion: worldPrompt.versionId,
+          },
+          responseSchema: schemaFromJsonStructure(themeRow.json_structure),
+        }
+      );
+      console.log("[API /api/game/start] World lore generated by LLM"); // +++ LOG
+      console.log(
+        " -> World Lore Generated (Snippet):", // Modified log label
+        JSON.stringify(worldData).substring(0, 200) + "..."
+      );
 
-    // --- 4. Prepare for Initial Turn Generation (using lore) ---
-    let turn0_initialUserInstruction;
-    // +++ MODIFICATION START: Make user instruction more directive +++
-    const turn0JsonStructure = `
+      // --- 4. Prepare for Initial Turn Generation (using lore) ---
+      let turn0_initialUserInstruction;
+      // +++ MODIFICATION START: Make user instruction more directive +++
+      const turn0JsonStructure = `
 {
   "narrative": "String: The initial scene description...",
   "timeOfDay": "String: Time of day...",
   "image_prompt": "String: Image prompt...",
   "suggested_actions": ["String: Action 1", ...],
   "isSameLocation": true,
+  "location": "String: Short name of the starting location",
   "characters": [],
+  "inventory_changes": [{ "player": "String: Player character name", "item": "String", "quantity": 1 }],
   "game_goal": "String: A clear, achievable objective...",
   "goal_prerequisites": ["String: Prerequisite 1", ...]
 }
 `;
 
-    if (isGameMultiplayer) {
-      turn0_initialUserInstruction = `Based on the provided player character (${characterName}, ${characterGender}) and the world context (Theme: ${theme}), generate the JSON object for the *initial game turn (Turn 0)*. Your response MUST strictly follow this JSON structure: ${turn0JsonStructure}. Do not mention the other players yet.`;
-    } else {
-      turn0_initialUserInstruction = `Based on the provided player character (${characterName}, ${characterGender}) and the world context (Theme: ${theme}), generate the JSON object for the *initial game turn (Turn 0)*. Your response MUST strictly follow this JSON structure: ${turn0JsonStructure}.`;
-    }
-    // +++ MODIFICATION END +++
-
-    // --- Inject Player List AND World Lore into Base Prompt ---
-    const turn0_playerListString = `- ${characterName} (${characterGender}, Index: 0) [Acting Player]`;
-    let turn0_initialSystemPrompt = GM_BASE_PROMPT.replace(
-      /{{playerList}}/g,
-      turn0_playerListString
-    );
-
-    console.log(
-      "Injecting World Lore into Base Prompt",
-      JSON.stringify(worldData)
-    );
-    turn0_initialSystemPrompt = turn0_initialSystemPrompt.replace(
-      /{{worldLore}}/g, // Replace placeholder
-      JSON.stringify(worldData)
-    );
-    // Replace goal placeholders for the initial GM call
-    turn0_initialSystemPrompt = turn0_initialSystemPrompt
-      .replace(/{{gameGoal}}/g, "(Defined during initial turn)")
-      .replace(/{{goalPrerequisites}}/g, "(Defined during initial turn)")
-      .replace(/{{metPrerequisites}}/g, "(None met yet)");
-
-    console.log(
-      "[API /api/game/start] Initial turn generation prompt prepared",
-      turn0_initialSystemPrompt
-    );
-
-    // --- 5. Generate Initial Game Turn (Turn 0) ---
-    const turn0_promptForLLM = `${turn0_initialSystemPrompt}\n\nUser Instruction: ${turn0_initialUserInstruction}`;
-
-    console.log(
-      "[API /api/game/start] Sending prompt to LLM for initial turn (with lore)"
-    );
+      if (isGameMultiplayer) {
+        turn0_initialUserInstruction = `Based on the provided player character (${characterName}, ${characterGender}) and the world context (Theme: ${themeRow.name}), generate the JSON object for the *initial game turn (Turn 0)*. Your response MUST strictly follow this JSON structure: ${turn0JsonStructure}. Do not mention the other players yet.`;
+      } else {
+        turn0_initialUserInstruction = `Based on the provided player character (${characterName}, ${characterGender}) and the world context (Theme: ${themeRow.name}), generate the JSON object for the *initial game turn (Turn 0)*. Your response MUST strictly follow this JSON structure: ${turn0JsonStructure}.`;
+      }
+      // +++ MODIFICATION END +++
 
-    const turn0_initialTurnData = await callLLM(
-      turn0_promptForLLM,
-      turn0_initialSystemPrompt, // Pass the fully constructed system prompt
-      3,
-      true, // isInitialTurn = true (for validation inside callLLM)
-      INITIAL_LLM_PROVIDER,
-      INITIAL_GOOGLE_MODEL // Or override if needed
-    );
-    console.log("[API /api/game/start] Initial turn data generated by LLM"); // +++ LOG
+      // --- Inject Player List AND World Lore into Base Prompt ---
+      const turn0_playerListString = `- ${characterName} (${characterGender}, Index: 0) [Acting Player]`;
+      let turn0_initialSystemPrompt = gmPrompt.body.replace(
+        /{{playerList}}/g,
+        turn0_playerListString
+      );
 
-    // --- 6. Extract Goal/Prerequisites from Turn 0 Data ---
-    const turn0_gameGoal = turn0_initialTurnData.game_goal;
-    const turn0_goalPrerequisites =
-      turn0_initialTurnData.goal_prerequisites || [];
+      console.log(
+        "Injecting World Lore into Base Prompt",
+        JSON.stringify(worldData)
+      );
+      turn0_initialSystemPrompt = injectNpcCodex(turn0_initialSystemPrompt, []);
+      turn0_initialSystemPrompt = injectLocationContext(
+        turn0_initialSystemPrompt,
+        null
+      );
+      turn0_initialSystemPrompt = injectInventory(
+        turn0_initialSystemPrompt,
+        [],
+        []
+      );
+      turn0_initialSystemPrompt = injectWorldLore(
+        turn0_initialSystemPrompt,
+        worldData
+      );
+      turn0_initialSystemPrompt = injectContentRating(
+        turn0_initialSystemPrompt,
+        gameContentRating
+      );
+      // Replace goal placeholders for the initial GM call
+      turn0_initialSystemPrompt = turn0_initialSystemPrompt
+        .replace(/{{gameGoal}}/g, "(Defined during initial turn)")
+        .replace(/{{goalPrerequisites}}/g, "(Defined during initial turn)")
+        .replace(/{{metPrerequisites}}/g, "(None met yet)");
 
-    if (
-      !turn0_gameGoal ||
-      typeof turn0_gameGoal !== "string" ||
-      turn0_gameGoal.trim() === "" ||
-      !Array.isArray(turn0_goalPrerequisites)
-    ) {
-      console.error(
-        "Validation Error: game_goal or goal_prerequisites missing/invalid type.",
-        { gameGoal: turn0_gameGoal, goalPrerequisites: turn0_goalPrerequisites }
+      console.log(
+        "[API /api/game/start] Initial turn generation prompt prepared",
+        turn0_initialSystemPrompt
       );
-      throw new Error(
-        "LLM response for Turn 0 missing/invalid game_goal or goal_prerequisites."
+
+      // --- 5. Generate Initial Game Turn (Turn 0) ---
+      console.log(
+        "[API /api/game/start] Sending prompt to LLM for initial turn (with lore)"
       );
-    }
-    console.log(` -> Game Goal Set: ${turn0_gameGoal}`);
-    console.log(
-      ` -> Prerequisites Set: ${JSON.stringify(turn0_goalPrerequisites)}`
-    );
 
-    // --- 7. Generate Image for Initial Turn ---
-    let turn0_imageUrl;
-    console.log(
-      "[API /api/game/start] Attempting to generate initial image..."
-    ); // +++ LOG
-    // Ensure image prompt exists before trying to generate
-    if (!turn0_initialTurnData.image_prompt) {
-      console.warn(
-        "LLM response for Turn 0 missing image_prompt. Using placeholder."
+      const turn0_generatedTurnData = await callLLM(
+        turn0_initialUserInstruction, // The system prompt already holds the GM rules and lore
+        turn0_initialSystemPrompt, // Pass the fully constructed system prompt
+        {
+          callType: LLM_CALL_TYPES.INITIAL_TURN,
+          usageContext: {
+            sessionId,
+            userId,
+            promptVersion: gmPrompt.versionId,
+          },
+        }
       );
-      turn0_imageUrl = `https://via.placeholder.com/1024x576.png?text=Missing+Image+Prompt`;
-    } else {
-      try {
-        switch (ACTIVE_IMAGE_PROVIDER) {
-          case "google":
-            turn0_imageUrl = await generateImageWithImagen(
-              turn0_initialTurnData.image_prompt
-            );
-            break;
-          case "google-flash":
-            turn0_imageUrl = await generateImageWithGoogleFlash(
-              turn0_initialTurnData.image_prompt
-            );
-            break;
-          case "openai":
-            turn0_imageUrl = await generateImageWithOpenAI(
-              turn0_initialTurnData.image_prompt
-            );
-            break;
-          default:
-            throw new Error(
-              `Invalid image provider: ${ACTIVE_IMAGE_PROVIDER}.`
-            );
+      console.log("[API /api/game/start] Initial turn data generated by LLM"); // +++ LOG
+      const turn0_initialTurnData = await moderateTurnData(
+        turn0_generatedTurnData,
+        {
+          rating: gameContentRating,
+          sessionId,
+          usageContext: { sessionId, userId },
         }
-      } catch (imgError) {
-        console.error("Error generating initial image:", imgError);
-        turn0_imageUrl = `https://via.placeholder.com/1024x576.png?text=Image+Gen+Failed`; // Fallback placeholder
-      }
-    }
-    console.log("[API /api/game/start] Initial image generated/handled."); // +++ LOG
+      );
 
-    // --- 8. Database Operations ---
-    console.log("[API /api/game/start] Starting database transaction..."); // +++ LOG
-    await db.run("BEGIN");
+      // --- 6. Extract Goal/Prerequisites from Turn 0 Data ---
+      const turn0_gameGoal = turn0_initialTurnData.game_goal;
+      const turn0_goalPrerequisites =
+        turn0_initialTurnData.goal_prerequisites || [];
+
+      if (
+        !turn0_gameGoal ||
+        typeof turn0_gameGoal !== "string" ||
+        turn0_gameGoal.trim() === "" ||
+        !Array.isArray(turn0_goalPrerequisites)
+      ) {
+        console.error(
+          "Validation Error: game_goal or goal_prerequisites missing/invalid type.",
+          {
+            gameGoal: turn0_gameGoal,
+            goalPrerequisites: turn0_goalPrerequisites,
+          }
+        );
+        throw new Error(
+          "LLM response for Turn 0 missing/invalid game_goal or goal_prerequisites."
+        );
+      }
+      console.log(` -> Game Goal Set: ${turn0_gameGoal}`);
+      console.log(
+        ` -> Prerequisites Set: ${JSON.stringify(turn0_goalPrerequisites)}`
+      );
 
-    // --- Insert Session ---
-    const sessionInsertSql = `
+      // Starting items all belong to the creator, the only player so far
+      const turn0_inventoryChanges = resolveInventoryChanges(
+        turn0_initialTurnData.inventory_changes,
+        [{ player_index: 0, character_name: characterName }],
+        0
+      );
+      // Store an inline portrait on disk before the transaction starts
+      const creatorImageUrl = await persistImageUrl(characterImageUrl || null);
+
+      // --- 7. Database Operations ---
+      console.log("[API /api/game/start] Starting database transaction..."); // +++ LOG
+      await withTransaction(async () => {
+        // --- Insert Session ---
+        const sessionInsertSql = `
       INSERT INTO sessions (
-        session_id, user_id, theme,
+        session_id, user_id, theme, theme_id,
         is_multiplayer, max_players, current_player_index, invite_code,
         game_goal, goal_prerequisites, met_prerequisites, is_goal_met,
+        world_lore, active_branch_id, turn_mode,
+        turn_timeout_seconds, turn_timeout_action, use_dice_rules, dice_seed,
+        content_rating, gm_prompt_version, world_prompt_version,
         created_at, last_updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime("now"), datetime("now"))
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime("now"), datetime("now"))
     `;
-    const sessionParams = [
-      sessionId,
-      userId,
-      theme,
-      isGameMultiplayer ? 1 : 0,
-      isGameMultiplayer ? gameMaxPlayers : null,
-      isGameMultiplayer ? 0 : null,
-      inviteCode,
-      turn0_gameGoal,
-      JSON.stringify(turn0_goalPrerequisites),
-      "[]",
-      0,
-    ];
-    await db.run(sessionInsertSql, sessionParams);
-    console.log(
-      `[DB] Inserted session ${sessionId} (Multiplayer: ${isGameMultiplayer}, Goal: ${turn0_gameGoal}) into DB.` // +/- LOG
-    );
+        const sessionParams = [
+          sessionId,
+          userId,
+          themeRow.name, // Canonical name, whatever casing or ID the client sent
+          themeRow.theme_id,
+          isGameMultiplayer ? 1 : 0,
+          isGameMultiplayer ? gameMaxPlayers : null,
+          isGameMultiplayer ? 0 : null,
+          inviteCode,
+          turn0_gameGoal,
+          JSON.stringify(turn0_goalPrerequisites),
+          "[]",
+          0,
+          JSON.stringify(worldData), // Persist lore so every later turn can use it
+          MAIN_BRANCH_ID,
+          gameTurnMode,
+          isGameMultiplayer && gameTurnTimeoutSeconds > 0
+            ? gameTurnTimeoutSeconds
+            : null,
+          gameTurnTimeoutAction,
+          gameUsesDiceRules ? 1 : 0,
+          gameUsesDiceRules ? createDiceSeed() : null,
+          gameContentRating,
+          gmPrompt.versionId,
+          worldPrompt.versionId,
+        ];
+        await db.run(sessionInsertSql, sessionParams);
+        for (const assignment of promptAssignments) {
+          await db.run(
+            `INSERT INTO session_experiments (session_id, experiment_id, template_key, variant)
+           VALUES (?, ?, ?, ?)`,
+            [
+              sessionId,
+              assignment.experimentId,
+              assignment.templateKey,
+              assignment.variant,
+            ]
+          );
+        }
+        console.log(
+          `[DB] Inserted session ${sessionId} (Multiplayer: ${isGameMultiplayer}, Goal: ${turn0_gameGoal}) into DB.` // +/- LOG
+        );
 
-    // --- Insert Creator into session_players ---
-    const playerInsertSql = `
+        // --- Insert Creator into session_players ---
+        const playerInsertSql = `
       INSERT INTO session_players (
         session_id, user_id, player_index,
         character_name, character_gender, character_image_url,
-        joined_at, is_active
-      ) VALUES (?, ?, ?, ?, ?, ?, datetime("now"), 1)
+        character_attributes, joined_at, is_active
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime("now"), 1)
     `;
-    const playerParams = [
-      sessionId,
-      userId,
-      0, // Creator is player 0
-      characterName,
-      characterGender,
-      characterImageUrl || null,
-    ];
-    await db.run(playerInsertSql, playerParams);
-    console.log(
-      `[DB] Inserted user ${userId} as player 0 into session_players for ${sessionId}.` // +/- LOG
-    );
+        const playerParams = [
+          sessionId,
+          userId,
+          0, // Creator is player 0
+          characterName,
+          characterGender,
+          creatorImageUrl,
+          creatorAttributes && JSON.stringify(creatorAttributes),
+        ];
+        await db.run(playerInsertSql, playerParams);
+        console.log(
+          `[DB] Inserted user ${userId} as player 0 into session_players for ${sessionId}.` // +/- LOG
+        );
 
-    // --- Insert First Turn ---
-    const turnInsertSql = `INSERT INTO turns(
-        turn_id, session_id, turn_index, scenario_text, image_url, image_prompt, suggested_actions, action_taken, time_of_day, is_same_location, characters,
+        // --- Insert First Turn ---
+        const turnInsertSql = `INSERT INTO turns(
+        turn_id, session_id, turn_index, scenario_text, image_url, image_prompt, image_status, suggested_actions, action_taken, time_of_day, is_same_location, characters,
         acting_player_user_id, acting_player_index,
-        created_at
-      ) VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime("now"))`;
-
-    const turnParams = [
-      turnId,
-      sessionId,
-      0, // turn_index
-      turn0_initialTurnData.narrative || "[Narrative missing]", // Add fallback
-      turn0_imageUrl, // Use the generated image URL
-      turn0_initialTurnData.image_prompt || "[Prompt missing]", // Add fallback
-      JSON.stringify(turn0_initialTurnData.suggested_actions || []),
-      null, // action_taken
-      turn0_initialTurnData.timeOfDay || "Unknown", // Add fallback
-      turn0_initialTurnData.isSameLocation ? 1 : 0,
-      JSON.stringify(turn0_initialTurnData.characters || []),
-      null, // acting_player_user_id
-      null, // acting_player_index
-    ];
+        branch_id, parent_turn_id, met_prerequisites, is_goal_met, location_name, inventory_changes,
+        prompt_version, created_at
+      ) VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime("now"))`;
 
-    await db.run(turnInsertSql, turnParams);
-    console.log(
-      `[DB] Turn 0 inserted successfully for session ${sessionId}.` // +/- LOG
-    );
-
-    await db.run("COMMIT");
-    console.log(`DB transaction committed for session ${sessionId}.`);
+        const turnParams = [
+          turnId,
+          sessionId,
+          0, // turn_index
+          turn0_initialTurnData.narrative || "[Narrative missing]", // Add fallback
+          null, // image_url, filled in by the image job queue
+          turn0_initialTurnData.image_prompt || "[Prompt missing]", // Add fallback
+          IMAGE_STATUS.PENDING, // image_status
+          JSON.stringify(turn0_initialTurnData.suggested_actions || []),
+          null, // action_taken
+          turn0_initialTurnData.timeOfDay || "Unknown", // Add fallback
+          turn0_initialTurnData.isSameLocation ? 1 : 0,
+          JSON.stringify(turn0_initialTurnData.characters || []),
+          null, // acting_player_user_id
+          null, // acting_player_index
+          MAIN_BRANCH_ID, // branch_id
+          null, // parent_turn_id
+          "[]", // met_prerequisites
+          0, // is_goal_met
+          sanitizeLocationName(turn0_initialTurnData.location),
+          JSON.stringify(turn0_inventoryChanges),
+          gmPrompt.versionId,
+        ];
 
-    // --- 9. Prepare Response ---
-    console.log("[API /api/game/start] Preparing final response..."); // +++ LOG
-    // Destructure turn data safely, removing internal goal/prereqs
-    const {
-      game_goal: turn0_game_goal_destructured,
-      goal_prerequisites: turn0_goal_prerequisites_destructured,
-      ...safeInitialTurnData
-    } = turn0_initialTurnData;
-
-    const firstTurnResponse = {
-      turnIndex: 0,
-      scenarioText: safeInitialTurnData.narrative || "[Narrative missing]",
-      imageUrl: turn0_imageUrl,
-      imagePrompt: safeInitialTurnData.image_prompt || "[Prompt missing]",
-      suggestedActions: safeInitialTurnData.suggested_actions || [],
-      actionTaken: null,
-      timeOfDay: safeInitialTurnData.timeOfDay || "Unknown",
-      isSameLocation: safeInitialTurnData.isSameLocation ?? true, // Default to true if missing
-      characters: safeInitialTurnData.characters || [],
-    };
+        await db.run(turnInsertSql, turnParams);
+        await recordTurnNpcs(
+          db,
+          sessionId,
+          turnId,
+          turn0_initialTurnData.characters
+        );
+        await seedLoreLocations(db, sessionId, worldData);
+        await recordTurnLocation(db, sessionId, {
+          turnId,
+          parentTurnId: null,
+          locationName: turn0_initialTurnData.location,
+          isSameLocation: true,
+        });
+        await insertStoryPassages(db, sessionId, [
+          ...getLorePassages(worldData),
+          ...getTurnPassages({
+            turn_id: turnId,
+            turn_index: 0,
+            action_taken: null,
+            scenario_text: turn0_initialTurnData.narrative,
+            characters: JSON.stringify(turn0_initialTurnData.characters || []),
+          }),
+        ]);
+        console.log(
+          `[DB] Turn 0 inserted successfully for session ${sessionId}.` // +/- LOG
+        );
+      });
+      console.log(`DB transaction committed for session ${sessionId}.`);
+
+      // --- 8. Queue the Initial Image ---
+      enqueueTurnImage(sessionId, turnId);
+
+      // --- 9. Prepare Response ---
+      console.log("[API /api/game/start] Preparing final response..."); // +++ LOG
+      // Destructure turn data safely, removing internal goal/prereqs
+      const {
+        game_goal: turn0_game_goal_destructured,
+        goal_prerequisites: turn0_goal_prerequisites_destructured,
+        ...safeInitialTurnData
+      } = turn0_initialTurnData;
+
+      const firstTurnResponse = {
+        turnIndex: 0,
+        scenarioText: safeInitialTurnData.narrative || "[Narrative missing]",
+        imageUrl: null,
+        imageStatus: IMAGE_STATUS.PENDING,
+        imagePrompt: safeInitialTurnData.image_prompt || "[Prompt missing]",
+        suggestedActions: safeInitialTurnData.suggested_actions || [],
+        actionTaken: null,
+        timeOfDay: safeInitialTurnData.timeOfDay || "Unknown",
+        isSameLocation: safeInitialTurnData.isSameLocation ?? true, // Default to true if missing
+        locationName: sanitizeLocationName(safeInitialTurnData.location),
+        characters: safeInitialTurnData.characters || [],
+        inventoryChanges: turn0_inventoryChanges,
+      };
 
-    const responsePayload = {
-      sessionId: sessionId,
-      currentTurn: firstTurnResponse,
-      ...(isGameMultiplayer && { inviteCode: inviteCode }),
-    };
+      const responsePayload = {
+        sessionId: sessionId,
+        currentTurn: firstTurnResponse,
+        ...(isGameMultiplayer && { inviteCode: inviteCode }),
+      };
 
-    console.log("[API /api/game/start] Sending 201 response."); // +++ LOG
-    res.status(201).json(responsePayload);
-  } catch (error) {
-    console.error(
-      `Error in /api/game/begin for user ${userId} (Char: ${characterName}):`,
-      error
-    );
-    try {
-      // Attempt rollback only if a transaction might have started
-      if (db && typeof db.run === "function") {
-        // Check if db is initialized and has run method
-        await db.run("ROLLBACK");
-        console.error("DB rolled back due to error during game begin.");
-      }
-    } catch (rbError) {
-      console.error("Rollback failed:", rbError);
-    }
-    const errorMessage = error.message.includes("World Building")
-      ? "Failed to generate world lore."
-      : `Failed to start game: ${error.message}`;
-    console.log(
-      `[API /api/game/start] Sending 500 error response: ${errorMessage}`
-    ); // +++ LOG
-    res.status(500).json({ error: errorMessage });
+      console.log("[API /api/game/start] Sending 201 response."); // +++ LOG
+      res.status(201).json(responsePayload);
+    } catch (error) {
+      await cleanUpFailedStart(sessionId);
+      // Turn 0 is moderated before the transaction starts
+      if (error instanceof ContentModerationError) {
+        return res
+          .status(422)
+          .json({ error: error.message, code: "content_blocked" });
+      }
+      // withTransaction has already rolled back its own writes
+      console.error(
+        `Error in /api/game/begin for user ${userId} (Char: ${characterName}):`,
+        error
+      );
+      const errorMessage = error.message.includes("World Building")
+        ? "Failed to generate world lore."
+        : `Failed to start game: ${error.message}`;
+      console.log(
+        `[API /api/game/start] Sending 500 error response: ${errorMessage}`
+      ); // +++ LOG
+      res.status(500).json({ error: errorMessage });
+    }
   }
-});
+);
 
 // --- Endpoint to Join a Multiplayer Game ---
 app.post("/api/game/join", authenticateToken, async (req, res) => {
@@ -1245,6 +3231,7 @@ app.post("/api/game/join", authenticateToken, async (req, res) => {
     characterName,
     characterGender,
     characterImageUrl, // Optional
+    characterAttributes, // Optional attribute bonuses (dice rules only)
   } = req.body;
   const userId = req.user.id;
 
@@ -1260,35 +3247,87 @@ app.post("/api/game/join", authenticateToken, async (req, res) => {
   // ----------------
 
   try {
-    await db.run("BEGIN");
+    // Store an inline portrait on disk before the transaction starts
+    const joinerImageUrl = await persistImageUrl(characterImageUrl || null);
+
+    // Reads and insert share a transaction so two joiners can't take the
+    // same player index; rejections come back as { status, error }
+    const joinResult = await withTransaction(async () => {
+      // 1. Find the session by invite code
+      const session = await db.get(
+        "SELECT session_id, max_players, is_multiplayer, use_dice_rules FROM sessions WHERE invite_code = ?",
+        [inviteCode]
+      );
 
-    // 1. Find the session by invite code
-    const session = await db.get(
-      "SELECT session_id, max_players, is_multiplayer FROM sessions WHERE invite_code = ?",
-      [inviteCode]
-    );
+      if (!session) {
+        return { status: 404, error: "Invite code not found." };
+      }
 
-    if (!session) {
-      await db.run("ROLLBACK");
-      return res.status(404).json({ error: "Invite code not found." });
-    }
+      if (!session.is_multiplayer) {
+        return {
+          status: 400,
+          error: "This session is not a multiplayer game.",
+        };
+      }
 
-    if (!session.is_multiplayer) {
-      await db.run("ROLLBACK");
-      return res
-        .status(400)
-        .json({ error: "This session is not a multiplayer game." });
-    }
+      const sessionId = session.session_id;
 
-    const sessionId = session.session_id;
+      // 2. Check if user is already in the session
+      const existingPlayer = await db.get(
+        "SELECT 1 FROM session_players WHERE session_id = ? AND user_id = ?",
+        [sessionId, userId]
+      );
+      if (existingPlayer) {
+        return { sessionId, alreadyJoined: true };
+      }
 
-    // 2. Check if user is already in the session
-    const existingPlayer = await db.get(
-      "SELECT 1 FROM session_players WHERE session_id = ? AND user_id = ?",
-      [sessionId, userId]
-    );
-    if (existingPlayer) {
-      await db.run("ROLLBACK");
+      // 3. Count current players and check against max_players
+      const playerCountResult = await db.get(
+        "SELECT COUNT(*) as count FROM session_players WHERE session_id = ?",
+        [sessionId]
+      );
+      const playerCount = playerCountResult?.count ?? 0;
+
+      if (playerCount >= session.max_players) {
+        return { status: 403, error: "Session is full." };
+      }
+
+      let attributes = null;
+      if (session.use_dice_rules) {
+        try {
+          attributes = normalizeAttributes(characterAttributes);
+        } catch (error) {
+          if (!(error instanceof CharacterAttributesError)) throw error;
+          return { status: 400, error: error.message };
+        }
+      }
+
+      // 4. Add the new player
+      const nextPlayerIndex = playerCount; // 0-based index
+      const playerInsertSql = `
+        INSERT INTO session_players (
+          session_id, user_id, player_index, 
+          character_name, character_gender, character_image_url, 
+          character_attributes, joined_at, is_active
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime("now"), 1)
+      `;
+      await db.run(playerInsertSql, [
+        sessionId,
+        userId,
+        nextPlayerIndex,
+        characterName,
+        characterGender,
+        joinerImageUrl,
+        attributes && JSON.stringify(attributes),
+      ]);
+      return { sessionId, playerIndex: nextPlayerIndex };
+    });
+
+    if (joinResult.error) {
+      return res.status(joinResult.status).json({ error: joinResult.error });
+    }
+    const { sessionId } = joinResult;
+    if (joinResult.alreadyJoined) {
       // Maybe return success and the sessionId, as they are already in?
       console.log(
         `User ${userId} attempted to join session ${sessionId} they are already in.`
@@ -1299,40 +3338,8 @@ app.post("/api/game/join", authenticateToken, async (req, res) => {
       // Or return a conflict error: return res.status(409).json({ error: "You are already in this session." });
     }
 
-    // 3. Count current players and check against max_players
-    const playerCountResult = await db.get(
-      "SELECT COUNT(*) as count FROM session_players WHERE session_id = ?",
-      [sessionId]
-    );
-    const playerCount = playerCountResult?.count ?? 0;
-
-    if (playerCount >= session.max_players) {
-      await db.run("ROLLBACK");
-      return res.status(403).json({ error: "Session is full." });
-    }
-
-    // 4. Add the new player
-    const nextPlayerIndex = playerCount; // 0-based index
-    const playerInsertSql = `
-      INSERT INTO session_players (
-        session_id, user_id, player_index, 
-        character_name, character_gender, character_image_url, 
-        joined_at, is_active
-      ) VALUES (?, ?, ?, ?, ?, ?, datetime("now"), 1)
-    `;
-    await db.run(playerInsertSql, [
-      sessionId,
-      userId,
-      nextPlayerIndex,
-      characterName,
-      characterGender,
-      characterImageUrl || null, // Use provided URL or null
-    ]);
-
-    await db.run("COMMIT");
-
     console.log(
-      `User ${userId} successfully joined session ${sessionId} as player ${nextPlayerIndex}.`
+      `User ${userId} successfully joined session ${sessionId} as player ${joinResult.playerIndex}.`
     );
 
     // --- Broadcast Update ---
@@ -1349,11 +3356,6 @@ app.post("/api/game/join", authenticateToken, async (req, res) => {
       `Error joining game with invite code ${inviteCode} for user ${userId}:`,
       error
     );
-    try {
-      await db.run("ROLLBACK");
-    } catch (rbError) {
-      console.error("Rollback failed during join error handling:", rbError);
-    }
     // Handle potential UNIQUE constraint violation if race condition occurred (though unlikely with BEGIN/COMMIT)
     if (
       error.message.includes(
@@ -1368,488 +3370,917 @@ app.post("/api/game/join", authenticateToken, async (req, res) => {
   }
 });
 
-// POST /api/game/action - Take an action
-app.post("/api/game/action", authenticateToken, async (req, res) => {
-  const { sessionId, action, turnIndex } = req.body;
-  const requestUserId = req.user.id; // ID of the user making the request
-
-  if (
-    !sessionId ||
-    action === undefined ||
-    action === null ||
-    turnIndex === undefined ||
-    turnIndex === null
-  )
-    return res
-      .status(400)
-      .json({ error: "sessionId, action, and turnIndex are required." });
-
-  if (!requestUserId)
-    return res.status(401).json({ error: "User ID missing after auth." });
-
-  const sourceTurnIndex = parseInt(turnIndex, 10);
+// Session columns processTurnAction relies on
+async function getSessionForTurn(sessionId) {
+  return db.get(
+    `SELECT session_id, theme, is_multiplayer, max_players, current_player_index,
+            game_goal, goal_prerequisites, met_prerequisites, is_goal_met, world_lore,
+            active_branch_id, turn_mode, use_dice_rules, dice_seed, user_id,
+            content_rating
+     FROM sessions WHERE session_id = ?`,
+    [sessionId]
+  );
+}
 
+// --- Resolve an Action into the Next Turn ---
+// Shared by POST /api/game/action and vote rounds: asks the GM for the outcome
+// (streaming the narrative to the room), commits the new turn (forking a branch
+// when asked to act from an older turn), broadcasts the new state and queues
+// the turn image. actingPlayer is a session_players row, or null when the
+// action was merged from the whole party's proposals. `sessionAsSeen` is the
+// session the caller validated the action against; a TurnConflictError is
+// thrown when the game moved on from it before the turn lock was ours.
+async function processTurnAction({
+  session: sessionAsSeen,
+  players,
+  actingPlayer,
+  action,
+  sourceTurnIndex,
+  branchId = null,
+  fork = false, // Acting from a turn before the tip starts a new branch
+  idempotencyKey = null, // Client key; a retry with the same key gets the same turn back
+}) {
+  const sessionId = sessionAsSeen.session_id;
+  const actorName = actingPlayer
+    ? actingPlayer.character_name
+    : "the whole party";
+  // The GM prompt variant the session was assigned, in its current version
+  const gmPrompt = promptRegistry.resolve(
+    PROMPT_TEMPLATES.GM_BASE,
+    await getSessionPromptAssignments(sessionId)
+  );
+  // Merged party actions are billed to the session's owner
+  const usageContext = {
+    sessionId,
+    userId: actingPlayer?.user_id ?? sessionAsSeen.user_id,
+    promptVersion: gmPrompt.versionId,
+  };
+  // One action at a time per session, whichever instance receives it
+  const lockToken = await acquireTurnLock(sessionId);
+  if (!lockToken) throw new TurnInProgressError();
+  let streamStarted = false;
   try {
-    // --- 1. Fetch Session Details, ALL Players, AND Goal State ---
-    const session = await db.get(
-      `SELECT session_id, theme, is_multiplayer, max_players, current_player_index,
-              game_goal, goal_prerequisites, met_prerequisites, is_goal_met
-       FROM sessions WHERE session_id = ?`,
-      [sessionId]
-    );
-    if (!session) {
-      console.warn(`Action submitted for non-existent session ${sessionId}`);
-      return res.status(404).json({ error: "Session not found." });
+    // The original request may have finished while this retry waited
+    if (idempotencyKey) {
+      const previousResult = await getIdempotentActionResult(
+        sessionId,
+        idempotencyKey
+      );
+      if (previousResult) return previousResult;
+    }
+    // Another action or a branch switch may have landed between the caller's
+    // checks and the lock, so work from the session as it is now
+    const session = await getSessionForTurn(sessionId);
+    if (!session) throw new Error(`Session ${sessionId} not found.`);
+    const activeBranchId = session.active_branch_id || MAIN_BRANCH_ID;
+    if (
+      session.current_player_index !== sessionAsSeen.current_player_index ||
+      activeBranchId !== (sessionAsSeen.active_branch_id || MAIN_BRANCH_ID)
+    ) {
+      throw new TurnConflictError();
     }
 
-    const players = await db.all(
-      "SELECT user_id, player_index, character_name, character_gender, character_image_url FROM session_players WHERE session_id = ? ORDER BY player_index ASC",
-      [sessionId]
-    );
-    if (!players || players.length === 0) {
+    // Load the Timeline Being Acted On & Validate sourceTurnIndex
+    const sourceBranchId = branchId || activeBranchId;
+    const timelineRows = await getBranchTimeline(sessionId, sourceBranchId);
+    const latestDbIndex = timelineRows.length - 1;
+    if (sourceTurnIndex < 0 || sourceTurnIndex > latestDbIndex) {
       throw new Error(
-        `No players found for session ${sessionId}, data inconsistency.`
+        `Invalid turnIndex ${sourceTurnIndex}. Must be between 0 and ${latestDbIndex}.`
       );
     }
+    // Only an explicit fork may act from behind the tip; otherwise a turn
+    // landed after the caller looked
+    if (sourceTurnIndex < latestDbIndex && !fork) {
+      throw new TurnConflictError();
+    }
+    const sourceTurn = timelineRows[sourceTurnIndex];
 
-    // Find the details of the user making the request
-    const requestingPlayer = players.find((p) => p.user_id === requestUserId);
-    if (!requestingPlayer) {
-      console.warn(
-        `User ${requestUserId} tried to act in session ${sessionId} but is not listed as a player.`
+    await moderatePlayerText(action, {
+      source: MODERATION_SOURCES.ACTION,
+      rating: session.content_rating,
+      sessionId,
+      userId: actingPlayer?.user_id ?? null,
+    });
+    // Let the other players' clients lock their action input meanwhile
+    broadcastTurnInProgress(sessionId, true, actingPlayer);
+    // The player is acting, so stop the idle countdown while the GM writes
+    if (await turnTimers.clear(sessionId)) await broadcastTurnTimer(sessionId);
+
+    // Goal state as of the source turn (older turns have no snapshot)
+    const sourceMetPrerequisites =
+      sourceTurn.met_prerequisites ?? session.met_prerequisites;
+    const sourceIsGoalMet = sourceTurn.is_goal_met ?? session.is_goal_met;
+
+    // Get History Context
+    const historyRows = timelineRows.slice(0, sourceTurnIndex + 1);
+    if (!historyRows || historyRows.length === 0) {
+      throw new Error(
+        `Could not find any history up to turn ${sourceTurnIndex} in session ${sessionId}`
       );
-      return res
-        .status(403)
-        .json({ error: "You are not a player in this session." });
     }
+    // Summary of the older turns plus the recent ones verbatim, within the
+    // turn provider's history budget
+    const { text: historyContext, verbatimTurnIds } = buildHistoryContext({
+      historyRows,
+      players,
+      summary: await getTimelineSummary(sessionId, historyRows),
+      tokenBudget:
+        getLLMProvider(ACTIVE_LLM_PROVIDER).historyTokenBudget ||
+        DEFAULT_HISTORY_TOKEN_BUDGET,
+    });
+    // Earlier passages that match the action, for details the summary lost
+    const retrievedPassages = await retrieveRelevantPassages(
+      sessionId,
+      action,
+      historyRows,
+      verbatimTurnIds
+    );
 
-    // --- 2. Validate Turn ---
-    if (session.is_multiplayer) {
-      if (session.current_player_index !== requestingPlayer.player_index) {
-        const currentPlayerTurn = players.find(
-          (p) => p.player_index === session.current_player_index
-        );
-        console.warn(
-          `User ${requestUserId} (Index ${
-            requestingPlayer.player_index
-          }) tried to act out of turn in session ${sessionId}. Current turn index: ${
-            session.current_player_index
-          } (${currentPlayerTurn?.character_name || "Unknown"})`
-        );
-        return res.status(403).json({ error: "It's not your turn." });
-      }
-    } // Single player always allowed
+    // Prepare LLM Prompt with Multiplayer AND Goal Context
+    const playerListString = players
+      .map(
+        (p) =>
+          `- ${p.character_name} (${p.character_gender}, Index: ${
+            p.player_index
+          })${p.user_id === actingPlayer?.user_id ? " [Acting Player]" : ""}`
+      )
+      .join("\n"); // Corrected: newline character within the join argument
 
-    // --- 3. Check Connection Status of Current Player ---
-    const currentPlayerIndex = session.current_player_index;
-    const currentPlayerInfo = players.find(
-      (p) => p.player_index === currentPlayerIndex
+    // --- Inject Player List and Persisted World Lore into Base Prompt ---
+    let turnSystemPrompt = gmPrompt.body.replace(
+      /{{playerList}}/g,
+      playerListString
     );
-    let isCurrentPlayerConnected = false;
-    if (session.is_multiplayer && currentPlayerInfo) {
-      const sessionConnections = sessionSockets.get(sessionId);
-      isCurrentPlayerConnected =
-        sessionConnections?.has(currentPlayerInfo.user_id) ?? false;
-      console.log(
-        `Turn Check: Current player ${currentPlayerInfo.character_name} (Index ${currentPlayerIndex}, User ${currentPlayerInfo.user_id}), Connected: ${isCurrentPlayerConnected}`
+    if (!session.world_lore) {
+      console.warn(
+        `Session ${sessionId}: No persisted world lore found for turn ${
+          sourceTurnIndex + 1
+        }`
       );
-    } else if (!session.is_multiplayer) {
-      // Single player is always considered "connected" for turn logic
-      isCurrentPlayerConnected = true;
     }
+    // NPCs met and places visited on this timeline so far, so returning
+    // ones stay consistent
+    turnSystemPrompt = injectNpcCodex(
+      turnSystemPrompt,
+      await getNpcCodex(sessionId, historyRows)
+    );
+    turnSystemPrompt = injectLocationContext(
+      turnSystemPrompt,
+      await getLocationMap(sessionId, historyRows)
+    );
+    turnSystemPrompt = injectInventory(turnSystemPrompt, players, historyRows);
+    turnSystemPrompt = injectWorldLore(turnSystemPrompt, session.world_lore);
+    turnSystemPrompt = injectContentRating(
+      turnSystemPrompt,
+      session.content_rating
+    );
 
-    // --- 4. Handle Action OR Skip Turn ---
-    if (isCurrentPlayerConnected) {
-      // --- 4a. PROCESS ACTION (Current Player is Connected) ---
-      console.log(
-        `User ${requestUserId} (Player Index ${currentPlayerIndex}) is connected. Processing action.`
+    // --- Inject Goal Context into Base Prompt ---
+    if (
+      session.game_goal &&
+      session.goal_prerequisites &&
+      sourceMetPrerequisites
+    ) {
+      turnSystemPrompt = turnSystemPrompt
+        .replace(/{{gameGoal}}/g, session.game_goal)
+        .replace(
+          /{{goalPrerequisites}}/g,
+          JSON.stringify(JSON.parse(session.goal_prerequisites))
+        ) // Pass as JSON array string
+        .replace(
+          /{{metPrerequisites}}/g,
+          JSON.stringify(JSON.parse(sourceMetPrerequisites))
+        ); // Pass as JSON array string
+    } else {
+      // Should not happen after turn 0, but handle defensively
+      console.warn(
+        `Session ${sessionId}: Missing goal context for turn ${
+          sourceTurnIndex + 1
+        }`
       );
-      await db.run("BEGIN"); // Start transaction for action processing
-      try {
-        // Get Max Turn Index & Validate sourceTurnIndex
-        const maxTurnRow = await db.get(
-          "SELECT MAX(turn_index) as max_index FROM turns WHERE session_id = ?",
-          [sessionId]
-        );
-        const latestDbIndex = maxTurnRow?.max_index ?? -1;
-        if (sourceTurnIndex < 0 || sourceTurnIndex > latestDbIndex) {
-          throw new Error(
-            `Invalid turnIndex ${sourceTurnIndex}. Must be between 0 and ${latestDbIndex}.`
-          );
-        }
-
-        // Get History Context
-        const historyRows = await db.all(
-          `SELECT turn_index, scenario_text, action_taken, acting_player_user_id, acting_player_index 
-                 FROM turns 
-                 WHERE session_id = ? AND turn_index <= ? 
-                 ORDER BY turn_index ASC`,
-          [sessionId, sourceTurnIndex]
-        );
-        if (!historyRows || historyRows.length === 0) {
-          throw new Error(
-            `Could not find any history up to turn ${sourceTurnIndex} in session ${sessionId}`
-          );
-        }
-        let historyContext = ""; // Build history context string
-        historyRows.forEach((turn) => {
-          historyContext += `Turn ${turn.turn_index}:\n`;
-          // Find who acted based on turn data
-          const playerWhoActed = players.find(
-            (p) => p.player_index === turn.acting_player_index
-          );
-          const actionTakerName = playerWhoActed
-            ? playerWhoActed.character_name
-            : "System";
-
-          if (turn.turn_index > 0) {
-            historyContext += `Action Taken (by ${actionTakerName}): ${
-              turn.action_taken || "(Unknown Action)"
-            }\n`;
-          } else {
-            historyContext += `Action Taken: (Game Start)\n`;
-          }
-          historyContext += `Scenario: ${turn.scenario_text}\n\n`;
-        });
-
-        // Get Previous Image Data
-        const previousImageRow = await db.get(
-          "SELECT image_url FROM turns WHERE session_id = ? AND turn_index = ?",
-          [sessionId, sourceTurnIndex]
-        );
-        const previousImageUrl = previousImageRow?.image_url;
-        let base64PreviousImage = null; // Extract base64 if needed
-        if (
-          previousImageUrl &&
-          previousImageUrl.startsWith("data:image/png;base64,")
-        ) {
-          base64PreviousImage = previousImageUrl.split(",")[1];
-        } else if (previousImageUrl) {
-          console.warn(
-            "Previous image URL is not a base64 Data URL:",
-            previousImageUrl
-          );
-        }
-
-        // Prepare LLM Prompt with Multiplayer AND Goal Context
-        const playerListString = players
-          .map(
-            (p) =>
-              `- ${p.character_name} (${p.character_gender}, Index: ${
-                p.player_index
-              })${p.user_id === requestUserId ? " [Acting Player]" : ""}`
-          )
-          .join("\n"); // Corrected: newline character within the join argument
-
-        // --- Inject Goal Context into Base Prompt ---
-        let turnSystemPrompt = GM_BASE_PROMPT.replace(
-          /{{playerList}}/g,
-          playerListString
-        );
-        if (
-          session.game_goal &&
-          session.goal_prerequisites &&
-          session.met_prerequisites
-        ) {
-          turnSystemPrompt = turnSystemPrompt
-            .replace(/{{gameGoal}}/g, session.game_goal)
-            .replace(
-              /{{goalPrerequisites}}/g,
-              JSON.stringify(JSON.parse(session.goal_prerequisites))
-            ) // Pass as JSON array string
-            .replace(
-              /{{metPrerequisites}}/g,
-              JSON.stringify(JSON.parse(session.met_prerequisites))
-            ); // Pass as JSON array string
-        } else {
-          // Should not happen after turn 0, but handle defensively
-          console.warn(
-            `Session ${sessionId}: Missing goal context for turn ${
-              sourceTurnIndex + 1
-            }`
-          );
-          turnSystemPrompt = turnSystemPrompt
-            .replace(
-              "Goal & Prerequisites Context (Provided for turns AFTER the first):",
-              "// Goal Context Missing //"
-            )
-            .replace("- Game Goal: {{gameGoal}}", "")
-            .replace("- All Prerequisites: {{goalPrerequisites}}", "")
-            .replace("- Prerequisites Met So Far: {{metPrerequisites}}", "");
-        }
-        // --- End Goal Context Injection ---
-
-        const turnUserInstruction = `
+      turnSystemPrompt = turnSystemPrompt
+        .replace(
+          "Goal & Prerequisites Context (Provided for turns AFTER the first):",
+          "// Goal Context Missing //"
+        )
+        .replace("- Game Goal: {{gameGoal}}", "")
+        .replace("- All Prerequisites: {{goalPrerequisites}}", "")
+        .replace("- Prerequisites Met So Far: {{metPrerequisites}}", "");
+    }
+    // --- End Goal Context Injection ---
+
+    const newTurnId = uuidv4(); // Also identifies the narrative stream
+
+    // Dice rules: the roll is made before the GM writes, so the GM can't
+    // decide the outcome on its own
+    const diceRoll =
+      session.use_dice_rules && session.dice_seed
+        ? performSkillCheck({
+            seed: session.dice_seed,
+            nonce: newTurnId,
+            action,
+            attributes: actingPlayer?.character_attributes
+              ? JSON.parse(actingPlayer.character_attributes)
+              : null,
+            difficulty: DICE_CHECK_DIFFICULTY,
+          })
+        : null;
+
+    const turnUserInstruction = `
 --- Game History ---
 ${historyContext.trim()}
-
---- Player Action (from ${requestingPlayer.character_name}) ---
-${action}
-
+${
+  retrievedPassages.length > 0
+    ? `\n--- Relevant Earlier Passages ---\n${formatPassagesForPrompt(
+        retrievedPassages
+      )}\n`
+    : ""
+}
+--- Player Action (from ${actorName}) ---
+${action}${actingPlayer ? "" : `\n\n${MERGED_ACTION_INSTRUCTION}`}
+${
+  diceRoll
+    ? `\n--- Dice Roll ---\n${formatDiceRollForPrompt(diceRoll, actorName)}\n`
+    : ""
+}
 Determine the outcome, update the narrative, image, suggestions, etc. Based on the action and the Goal Context provided in the system prompt, update the list of met prerequisites ('updated_met_prerequisites') and determine if the main game goal was met this turn ('is_goal_met_this_turn'). Ensure the response is valid JSON matching the Subsequent Turn structure.
 `;
-        // Note: No longer need to pass character info in the user instruction if it's in the system prompt player list
-        const combinedTurnPrompt = `${turnSystemPrompt}
-
-${turnUserInstruction}`;
+    // Note: No longer need to pass character info in the user instruction if it's in the system prompt player list
 
-        console.log(
-          `--- Sending Turn ${sourceTurnIndex + 1} Prompt to LLM ... ---`
-        );
-        // Pass false for isInitialTurn
-        const nextTurnData = await callLLM(combinedTurnPrompt, 3, false);
-
-        // --- Extract Goal Update Info ---
-        const updatedMetPrerequisites =
-          nextTurnData.updated_met_prerequisites || []; // Default to empty array
-        const isGoalMetThisTurn = nextTurnData.is_goal_met_this_turn || false; // Default to false
-        // ------------------------------
-
-        // Generate Image
-        let newImageUrl = await generateImageWithAppropriateProvider(
-          nextTurnData,
-          base64PreviousImage
-        );
+    // Branching check: a fork from an older turn starts a new branch and
+    // keeps the existing future as an alternate timeline
+    const isFork = sourceTurnIndex < latestDbIndex;
+    const newBranchId = isFork ? uuidv4() : sourceBranchId;
+    if (isFork) {
+      console.log(
+        `Session ${sessionId}: Forking branch ${newBranchId} from turn ${sourceTurnIndex} of branch ${sourceBranchId}.`
+      );
+    }
+    const newTurnIndex = sourceTurnIndex + 1;
 
-        // Branching check
-        if (sourceTurnIndex < latestDbIndex) {
-          /* ... delete future turns ... */
-        }
+    console.log(
+      `--- Sending Turn ${sourceTurnIndex + 1} Prompt to LLM ... ---`
+    );
+    // Stream the narrative to the whole room while the GM writes it. Family
+    // games don't stream: their text only goes out once moderation passed it.
+    let parseNarrativeChunk = null;
+    const streamHandlers =
+      session.content_rating === CONTENT_RATINGS.FAMILY &&
+      MODERATION_PROVIDER !== "off"
+        ? null
+        : {
+            onAttemptStart: (attempt) => {
+              parseNarrativeChunk =
+                createJsonStringFieldStreamParser("narrative");
+              streamStarted = true;
+              broadcastSessionEvent(sessionId, "TURN_STREAM_START", {
+                sessionId,
+                turnId: newTurnId,
+                turnIndex: newTurnIndex,
+                branchId: newBranchId,
+                action,
+                actingPlayerIndex: actingPlayer?.player_index ?? null,
+                attempt,
+              });
+            },
+            onDelta: (chunk) => {
+              const delta = parseNarrativeChunk(chunk);
+              if (delta) {
+                broadcastSessionEvent(sessionId, "TURN_STREAM_DELTA", {
+                  sessionId,
+                  turnId: newTurnId,
+                  delta,
+                });
+              }
+            },
+          };
+    const generatedTurnData = await callLLM(
+      turnUserInstruction,
+      turnSystemPrompt, // System prompt carries player list, lore and goal context
+      { callType: LLM_CALL_TYPES.TURN, streamHandlers, usageContext }
+    );
+    // A rewritten turn replaces the streamed narrative once committed
+    const nextTurnData = await moderateTurnData(generatedTurnData, {
+      rating: session.content_rating,
+      sessionId,
+      usageContext,
+    });
 
-        // Insert New Turn
-        const newTurnIndex = sourceTurnIndex + 1;
-        const newTurnId = uuidv4();
-        // Explicitly define columns and placeholders
-        const turnColumns = [
-          "turn_id",
-          "session_id",
-          "turn_index",
-          "scenario_text",
-          "image_url",
-          "image_prompt",
-          "suggested_actions",
-          "action_taken",
-          "time_of_day",
-          "is_same_location",
-          "characters",
-          "acting_player_user_id",
-          "acting_player_index",
-          "created_at", // 14 columns
-        ];
-        const turnPlaceholders = Array(13).fill("?").join(", "); // 13 placeholders
-        const turnInsertSql = `INSERT INTO turns (${turnColumns.join(
-          ", "
-        )}) VALUES (${turnPlaceholders}, datetime('now'))`;
+    // --- Extract Goal Update Info ---
+    const updatedMetPrerequisites =
+      nextTurnData.updated_met_prerequisites || []; // Default to empty array
+    const isGoalMetThisTurn = nextTurnData.is_goal_met_this_turn || false; // Default to false
+    // ------------------------------
+    const finalGoalMetStatus = isGoalMetThisTurn || sourceIsGoalMet === 1; // Keep goal met if it was already met
+
+    // Insert New Turn (the image follows once generated after commit)
+    // Explicitly define columns and placeholders
+    const turnColumns = [
+      "turn_id",
+      "session_id",
+      "turn_index",
+      "scenario_text",
+      "image_url",
+      "image_prompt",
+      "image_status",
+      "suggested_actions",
+      "action_taken",
+      "time_of_day",
+      "is_same_location",
+      "characters",
+      "acting_player_user_id",
+      "acting_player_index",
+      "branch_id",
+      "parent_turn_id",
+      "met_prerequisites",
+      "is_goal_met",
+      "idempotency_key",
+      "location_name",
+      "inventory_changes",
+      "dice_roll",
+      "retrieved_passages",
+      "prompt_version",
+      "created_at", // 25 columns
+    ];
+    const turnPlaceholders = Array(24).fill("?").join(", "); // 24 placeholders
+    const turnInsertSql = `INSERT INTO turns (${turnColumns.join(
+      ", "
+    )}) VALUES (${turnPlaceholders}, datetime('now'))`;
 
-        // Prepare the 13 parameters corresponding to the placeholders
-        const turnParams = [
-          newTurnId, // 1
-          sessionId, // 2
-          newTurnIndex, // 3
-          nextTurnData.narrative, // 4
-          newImageUrl, // 5
-          nextTurnData.image_prompt, // 6
-          JSON.stringify(nextTurnData.suggested_actions || []), // 7
-          action, // 8 (action taken this turn)
-          nextTurnData.timeOfDay, // 9
-          nextTurnData.isSameLocation ? 1 : 0, // 10
-          JSON.stringify(nextTurnData.characters || []), // 11
-          requestUserId, // 12 (acting_player_user_id)
-          requestingPlayer.player_index, // 13 (acting_player_index)
-        ];
+    // Prepare the 24 parameters corresponding to the placeholders
+    const turnParams = [
+      newTurnId, // 1
+      sessionId, // 2
+      newTurnIndex, // 3
+      nextTurnData.narrative, // 4
+      null, // 5 (image_url, filled in by the image job queue)
+      nextTurnData.image_prompt, // 6
+      IMAGE_STATUS.PENDING, // 7 (image_status)
+      JSON.stringify(nextTurnData.suggested_actions || []), // 8
+      action, // 9 (action taken this turn)
+      nextTurnData.timeOfDay, // 10
+      nextTurnData.isSameLocation ? 1 : 0, // 11
+      JSON.stringify(nextTurnData.characters || []), // 12
+      actingPlayer?.user_id ?? null, // 13 (acting_player_user_id)
+      actingPlayer?.player_index ?? null, // 14 (acting_player_index)
+      newBranchId, // 15 (branch_id)
+      sourceTurn.turn_id, // 16 (parent_turn_id)
+      JSON.stringify(updatedMetPrerequisites), // 17 (met_prerequisites snapshot)
+      finalGoalMetStatus ? 1 : 0, // 18 (is_goal_met snapshot)
+      idempotencyKey, // 19
+      sanitizeLocationName(nextTurnData.location), // 20 (location_name)
+      JSON.stringify(
+        resolveInventoryChanges(
+          nextTurnData.inventory_changes,
+          players,
+          actingPlayer?.player_index ?? null
+        )
+      ), // 21 (inventory_changes)
+      diceRoll && JSON.stringify(diceRoll), // 22 (dice_roll)
+      JSON.stringify(
+        retrievedPassages.map(({ content, ...passage }) => passage)
+      ), // 23 (retrieved_passages, without the text)
+      gmPrompt.versionId, // 24 (prompt_version)
+    ];
 
-        // Debug log before executing
-        console.log(`DEBUG: Executing SQL: ${turnInsertSql}`);
-        console.log(
-          `DEBUG: With Params (${turnParams.length}):`,
-          JSON.stringify(
-            turnParams.map((p) =>
-              typeof p === "string" && p.length > 50
-                ? p.substring(0, 50) + "..."
-                : p
-            )
-          )
-        );
+    // Debug log before executing
+    console.log(`DEBUG: Executing SQL: ${turnInsertSql}`);
+    console.log(
+      `DEBUG: With Params (${turnParams.length}):`,
+      JSON.stringify(
+        turnParams.map((p) =>
+          typeof p === "string" && p.length > 50
+            ? p.substring(0, 50) + "..."
+            : p
+        )
+      )
+    );
 
-        await db.run(turnInsertSql, turnParams);
+    // Only the writes are transactional: the turn lock keeps other actions
+    // on this session out, and an open transaction would hold up every other
+    // session's writes for the whole LLM call
+    await withTransaction(async () => {
+      await db.run(turnInsertSql, turnParams);
+      await recordTurnNpcs(db, sessionId, newTurnId, nextTurnData.characters);
+      await recordTurnLocation(db, sessionId, {
+        turnId: newTurnId,
+        parentTurnId: sourceTurn.turn_id,
+        locationName: nextTurnData.location,
+        isSameLocation: !!nextTurnData.isSameLocation,
+      });
+      await insertStoryPassages(
+        db,
+        sessionId,
+        getTurnPassages({
+          turn_id: newTurnId,
+          turn_index: newTurnIndex,
+          action_taken: action,
+          scenario_text: nextTurnData.narrative,
+          characters: JSON.stringify(nextTurnData.characters || []),
+        })
+      );
 
-        // Calculate next player index
-        let nextPlayerIndex = currentPlayerIndex;
-        if (session.is_multiplayer) {
-          const numPlayers = players.length;
-          // Simple round-robin for now
-          nextPlayerIndex = (currentPlayerIndex + 1) % numPlayers;
-        }
+      // Calculate next player index
+      // Voting modes don't rotate turns; everyone acts together
+      let nextPlayerIndex = session.current_player_index;
+      if (session.is_multiplayer && !isVotingTurnMode(session.turn_mode)) {
+        const numPlayers = players.length;
+        // Simple round-robin for now
+        nextPlayerIndex = (session.current_player_index + 1) % numPlayers;
+      }
 
-        // --- Update session: last_updated_at, current_player_index, AND Goal State ---
-        const finalGoalMetStatus =
-          isGoalMetThisTurn || session.is_goal_met === 1; // Keep goal met if it was already met
-        await db.run(
-          `UPDATE sessions SET 
+      // --- Update session: last_updated_at, current_player_index, Goal State AND Active Branch ---
+      await db.run(
+        `UPDATE sessions SET 
              last_updated_at = datetime("now"), 
              current_player_index = ?,
              met_prerequisites = ?, 
-             is_goal_met = ? 
+             is_goal_met = ?,
+             active_branch_id = ?
            WHERE session_id = ?`,
-          [
-            nextPlayerIndex,
-            JSON.stringify(updatedMetPrerequisites), // Store updated list as JSON string
-            finalGoalMetStatus ? 1 : 0, // Store boolean as 0 or 1
-            sessionId,
-          ]
-        );
-        console.log(
-          ` -> Session ${sessionId} updated. Next Turn: ${nextPlayerIndex}. Goal Met: ${finalGoalMetStatus}. Met Prereqs: ${JSON.stringify(
-            updatedMetPrerequisites
-          )}`
-        );
-        // ---------------------------------------------------------------------------
+        [
+          nextPlayerIndex,
+          JSON.stringify(updatedMetPrerequisites), // Store updated list as JSON string
+          finalGoalMetStatus ? 1 : 0, // Store boolean as 0 or 1
+          newBranchId,
+          sessionId,
+        ]
+      );
+      console.log(
+        ` -> Session ${sessionId} updated. Next Turn: ${nextPlayerIndex}. Goal Met: ${finalGoalMetStatus}. Met Prereqs: ${JSON.stringify(
+          updatedMetPrerequisites
+        )}`
+      );
+      // ---------------------------------------------------------------------------
+    });
+    await armTurnTimer(sessionId); // Next player's countdown
 
-        await db.run("COMMIT"); // Commit transaction
+    // Fetch Updated State & Broadcast
+    const updatedState = await getFullSessionState(sessionId);
+    if (!updatedState) {
+      throw new Error(
+        `Failed to retrieve session state for ${sessionId} after action.`
+      );
+    }
+    // This action still holds the turn lock until the finally below, but as
+    // far as clients are concerned the turn is over
+    const responsePayload = { ...updatedState, turnInProgress: false };
 
-        // Fetch Updated State & Broadcast
-        const responsePayload = await getFullSessionState(sessionId);
-        if (!responsePayload) {
-          throw new Error(
-            `Failed to retrieve session state for ${sessionId} after action.`
-          );
-        }
+    console.log(
+      `Advanced session ${sessionId} to turn ${newTurnIndex}. Next turn: Player Index ${responsePayload.currentPlayerIndex}.`
+    );
+    // Send the committed turn before ending the stream so clients swap
+    // the partial narrative for the final turn without a gap
+    broadcastSessionUpdate(sessionId, responsePayload);
+    broadcastSessionEvent(sessionId, "TURN_STREAM_END", {
+      sessionId,
+      turnId: newTurnId,
+      success: true,
+    });
 
-        console.log(
-          `Advanced session ${sessionId} to turn ${newTurnIndex}. Next turn: Player Index ${responsePayload.currentPlayerIndex}.`
-        );
-        broadcastSessionUpdate(sessionId, responsePayload);
-        res.status(200).json(responsePayload); // Send update to the requester
-      } catch (actionError) {
-        await db.run("ROLLBACK"); // Rollback on action processing error
+    // Generate the image and fold older turns into the story summary
+    // without holding up the turn
+    enqueueTurnImage(sessionId, newTurnId);
+    refreshStorySummary(sessionId, newBranchId, usageContext).catch((err) =>
+      console.error(
+        `Session ${sessionId}: Failed to refresh the story summary:`,
+        err
+      )
+    );
+    return { ...responsePayload, resultTurnId: newTurnId };
+  } catch (actionError) {
+    if (streamStarted) {
+      // Let clients drop the partial narrative
+      broadcastSessionEvent(sessionId, "TURN_STREAM_END", {
+        sessionId,
+        success: false,
+        error: actionError.message,
+      });
+    }
+    console.error(
+      `Error processing action for session ${sessionId} (Actor: ${actorName}):`,
+      actionError
+    );
+    // Same player is still up, so give them a fresh countdown (after a
+    // conflict, the action that got in first already armed the next one)
+    if (!(actionError instanceof TurnConflictError)) {
+      armTurnTimer(sessionId).catch((timerError) =>
         console.error(
-          `Error processing action for session ${sessionId} (User: ${requestUserId}):`,
-          actionError
-        );
-        // Re-throw or handle error response
-        throw actionError; // Propagate to outer catch block
+          `Failed to re-arm turn timer for ${sessionId}:`,
+          timerError
+        )
+      );
+    }
+    throw actionError; // Let the caller report the failure
+  } finally {
+    await releaseTurnLock(sessionId, lockToken);
+    broadcastTurnInProgress(sessionId, false, actingPlayer);
+  }
+}
+
+// POST /api/game/action - Take an action
+app.post(
+  "/api/game/action",
+  authenticateToken,
+  rateLimit("game_action"),
+  async (req, res) => {
+    const { sessionId, action, turnIndex, branchId, fork, idempotencyKey } =
+      req.body; // branchId optional, defaults to the active branch; fork to act from an older turn
+    const requestUserId = req.user.id; // ID of the user making the request
+
+    if (
+      !sessionId ||
+      action === undefined ||
+      action === null ||
+      turnIndex === undefined ||
+      turnIndex === null
+    )
+      return res
+        .status(400)
+        .json({ error: "sessionId, action, and turnIndex are required." });
+
+    // Optional, but clients should send one per submit and reuse it on retry
+    if (
+      idempotencyKey !== undefined &&
+      (typeof idempotencyKey !== "string" ||
+        !idempotencyKey ||
+        idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)
+    ) {
+      return res.status(400).json({
+        error: `idempotencyKey must be a non-empty string of at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters.`,
+      });
+    }
+
+    if (!requestUserId)
+      return res.status(401).json({ error: "User ID missing after auth." });
+
+    const sourceTurnIndex = parseInt(turnIndex, 10);
+
+    try {
+      // --- 1. Fetch Session Details, ALL Players, AND Goal State ---
+      const session = await getSessionForTurn(sessionId);
+      if (!session) {
+        console.warn(`Action submitted for non-existent session ${sessionId}`);
+        return res.status(404).json({ error: "Session not found." });
       }
-    } else {
-      // --- 4b. SKIP TURN (Current Player is Disconnected) ---
-      console.warn(
-        `Player ${currentPlayerInfo?.character_name} (Index ${currentPlayerIndex}) is disconnected. Skipping turn.`
+
+      const players = await db.all(
+        "SELECT user_id, player_index, character_name, character_gender, character_image_url, character_attributes FROM session_players WHERE session_id = ? ORDER BY player_index ASC",
+        [sessionId]
       );
-      await db.run("BEGIN"); // Start transaction for turn skip
-      try {
-        let nextConnectedPlayerIndex = -1;
-        const numPlayers = players.length;
-        let checkedCount = 0;
-        let currentCheckIndex = currentPlayerIndex;
+      if (!players || players.length === 0) {
+        throw new Error(
+          `No players found for session ${sessionId}, data inconsistency.`
+        );
+      }
 
-        while (checkedCount < numPlayers) {
-          currentCheckIndex = (currentCheckIndex + 1) % numPlayers;
-          const playerToCheck = players.find(
-            (p) => p.player_index === currentCheckIndex
+      // Find the details of the user making the request
+      const requestingPlayer = players.find((p) => p.user_id === requestUserId);
+      if (!requestingPlayer) {
+        console.warn(
+          `User ${requestUserId} tried to act in session ${sessionId} but is not listed as a player.`
+        );
+        return res
+          .status(403)
+          .json({ error: "You are not a player in this session." });
+      }
+      if (await rejectIfOverQuota(res, requestUserId)) return;
+
+      // A retry of an action that already went through; checked before the
+      // turn validation since the turn has moved on since then
+      if (idempotencyKey) {
+        const previousResult = await getIdempotentActionResult(
+          sessionId,
+          idempotencyKey
+        );
+        if (previousResult) {
+          console.log(
+            `Replaying action ${idempotencyKey} for session ${sessionId} (turn ${previousResult.resultTurnId}).`
           );
-          if (playerToCheck) {
-            const sessionConnections = sessionSockets.get(sessionId);
-            const isConnected =
-              sessionConnections?.has(playerToCheck.user_id) ?? false;
-            if (isConnected) {
-              nextConnectedPlayerIndex = currentCheckIndex;
-              break; // Found next connected player
-            }
-          }
-          checkedCount++;
+          return res.status(200).json(previousResult);
         }
+      }
 
-        if (nextConnectedPlayerIndex !== -1) {
-          console.log(
-            `Found next connected player: Index ${nextConnectedPlayerIndex}. Updating session.`
-          );
-          // Update session current_player_index only
-          await db.run(
-            'UPDATE sessions SET current_player_index = ?, last_updated_at = datetime("now") WHERE session_id = ?',
-            [nextConnectedPlayerIndex, sessionId]
+      // --- 2. Validate Turn ---
+      if (session.is_multiplayer && isVotingTurnMode(session.turn_mode)) {
+        return res.status(409).json({
+          error:
+            "This session decides turns by vote. Propose an action instead.",
+        });
+      }
+      if (session.is_multiplayer) {
+        if (session.current_player_index !== requestingPlayer.player_index) {
+          const currentPlayerTurn = players.find(
+            (p) => p.player_index === session.current_player_index
           );
-          await db.run("COMMIT"); // Commit the session update
-
-          // Fetch Updated State & Broadcast
-          const updatedState = await getFullSessionState(sessionId);
-          if (!updatedState) {
-            throw new Error(
-              `Failed to retrieve session state for ${sessionId} after skipping turn.`
-            );
-          }
-
-          broadcastSessionUpdate(sessionId, updatedState);
-          // Send a specific response to the requester (who wasn't the one skipped)
-          res.status(200).json({
-            message: "Previous player disconnected, turn skipped.",
-            updatedState,
-          });
-        } else {
           console.warn(
-            `Session ${sessionId}: All players disconnected or no connected players found. Game paused.`
+            `User ${requestUserId} (Index ${
+              requestingPlayer.player_index
+            }) tried to act out of turn in session ${sessionId}. Current turn index: ${
+              session.current_player_index
+            } (${currentPlayerTurn?.character_name || "Unknown"})`
           );
-          await db.run("ROLLBACK"); // No changes needed if no one is connected
-          // Send response indicating game is paused or no active players
-          res
-            .status(409)
-            .json({ error: "No active players available to take the turn." });
+          return res.status(403).json({ error: "It's not your turn." });
         }
-      } catch (skipError) {
-        await db.run("ROLLBACK"); // Rollback on skip processing error
-        console.error(
-          `Error skipping turn for session ${sessionId}:`,
-          skipError
+      } // Single player always allowed
+
+      // --- 3. Check Connection Status of Current Player ---
+      const currentPlayerIndex = session.current_player_index;
+      const currentPlayerInfo = players.find(
+        (p) => p.player_index === currentPlayerIndex
+      );
+      let isCurrentPlayerConnected = false;
+      const connectedUserIds = await getConnectedUserIds(sessionId);
+      if (session.is_multiplayer && currentPlayerInfo) {
+        isCurrentPlayerConnected = connectedUserIds.has(
+          currentPlayerInfo.user_id
         );
-        throw skipError; // Propagate to outer catch block
+        console.log(
+          `Turn Check: Current player ${currentPlayerInfo.character_name} (Index ${currentPlayerIndex}, User ${currentPlayerInfo.user_id}), Connected: ${isCurrentPlayerConnected}`
+        );
+      } else if (!session.is_multiplayer) {
+        // Single player is always considered "connected" for turn logic
+        isCurrentPlayerConnected = true;
       }
-    }
-  } catch (error) {
-    // Outer catch block for any unhandled errors (including propagated ones)
-    console.error(
-      `Unhandled error in POST /api/game/action for session ${sessionId}:`,
-      error
-    );
-    // Ensure rollback is attempted if not already done
-    db.get("PRAGMA journal_mode")
-      .catch(() => {})
-      .finally(() => {
-        // Check if transaction active indirectly
-        db.run("ROLLBACK").catch((rbError) =>
-          console.error("Outer catch rollback failed:", rbError)
+
+      // --- 4. Handle Action OR Skip Turn ---
+      if (isCurrentPlayerConnected) {
+        // --- 4a. PROCESS ACTION (Current Player is Connected) ---
+        console.log(
+          `User ${requestUserId} (Player Index ${currentPlayerIndex}) is connected. Processing action.`
         );
-      });
+        const responsePayload = await processTurnAction({
+          session,
+          players,
+          actingPlayer: requestingPlayer,
+          action,
+          sourceTurnIndex,
+          branchId,
+          fork: fork === true,
+          idempotencyKey: idempotencyKey ?? null,
+        });
+        res.status(200).json(responsePayload); // Send update to the requester
+      } else {
+        // --- 4b. SKIP TURN (Current Player is Disconnected) ---
+        console.warn(
+          `Player ${currentPlayerInfo?.character_name} (Index ${currentPlayerIndex}) is disconnected. Skipping turn.`
+        );
+        try {
+          const nextConnectedPlayerIndex = findNextConnectedPlayerIndex(
+            players,
+            currentPlayerIndex,
+            connectedUserIds
+          );
 
-    if (error instanceof SyntaxError && error.message.includes("JSON.parse")) {
-      res.status(500).json({ error: `Invalid data encountered.` });
-    } else {
-      res
-        .status(500)
-        .json({ error: `Failed to process action: ${error.message}` });
+          if (nextConnectedPlayerIndex !== -1) {
+            console.log(
+              `Found next connected player: Index ${nextConnectedPlayerIndex}. Updating session.`
+            );
+            // Update session current_player_index only (a single statement,
+            // so no transaction needed)
+            await db.run(
+              'UPDATE sessions SET current_player_index = ?, last_updated_at = datetime("now") WHERE session_id = ?',
+              [nextConnectedPlayerIndex, sessionId]
+            );
+            await armTurnTimer(sessionId);
+
+            // Fetch Updated State & Broadcast
+            const updatedState = await getFullSessionState(sessionId);
+            if (!updatedState) {
+              throw new Error(
+                `Failed to retrieve session state for ${sessionId} after skipping turn.`
+              );
+            }
+
+            broadcastSessionUpdate(sessionId, updatedState);
+            // Send a specific response to the requester (who wasn't the one skipped)
+            res.status(200).json({
+              message: "Previous player disconnected, turn skipped.",
+              updatedState,
+            });
+          } else {
+            console.warn(
+              `Session ${sessionId}: All players disconnected or no connected players found. Game paused.`
+            );
+            // Send response indicating game is paused or no active players
+            res
+              .status(409)
+              .json({ error: "No active players available to take the turn." });
+          }
+        } catch (skipError) {
+          console.error(
+            `Error skipping turn for session ${sessionId}:`,
+            skipError
+          );
+          throw skipError; // Propagate to outer catch block
+        }
+      }
+    } catch (error) {
+      if (error instanceof TurnInProgressError) {
+        console.warn(
+          `Action rejected for session ${sessionId}: ${error.message}`
+        );
+        return res
+          .status(409)
+          .json({ error: error.message, code: "turn_in_progress" });
+      }
+      if (error instanceof TurnConflictError) {
+        console.warn(
+          `Action rejected for session ${sessionId}: ${error.message}`
+        );
+        return res
+          .status(409)
+          .json({ error: error.message, code: "turn_conflict" });
+      }
+      if (error instanceof ContentModerationError) {
+        return res
+          .status(422)
+          .json({ error: error.message, code: "content_blocked" });
+      }
+      // Outer catch block for any unhandled errors (including propagated ones)
+      console.error(
+        `Unhandled error in POST /api/game/action for session ${sessionId}:`,
+        error
+      );
+      // processTurnAction rolls back its own transaction; a blind ROLLBACK
+      // here could abort another request's writes on the shared connection
+
+      if (
+        error instanceof SyntaxError &&
+        error.message.includes("JSON.parse")
+      ) {
+        res.status(500).json({ error: `Invalid data encountered.` });
+      } else {
+        res
+          .status(500)
+          .json({ error: `Failed to process action: ${error.message}` });
+      }
     }
   }
-});
+);
+
+// Next player (after fromPlayerIndex, wrapping around) with a live socket, or
+// -1 when nobody is connected. Can return fromPlayerIndex itself.
+function findNextConnectedPlayerIndex(
+  players,
+  fromPlayerIndex,
+  connectedUserIds
+) {
+  const numPlayers = players.length;
+  let currentCheckIndex = fromPlayerIndex;
+  for (let checkedCount = 0; checkedCount < numPlayers; checkedCount++) {
+    currentCheckIndex = (currentCheckIndex + 1) % numPlayers;
+    const playerToCheck = players.find(
+      (p) => p.player_index === currentCheckIndex
+    );
+    if (playerToCheck && connectedUserIds.has(playerToCheck.user_id)) {
+      return currentCheckIndex; // Found next connected player
+    }
+  }
+  return -1;
+}
 
 // Helper to consolidate image generation provider logic (Example)
+// Returns an image store URL; providers return base64 which never hits the DB.
 async function generateImageWithAppropriateProvider(
   turnData,
-  base64PreviousImage
+  base64PreviousImage,
+  usageContext
 ) {
+  const imagePrompt = applyImageContentRating(
+    turnData.image_prompt,
+    turnData.contentRating
+  );
+  let imageUrl;
   switch (ACTIVE_IMAGE_PROVIDER) {
     case "google":
-      return await generateImageWithImagen(turnData.image_prompt);
+      imageUrl = await generateImageWithImagen(imagePrompt);
+      break;
     case "google-flash":
       if (turnData.isSameLocation && base64PreviousImage) {
-        return await generateImageWithGoogleFlash(
-          turnData.image_prompt,
+        imageUrl = await generateImageWithGoogleFlash(
+          imagePrompt,
           base64PreviousImage
         );
       } else {
-        return await generateImageWithGoogleFlash(turnData.image_prompt);
+        imageUrl = await generateImageWithGoogleFlash(imagePrompt);
       }
+      break;
     case "openai":
-      return await generateImageWithOpenAI(turnData.image_prompt);
+      imageUrl = await generateImageWithOpenAI(
+        imagePrompt,
+        getOpenAIImageModeration(turnData.contentRating)
+      );
+      break;
     default:
       throw new Error(`Invalid image provider: ${ACTIVE_IMAGE_PROVIDER}.`);
   }
+  await recordImageUsage(IMAGE_CALL_TYPES.TURN_IMAGE, usageContext);
+  return persistImageUrl(imageUrl);
+}
+
+// Bills one image from the active image provider
+function recordImageUsage(callType, usageContext) {
+  return recordUsage({
+    ...usageContext,
+    provider: ACTIVE_IMAGE_PROVIDER,
+    model: IMAGE_PROVIDER_MODELS[ACTIVE_IMAGE_PROVIDER],
+    callType,
+    imageCount: 1,
+  });
+}
+
+// --- Turn Image Job Queue ---
+// Turns are committed with image_status 'pending'. The queue generates the
+// image afterwards, retrying with backoff, and pushes the updated session
+// state to the room once the image is ready (or has finally failed).
+const imageJobQueue = createImageJobQueue({
+  processJob: processTurnImageJob,
+  onJobFailed: markTurnImageFailed,
+  concurrency: IMAGE_JOB_CONCURRENCY,
+  maxAttempts: IMAGE_JOB_MAX_ATTEMPTS,
+  baseDelayMs: IMAGE_JOB_RETRY_DELAY_MS,
+});
+
+// Returns false if the turn's image is already being generated
+function enqueueTurnImage(sessionId, turnId) {
+  return imageJobQueue.enqueue(turnId, { sessionId, turnId });
+}
+
+async function processTurnImageJob({ sessionId, turnId }, attempt) {
+  // Same-location scenes are drawn from the previous turn's image
+  // The image is billed to whoever the turn's text was billed to
+  const turn = await db.get(
+    `SELECT t.image_prompt, t.is_same_location, p.image_url AS previous_image_url,
+            COALESCE(t.acting_player_user_id, s.user_id) AS billed_user_id,
+            s.content_rating
+     FROM turns t
+     JOIN sessions s ON s.session_id = t.session_id
+     LEFT JOIN turns p ON p.turn_id = t.parent_turn_id
+     WHERE t.turn_id = ?`,
+    [turnId]
+  );
+  if (!turn) {
+    console.warn(`Turn ${turnId} no longer exists, dropping its image job.`);
+    return;
+  }
+
+  console.log(`Generating image for turn ${turnId} (attempt ${attempt})...`);
+  const base64PreviousImage = await readImageBase64(turn.previous_image_url);
+  const imageUrl = await generateImageWithAppropriateProvider(
+    {
+      image_prompt: turn.image_prompt,
+      isSameLocation: turn.is_same_location === 1,
+      contentRating: turn.content_rating,
+    },
+    base64PreviousImage,
+    { sessionId, userId: turn.billed_user_id }
+  );
+
+  await db.run(
+    "UPDATE turns SET image_url = ?, image_status = ? WHERE turn_id = ?",
+    [imageUrl, IMAGE_STATUS.READY, turnId]
+  );
+  console.log(`Image ready for turn ${turnId} in session ${sessionId}.`);
+  await broadcastTurnImageUpdate(sessionId);
+}
+
+// Keeps any earlier image (e.g. when a regeneration fails) so clients can
+// still show it next to the retry option
+async function markTurnImageFailed({ sessionId, turnId }) {
+  await db.run("UPDATE turns SET image_status = ? WHERE turn_id = ?", [
+    IMAGE_STATUS.FAILED,
+    turnId,
+  ]);
+  await broadcastTurnImageUpdate(sessionId);
+}
+
+async function broadcastTurnImageUpdate(sessionId) {
+  try {
+    const updatedState = await getFullSessionState(sessionId);
+    if (updatedState) broadcastSessionUpdate(sessionId, updatedState);
+  } catch (error) {
+    // The image is saved either way; clients pick it up on their next load
+    console.error(
+      `Error broadcasting image update for session ${sessionId}:`,
+      error
+    );
+  }
+}
+
+// Re-queues images left pending by a restart (or by turns from older versions)
+async function resumePendingImageJobs() {
+  const pendingTurns = await db.all(
+    "SELECT turn_id, session_id FROM turns WHERE image_status = ? ORDER BY created_at ASC",
+    [IMAGE_STATUS.PENDING]
+  );
+  pendingTurns.forEach((turn) =>
+    enqueueTurnImage(turn.session_id, turn.turn_id)
+  );
+  if (pendingTurns.length > 0) {
+    console.log(`Resumed ${pendingTurns.length} pending image job(s).`);
+  }
 }
 
 // --- Game History Routes ---
@@ -1872,6 +4303,7 @@ app.get("/api/games/history", authenticateToken, async (req, res) => {
         s.created_at,
         s.last_updated_at,
         s.is_multiplayer, -- Include multiplayer flag
+        s.user_id = sp.user_id AS is_owner, -- Only the owner can delete or back up
         (SELECT COUNT(*) FROM session_players sp_count WHERE sp_count.session_id = s.session_id) as player_count, -- Get player count
         t.scenario_text AS initial_scenario_snippet
       FROM sessions s
@@ -1891,18 +4323,601 @@ app.get("/api/games/history", authenticateToken, async (req, res) => {
         : "[No scenario recorded for first turn]", // Fallback
       isMultiplayer: !!s.is_multiplayer, // Ensure boolean type in response
       playerCount: s.player_count || 0, // Ensure playerCount is present
+      isOwner: !!s.is_owner,
     }));
 
-    res.status(200).json(sessionsWithSnippets);
+    res.status(200).json(sessionsWithSnippets);
+  } catch (error) {
+    console.error(`Error fetching game history for user ${userId}:`, error);
+    res.status(500).json({ error: "Failed to fetch game history." });
+  }
+});
+
+// GET /api/games/history/:sessionId - Get full turn history for a specific session
+app.get(
+  "/api/games/history/:sessionId",
+  authenticateToken,
+  async (req, res) => {
+    const userId = req.user.id;
+    const { sessionId } = req.params;
+
+    if (!userId)
+      return res.status(401).json({ error: "User ID missing after auth." });
+    if (!sessionId)
+      return res.status(400).json({ error: "Session ID is required." });
+
+    try {
+      // 1. Verify session ownership OR participation
+      // User needs to be either the original creator (in sessions table)
+      // OR a player in the session_players table.
+      const sessionRow = await db.get(
+        `
+        SELECT 
+          s.session_id, s.theme, s.is_multiplayer, s.current_player_index,
+          s.game_goal, s.goal_prerequisites, s.met_prerequisites, s.is_goal_met,
+          s.active_branch_id, s.turn_mode, s.turn_timeout_seconds,
+          s.turn_timeout_action, s.use_dice_rules, s.content_rating
+        FROM sessions s 
+        WHERE s.session_id = ?
+      `,
+        [sessionId]
+      );
+
+      if (!sessionRow) {
+        console.warn(
+          `User ${userId} tried to access non-existent session ${sessionId}.`
+        );
+        return res.status(404).json({ error: "Session not found." });
+      }
+
+      const playerCheck = await db.get(
+        "SELECT 1 FROM session_players WHERE session_id = ? AND user_id = ?",
+        [sessionId, userId]
+      );
+
+      if (!playerCheck) {
+        console.warn(
+          `User ${userId} tried to access session ${sessionId} they are not part of.`
+        );
+        return res
+          .status(403)
+          .json({ error: "Access denied to this session." });
+      }
+
+      // 2. Fetch all players for this session
+      const players = await db.all(
+        `SELECT ${PLAYER_STATE_COLUMNS} FROM session_players WHERE session_id = ? ORDER BY player_index ASC`,
+        [sessionId]
+      );
+
+      // 3. Fetch the turns of the active branch for this session
+      console.log(
+        `Fetching full turn history and player list for session ${sessionId} for user ${userId}`
+      );
+      const activeBranchId = sessionRow.active_branch_id || MAIN_BRANCH_ID;
+      const sessionHistoryRows = await getBranchTimeline(
+        sessionId,
+        activeBranchId
+      );
+
+      const fullHistory = sessionHistoryRows.map(mapTurnRow);
+
+      // 4. Prepare response payload
+      const responsePayload = {
+        sessionId: sessionId,
+        theme: sessionRow.theme,
+        isMultiplayer: !!sessionRow.is_multiplayer,
+        currentPlayerIndex: sessionRow.current_player_index,
+        activeBranchId: activeBranchId,
+        turnMode: sessionRow.turn_mode || TURN_MODES.ROUND_ROBIN,
+        voteRound: await getVoteRoundState(sessionId),
+        turnTimeoutSeconds: sessionRow.turn_timeout_seconds || null,
+        turnTimeoutAction:
+          sessionRow.turn_timeout_action || TURN_TIMEOUT_ACTIONS.SKIP,
+        useDiceRules: !!sessionRow.use_dice_rules,
+        contentRating: sessionRow.content_rating || CONTENT_RATINGS.TEEN,
+        turnTimer: await getTurnTimerState(sessionId),
+        turnInProgress: await isTurnLocked(sessionId),
+        players: players.map(mapPlayerRow), // Return cleaned player list
+        history: fullHistory,
+        // --- Add Goal State ---
+        gameGoal: sessionRow.game_goal,
+        goalPrerequisites: sessionRow.goal_prerequisites
+          ? JSON.parse(sessionRow.goal_prerequisites)
+          : [],
+        metPrerequisites: sessionRow.met_prerequisites
+          ? JSON.parse(sessionRow.met_prerequisites)
+          : [],
+        isGoalMet: !!sessionRow.is_goal_met, // Convert 0/1 to boolean
+        // --- End Goal State ---
+      };
+
+      res.status(200).json(responsePayload);
+    } catch (error) {
+      console.error(
+        `Error fetching history for session ${sessionId} for user ${userId}:`,
+        error
+      );
+      if (error instanceof SyntaxError) {
+        // Catch JSON parsing errors specifically
+        res.status(500).json({
+          error: "Failed to parse stored game data for this session.",
+        });
+      } else {
+        res.status(500).json({ error: "Failed to fetch session history." });
+      }
+    }
+  }
+);
+
+// GET /api/games/history/:sessionId/export?format=md|html|epub - Download the active timeline as a storybook
+app.get(
+  "/api/games/history/:sessionId/export",
+  authenticateToken,
+  async (req, res) => {
+    const userId = req.user.id;
+    const { sessionId } = req.params;
+    const format = req.query.format || "html";
+
+    if (!userId)
+      return res.status(401).json({ error: "User ID missing after auth." });
+    if (!isValidExportFormat(format)) {
+      return res.status(400).json({
+        error: `Invalid export format. Use one of: ${Object.keys(
+          EXPORT_FORMATS
+        ).join(", ")}.`,
+      });
+    }
+
+    try {
+      const sessionRow = await db.get(
+        `SELECT session_id, theme, is_multiplayer, game_goal, goal_prerequisites,
+                met_prerequisites, is_goal_met, active_branch_id
+         FROM sessions WHERE session_id = ?`,
+        [sessionId]
+      );
+      if (!sessionRow) {
+        return res.status(404).json({ error: "Session not found." });
+      }
+
+      const playerCheck = await db.get(
+        "SELECT 1 FROM session_players WHERE session_id = ? AND user_id = ?",
+        [sessionId, userId]
+      );
+      if (!playerCheck) {
+        return res
+          .status(403)
+          .json({ error: "Access denied to this session." });
+      }
+
+      const players = await db.all(
+        "SELECT player_index, character_name, character_gender, character_image_url FROM session_players WHERE session_id = ? ORDER BY player_index ASC",
+        [sessionId]
+      );
+      const turns = await getBranchTimeline(
+        sessionId,
+        sessionRow.active_branch_id || MAIN_BRANCH_ID
+      );
+
+      const book = await buildStoryBook({
+        session: sessionRow,
+        players,
+        turns,
+        loadImage: loadExportImage,
+      });
+      const content = renderStoryBook(book, format);
+      const { contentType, extension } = EXPORT_FORMATS[format];
+      const fileName = getSessionFileName(
+        sessionRow.theme,
+        sessionId,
+        "adventure",
+        extension
+      );
+
+      console.log(
+        `Exported session ${sessionId} as ${format} for user ${userId} (${turns.length} turns).`
+      );
+      res.setHeader("Content-Type", contentType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${fileName}"`
+      );
+      res.status(200).send(content);
+    } catch (error) {
+      console.error(
+        `Error exporting session ${sessionId} for user ${userId}:`,
+        error
+      );
+      res.status(500).json({ error: "Failed to export session." });
+    }
+  }
+);
+
+// GET /api/games/history/:sessionId/backup - Download a restorable JSON archive of the session (owner only)
+app.get(
+  "/api/games/history/:sessionId/backup",
+  authenticateToken,
+  async (req, res) => {
+    const userId = req.user.id;
+    const { sessionId } = req.params;
+
+    if (!userId)
+      return res.status(401).json({ error: "User ID missing after auth." });
+
+    try {
+      const sessionRow = await db.get(
+        "SELECT * FROM sessions WHERE session_id = ?",
+        [sessionId]
+      );
+      if (!sessionRow) {
+        return res.status(404).json({ error: "Session not found." });
+      }
+      // The archive holds every player's account details, like deletion
+      // it is reserved for the owner
+      if (sessionRow.user_id !== userId) {
+        return res
+          .status(403)
+          .json({ error: "Only the session owner can back it up." });
+      }
+
+      const users = await db.all(
+        `SELECT user_id, email, name FROM users
+         WHERE user_id IN (SELECT user_id FROM session_players WHERE session_id = ?)`,
+        [sessionId]
+      );
+      const players = await db.all(
+        "SELECT * FROM session_players WHERE session_id = ? ORDER BY player_index ASC",
+        [sessionId]
+      );
+      const turns = await db.all(
+        "SELECT * FROM turns WHERE session_id = ? ORDER BY branch_id ASC, turn_index ASC",
+        [sessionId]
+      );
+
+      const archive = await buildSessionArchive({
+        session: sessionRow,
+        users,
+        players,
+        turns,
+        loadImage: loadExportImage,
+      });
+      console.log(
+        `Backed up session ${sessionId} for user ${userId} (${
+          turns.length
+        } turns, ${Object.keys(archive.images).length} images).`
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${getSessionFileName(
+          sessionRow.theme,
+          sessionId,
+          "backup",
+          "json"
+        )}"`
+      );
+      res.status(200).json(archive);
+    } catch (error) {
+      console.error(
+        `Error backing up session ${sessionId} for user ${userId}:`,
+        error
+      );
+      res.status(500).json({ error: "Failed to back up session." });
+    }
+  }
+);
+
+// POST /api/games/restore - Restore a session from a backup (multipart: archive file, optional userIdMap JSON)
+app.post(
+  "/api/games/restore",
+  authenticateToken,
+  archiveUpload.single("archive"),
+  async (req, res) => {
+    const userId = req.user.id;
+    if (!userId)
+      return res.status(401).json({ error: "User ID missing after auth." });
+    if (!req.file) {
+      return res.status(400).json({ error: "No backup file uploaded." });
+    }
+
+    try {
+      // Archived user ID -> existing user ID, for moves between deployments
+      let userIdMap = {};
+      if (req.body.userIdMap) {
+        try {
+          userIdMap = JSON.parse(req.body.userIdMap);
+        } catch {
+          userIdMap = null;
+        }
+        if (
+          typeof userIdMap !== "object" ||
+          userIdMap === null ||
+          Array.isArray(userIdMap) ||
+          !Object.values(userIdMap).every((value) => typeof value === "string")
+        ) {
+          throw new SessionArchiveError(
+            "userIdMap must be a JSON object of archived user ID to user ID."
+          );
+        }
+      }
+
+      const archive = parseSessionArchive(req.file.buffer.toString("utf8"));
+      const userIds = await resolveArchiveUserIds(archive, {
+        importingUserId: userId,
+        userIdMap,
+        findUser: ({ userId: lookupId }) =>
+          db.get("SELECT user_id FROM users WHERE user_id = ?", [lookupId]),
+      });
+
+      // Images go back into the content-addressed store (usually the same URL)
+      const imageUrls = new Map();
+      for (const [url, image] of Object.entries(archive.images)) {
+        try {
+          imageUrls.set(
+            url,
+            await storeImageBuffer(
+              Buffer.from(image.data, "base64"),
+              image.mimeType
+            )
+          );
+        } catch (imageError) {
+          console.warn(`Restore: Skipping image ${url}: ${imageError.message}`);
+        }
+      }
+
+      const sessionId = uuidv4();
+      const rows = remapSessionArchive(archive, {
+        sessionId,
+        userIds,
+        imageUrls,
+        createId: uuidv4,
+      });
+      rows.session.invite_code = rows.session.is_multiplayer
+        ? `INV-${uuidv4().substring(0, 8).toUpperCase()}`
+        : null;
+
+      await withTransaction(async () => {
+        await insertArchivedRow("sessions", {
+          ...rows.session,
+          last_updated_at: new Date().toISOString(),
+        });
+        for (const player of rows.players) {
+          await insertArchivedRow("session_players", player);
+        }
+        for (const turn of rows.turns) {
+          await insertArchivedRow("turns", turn);
+        }
+        await backfillNpcCodex(db, sessionId);
+        await backfillLocationGraph(db, sessionId);
+        await backfillStoryPassages(db, sessionId);
+      });
+
+      // Images that were still being generated when the backup was made
+      rows.turns
+        .filter((turn) => turn.image_status === IMAGE_STATUS.PENDING)
+        .forEach((turn) => enqueueTurnImage(sessionId, turn.turn_id));
+
+      console.log(
+        `User ${userId} restored a backup of session ${archive.session.session_id} as ${sessionId} (archive version ${archive.version}).`
+      );
+      res.status(201).json({
+        message: "Session restored successfully.",
+        sessionId,
+        inviteCode: rows.session.invite_code,
+      });
+    } catch (error) {
+      if (error instanceof SessionArchiveError) {
+        console.warn(`Restore rejected for user ${userId}: ${error.message}`);
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(`Error restoring session for user ${userId}:`, error);
+      res.status(500).json({ error: "Failed to restore session." });
+    }
+  },
+  (error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return res.status(400).json({
+          error: `Backup file too large (Max ${SESSION_ARCHIVE_MAX_MB}MB).`,
+        });
+      }
+      return res.status(400).json({ error: `Upload error: ${error.message}` });
+    }
+    next(error);
+  }
+);
+
+// Inserts an archived row, keeping only the columns this database knows
+// (archives from other deployments may be a migration ahead or behind)
+async function insertArchivedRow(table, row) {
+  const tableColumns = new Set(
+    (await db.all(`PRAGMA table_info(${table})`)).map((column) => column.name)
+  );
+  const columns = Object.keys(row).filter((column) => tableColumns.has(column));
+  await db.run(
+    `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns
+      .map(() => "?")
+      .join(", ")})`,
+    columns.map((column) => row[column])
+  );
+}
+
+// Download name like "sci-fi-adventure-1a2b3c4d.epub"
+function getSessionFileName(theme, sessionId, label, extension) {
+  const slug = theme.toLowerCase().replace(/[^a-z0-9]+/g, "-") || "story";
+  return `${slug}-${label}-${sessionId.slice(0, 8)}.${extension}`;
+}
+
+// Image bytes for story exports and backups: generated images (stored or
+// inline) and uploaded character portraits. Anything else (e.g. external
+// URLs) is skipped.
+async function loadExportImage(imageUrl) {
+  const uploadPrefix = "/uploads/character_images/";
+  if (!imageUrl?.startsWith(uploadPrefix)) return readImageData(imageUrl);
+
+  const fileName = path.basename(imageUrl.slice(uploadPrefix.length));
+  const mimeType = getImageMimeType(fileName);
+  if (!mimeType) return null; // Not a format every reader can show
+  try {
+    const buffer = await fs.promises.readFile(path.join(UPLOAD_DIR, fileName));
+    return { mimeType, buffer };
+  } catch (error) {
+    console.warn(`Export: Could not read ${imageUrl}: ${error.message}`);
+    return null;
+  }
+}
+
+// GET /api/games/:sessionId/lore - Get the persisted world lore for a session
+app.get("/api/games/:sessionId/lore", authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  const { sessionId } = req.params;
+
+  if (!userId)
+    return res.status(401).json({ error: "User ID missing after auth." });
+  if (!sessionId)
+    return res.status(400).json({ error: "Session ID is required." });
+
+  try {
+    const sessionRow = await db.get(
+      "SELECT session_id, theme, world_lore FROM sessions WHERE session_id = ?",
+      [sessionId]
+    );
+    if (!sessionRow) {
+      return res.status(404).json({ error: "Session not found." });
+    }
+
+    const playerCheck = await db.get(
+      "SELECT 1 FROM session_players WHERE session_id = ? AND user_id = ?",
+      [sessionId, userId]
+    );
+    if (!playerCheck) {
+      console.warn(
+        `User ${userId} tried to access lore for session ${sessionId} they are not part of.`
+      );
+      return res.status(403).json({ error: "Access denied to this session." });
+    }
+
+    res.status(200).json({
+      sessionId: sessionId,
+      theme: sessionRow.theme,
+      lore: sessionRow.world_lore ? JSON.parse(sessionRow.world_lore) : null,
+    });
+  } catch (error) {
+    console.error(
+      `Error fetching lore for session ${sessionId} for user ${userId}:`,
+      error
+    );
+    if (error instanceof SyntaxError) {
+      res
+        .status(500)
+        .json({ error: "Failed to parse stored lore for this session." });
+    } else {
+      res.status(500).json({ error: "Failed to fetch session lore." });
+    }
+  }
+});
+
+// GET /api/games/:sessionId/codex - NPCs met on a timeline branch (defaults
+// to the active one)
+app.get("/api/games/:sessionId/codex", authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  const { sessionId } = req.params;
+
+  if (!userId)
+    return res.status(401).json({ error: "User ID missing after auth." });
+  if (!sessionId)
+    return res.status(400).json({ error: "Session ID is required." });
+
+  try {
+    const sessionRow = await db.get(
+      "SELECT session_id, active_branch_id FROM sessions WHERE session_id = ?",
+      [sessionId]
+    );
+    if (!sessionRow) {
+      return res.status(404).json({ error: "Session not found." });
+    }
+
+    const playerCheck = await db.get(
+      "SELECT 1 FROM session_players WHERE session_id = ? AND user_id = ?",
+      [sessionId, userId]
+    );
+    if (!playerCheck) {
+      return res.status(403).json({ error: "Access denied to this session." });
+    }
+
+    const branchId =
+      req.query.branchId || sessionRow.active_branch_id || MAIN_BRANCH_ID;
+    const timelineRows = await getBranchTimeline(sessionId, branchId);
+    if (timelineRows.length === 0) {
+      return res.status(404).json({ error: "Branch not found." });
+    }
+
+    res.status(200).json({
+      sessionId,
+      branchId,
+      npcs: await getNpcCodex(sessionId, timelineRows),
+    });
+  } catch (error) {
+    console.error(
+      `Error fetching NPC codex for session ${sessionId} for user ${userId}:`,
+      error
+    );
+    res.status(500).json({ error: "Failed to fetch the NPC codex." });
+  }
+});
+
+// GET /api/games/:sessionId/map - Places visited on a timeline branch (defaults
+// to the active one), the routes between them and the lore's key locations
+app.get("/api/games/:sessionId/map", authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  const { sessionId } = req.params;
+
+  if (!userId)
+    return res.status(401).json({ error: "User ID missing after auth." });
+  if (!sessionId)
+    return res.status(400).json({ error: "Session ID is required." });
+
+  try {
+    const sessionRow = await db.get(
+      "SELECT session_id, active_branch_id FROM sessions WHERE session_id = ?",
+      [sessionId]
+    );
+    if (!sessionRow) {
+      return res.status(404).json({ error: "Session not found." });
+    }
+
+    const playerCheck = await db.get(
+      "SELECT 1 FROM session_players WHERE session_id = ? AND user_id = ?",
+      [sessionId, userId]
+    );
+    if (!playerCheck) {
+      return res.status(403).json({ error: "Access denied to this session." });
+    }
+
+    const branchId =
+      req.query.branchId || sessionRow.active_branch_id || MAIN_BRANCH_ID;
+    const timelineRows = await getBranchTimeline(sessionId, branchId);
+    if (timelineRows.length === 0) {
+      return res.status(404).json({ error: "Branch not found." });
+    }
+
+    res.status(200).json({
+      sessionId,
+      branchId,
+      ...(await getLocationMap(sessionId, timelineRows)),
+    });
   } catch (error) {
-    console.error(`Error fetching game history for user ${userId}:`, error);
-    res.status(500).json({ error: "Failed to fetch game history." });
+    console.error(
+      `Error fetching location map for session ${sessionId} for user ${userId}:`,
+      error
+    );
+    res.status(500).json({ error: "Failed to fetch the location map." });
   }
 });
 
-// GET /api/games/history/:sessionId - Get full turn history for a specific session
+// GET /api/games/:sessionId/inventory - What each player carries on a
+// timeline branch (defaults to the active one)
 app.get(
-  "/api/games/history/:sessionId",
+  "/api/games/:sessionId/inventory",
   authenticateToken,
   async (req, res) => {
     const userId = req.user.id;
@@ -1914,24 +4929,71 @@ app.get(
       return res.status(400).json({ error: "Session ID is required." });
 
     try {
-      // 1. Verify session ownership OR participation
-      // User needs to be either the original creator (in sessions table)
-      // OR a player in the session_players table.
       const sessionRow = await db.get(
-        `
-        SELECT 
-          s.session_id, s.theme, s.is_multiplayer, s.current_player_index,
-          s.game_goal, s.goal_prerequisites, s.met_prerequisites, s.is_goal_met
-        FROM sessions s 
-        WHERE s.session_id = ?
-      `,
+        "SELECT session_id, active_branch_id FROM sessions WHERE session_id = ?",
+        [sessionId]
+      );
+      if (!sessionRow) {
+        return res.status(404).json({ error: "Session not found." });
+      }
+
+      const players = await db.all(
+        "SELECT user_id, player_index, character_name FROM session_players WHERE session_id = ? ORDER BY player_index ASC",
         [sessionId]
       );
+      if (!players.some((player) => player.user_id === userId)) {
+        return res
+          .status(403)
+          .json({ error: "Access denied to this session." });
+      }
+
+      const branchId =
+        req.query.branchId || sessionRow.active_branch_id || MAIN_BRANCH_ID;
+      const timelineRows = await getBranchTimeline(sessionId, branchId);
+      if (timelineRows.length === 0) {
+        return res.status(404).json({ error: "Branch not found." });
+      }
+
+      const inventories = buildInventories(timelineRows);
+      res.status(200).json({
+        sessionId,
+        branchId,
+        players: players.map((player) => ({
+          userId: player.user_id,
+          playerIndex: player.player_index,
+          characterName: player.character_name,
+          items: inventories.get(player.player_index) || [],
+        })),
+      });
+    } catch (error) {
+      console.error(
+        `Error fetching inventory for session ${sessionId} for user ${userId}:`,
+        error
+      );
+      res.status(500).json({ error: "Failed to fetch the inventory." });
+    }
+  }
+);
+
+// GET /api/games/:sessionId/branches - List the timeline branches of a session
+app.get(
+  "/api/games/:sessionId/branches",
+  authenticateToken,
+  async (req, res) => {
+    const userId = req.user.id;
+    const { sessionId } = req.params;
 
+    if (!userId)
+      return res.status(401).json({ error: "User ID missing after auth." });
+    if (!sessionId)
+      return res.status(400).json({ error: "Session ID is required." });
+
+    try {
+      const sessionRow = await db.get(
+        "SELECT session_id, active_branch_id FROM sessions WHERE session_id = ?",
+        [sessionId]
+      );
       if (!sessionRow) {
-        console.warn(
-          `User ${userId} tried to access non-existent session ${sessionId}.`
-        );
         return res.status(404).json({ error: "Session not found." });
       }
 
@@ -1939,92 +5001,227 @@ app.get(
         "SELECT 1 FROM session_players WHERE session_id = ? AND user_id = ?",
         [sessionId, userId]
       );
-
       if (!playerCheck) {
-        console.warn(
-          `User ${userId} tried to access session ${sessionId} they are not part of.`
-        );
         return res
           .status(403)
           .json({ error: "Access denied to this session." });
       }
 
-      // 2. Fetch all players for this session
+      const activeBranchId = sessionRow.active_branch_id || MAIN_BRANCH_ID;
+      const branches = await getSessionBranches(sessionId);
+
+      res.status(200).json({
+        sessionId: sessionId,
+        activeBranchId: activeBranchId,
+        branches: branches.map((branch) => ({
+          ...branch,
+          isActive: branch.branchId === activeBranchId,
+        })),
+      });
+    } catch (error) {
+      console.error(
+        `Error fetching branches for session ${sessionId} for user ${userId}:`,
+        error
+      );
+      res.status(500).json({ error: "Failed to fetch session branches." });
+    }
+  }
+);
+
+// POST /api/games/:sessionId/branches/:branchId/activate - Switch the active timeline branch
+app.post(
+  "/api/games/:sessionId/branches/:branchId/activate",
+  authenticateToken,
+  async (req, res) => {
+    const userId = req.user.id;
+    const { sessionId, branchId } = req.params;
+
+    if (!userId)
+      return res.status(401).json({ error: "User ID missing after auth." });
+    if (!sessionId || !branchId)
+      return res
+        .status(400)
+        .json({ error: "Session ID and branch ID are required." });
+
+    let lockToken = null;
+    try {
+      const session = await getSessionForTurn(sessionId);
       const players = await db.all(
-        "SELECT user_id, player_index, character_name, character_gender, character_image_url FROM session_players WHERE session_id = ? ORDER BY player_index ASC",
+        "SELECT user_id, player_index FROM session_players WHERE session_id = ?",
         [sessionId]
       );
+      if (!session || !players.some((p) => p.user_id === userId)) {
+        return res
+          .status(403)
+          .json({ error: "Access denied to this session." });
+      }
+      // The switch changes the timeline for everyone, so in multiplayer only
+      // whoever is up (or the owner) may make it
+      const currentPlayer = players.find(
+        (p) => p.player_index === session.current_player_index
+      );
+      if (
+        session.is_multiplayer &&
+        userId !== session.user_id &&
+        userId !== currentPlayer?.user_id
+      ) {
+        return res.status(403).json({
+          error:
+            "Only the current player or the session owner can switch the timeline.",
+        });
+      }
+
+      // The branch tip holds the goal state to restore
+      const timelineRows = await getBranchTimeline(sessionId, branchId);
+      const tipTurn = timelineRows[timelineRows.length - 1];
+      if (!tipTurn) {
+        return res.status(404).json({ error: "Branch not found." });
+      }
+
+      // A turn being written would land on whichever branch is active when it
+      // commits, so wait for it to finish
+      lockToken = await acquireTurnLock(sessionId);
+      if (!lockToken) {
+        return res.status(409).json({
+          error: new TurnInProgressError().message,
+          code: "turn_in_progress",
+        });
+      }
 
-      // 3. Fetch all turns for this session
+      // Round-robin games continue with the player after the tip's actor
+      // (turn 0 has none, so the creator starts); voting modes don't rotate
+      let nextPlayerIndex = session.current_player_index;
+      if (session.is_multiplayer && !isVotingTurnMode(session.turn_mode)) {
+        nextPlayerIndex =
+          tipTurn.acting_player_index === null
+            ? 0
+            : (tipTurn.acting_player_index + 1) % players.length;
+      }
+
+      // Checked in the same transaction as the switch, so no proposal can
+      // open a round against the old tip in between
+      const isSwitched = await withTransaction(async () => {
+        if (await loadVoteRound(sessionId)) return false;
+        // Turns created before branching existed have no goal snapshot; keep
+        // the session's stored goal state for them
+        await db.run(
+          `UPDATE sessions SET
+             active_branch_id = ?,
+             current_player_index = ?,
+             met_prerequisites = COALESCE(?, met_prerequisites),
+             is_goal_met = COALESCE(?, is_goal_met),
+             last_updated_at = datetime("now")
+           WHERE session_id = ?`,
+          [
+            branchId,
+            nextPlayerIndex,
+            tipTurn.met_prerequisites,
+            tipTurn.is_goal_met,
+            sessionId,
+          ]
+        );
+        return true;
+      });
+      if (!isSwitched) {
+        return res.status(409).json({
+          error: "Finish the open vote before switching the timeline.",
+          code: "vote_round_open",
+        });
+      }
       console.log(
-        `Fetching full turn history and player list for session ${sessionId} for user ${userId}`
+        `User ${userId} switched session ${sessionId} to branch ${branchId}.`
       );
-      const sessionHistoryRows = await db.all(
-        `SELECT
-           turn_index, scenario_text, image_url, image_prompt, suggested_actions, action_taken,
-           time_of_day, is_same_location, characters,
-           acting_player_user_id, acting_player_index -- Include acting player
-         FROM turns WHERE session_id = ? ORDER BY turn_index ASC`,
-        [sessionId]
+      await armTurnTimer(sessionId); // The countdown was for the old tip
+      // Released before the state is read, which reports a held lock as a
+      // turn in progress
+      await releaseTurnLock(sessionId, lockToken);
+      lockToken = null;
+
+      const updatedState = await getFullSessionState(sessionId);
+      if (!updatedState) {
+        throw new Error(
+          `Failed to retrieve session state for ${sessionId} after branch switch.`
+        );
+      }
+      broadcastSessionUpdate(sessionId, updatedState);
+      res.status(200).json(updatedState);
+    } catch (error) {
+      console.error(
+        `Error switching session ${sessionId} to branch ${branchId} for user ${userId}:`,
+        error
       );
+      res.status(500).json({ error: "Failed to switch branch." });
+    } finally {
+      if (lockToken) await releaseTurnLock(sessionId, lockToken);
+    }
+  }
+);
 
-      const fullHistory = sessionHistoryRows.map((row) => ({
-        turnIndex: row.turn_index,
-        scenarioText: row.scenario_text,
-        imageUrl: row.image_url,
-        imagePrompt: row.image_prompt,
-        suggestedActions: row.suggested_actions
-          ? JSON.parse(row.suggested_actions)
-          : [],
-        actionTaken: row.action_taken,
-        timeOfDay: row.time_of_day,
-        isSameLocation: row.is_same_location === 1,
-        characters: row.characters ? JSON.parse(row.characters) : [],
-        actingPlayerUserId: row.acting_player_user_id,
-        actingPlayerIndex: row.acting_player_index,
-      }));
+// POST /api/games/:sessionId/turns/:turnId/image/regenerate - Queue a new image for a turn
+app.post(
+  "/api/games/:sessionId/turns/:turnId/image/regenerate",
+  authenticateToken,
+  rateLimit("turn_image"),
+  async (req, res) => {
+    const userId = req.user.id;
+    const { sessionId, turnId } = req.params;
 
-      // 4. Prepare response payload
-      const responsePayload = {
-        sessionId: sessionId,
-        theme: sessionRow.theme,
-        isMultiplayer: !!sessionRow.is_multiplayer,
-        currentPlayerIndex: sessionRow.current_player_index,
-        players: players.map((p) => ({
-          // Return cleaned player list
-          userId: p.user_id,
-          playerIndex: p.player_index,
-          characterName: p.character_name,
-          characterGender: p.character_gender,
-          characterImageUrl: p.character_image_url,
-        })),
-        history: fullHistory,
-        // --- Add Goal State ---
-        gameGoal: sessionRow.game_goal,
-        goalPrerequisites: sessionRow.goal_prerequisites
-          ? JSON.parse(sessionRow.goal_prerequisites)
-          : [],
-        metPrerequisites: sessionRow.met_prerequisites
-          ? JSON.parse(sessionRow.met_prerequisites)
-          : [],
-        isGoalMet: !!sessionRow.is_goal_met, // Convert 0/1 to boolean
-        // --- End Goal State ---
-      };
+    if (!userId)
+      return res.status(401).json({ error: "User ID missing after auth." });
+    if (!sessionId || !turnId)
+      return res
+        .status(400)
+        .json({ error: "Session ID and turn ID are required." });
 
-      res.status(200).json(responsePayload);
+    try {
+      const playerCheck = await db.get(
+        "SELECT 1 FROM session_players WHERE session_id = ? AND user_id = ?",
+        [sessionId, userId]
+      );
+      if (!playerCheck) {
+        return res
+          .status(403)
+          .json({ error: "Access denied to this session." });
+      }
+
+      const turn = await db.get(
+        "SELECT turn_id FROM turns WHERE turn_id = ? AND session_id = ?",
+        [turnId, sessionId]
+      );
+      if (!turn) {
+        return res.status(404).json({ error: "Turn not found." });
+      }
+      // Claimed in the database, where a pending image is visible to every
+      // instance, not just the one whose queue holds the job. The current
+      // image (if any) stays visible until the new one is ready.
+      const claim = await db.run(
+        "UPDATE turns SET image_status = ? WHERE turn_id = ? AND image_status IS NOT ?",
+        [IMAGE_STATUS.PENDING, turnId, IMAGE_STATUS.PENDING]
+      );
+      if (claim.changes === 0) {
+        return res.status(409).json({
+          error: "An image is already being generated for this turn.",
+        });
+      }
+      enqueueTurnImage(sessionId, turnId);
+      console.log(
+        `User ${userId} queued image regeneration for turn ${turnId} in session ${sessionId}.`
+      );
+
+      const updatedState = await getFullSessionState(sessionId);
+      if (!updatedState) {
+        throw new Error(
+          `Failed to retrieve session state for ${sessionId} after queuing image.`
+        );
+      }
+      broadcastSessionUpdate(sessionId, updatedState);
+      res.status(202).json(updatedState);
     } catch (error) {
       console.error(
-        `Error fetching history for session ${sessionId} for user ${userId}:`,
+        `Error regenerating image for turn ${turnId} in session ${sessionId}:`,
         error
       );
-      if (error instanceof SyntaxError) {
-        // Catch JSON parsing errors specifically
-        res.status(500).json({
-          error: "Failed to parse stored game data for this session.",
-        });
-      } else {
-        res.status(500).json({ error: "Failed to fetch session history." });
-      }
+      res.status(500).json({ error: "Failed to queue image regeneration." });
     }
   }
 );
@@ -2062,13 +5259,17 @@ app.delete(
       // 2. Delete the session (and associated turns due to FOREIGN KEY ON DELETE CASCADE)
       // Ensure your DB schema has ON DELETE CASCADE for the turns table foreign key
       console.log(`User ${userId} deleting session ${sessionId}`);
-      await db.run("BEGIN");
       // If CASCADE is set, deleting from sessions will automatically delete related turns
-      const result = await db.run(
-        "DELETE FROM sessions WHERE session_id = ? AND user_id = ?",
-        [sessionId, userId]
-      );
-      await db.run("COMMIT");
+      const result = await withTransaction(async () => {
+        const deletion = await db.run(
+          "DELETE FROM sessions WHERE session_id = ? AND user_id = ?",
+          [sessionId, userId]
+        );
+        await db.run("DELETE FROM story_passages WHERE session_id = ?", [
+          sessionId,
+        ]);
+        return deletion;
+      });
 
       if (result.changes > 0) {
         console.log(
@@ -2083,9 +5284,6 @@ app.delete(
         res.status(404).json({ error: "Session not found for deletion." });
       }
     } catch (error) {
-      await db
-        .run("ROLLBACK")
-        .catch((rbError) => console.error("Rollback failed:", rbError));
       console.error(
         `Error deleting session ${sessionId} for user ${userId}:`,
         error
@@ -2095,6 +5293,164 @@ app.delete(
   }
 );
 
+// --- Theme Registry Routes ---
+// Built-in themes are read-only; custom themes belong to their creator
+app.get("/api/themes", authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const rows = await db.all(
+      `SELECT * FROM themes WHERE owner_user_id IS NULL OR owner_user_id = ?
+       ORDER BY owner_user_id IS NOT NULL, created_at ASC, name ASC`,
+      [userId]
+    );
+    res.status(200).json(rows.map((row) => formatTheme(row, userId)));
+  } catch (error) {
+    console.error(`Error fetching themes for user ${userId}:`, error);
+    res.status(500).json({ error: "Failed to fetch themes." });
+  }
+});
+
+// Names must be unique among the themes a user sees, as games can be started
+// by theme name
+async function isThemeNameTaken(name, userId, exceptThemeId = null) {
+  const row = await db.get(
+    `SELECT 1 FROM themes
+     WHERE (owner_user_id IS NULL OR owner_user_id = ?)
+       AND lower(name) = lower(?) AND theme_id IS NOT ?`,
+    [userId, name, exceptThemeId]
+  );
+  return !!row;
+}
+
+function sendThemeError(res, error, fallbackMessage) {
+  if (error instanceof ThemeValidationError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(fallbackMessage, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+app.post("/api/themes", authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const theme = normalizeThemeInput(req.body);
+    const { count } = await db.get(
+      "SELECT COUNT(*) AS count FROM themes WHERE owner_user_id = ?",
+      [userId]
+    );
+    if (count >= MAX_CUSTOM_THEMES_PER_USER) {
+      return res.status(400).json({
+        error: `You can have at most ${MAX_CUSTOM_THEMES_PER_USER} custom themes.`,
+      });
+    }
+    if (await isThemeNameTaken(theme.name, userId)) {
+      return res
+        .status(409)
+        .json({ error: `A theme named "${theme.name}" already exists.` });
+    }
+
+    const themeId = uuidv4();
+    await db.run(
+      `INSERT INTO themes (
+        theme_id, owner_user_id, name, description, system_prompt,
+        json_structure, portrait_style, cover_image_url, color
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        themeId,
+        userId,
+        theme.name,
+        theme.description,
+        theme.systemPrompt,
+        theme.jsonStructure,
+        theme.portraitStyle,
+        theme.coverImageUrl,
+        theme.color,
+      ]
+    );
+    console.log(`User ${userId} created theme ${themeId} ("${theme.name}")`);
+    const row = await db.get("SELECT * FROM themes WHERE theme_id = ?", [
+      themeId,
+    ]);
+    res.status(201).json(formatTheme(row, userId));
+  } catch (error) {
+    sendThemeError(res, error, "Failed to create theme.");
+  }
+});
+
+// Resolves to the custom theme row if the user owns it, otherwise sends the
+// error response and resolves to null
+async function getOwnedThemeOrReject(res, themeId, userId) {
+  const row = await db.get("SELECT * FROM themes WHERE theme_id = ?", [
+    themeId,
+  ]);
+  if (!row || (row.owner_user_id !== null && row.owner_user_id !== userId)) {
+    res.status(404).json({ error: "Theme not found." });
+    return null;
+  }
+  if (row.owner_user_id === null) {
+    res.status(403).json({ error: "Built-in themes can't be changed." });
+    return null;
+  }
+  return row;
+}
+
+app.put("/api/themes/:themeId", authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId } = req.params;
+  try {
+    if (!(await getOwnedThemeOrReject(res, themeId, userId))) return;
+    const theme = normalizeThemeInput(req.body);
+    if (await isThemeNameTaken(theme.name, userId, themeId)) {
+      return res
+        .status(409)
+        .json({ error: `A theme named "${theme.name}" already exists.` });
+    }
+
+    await db.run(
+      `UPDATE themes SET
+        name = ?, description = ?, system_prompt = ?, json_structure = ?,
+        portrait_style = ?, cover_image_url = ?, color = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE theme_id = ? AND owner_user_id = ?`,
+      [
+        theme.name,
+        theme.description,
+        theme.systemPrompt,
+        theme.jsonStructure,
+        theme.portraitStyle,
+        theme.coverImageUrl,
+        theme.color,
+        themeId,
+        userId,
+      ]
+    );
+    console.log(`User ${userId} updated theme ${themeId}`);
+    const row = await db.get("SELECT * FROM themes WHERE theme_id = ?", [
+      themeId,
+    ]);
+    res.status(200).json(formatTheme(row, userId));
+  } catch (error) {
+    sendThemeError(res, error, "Failed to update theme.");
+  }
+});
+
+// Sessions started with a deleted theme keep their lore and theme name
+app.delete("/api/themes/:themeId", authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId } = req.params;
+  try {
+    if (!(await getOwnedThemeOrReject(res, themeId, userId))) return;
+    await db.run(
+      "DELETE FROM themes WHERE theme_id = ? AND owner_user_id = ?",
+      [themeId, userId]
+    );
+    console.log(`User ${userId} deleted theme ${themeId}`);
+    res.status(200).json({ message: "Theme deleted successfully." });
+  } catch (error) {
+    sendThemeError(res, error, "Failed to delete theme.");
+  }
+});
+
 // --- Character Image Upload Route ---
 app.post(
   "/api/images/upload/character",
@@ -2125,16 +5481,93 @@ app.post(
     }
     next();
   }
-);
+);
+
+// --- Usage Report Route ---
+// GET /api/usage?days=30 - The user's LLM and image usage over the last days
+// (UTC, including today) with estimated costs, plus today's quota status
+app.get("/api/usage", authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  if (!userId)
+    return res.status(401).json({ error: "User ID missing after auth." });
+
+  const days = req.query.days === undefined ? 30 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_USAGE_REPORT_DAYS) {
+    return res.status(400).json({
+      error: `days must be a whole number between 1 and ${MAX_USAGE_REPORT_DAYS}.`,
+    });
+  }
+
+  try {
+    const since = new Date(
+      getUsageDayStart().getTime() - (days - 1) * 86_400_000
+    );
+    const params = [userId, since.toISOString()];
+    const rangeFilter = "user_id = ? AND created_at >= datetime(?)";
+    // Shared aggregate columns; unpriced calls are counted so the cost total
+    // can be read as a lower bound
+    const sums = `COUNT(*) AS calls,
+      COALESCE(SUM(input_tokens), 0) AS inputTokens,
+      COALESCE(SUM(output_tokens), 0) AS outputTokens,
+      COALESCE(SUM(image_count), 0) AS images,
+      ROUND(COALESCE(SUM(estimated_cost_usd), 0), 6) AS estimatedCostUsd,
+      SUM(estimated_cost_usd IS NULL) AS unpricedCalls`;
+
+    const [totals, byDay, byModel, bySession, quota] = await Promise.all([
+      db.get(`SELECT ${sums} FROM usage_ledger WHERE ${rangeFilter}`, params),
+      db.all(
+        `SELECT date(created_at) AS day, ${sums}
+         FROM usage_ledger WHERE ${rangeFilter}
+         GROUP BY day ORDER BY day`,
+        params
+      ),
+      db.all(
+        `SELECT provider, model, ${sums}
+         FROM usage_ledger WHERE ${rangeFilter}
+         GROUP BY provider, model ORDER BY estimatedCostUsd DESC, calls DESC`,
+        params
+      ),
+      db.all(
+        `SELECT u.session_id AS sessionId, s.theme, ${sums}
+         FROM usage_ledger u LEFT JOIN sessions s ON s.session_id = u.session_id
+         WHERE u.user_id = ? AND u.created_at >= datetime(?)
+           AND u.session_id IS NOT NULL
+         GROUP BY u.session_id ORDER BY estimatedCostUsd DESC, calls DESC`,
+        params
+      ),
+      getUsageQuotaStatus(userId),
+    ]);
+
+    res.status(200).json({
+      userId,
+      days,
+      since: since.toISOString(),
+      quota,
+      totals: { ...totals, unpricedCalls: totals.unpricedCalls ?? 0 },
+      byDay,
+      byModel,
+      bySession,
+    });
+  } catch (error) {
+    console.error(`Error building usage report for user ${userId}:`, error);
+    res.status(500).json({ error: "Failed to build the usage report." });
+  }
+});
 
 // --- Character Image Generation Route ---
 app.post(
   "/api/images/generate/character",
   authenticateToken, // Requires user to be logged in
+  rateLimit("character_image"),
   async (req, res) => {
     // Get description from body
-    const { theme, characterName, characterGender, characterDescription } =
-      req.body;
+    const {
+      theme,
+      characterName,
+      characterGender,
+      characterDescription,
+      contentRating, // Optional, the game's rating (see CONTENT_RATINGS)
+    } = req.body;
     const userId = req.user.id;
 
     if (!theme || !characterName || !characterGender) {
@@ -2143,19 +5576,40 @@ app.post(
           "Missing required fields: theme, characterName, characterGender.",
       });
     }
+    let portraitRating;
+    try {
+      portraitRating = normalizeContentRating(contentRating);
+    } catch (error) {
+      if (error instanceof ContentRatingError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
 
     try {
+      await moderatePlayerText(characterDescription, {
+        source: MODERATION_SOURCES.PORTRAIT,
+        rating: portraitRating,
+        sessionId: null,
+        userId,
+      });
       console.log(
         `User ${userId} generating character image for: ${characterName} (${characterGender}), Theme: ${theme}, Desc: ${
           characterDescription || "None"
         }` // Log description
       );
       // 1. Generate the specific prompt for a character portrait, including description
-      const characterPrompt = generateCharacterPrompt(
-        theme,
-        characterName,
-        characterGender,
-        characterDescription // Pass description here
+      // Unknown themes (e.g. another player's custom theme) get the default style
+      const themeRow = await findTheme(theme, userId);
+      const characterPrompt = applyImageContentRating(
+        generateCharacterPrompt(
+          themeRow?.name || theme,
+          themeRow?.portrait_style || DEFAULT_PORTRAIT_STYLE,
+          characterName,
+          characterGender,
+          characterDescription // Pass description here
+        ),
+        portraitRating
       );
 
       // 2. Call Imagen with the character prompt and a portrait aspect ratio (e.g., "1:1")
@@ -2168,13 +5622,23 @@ app.post(
           imageUrl = await generateImageWithGoogleFlash(characterPrompt);
           break;
         case "openai":
-          imageUrl = await generateImageWithOpenAI(characterPrompt);
+          imageUrl = await generateImageWithOpenAI(
+            characterPrompt,
+            getOpenAIImageModeration(portraitRating)
+          );
           break;
       }
+      await recordImageUsage(IMAGE_CALL_TYPES.PORTRAIT, { userId });
+      imageUrl = await persistImageUrl(imageUrl);
 
-      // 3. Return the generated image URL (Base64 Data URL)
+      // 3. Return the generated image URL (image store URL)
       res.status(200).json({ imageUrl: imageUrl });
     } catch (error) {
+      if (error instanceof ContentModerationError) {
+        return res
+          .status(422)
+          .json({ error: error.message, code: "content_blocked" });
+      }
       console.error(
         `Error generating character image for user ${userId} (Char: ${characterName}):`,
         error
@@ -2186,14 +5650,27 @@ app.post(
   }
 );
 
+// --- Generated Image Route ---
+// Image IDs are content hashes, so responses can be cached indefinitely.
+// No auth: <img> tags can't send the bearer token, and IDs are unguessable.
+app.get(`${IMAGE_STORE_ROUTE}/:imageId`, (req, res) => {
+  const filePath = resolveImagePath(req.params.imageId);
+  if (!filePath) {
+    return res.status(400).json({ error: "Invalid image ID." });
+  }
+  res.sendFile(filePath, { maxAge: "365d", immutable: true }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.statusCode || 500).json({ error: "Image not found." });
+    }
+  });
+});
+
 // --- Health Check  ---
 app.get("/health", (req, res) => res.status(200).send("OK"));
 
 // --- WebSocket Connection Handling ---
-// Store active connections, mapping sessionId to a map of userId to socket
-// Allows finding specific users or all users in a session
-const sessionSockets = new Map(); // Removed TypeScript syntax
-
+// Live connections are tracked in the socket_connections table rather than in
+// memory, so every backend instance sees the players connected to the others
 io.on("connection", (socket) => {
   console.log(`WebSocket client connected: ${socket.id}`);
 
@@ -2224,11 +5701,11 @@ io.on("connection", (socket) => {
       const userId = payload.sub;
 
       // Check if user is actually part of this session in the DB
-      const playerCheck = await db.get(
-        "SELECT 1 FROM session_players WHERE session_id = ? AND user_id = ?",
+      const player = await db.get(
+        "SELECT player_index, character_name FROM session_players WHERE session_id = ? AND user_id = ?",
         [sessionId, userId]
       );
-      if (!playerCheck) {
+      if (!player) {
         throw new Error("User not part of the specified session.");
       }
 
@@ -2237,10 +5714,7 @@ io.on("connection", (socket) => {
       );
 
       // Store the authenticated socket
-      if (!sessionSockets.has(sessionId)) {
-        sessionSockets.set(sessionId, new Map());
-      }
-      sessionSockets.get(sessionId)?.set(userId, socket);
+      await addSocketConnection(socket.id, sessionId, userId);
 
       // Join the room for this session
       socket.join(sessionId);
@@ -2248,12 +5722,25 @@ io.on("connection", (socket) => {
         `Socket ${socket.id} (User ${userId}) joined room ${sessionId}`
       );
 
-      // Send confirmation back to client
-      socket.emit("authenticated");
+      // Send confirmation back to client, with how often to send heartbeats
+      socket.emit("authenticated", {
+        heartbeatIntervalMs: PRESENCE_HEARTBEAT_MS,
+      });
 
       // Associate userId and sessionId with the socket object for easier cleanup on disconnect
       socket.data.userId = userId;
       socket.data.sessionId = sessionId;
+
+      // Persist presence and tell the others (pairs with player_left)
+      await setPlayerPresence(sessionId, userId, true);
+      socket.broadcast.to(sessionId).emit("player_joined", {
+        userId,
+        playerIndex: player.player_index,
+        characterName: player.character_name,
+      });
+
+      // Timers pause while nobody is connected
+      if (!(await turnTimers.get(sessionId))) await armTurnTimer(sessionId);
     } catch (error) {
       console.error(`WS Auth Error for ${socket.id}:`, error.message);
       socket.emit("auth_error", {
@@ -2263,31 +5750,72 @@ io.on("connection", (socket) => {
     }
   });
 
-  // 2. Disconnect Listener
-  socket.on("disconnect", (reason) => {
+  // 2. Heartbeat Listener (keeps last_seen_at fresh while connected)
+  socket.on("heartbeat", async () => {
+    const { userId, sessionId } = socket.data;
+    if (!userId || !sessionId) return; // Not authenticated yet
+    try {
+      await touchSocketConnection(socket.id);
+      await setPlayerPresence(sessionId, userId, true);
+    } catch (error) {
+      console.error(`Heartbeat failed for ${socket.id}:`, error);
+    }
+  });
+
+  // 3. Vote Round Listeners (voting turn modes only)
+  // Both reply through the acknowledgement callback: { ok } or { ok, error }
+  socket.on("propose_action", async (data, ack) => {
+    try {
+      await proposeVoteAction(socket.data, data?.action);
+      ack?.({ ok: true });
+    } catch (error) {
+      console.warn(`Proposal rejected for ${socket.id}: ${error.message}`);
+      ack?.({ ok: false, error: error.message });
+    }
+  });
+
+  socket.on("vote_action", async (data, ack) => {
+    try {
+      await castVoteAction(socket.data, data?.proposalId);
+      ack?.({ ok: true });
+    } catch (error) {
+      console.warn(`Vote rejected for ${socket.id}: ${error.message}`);
+      ack?.({ ok: false, error: error.message });
+    }
+  });
+
+  // 4. Disconnect Listener
+  socket.on("disconnect", async (reason) => {
     console.log(
       `WebSocket client disconnected: ${socket.id}, Reason: ${reason}`
     );
     const { userId, sessionId } = socket.data; // Retrieve stored data
+    if (!userId || !sessionId) return; // Never authenticated
 
-    if (userId && sessionId && sessionSockets.has(sessionId)) {
-      const userMap = sessionSockets.get(sessionId);
-      if (userMap?.delete(userId)) {
-        console.log(
-          `Removed user ${userId} from session ${sessionId} socket map.`
-        );
+    try {
+      await removeSocketConnection(socket.id);
+      const connectedUserIds = await getConnectedUserIds(sessionId);
+
+      // The player may still be connected from another tab or instance
+      if (!connectedUserIds.has(userId)) {
+        console.log(`User ${userId} has no connections left in ${sessionId}.`);
+        await setPlayerPresence(sessionId, userId, false);
 
         // --- Notify other players in the room ---
         // We use socket.broadcast.to() to send to everyone in the room *except* the disconnected socket itself
         socket.broadcast.to(sessionId).emit("player_left", { userId });
         console.log(`Notified room ${sessionId} that user ${userId} left.`);
         // ---------------------------------------------
+
+        // The remaining players may all have voted already
+        await resolveVoteRoundIfEveryoneVoted(sessionId);
       }
-      // If the session map is now empty, remove the session entry
-      if (userMap?.size === 0) {
-        sessionSockets.delete(sessionId);
-        console.log(`Removed empty session map for ${sessionId}.`);
+      if (connectedUserIds.size === 0) {
+        // Nobody is left to wait for; the timer restarts on reconnect
+        await turnTimers.clear(sessionId);
       }
+    } catch (error) {
+      console.error(`Failed to record ${userId} leaving:`, error);
     }
   });
 
@@ -2303,22 +5831,504 @@ function broadcastSessionUpdate(sessionId, payload) {
   console.log(`Broadcasting SESSION_UPDATE to room ${sessionId}`);
   io.to(sessionId).emit("SESSION_UPDATE", payload);
 }
+
+// Emits a named event to the session room (frequent events are not logged)
+const UNLOGGED_SESSION_EVENTS = new Set([
+  "TURN_STREAM_DELTA",
+  "TURN_TIMER_UPDATE",
+]);
+function broadcastSessionEvent(sessionId, eventName, payload) {
+  if (!UNLOGGED_SESSION_EVENTS.has(eventName)) {
+    console.log(`Broadcasting ${eventName} to room ${sessionId}`);
+  }
+  io.to(sessionId).emit(eventName, payload);
+}
+// ------------------------------------------
+
+// --- Turn Timers (round-robin multiplayer) ---
+let turnTimers; // Created once the database is open
+
+function startTurnTimers() {
+  turnTimers = createTurnTimers({
+    db,
+    onExpire: handleTurnTimeout,
+    onTick: (sessionId) =>
+      broadcastTurnTimer(sessionId).catch((error) =>
+        console.error(`Failed to broadcast turn timer of ${sessionId}:`, error)
+      ),
+    tickIntervalMs: TURN_TIMER_TICK_MS,
+    sweepIntervalMs: TURN_TIMER_SWEEP_MS,
+  });
+}
+
+async function getTurnTimerState(sessionId) {
+  const timer = await turnTimers.get(sessionId);
+  if (!timer) return null;
+  return {
+    turnId: timer.turnId,
+    playerIndex: timer.playerIndex,
+    timeoutAction: timer.timeoutAction,
+    endsAt: new Date(timer.endsAt).toISOString(),
+    secondsLeft: getSecondsLeft(timer),
+  };
+}
+
+// Sent when an action starts and stops being processed, so every client can
+// disable its action input until the turn lands (actingPlayer null = party)
+function broadcastTurnInProgress(sessionId, inProgress, actingPlayer) {
+  broadcastSessionEvent(sessionId, "turn_in_progress", {
+    sessionId,
+    inProgress,
+    actingPlayerIndex: actingPlayer?.player_index ?? null,
+    actingPlayerName: actingPlayer?.character_name ?? null,
+  });
+}
+
+// Countdown event; turnTimer is null once no timer is running
+async function broadcastTurnTimer(sessionId) {
+  broadcastSessionEvent(sessionId, "TURN_TIMER_UPDATE", {
+    sessionId,
+    turnTimer: await getTurnTimerState(sessionId),
+  });
+}
+
+// (Re)starts the countdown for whoever's turn it is now. Only round-robin
+// multiplayer games with a turn timeout, an unfinished goal and at least one
+// connected player are timed.
+async function armTurnTimer(sessionId) {
+  const session = await db.get(
+    `SELECT is_multiplayer, turn_mode, turn_timeout_seconds, turn_timeout_action,
+            current_player_index, is_goal_met, active_branch_id
+     FROM sessions WHERE session_id = ?`,
+    [sessionId]
+  );
+  const isTimed =
+    session?.is_multiplayer &&
+    !isVotingTurnMode(session.turn_mode) &&
+    session.turn_timeout_seconds > 0 &&
+    !session.is_goal_met &&
+    (await getConnectedUserIds(sessionId)).size > 0;
+  if (!isTimed) {
+    if (await turnTimers.clear(sessionId)) await broadcastTurnTimer(sessionId);
+    return;
+  }
+
+  const timelineRows = await getBranchTimeline(
+    sessionId,
+    session.active_branch_id || MAIN_BRANCH_ID
+  );
+  await turnTimers.start(sessionId, {
+    durationMs: session.turn_timeout_seconds * 1000,
+    turnId: timelineRows[timelineRows.length - 1]?.turn_id, // Turn awaiting an action
+    playerIndex: session.current_player_index,
+    timeoutAction: session.turn_timeout_action || TURN_TIMEOUT_ACTIONS.SKIP,
+  });
+}
+
+// The idle player either loses their turn or gets a suggested action played
+// for them, depending on the session's turn_timeout_action
+async function handleTurnTimeout(sessionId, timer) {
+  await broadcastTurnTimer(sessionId); // Expired timers are already cleared
+  // A timer that ran out while its instance was down; it restarts on reconnect
+  if ((await getConnectedUserIds(sessionId)).size === 0) return;
+  const session = await getSessionForTurn(sessionId);
+  if (!session || session.current_player_index !== timer.playerIndex) return;
+  const activeBranchId = session.active_branch_id || MAIN_BRANCH_ID;
+  const timelineRows = await getBranchTimeline(sessionId, activeBranchId);
+  const latestTurn = timelineRows[timelineRows.length - 1];
+  if (!latestTurn || latestTurn.turn_id !== timer.turnId) return; // The game moved on meanwhile
+
+  const players = await db.all(
+    "SELECT user_id, player_index, character_name, character_gender, character_image_url, character_attributes FROM session_players WHERE session_id = ? ORDER BY player_index ASC",
+    [sessionId]
+  );
+  const idlePlayer = players.find((p) => p.player_index === timer.playerIndex);
+  const suggestedActions = JSON.parse(latestTurn.suggested_actions || "[]");
+
+  if (
+    timer.timeoutAction === TURN_TIMEOUT_ACTIONS.AUTO_ACT &&
+    idlePlayer &&
+    suggestedActions.length > 0
+  ) {
+    const action =
+      suggestedActions[Math.floor(Math.random() * suggestedActions.length)];
+    console.log(
+      `Session ${sessionId}: ${idlePlayer.character_name} timed out. Acting for them: "${action}".`
+    );
+    broadcastSessionEvent(sessionId, "TURN_TIMER_EXPIRED", {
+      sessionId,
+      playerIndex: timer.playerIndex,
+      playerName: idlePlayer.character_name,
+      outcome: TURN_TIMEOUT_ACTIONS.AUTO_ACT,
+      action,
+    });
+    // Re-arms the timer for the next player. A player may still act before
+    // the turn lock is taken, in which case the auto-action is dropped.
+    try {
+      await processTurnAction({
+        session,
+        players,
+        actingPlayer: idlePlayer,
+        action,
+        sourceTurnIndex: timelineRows.length - 1,
+        branchId: activeBranchId,
+      });
+    } catch (error) {
+      if (!(error instanceof TurnConflictError)) throw error;
+      console.log(
+        `Session ${sessionId}: The game moved on before the auto-action of ${idlePlayer.character_name} started. Dropping it.`
+      );
+    }
+    return;
+  }
+
+  // Skip (also the fallback when there is nothing to auto-play). Done under
+  // the turn lock: if the idle player's action is already being processed,
+  // it wins and arms the next countdown itself.
+  const lockToken = await acquireTurnLock(sessionId);
+  if (!lockToken) return;
+  let isSkipped = false;
+  try {
+    const currentSession = await getSessionForTurn(sessionId);
+    const currentTimeline = await getBranchTimeline(
+      sessionId,
+      currentSession?.active_branch_id || MAIN_BRANCH_ID
+    );
+    if (
+      currentSession?.current_player_index !== timer.playerIndex ||
+      currentTimeline[currentTimeline.length - 1]?.turn_id !== timer.turnId
+    ) {
+      return; // The game moved on before the lock was ours
+    }
+    const nextPlayerIndex = findNextConnectedPlayerIndex(
+      players,
+      timer.playerIndex,
+      await getConnectedUserIds(sessionId)
+    );
+    if (nextPlayerIndex === -1) {
+      console.warn(
+        `Session ${sessionId}: Turn timed out with no connected players. Game paused.`
+      );
+      await broadcastTurnTimer(sessionId);
+      return;
+    }
+    console.log(
+      `Session ${sessionId}: ${
+        idlePlayer?.character_name || "Player"
+      } timed out. Passing the turn to index ${nextPlayerIndex}.`
+    );
+    await db.run(
+      'UPDATE sessions SET current_player_index = ?, last_updated_at = datetime("now") WHERE session_id = ?',
+      [nextPlayerIndex, sessionId]
+    );
+    broadcastSessionEvent(sessionId, "TURN_TIMER_EXPIRED", {
+      sessionId,
+      playerIndex: timer.playerIndex,
+      playerName: idlePlayer?.character_name || null,
+      outcome: TURN_TIMEOUT_ACTIONS.SKIP,
+      action: null,
+    });
+    await armTurnTimer(sessionId);
+    isSkipped = true;
+  } finally {
+    await releaseTurnLock(sessionId, lockToken);
+  }
+  if (!isSkipped) return;
+  // Read after the lock is released, so the state shows no turn in progress
+  const updatedState = await getFullSessionState(sessionId);
+  if (updatedState) broadcastSessionUpdate(sessionId, updatedState);
+}
+// ------------------------------------------
+
+// --- Vote Rounds (voting turn modes) ---
+// The open round of each session is a vote_rounds row, so a proposal or vote
+// can reach any instance. Changes run in a transaction (a write lock across
+// instances), and whichever instance claims a closed round resolves it.
+async function loadVoteRound(sessionId) {
+  const row = await db.get("SELECT * FROM vote_rounds WHERE session_id = ?", [
+    sessionId,
+  ]);
+  return row ? voteRoundFromRow(row) : null;
+}
+
+async function saveVoteRound(sessionId, round) {
+  const row = voteRoundToRow(sessionId, round);
+  const columns = Object.keys(row);
+  await db.run(
+    `INSERT OR REPLACE INTO vote_rounds (${columns.join(", ")})
+     VALUES (${columns.map(() => "?").join(", ")})`,
+    Object.values(row)
+  );
+}
+
+async function getVoteRoundState(sessionId) {
+  const round = await loadVoteRound(sessionId);
+  return round ? serializeVoteRound(round) : null;
+}
+
+// Checks the socket's user may take part in a vote round of its session
+async function loadVotingSessionPlayer({ userId, sessionId }) {
+  if (!userId || !sessionId) {
+    throw new Error("Not authenticated for a session.");
+  }
+  const session = await db.get(
+    "SELECT session_id, is_multiplayer, turn_mode, active_branch_id, content_rating FROM sessions WHERE session_id = ?",
+    [sessionId]
+  );
+  if (!session) throw new Error("Session not found.");
+  if (!session.is_multiplayer || !isVotingTurnMode(session.turn_mode)) {
+    throw new Error("This session doesn't decide turns by vote.");
+  }
+  const player = await db.get(
+    "SELECT user_id, character_name FROM session_players WHERE session_id = ? AND user_id = ?",
+    [sessionId, userId]
+  );
+  if (!player) throw new Error("You are not a player in this session.");
+  return { session, player };
+}
+
+async function proposeVoteAction(socketData, action) {
+  const trimmedAction = typeof action === "string" ? action.trim() : "";
+  if (!trimmedAction) throw new Error("Action cannot be empty.");
+  const { session, player } = await loadVotingSessionPlayer(socketData);
+  const { sessionId } = socketData;
+  // Proposals are shown to everyone, so they're checked before the vote
+  await moderatePlayerText(trimmedAction, {
+    source: MODERATION_SOURCES.ACTION,
+    rating: session.content_rating,
+    sessionId,
+    userId: player.user_id,
+  });
+
+  const round = await withTransaction(async () => {
+    let currentRound = await loadVoteRound(sessionId);
+    if (currentRound?.isResolving) {
+      throw new Error("The GM is already resolving this turn.");
+    }
+    if (!currentRound) {
+      // Proposals continue from the tip of the active branch, read in the
+      // transaction so a timeline switch can't slip in before the round opens
+      const { active_branch_id: activeBranchId } = await db.get(
+        "SELECT active_branch_id FROM sessions WHERE session_id = ?",
+        [sessionId]
+      );
+      const branchId = activeBranchId || MAIN_BRANCH_ID;
+      const timelineRows = await getBranchTimeline(sessionId, branchId);
+      currentRound = createVoteRound({
+        turnMode: session.turn_mode,
+        turnIndex: timelineRows.length - 1,
+        branchId,
+        durationMs: VOTE_WINDOW_MS,
+      });
+      console.log(
+        `Session ${sessionId}: Opened vote round ${currentRound.roundId} for turn ${currentRound.turnIndex}.`
+      );
+    }
+    submitProposal(currentRound, {
+      userId: player.user_id,
+      playerName: player.character_name,
+      action: trimmedAction,
+    });
+    await saveVoteRound(sessionId, currentRound);
+    return currentRound;
+  });
+  broadcastVoteRound(sessionId, round);
+  await resolveVoteRoundIfEveryoneVoted(sessionId);
+}
+
+async function castVoteAction(socketData, proposalId) {
+  await loadVotingSessionPlayer(socketData);
+  const { sessionId, userId } = socketData;
+  const round = await withTransaction(async () => {
+    const currentRound = await loadVoteRound(sessionId);
+    if (!currentRound) throw new Error("There is no open vote round.");
+    if (currentRound.isResolving) {
+      throw new Error("The GM is already resolving this turn.");
+    }
+    castVote(currentRound, userId, proposalId);
+    await saveVoteRound(sessionId, currentRound);
+    return currentRound;
+  });
+  broadcastVoteRound(sessionId, round);
+  await resolveVoteRoundIfEveryoneVoted(sessionId);
+}
+
+function broadcastVoteRound(sessionId, round) {
+  broadcastSessionEvent(sessionId, "VOTE_ROUND_UPDATE", {
+    sessionId,
+    voteRound: serializeVoteRound(round),
+  });
+}
+
+// Closes the round early once every connected player has voted
+async function resolveVoteRoundIfEveryoneVoted(sessionId) {
+  const connectedUserIds = [...(await getConnectedUserIds(sessionId))];
+  const round = await loadVoteRound(sessionId);
+  if (!round || round.isResolving) return;
+  if (hasEveryoneVoted(round, connectedUserIds)) {
+    resolveVoteRound(sessionId, round.roundId).catch((error) =>
+      console.error(`Failed to resolve vote round ${round.roundId}:`, error)
+    );
+  }
+}
+
+// Sends the winning (or merged) action through the regular turn pipeline
+async function resolveVoteRound(sessionId, roundId) {
+  // Only the instance that marks the round resolving goes on
+  const round = await withTransaction(async () => {
+    const currentRound = await loadVoteRound(sessionId);
+    if (
+      !currentRound ||
+      currentRound.roundId !== roundId ||
+      currentRound.isResolving
+    ) {
+      return null;
+    }
+    await db.run(
+      "UPDATE vote_rounds SET resolving_at = ? WHERE session_id = ?",
+      [Date.now(), sessionId]
+    );
+    return { ...currentRound, isResolving: true };
+  });
+  if (!round) return;
+  broadcastVoteRound(sessionId, round);
+
+  const { action, winningProposal } = getRoundOutcome(round);
+  console.log(
+    `Session ${sessionId}: Resolving vote round ${roundId} (${
+      winningProposal ? `winner ${winningProposal.playerName}` : "merged"
+    }).`
+  );
+
+  let errorMessage = null;
+  try {
+    const session = await getSessionForTurn(sessionId);
+    if (!session) throw new Error("Session not found.");
+    const players = await db.all(
+      "SELECT user_id, player_index, character_name, character_gender, character_image_url, character_attributes FROM session_players WHERE session_id = ? ORDER BY player_index ASC",
+      [sessionId]
+    );
+    const actingPlayer = winningProposal
+      ? players.find((p) => p.user_id === winningProposal.userId) ?? null
+      : null;
+    await processTurnAction({
+      session,
+      players,
+      actingPlayer,
+      action,
+      sourceTurnIndex: round.turnIndex,
+      branchId: round.branchId,
+    });
+  } catch (error) {
+    errorMessage = error.message;
+    console.error(
+      `Error resolving vote round ${roundId} for session ${sessionId}:`,
+      error
+    );
+  } finally {
+    await db.run(
+      "DELETE FROM vote_rounds WHERE session_id = ? AND round_id = ?",
+      [sessionId, roundId]
+    );
+  }
+
+  broadcastSessionEvent(sessionId, "VOTE_ROUND_RESOLVED", {
+    sessionId,
+    roundId,
+    action,
+    winningProposalId: winningProposal?.proposalId ?? null,
+    success: !errorMessage,
+    ...(errorMessage && { error: errorMessage }),
+  });
+}
+
+// Resolves rounds whose window closed, whichever instance opened them, and
+// drops rounds whose resolving instance died (its turn lock has expired by then)
+let isSweepingVoteRounds = false;
+
+async function sweepVoteRounds() {
+  if (isSweepingVoteRounds) return; // Previous sweep still running
+  isSweepingVoteRounds = true;
+  try {
+    const now = Date.now();
+    const rows = await db.all(
+      `SELECT * FROM vote_rounds
+       WHERE (resolving_at IS NULL AND ends_at <= ?) OR resolving_at <= ?`,
+      [now, now - TURN_LOCK_TTL_MS]
+    );
+    for (const row of rows) {
+      if (row.resolving_at === null) {
+        resolveVoteRound(row.session_id, row.round_id).catch((error) =>
+          console.error(`Failed to resolve vote round ${row.round_id}:`, error)
+        );
+        continue;
+      }
+      const removal = await db.run(
+        "DELETE FROM vote_rounds WHERE session_id = ? AND round_id = ? AND resolving_at = ?",
+        [row.session_id, row.round_id, row.resolving_at]
+      );
+      if (removal.changes !== 1) continue;
+      console.warn(
+        `Session ${row.session_id}: Dropped vote round ${row.round_id}, abandoned while resolving.`
+      );
+      broadcastSessionEvent(row.session_id, "VOTE_ROUND_RESOLVED", {
+        sessionId: row.session_id,
+        roundId: row.round_id,
+        action: getRoundOutcome(voteRoundFromRow(row)).action,
+        winningProposalId: null,
+        success: false,
+        error: "The server resolving the vote stopped. Please propose again.",
+      });
+    }
+  } catch (error) {
+    console.error("Vote round sweep failed:", error);
+  } finally {
+    isSweepingVoteRounds = false;
+  }
+}
 // ------------------------------------------
 
+// --- Socket.IO Adapter Registry Setup ---
+// "memory" keeps Socket.IO's default adapter: fine for a single instance
+registerSocketAdapter("memory", async () => null);
+registerSocketAdapter("sqlite", () =>
+  createSqliteAdapter({ dbPath: SOCKET_IO_SQLITE_PATH })
+);
+registerSocketAdapter("redis", () => createRedisAdapter({ url: REDIS_URL }));
+
 // --- Start Server  ---
 initializeDatabase()
-  .then((dbInstance) => {
-    db = dbInstance;
+  .then(async (dbInstance) => {
+    db = queueWritesBehindTransactions(dbInstance);
+    rateLimitStore =
+      RATE_LIMIT_STORE === "sqlite"
+        ? new SqliteBucketStore(db)
+        : new MemoryBucketStore();
+    await rateLimitStore.prune(); // Buckets that refilled while we were down
+    await purgeSocketConnections();
+    startTurnTimers();
+    setInterval(sweepVoteRounds, VOTE_ROUND_SWEEP_MS).unref();
+    const socketAdapter = await getSocketAdapterFactory(SOCKET_IO_ADAPTER)();
+    if (socketAdapter) io.adapter(socketAdapter);
+    resumePendingImageJobs().catch((error) =>
+      console.error("Error resuming pending image jobs:", error)
+    );
     // --- MODIFIED: Listen on HTTP server, not Express app ---
     server.listen(port, () => {
       console.log(
         `AI Adventure Backend (SQLite + Socket.IO) listening at http://localhost:${port}`
       );
       console.log(`--> Configured to use LLM Provider: ${ACTIVE_LLM_PROVIDER}`);
+      console.log(
+        `--> Socket.IO adapter: ${SOCKET_IO_ADAPTER} (instance ${SERVER_ID})`
+      );
     });
     // ------------------------------------------------------
   })
-  .catch((err) => process.exit(1));
+  .catch((err) => {
+    console.error("Server startup failed:", err.message);
+    process.exit(1);
+  });
 
 // --- Graceful Shutdown  ---
 process.on("SIGINT", async () => {
@@ -2348,61 +6358,281 @@ process.on("SIGINT", async () => {
   }, 5000); // 5 seconds timeout
 });
 
+// --- Turn Columns Shared by Session State Queries ---
+const TURN_STATE_COLUMNS = `
+  turn_id, turn_index, scenario_text, image_url, image_prompt, image_status, suggested_actions, action_taken,
+  time_of_day, is_same_location, characters,
+  acting_player_user_id, acting_player_index,
+  branch_id, parent_turn_id, met_prerequisites, is_goal_met, location_name,
+  inventory_changes, dice_roll`;
+
+// --- Helper to Fetch the Ordered Timeline of a Branch ---
+// A branch only stores the turns created on it; earlier turns are inherited
+// from the branch it forked from, so walk parent_turn_id back from the tip.
+async function getBranchTimeline(sessionId, branchId) {
+  return db.all(
+    `WITH RECURSIVE timeline(turn_id) AS (
+       SELECT (
+         SELECT turn_id FROM turns
+         WHERE session_id = ? AND branch_id = ?
+         ORDER BY turn_index DESC LIMIT 1
+       )
+       UNION ALL
+       SELECT t.parent_turn_id FROM turns t
+       JOIN timeline ON t.turn_id = timeline.turn_id
+       WHERE t.parent_turn_id IS NOT NULL
+     )
+     SELECT ${TURN_STATE_COLUMNS}
+     FROM turns
+     WHERE turn_id IN (SELECT turn_id FROM timeline)
+     ORDER BY turn_index ASC`,
+    [sessionId, branchId]
+  );
+}
+
+// --- Player Presence ---
+// Columns for the client-facing player list, including derived online status
+const PLAYER_STATE_COLUMNS = `user_id, player_index, character_name, character_gender,
+  character_image_url, character_attributes, last_seen_at,
+  (is_active = 1 AND last_seen_at >= datetime('now', '-${PRESENCE_TIMEOUT_SECONDS} seconds')) AS is_online`;
+
+function mapPlayerRow(row) {
+  return {
+    userId: row.user_id,
+    playerIndex: row.player_index,
+    characterName: row.character_name,
+    characterGender: row.character_gender,
+    characterImageUrl: row.character_image_url,
+    attributes: row.character_attributes
+      ? JSON.parse(row.character_attributes)
+      : null,
+    isOnline: !!row.is_online,
+    lastSeenAt: row.last_seen_at,
+  };
+}
+
+async function setPlayerPresence(sessionId, userId, isActive) {
+  await db.run(
+    'UPDATE session_players SET is_active = ?, last_seen_at = datetime("now") WHERE session_id = ? AND user_id = ?',
+    [isActive ? 1 : 0, sessionId, userId]
+  );
+}
+
+// --- Shared Socket Connections ---
+// One row per authenticated socket on any instance. Rows of an instance that
+// died without cleaning up stop counting once their heartbeats go stale.
+async function addSocketConnection(socketId, sessionId, userId) {
+  await db.run(
+    "INSERT OR REPLACE INTO socket_connections (socket_id, session_id, user_id, server_id) VALUES (?, ?, ?, ?)",
+    [socketId, sessionId, userId, SERVER_ID]
+  );
+}
+
+async function touchSocketConnection(socketId) {
+  await db.run(
+    'UPDATE socket_connections SET last_seen_at = datetime("now") WHERE socket_id = ?',
+    [socketId]
+  );
+}
+
+async function removeSocketConnection(socketId) {
+  await db.run("DELETE FROM socket_connections WHERE socket_id = ?", [
+    socketId,
+  ]);
+}
+
+// Users with at least one live socket in the session, on any instance
+async function getConnectedUserIds(sessionId) {
+  const rows = await db.all(
+    `SELECT DISTINCT user_id FROM socket_connections
+     WHERE session_id = ? AND last_seen_at >= datetime('now', '-${PRESENCE_TIMEOUT_SECONDS} seconds')`,
+    [sessionId]
+  );
+  return new Set(rows.map((row) => row.user_id));
+}
+
+// Run at startup: this instance's old sockets are gone after a restart
+async function purgeSocketConnections() {
+  await db.run(
+    `DELETE FROM socket_connections
+     WHERE server_id = ? OR last_seen_at < datetime('now', '-${PRESENCE_TIMEOUT_SECONDS} seconds')`,
+    [SERVER_ID]
+  );
+}
+
+// --- Session Turn Locks ---
+// Serializes actions per session across instances. Returns a token for
+// releaseTurnLock, or null while another action holds the lock. Expired
+// locks (e.g. from a crashed instance) are taken over.
+async function acquireTurnLock(sessionId) {
+  const lockToken = uuidv4();
+  const result = await db.run(
+    `INSERT INTO session_turn_locks (session_id, lock_token, server_id, expires_at)
+     VALUES (?, ?, ?, datetime('now', ?))
+     ON CONFLICT(session_id) DO UPDATE SET
+       lock_token = excluded.lock_token,
+       server_id = excluded.server_id,
+       expires_at = excluded.expires_at
+     WHERE session_turn_locks.expires_at < datetime('now')`,
+    [
+      sessionId,
+      lockToken,
+      SERVER_ID,
+      `+${Math.ceil(TURN_LOCK_TTL_MS / 1000)} seconds`,
+    ]
+  );
+  return result.changes === 1 ? lockToken : null;
+}
+
+// Whether an action is being processed right now (for clients that join mid-turn)
+async function isTurnLocked(sessionId) {
+  const row = await db.get(
+    "SELECT 1 FROM session_turn_locks WHERE session_id = ? AND expires_at >= datetime('now')",
+    [sessionId]
+  );
+  return !!row;
+}
+
+class TurnInProgressError extends Error {
+  constructor() {
+    super("Another action is already being processed for this session.");
+    this.name = "TurnInProgressError";
+  }
+}
+
+// The turn, player or branch an action was checked against changed before
+// the action got the turn lock
+class TurnConflictError extends Error {
+  constructor() {
+    super("The game moved on before this action was processed.");
+    this.name = "TurnConflictError";
+  }
+}
+
+async function releaseTurnLock(sessionId, lockToken) {
+  try {
+    await db.run(
+      "DELETE FROM session_turn_locks WHERE session_id = ? AND lock_token = ?",
+      [sessionId, lockToken]
+    );
+  } catch (error) {
+    // The lock expires on its own; just make sure it's visible in the logs
+    console.error(`Failed to release turn lock for ${sessionId}:`, error);
+  }
+}
+
+// --- Idempotent Action Results ---
+// The response for an action whose turn already exists, or null. Retries get
+// the current session state plus the turn their key created.
+async function getIdempotentActionResult(sessionId, idempotencyKey) {
+  const turn = await db.get(
+    "SELECT turn_id FROM turns WHERE session_id = ? AND idempotency_key = ?",
+    [sessionId, idempotencyKey]
+  );
+  if (!turn) return null;
+  const state = await getFullSessionState(sessionId);
+  return state && { ...state, resultTurnId: turn.turn_id, isReplay: true };
+}
+
+// --- Helper to Map a Turn Row to the API Turn Shape ---
+function mapTurnRow(row) {
+  return {
+    turnId: row.turn_id,
+    turnIndex: row.turn_index,
+    scenarioText: row.scenario_text,
+    imageUrl: row.image_url,
+    imageStatus: row.image_status,
+    imagePrompt: row.image_prompt,
+    suggestedActions: row.suggested_actions
+      ? JSON.parse(row.suggested_actions)
+      : [],
+    actionTaken: row.action_taken,
+    timeOfDay: row.time_of_day,
+    isSameLocation: row.is_same_location === 1,
+    locationName: row.location_name,
+    characters: row.characters ? JSON.parse(row.characters) : [],
+    inventoryChanges: row.inventory_changes
+      ? JSON.parse(row.inventory_changes)
+      : [],
+    diceRoll: row.dice_roll ? JSON.parse(row.dice_roll) : null,
+    actingPlayerUserId: row.acting_player_user_id,
+    actingPlayerIndex: row.acting_player_index,
+    branchId: row.branch_id,
+  };
+}
+
+// --- Helper to Summarize the Branches of a Session ---
+async function getSessionBranches(sessionId) {
+  const rows = await db.all(
+    `SELECT turn_id, branch_id, parent_turn_id, turn_index, action_taken, created_at
+     FROM turns WHERE session_id = ? ORDER BY turn_index ASC`,
+    [sessionId]
+  );
+  const branchOfTurn = new Map(rows.map((row) => [row.turn_id, row.branch_id]));
+  const branches = new Map();
+  rows.forEach((row) => {
+    let branch = branches.get(row.branch_id);
+    if (!branch) {
+      // Rows are ordered by turn_index, so the first row is the branch's first turn
+      branch = {
+        branchId: row.branch_id,
+        parentBranchId: row.parent_turn_id
+          ? branchOfTurn.get(row.parent_turn_id) || null
+          : null,
+        forkTurnIndex: row.parent_turn_id ? row.turn_index - 1 : null,
+        firstAction: row.action_taken,
+        tipTurnIndex: row.turn_index,
+        turnCount: 0,
+        createdAt: row.created_at,
+      };
+      branches.set(row.branch_id, branch);
+    }
+    branch.tipTurnIndex = row.turn_index;
+    branch.turnCount++;
+  });
+  return [...branches.values()];
+}
+
 // --- Helper Function to Get Full Session State (NEW) ---
 // Consolidates fetching session details, players, and history for broadcasting/response
 async function getFullSessionState(sessionId) {
   try {
     const session = await db.get(
       `SELECT session_id, theme, is_multiplayer, current_player_index, 
-              game_goal, goal_prerequisites, met_prerequisites, is_goal_met 
+              game_goal, goal_prerequisites, met_prerequisites, is_goal_met,
+              active_branch_id, turn_mode, turn_timeout_seconds,
+              turn_timeout_action, use_dice_rules, content_rating
        FROM sessions WHERE session_id = ?`,
       [sessionId]
     );
     if (!session) return null; // Session not found
 
     const players = await db.all(
-      "SELECT user_id, player_index, character_name, character_gender, character_image_url FROM session_players WHERE session_id = ? ORDER BY player_index ASC",
+      `SELECT ${PLAYER_STATE_COLUMNS} FROM session_players WHERE session_id = ? ORDER BY player_index ASC`,
       [sessionId]
     );
     if (!players) return null; // Should not happen if session exists
 
-    const historyRows = await db.all(
-      `SELECT 
-         turn_index, scenario_text, image_url, image_prompt, suggested_actions, action_taken,
-         time_of_day, is_same_location, characters,
-         acting_player_user_id, acting_player_index
-       FROM turns WHERE session_id = ? ORDER BY turn_index ASC`,
-      [sessionId]
-    );
-
-    const history = historyRows.map((row) => ({
-      turnIndex: row.turn_index,
-      scenarioText: row.scenario_text,
-      imageUrl: row.image_url,
-      imagePrompt: row.image_prompt,
-      suggestedActions: row.suggested_actions
-        ? JSON.parse(row.suggested_actions)
-        : [],
-      actionTaken: row.action_taken,
-      timeOfDay: row.time_of_day,
-      isSameLocation: row.is_same_location === 1,
-      characters: row.characters ? JSON.parse(row.characters) : [],
-      actingPlayerUserId: row.acting_player_user_id,
-      actingPlayerIndex: row.acting_player_index,
-    }));
+    const activeBranchId = session.active_branch_id || MAIN_BRANCH_ID;
+    const historyRows = await getBranchTimeline(sessionId, activeBranchId);
+    const history = historyRows.map(mapTurnRow);
 
     return {
       sessionId: sessionId,
       theme: session.theme,
       isMultiplayer: !!session.is_multiplayer,
       currentPlayerIndex: session.current_player_index,
-      players: players.map((p) => ({
-        userId: p.user_id,
-        playerIndex: p.player_index,
-        characterName: p.character_name,
-        characterGender: p.character_gender,
-        characterImageUrl: p.character_image_url,
-      })),
+      activeBranchId: activeBranchId,
+      turnMode: session.turn_mode || TURN_MODES.ROUND_ROBIN,
+      voteRound: await getVoteRoundState(sessionId),
+      turnTimeoutSeconds: session.turn_timeout_seconds || null,
+      turnTimeoutAction:
+        session.turn_timeout_action || TURN_TIMEOUT_ACTIONS.SKIP,
+      useDiceRules: !!session.use_dice_rules,
+      contentRating: session.content_rating || CONTENT_RATINGS.TEEN,
+      turnTimer: await getTurnTimerState(sessionId),
+      turnInProgress: await isTurnLocked(sessionId),
+      players: players.map(mapPlayerRow),
       history: history,
       // --- Add Goal State ---
       gameGoal: session.game_goal,
@@ -2440,7 +6670,7 @@ app.get("/api/invite/:inviteCode", async (req, res) => {
   try {
     // Find session by invite code
     const session = await db.get(
-      "SELECT session_id, theme, is_multiplayer, max_players FROM sessions WHERE invite_code = ?",
+      "SELECT session_id, theme, is_multiplayer, max_players, use_dice_rules, content_rating FROM sessions WHERE invite_code = ?",
       [inviteCode]
     );
 
@@ -2472,6 +6702,8 @@ app.get("/api/invite/:inviteCode", async (req, res) => {
       isFull: isFull,
       playerCount: playerCount,
       maxPlayers: session.max_players,
+      useDiceRules: !!session.use_dice_rules,
+      contentRating: session.content_rating || CONTENT_RATINGS.TEEN,
     });
   } catch (error) {
     console.error(`Error fetching invite info for code ${inviteCode}:`, error);
@@ -0,0 +1,211 @@
+import { isInlineImageUrl } from "./imageStore.js";
+
+// --- Session Archives ---
+// A portable JSON backup of one session: the sessions row (goal state, lore,
+// settings), its players and their users, every turn of every branch, and
+// the bytes of the images they reference. Rows are copied column by column,
+// so new columns are carried along without touching this module; bump
+// SESSION_ARCHIVE_VERSION when a change needs converting old archives.
+
+export const SESSION_ARCHIVE_FORMAT = "ai-adventure-session";
+export const SESSION_ARCHIVE_VERSION = 1;
+
+// Problems with an uploaded archive (reported to the client as 400s)
+export class SessionArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SessionArchiveError";
+  }
+}
+
+// Deployment-specific columns that a restore assigns fresh
+const SESSION_OMITTED_COLUMNS = ["invite_code"];
+const PLAYER_OMITTED_COLUMNS = ["id", "is_active", "last_seen_at"];
+
+function omitColumns(row, columns) {
+  return Object.fromEntries(
+    Object.entries(row).filter(([column]) => !columns.includes(column))
+  );
+}
+
+// Stored and uploaded images; inline data URLs already live in the row
+function collectImageUrls(players, turns) {
+  const urls = [
+    ...players.map((player) => player.character_image_url),
+    ...turns.map((turn) => turn.image_url),
+  ];
+  return [...new Set(urls.filter((url) => url && !isInlineImageUrl(url)))];
+}
+
+// `loadImage(url)` resolves to { mimeType, buffer }, or null for images the
+// server doesn't hold (those URLs are kept as they are)
+export async function buildSessionArchive({
+  session,
+  users,
+  players,
+  turns,
+  loadImage,
+}) {
+  const images = {};
+  for (const url of collectImageUrls(players, turns)) {
+    const image = await loadImage(url);
+    if (image) {
+      images[url] = {
+        mimeType: image.mimeType,
+        data: image.buffer.toString("base64"),
+      };
+    }
+  }
+  return {
+    format: SESSION_ARCHIVE_FORMAT,
+    version: SESSION_ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: omitColumns(session, SESSION_OMITTED_COLUMNS),
+    users,
+    players: players.map((player) =>
+      omitColumns(player, PLAYER_OMITTED_COLUMNS)
+    ),
+    turns,
+    images,
+  };
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Parses and checks an uploaded archive; throws SessionArchiveError
+export function parseSessionArchive(text) {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch {
+    throw new SessionArchiveError("The backup file is not valid JSON.");
+  }
+  if (!isPlainObject(archive) || archive.format !== SESSION_ARCHIVE_FORMAT) {
+    throw new SessionArchiveError("The file is not a session backup.");
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    throw new SessionArchiveError("The backup has no valid version.");
+  }
+  if (archive.version > SESSION_ARCHIVE_VERSION) {
+    throw new SessionArchiveError(
+      `The backup was made by a newer version (archive version ${archive.version}, supported up to ${SESSION_ARCHIVE_VERSION}).`
+    );
+  }
+  const { session, users, players, turns, images } = archive;
+  if (
+    !isPlainObject(session) ||
+    typeof session.user_id !== "string" ||
+    typeof session.theme !== "string" ||
+    !Array.isArray(users) ||
+    !Array.isArray(players) ||
+    players.length === 0 ||
+    !Array.isArray(turns) ||
+    turns.length === 0 ||
+    !isPlainObject(images) ||
+    ![...users, ...players, ...turns].every(isPlainObject) ||
+    !players.some((player) => player.user_id === session.user_id)
+  ) {
+    throw new SessionArchiveError("The backup is missing session data.");
+  }
+  return archive;
+}
+
+// Archived user ID -> user ID in this deployment. Explicit `userIdMap`
+// entries win; otherwise only the importing user is matched, either by their
+// own archived user ID or, when they aren't in the archive, as its owner. A
+// backup must not make anyone else a player on its own, so every other
+// archived player needs a `userIdMap` entry. `findUser({ userId })` looks a
+// user up in this deployment.
+export async function resolveArchiveUserIds(
+  archive,
+  { importingUserId, userIdMap = {}, findUser }
+) {
+  const archivedUserIds = [
+    ...new Set(archive.players.map((player) => player.user_id)),
+  ];
+  const importerIsArchived = archivedUserIds.includes(importingUserId);
+  const resolved = new Map();
+  const unresolved = [];
+
+  for (const archivedUserId of archivedUserIds) {
+    let userId = null;
+    if (Object.hasOwn(userIdMap, archivedUserId)) {
+      const user = await findUser({ userId: userIdMap[archivedUserId] });
+      if (!user) {
+        throw new SessionArchiveError(
+          `User ${userIdMap[archivedUserId]} (mapped from ${archivedUserId}) does not exist.`
+        );
+      }
+      userId = user.user_id;
+    } else if (
+      importerIsArchived
+        ? archivedUserId === importingUserId
+        : archivedUserId === archive.session.user_id
+    ) {
+      userId = importingUserId;
+    }
+    if (userId) resolved.set(archivedUserId, userId);
+    else unresolved.push(archivedUserId);
+  }
+
+  if (unresolved.length > 0) {
+    throw new SessionArchiveError(
+      `Archived player(s) ${unresolved.join(
+        ", "
+      )} must be mapped to existing users with userIdMap.`
+    );
+  }
+  if (new Set(resolved.values()).size !== resolved.size) {
+    throw new SessionArchiveError(
+      "Two archived players would become the same user."
+    );
+  }
+  if (![...resolved.values()].includes(importingUserId)) {
+    throw new SessionArchiveError(
+      "You must be one of the players of the restored session."
+    );
+  }
+  return resolved;
+}
+
+// Rewrites the archive rows for insertion: a new session ID, new turn IDs
+// (with parent links following them), resolved user IDs and restored image
+// URLs. Session and turn IDs are never reused, so restoring next to the
+// original (or twice) is safe.
+export function remapSessionArchive(
+  archive,
+  { sessionId, userIds, imageUrls, createId }
+) {
+  const turnIds = new Map(
+    archive.turns.map((turn) => [turn.turn_id, createId()])
+  );
+  const mapImageUrl = (url) => (url && imageUrls.get(url)) || url || null;
+
+  return {
+    session: {
+      ...archive.session,
+      session_id: sessionId,
+      user_id: userIds.get(archive.session.user_id),
+    },
+    players: archive.players.map((player) => ({
+      ...player,
+      session_id: sessionId,
+      user_id: userIds.get(player.user_id),
+      character_image_url: mapImageUrl(player.character_image_url),
+    })),
+    turns: archive.turns.map((turn) => ({
+      ...turn,
+      turn_id: turnIds.get(turn.turn_id),
+      session_id: sessionId,
+      parent_turn_id: turn.parent_turn_id
+        ? turnIds.get(turn.parent_turn_id) ?? null
+        : null,
+      acting_player_user_id: turn.acting_player_user_id
+        ? userIds.get(turn.acting_player_user_id) ?? null
+        : null,
+      image_url: mapImageUrl(turn.image_url),
+    })),
+  };
+}
@@ -0,0 +1,58 @@
+// --- Socket.IO Adapter Registry ---
+// The adapter decides how io.to(room).emit() reaches sockets connected to
+// other backend instances. SOCKET_IO_ADAPTER picks one by name, so a new
+// transport only needs a registerSocketAdapter() call. A factory is an async
+// function (options) => Adapter constructor for io.adapter(), or null to keep
+// Socket.IO's default in-memory adapter (single instance only).
+
+const adapterFactories = new Map();
+
+export function registerSocketAdapter(name, factory) {
+  if (typeof factory !== "function") {
+    throw new Error(`Socket.IO adapter '${name}' must be a factory function.`);
+  }
+  adapterFactories.set(name, factory);
+}
+
+export function listSocketAdapters() {
+  return [...adapterFactories.keys()];
+}
+
+// Throws for unknown names so misconfiguration fails at startup
+export function getSocketAdapterFactory(name) {
+  const factory = adapterFactories.get(name);
+  if (!factory) {
+    throw new Error(
+      `Unknown Socket.IO adapter: ${name}. Registered adapters: ${listSocketAdapters().join(
+        ", "
+      )}.`
+    );
+  }
+  return factory;
+}
+
+// --- Redis Adapter ---
+// Works with any Redis-compatible server (Redis, Valkey, KeyDB, ...), so a
+// local container is enough to try several instances. Its packages are
+// optional and only loaded when this adapter is configured.
+export async function createRedisAdapter({ url }) {
+  let createAdapter, createClient;
+  try {
+    ({ createAdapter } = await import("@socket.io/redis-adapter"));
+    ({ createClient } = await import("redis"));
+  } catch {
+    throw new Error(
+      "FATAL ERROR: The redis Socket.IO adapter needs its packages. Run: npm install @socket.io/redis-adapter redis"
+    );
+  }
+  const pubClient = createClient({ url });
+  const subClient = pubClient.duplicate();
+  for (const client of [pubClient, subClient]) {
+    client.on("error", (error) =>
+      console.error("Socket.IO Redis client error:", error.message)
+    );
+  }
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  console.log(`Socket.IO adapter connected to Redis at ${url}`);
+  return createAdapter(pubClient, subClient);
+}
@@ -0,0 +1,108 @@
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+import { ClusterAdapterWithHeartbeat } from "socket.io-adapter";
+
+// --- SQLite Socket.IO Adapter ---
+// Local stand-in for a Redis or Postgres adapter: backend instances on the
+// same host share rooms through a message table in a common SQLite file, which
+// each instance polls for messages from the others. Good for trying several
+// instances behind a load balancer without extra services; use Redis across
+// hosts. The bus is its own file rather than a table in the game database, so
+// broadcasts sent during a game transaction never wait on its locks.
+// Packets are stored as JSON, so binary attachments are not supported.
+
+export async function createSqliteAdapter({
+  dbPath,
+  pollIntervalMs = 100,
+  retentionMs = 60000, // Delivered messages are pruned after this long
+}) {
+  const busDb = await open({ filename: dbPath, driver: sqlite3.Database });
+  await busDb.exec("PRAGMA journal_mode = WAL;"); // Readers don't block writers
+  await busDb.exec("PRAGMA busy_timeout = 5000;");
+  await busDb.exec(`
+    CREATE TABLE IF NOT EXISTS socket_io_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recipient_uid TEXT, -- Adapter a response is for (NULL = every instance)
+      payload TEXT NOT NULL,  -- JSON cluster message or response
+      created_at INTEGER NOT NULL -- Milliseconds since epoch
+    );
+  `);
+
+  const adapters = new Set(); // One adapter per namespace
+  // Start after the existing messages; a new instance has nothing to replay
+  let lastMessageId =
+    (await busDb.get("SELECT MAX(id) AS id FROM socket_io_messages"))?.id ?? 0;
+  let isPolling = false;
+
+  async function poll() {
+    if (isPolling) return; // Previous poll still running
+    isPolling = true;
+    try {
+      const rows = await busDb.all(
+        "SELECT id, recipient_uid, payload FROM socket_io_messages WHERE id > ? ORDER BY id ASC",
+        [lastMessageId]
+      );
+      for (const row of rows) {
+        lastMessageId = row.id;
+        const message = JSON.parse(row.payload);
+        for (const adapter of adapters) adapter.receive(row, message);
+      }
+    } catch (error) {
+      console.error("Socket.IO SQLite adapter poll failed:", error.message);
+    } finally {
+      isPolling = false;
+    }
+  }
+
+  const pollTimer = setInterval(poll, pollIntervalMs);
+  const pruneTimer = setInterval(() => {
+    busDb
+      .run("DELETE FROM socket_io_messages WHERE created_at < ?", [
+        Date.now() - retentionMs,
+      ])
+      .catch((error) =>
+        console.error("Socket.IO SQLite adapter prune failed:", error.message)
+      );
+  }, retentionMs);
+  pollTimer.unref?.();
+  pruneTimer.unref?.();
+
+  async function insertMessage(recipientUid, message) {
+    const result = await busDb.run(
+      "INSERT INTO socket_io_messages (recipient_uid, payload, created_at) VALUES (?, ?, ?)",
+      [recipientUid, JSON.stringify(message), Date.now()]
+    );
+    return String(result.lastID);
+  }
+
+  console.log(`Socket.IO adapter sharing rooms through ${dbPath}`);
+
+  return class SqliteAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, {});
+      adapters.add(this);
+    }
+
+    receive(row, message) {
+      if (message.nsp !== this.nsp.name) return;
+      if (row.recipient_uid === null) {
+        this.onMessage(message, String(row.id));
+      } else if (row.recipient_uid === this.uid) {
+        this.onResponse(message);
+      }
+    }
+
+    doPublish(message) {
+      return insertMessage(null, message);
+    }
+
+    async doPublishResponse(requesterUid, response) {
+      await insertMessage(requesterUid, response);
+    }
+
+    close() {
+      super.close();
+      adapters.delete(this);
+    }
+  };
+}
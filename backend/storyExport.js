@@ -0,0 +1,405 @@
+import { createZipArchive } from "./zipArchive.js";
+
+// --- Story Export ---
+// Turns the active timeline of a session into a storybook: a cast page with
+// the character portraits, one chapter per scene (a turn that isn't at the
+// same location starts a new one) with each turn's action, image and
+// narrative, and the game goal as an epilogue. Images are embedded, so every
+// format is a single self-contained file.
+
+export const EXPORT_FORMATS = {
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+  epub: { contentType: "application/epub+zip", extension: "epub" },
+};
+
+export function isValidExportFormat(format) {
+  return Object.hasOwn(EXPORT_FORMATS, format);
+}
+
+function parseJsonArray(value) {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function joinNames(names) {
+  if (names.length <= 1) return names.join("");
+  return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+}
+
+// Builds the format-independent book. `loadImage(url)` resolves an image URL
+// to { mimeType, buffer }, or null when the image can't be embedded.
+export async function buildStoryBook({ session, players, turns, loadImage }) {
+  const images = new Map(); // url -> image, so repeated images load once
+  async function getImage(url) {
+    if (!url) return null;
+    if (!images.has(url)) images.set(url, await loadImage(url));
+    return images.get(url);
+  }
+
+  const playerNames = new Map(
+    players.map((player) => [player.player_index, player.character_name])
+  );
+  function getActorName(turn) {
+    if (turn.acting_player_index !== null) {
+      return playerNames.get(turn.acting_player_index) ?? "A player";
+    }
+    // Voting modes play actions for the whole party
+    return session.is_multiplayer
+      ? "The party"
+      : players[0]?.character_name ?? null;
+  }
+
+  const cast = [];
+  for (const player of players) {
+    cast.push({
+      name: player.character_name,
+      gender: player.character_gender,
+      portrait: await getImage(player.character_image_url),
+    });
+  }
+
+  const chapters = [];
+  for (const turn of turns) {
+    // Older turns have no location flag; keep them in the current chapter
+    if (chapters.length === 0 || turn.is_same_location === 0) {
+      chapters.push({ title: `Chapter ${chapters.length + 1}`, passages: [] });
+    }
+    chapters[chapters.length - 1].passages.push({
+      action: turn.action_taken || null,
+      actorName: turn.action_taken ? getActorName(turn) : null,
+      image: await getImage(turn.image_url),
+      narrative: turn.scenario_text || "",
+    });
+  }
+
+  const metPrerequisites = parseJsonArray(session.met_prerequisites);
+  return {
+    id: session.session_id,
+    title: `${session.theme} Adventure`,
+    byline: `Starring ${joinNames(cast.map((member) => member.name))}`,
+    cast,
+    chapters,
+    epilogue: session.game_goal
+      ? {
+          goal: session.game_goal,
+          isGoalMet: !!session.is_goal_met,
+          prerequisites: parseJsonArray(session.goal_prerequisites).map(
+            (text) => ({ text, isMet: metPrerequisites.includes(text) })
+          ),
+        }
+      : null,
+  };
+}
+
+function splitParagraphs(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean);
+}
+
+function toDataUrl(image) {
+  return `data:${image.mimeType};base64,${image.buffer.toString("base64")}`;
+}
+
+function getEpilogueOutcome(epilogue) {
+  return epilogue.isGoalMet
+    ? "The goal was achieved, and the adventure came to its end."
+    : "The goal remains unfulfilled. The story is still being written...";
+}
+
+// --- Markdown ---
+function renderMarkdown(book) {
+  const lines = [`# ${book.title}`, "", `_${book.byline}_`, "", "## Cast", ""];
+  for (const member of book.cast) {
+    if (member.portrait) {
+      lines.push(`![${member.name}](${toDataUrl(member.portrait)})`, "");
+    }
+    lines.push(
+      `**${member.name}**${member.gender ? ` (${member.gender})` : ""}`,
+      ""
+    );
+  }
+  for (const chapter of book.chapters) {
+    lines.push(`## ${chapter.title}`, "");
+    for (const passage of chapter.passages) {
+      if (passage.action) {
+        lines.push(
+          `> **${passage.actorName || "Action"}:** ${passage.action}`,
+          ""
+        );
+      }
+      if (passage.image) {
+        lines.push(`![Scene](${toDataUrl(passage.image)})`, "");
+      }
+      for (const paragraph of splitParagraphs(passage.narrative)) {
+        lines.push(paragraph, "");
+      }
+    }
+  }
+  if (book.epilogue) {
+    lines.push("## Epilogue", "", `**Goal:** ${book.epilogue.goal}`, "");
+    for (const prerequisite of book.epilogue.prerequisites) {
+      lines.push(`- [${prerequisite.isMet ? "x" : " "}] ${prerequisite.text}`);
+    }
+    if (book.epilogue.prerequisites.length > 0) lines.push("");
+    lines.push(`_${getEpilogueOutcome(book.epilogue)}_`, "");
+  }
+  return lines.join("\n");
+}
+
+// --- HTML (also the XHTML used inside the EPUB) ---
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+const BOOK_CSS = `
+body { font-family: Georgia, serif; line-height: 1.6; max-width: 42em; margin: 0 auto; padding: 1em; color: #222; }
+h1, h2 { text-align: center; }
+.byline { text-align: center; font-style: italic; }
+.cast { display: flex; flex-wrap: wrap; justify-content: center; gap: 1.5em; }
+.cast figure { margin: 0; text-align: center; }
+.cast img { width: 8em; height: 8em; object-fit: cover; border-radius: 50%; }
+.scene { margin: 1.5em 0; text-align: center; }
+.scene img { max-width: 100%; }
+.action { border-left: 3px solid #999; padding-left: 0.75em; font-style: italic; }
+.outcome { text-align: center; font-style: italic; }
+`;
+
+// Every img is self-closed and every entity is escaped, so the output is
+// valid XHTML as well as HTML
+function renderCastHtml(book, getImageSrc) {
+  const members = book.cast
+    .map((member) => {
+      const portrait = member.portrait
+        ? `<img src="${escapeHtml(
+            getImageSrc(member.portrait)
+          )}" alt="${escapeHtml(member.name)}" />`
+        : "";
+      const gender = member.gender ? ` (${escapeHtml(member.gender)})` : "";
+      return `<figure>${portrait}<figcaption><strong>${escapeHtml(
+        member.name
+      )}</strong>${gender}</figcaption></figure>`;
+    })
+    .join("\n");
+  return `<h2>Cast</h2>\n<div class="cast">\n${members}\n</div>`;
+}
+
+function renderChapterHtml(chapter, getImageSrc) {
+  const passages = chapter.passages.map((passage) => {
+    const parts = [];
+    if (passage.action) {
+      const actor = passage.actorName
+        ? `<strong>${escapeHtml(passage.actorName)}:</strong> `
+        : "";
+      parts.push(`<p class="action">${actor}${escapeHtml(passage.action)}</p>`);
+    }
+    if (passage.image) {
+      parts.push(
+        `<div class="scene"><img src="${escapeHtml(
+          getImageSrc(passage.image)
+        )}" alt="Scene illustration" /></div>`
+      );
+    }
+    for (const paragraph of splitParagraphs(passage.narrative)) {
+      parts.push(`<p>${escapeHtml(paragraph).replace(/\n/g, "<br />")}</p>`);
+    }
+    return parts.join("\n");
+  });
+  return `<h2>${escapeHtml(chapter.title)}</h2>\n${passages.join("\n")}`;
+}
+
+function renderEpilogueHtml(epilogue) {
+  const prerequisites = epilogue.prerequisites.length
+    ? `<ul>\n${epilogue.prerequisites
+        .map(
+          (prerequisite) =>
+            `<li>${prerequisite.isMet ? "&#10003;" : "&#9744;"} ${escapeHtml(
+              prerequisite.text
+            )}</li>`
+        )
+        .join("\n")}\n</ul>`
+    : "";
+  return [
+    "<h2>Epilogue</h2>",
+    `<p><strong>Goal:</strong> ${escapeHtml(epilogue.goal)}</p>`,
+    prerequisites,
+    `<p class="outcome">${escapeHtml(getEpilogueOutcome(epilogue))}</p>`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function renderHtml(book) {
+  const sections = [
+    renderCastHtml(book, toDataUrl),
+    ...book.chapters.map((chapter) => renderChapterHtml(chapter, toDataUrl)),
+    ...(book.epilogue ? [renderEpilogueHtml(book.epilogue)] : []),
+  ];
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(book.title)}</title>
+<style>${BOOK_CSS}</style>
+</head>
+<body>
+<h1>${escapeHtml(book.title)}</h1>
+<p class="byline">${escapeHtml(book.byline)}</p>
+${sections.map((section) => `<section>\n${section}\n</section>`).join("\n")}
+</body>
+</html>
+`;
+}
+
+// --- EPUB 3 ---
+function renderXhtmlPage(title, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function renderEpub(book) {
+  // Each distinct image becomes one file in the book
+  const imageFiles = new Map(); // image -> { id, href, mimeType, buffer }
+  function getImageSrc(image) {
+    if (!imageFiles.has(image)) {
+      const id = `image-${imageFiles.size + 1}`;
+      const extension = image.mimeType.split("/")[1].replace("jpeg", "jpg");
+      imageFiles.set(image, {
+        id,
+        href: `images/${id}.${extension}`,
+        ...image,
+      });
+    }
+    return imageFiles.get(image).href;
+  }
+
+  const pages = [
+    {
+      id: "cast",
+      title: "Cast",
+      body: `<h1>${escapeHtml(book.title)}</h1>\n<p class="byline">${escapeHtml(
+        book.byline
+      )}</p>\n${renderCastHtml(book, getImageSrc)}`,
+    },
+    ...book.chapters.map((chapter, index) => ({
+      id: `chapter-${index + 1}`,
+      title: chapter.title,
+      body: renderChapterHtml(chapter, getImageSrc),
+    })),
+    ...(book.epilogue
+      ? [
+          {
+            id: "epilogue",
+            title: "Epilogue",
+            body: renderEpilogueHtml(book.epilogue),
+          },
+        ]
+      : []),
+  ];
+  // The first scene illustration doubles as the cover
+  const coverImage = book.chapters
+    .flatMap((chapter) => chapter.passages)
+    .find((passage) => passage.image)?.image;
+  if (coverImage) getImageSrc(coverImage);
+
+  const nav = renderXhtmlPage(
+    book.title,
+    `<nav epub:type="toc" id="toc">\n<h1>Contents</h1>\n<ol>\n${pages
+      .map(
+        (page) =>
+          `<li><a href="${page.id}.xhtml">${escapeHtml(page.title)}</a></li>`
+      )
+      .join("\n")}\n</ol>\n</nav>`
+  );
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, "Z");
+  const manifestItems = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+    '<item id="style" href="style.css" media-type="text/css" />',
+    ...pages.map(
+      (page) =>
+        `<item id="${page.id}" href="${page.id}.xhtml" media-type="application/xhtml+xml" />`
+    ),
+    ...[...imageFiles.entries()].map(
+      ([image, file]) =>
+        `<item id="${file.id}" href="${file.href}" media-type="${
+          file.mimeType
+        }"${image === coverImage ? ' properties="cover-image"' : ""} />`
+    ),
+  ];
+  const packageDocument = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:uuid:${escapeHtml(book.id)}</dc:identifier>
+<dc:title>${escapeHtml(book.title)}</dc:title>
+<dc:creator>${escapeHtml(
+    joinNames(book.cast.map((member) => member.name))
+  )}</dc:creator>
+<dc:language>en</dc:language>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+${manifestItems.join("\n")}
+</manifest>
+<spine>
+${pages.map((page) => `<itemref idref="${page.id}" />`).join("\n")}
+</spine>
+</package>
+`;
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+</rootfiles>
+</container>
+`;
+
+  return createZipArchive([
+    // Must come first and uncompressed so readers can sniff the type
+    { name: "mimetype", data: "application/epub+zip", store: true },
+    { name: "META-INF/container.xml", data: container },
+    { name: "OEBPS/content.opf", data: packageDocument },
+    { name: "OEBPS/nav.xhtml", data: nav },
+    { name: "OEBPS/style.css", data: BOOK_CSS },
+    ...pages.map((page) => ({
+      name: `OEBPS/${page.id}.xhtml`,
+      data: renderXhtmlPage(page.title, page.body),
+    })),
+    ...[...imageFiles.values()].map((file) => ({
+      name: `OEBPS/${file.href}`,
+      data: file.buffer,
+      store: true, // Already compressed
+    })),
+  ]);
+}
+
+const RENDERERS = { md: renderMarkdown, html: renderHtml, epub: renderEpub };
+
+// Returns the file contents (string or Buffer) for one of EXPORT_FORMATS
+export function renderStoryBook(book, format) {
+  if (!isValidExportFormat(format)) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  return RENDERERS[format](book);
+}
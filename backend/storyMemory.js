@@ -0,0 +1,150 @@
+// --- Story Memory ---
+// Keeps the game history in the turn prompt bounded. Older turns are folded
+// into a rolling summary written by the LLM, and only the most recent turns
+// are sent verbatim. A summary is stored against the last turn it covers, so a
+// fork shares the summaries of the turns it inherited, and each refresh
+// extends the latest summary of the timeline with the turns that followed it.
+
+// Used when a provider doesn't declare its own historyTokenBudget
+export const DEFAULT_HISTORY_TOKEN_BUDGET = 8000;
+
+// Most turns folded into the summary by one LLM call, for old sessions that
+// have a long backlog to catch up on
+export const MAX_TURNS_PER_SUMMARY = 20;
+
+// Summaries are meant to stay short; this only guards against runaway output
+export const MAX_SUMMARY_LENGTH = 6000;
+
+// Rough token count (about four characters per token for English text). Good
+// enough for budgeting without shipping a tokenizer for every provider.
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+// One turn as it appears in the game history. `players` are session_players
+// rows; turns without an acting player were merged party actions.
+export function formatTurnForHistory(turn, players) {
+  let text = `Turn ${turn.turn_index}:\n`;
+  if (turn.turn_index > 0) {
+    const playerWhoActed = players.find(
+      (p) => p.player_index === turn.acting_player_index
+    );
+    const actionTakerName = playerWhoActed
+      ? playerWhoActed.character_name
+      : "The Party"; // Merged vote rounds act for everyone
+    text += `Action Taken (by ${actionTakerName}): ${
+      turn.action_taken || "(Unknown Action)"
+    }\n`;
+  } else {
+    text += `Action Taken: (Game Start)\n`;
+  }
+  return `${text}Scenario: ${turn.scenario_text}`;
+}
+
+// The latest stored summary that belongs to this timeline, as
+// { turnId, turnIndex, summary }, or null. `summaries` are story_summaries rows
+// of the session.
+export function findTimelineSummary(historyRows, summaries) {
+  const turnIndexById = new Map(
+    historyRows.map((row) => [row.turn_id, row.turn_index])
+  );
+  let latest = null;
+  for (const row of summaries) {
+    const turnIndex = turnIndexById.get(row.turn_id);
+    if (turnIndex === undefined) continue;
+    if (!latest || turnIndex > latest.turnIndex) {
+      latest = { turnId: row.turn_id, turnIndex, summary: row.summary };
+    }
+  }
+  return latest;
+}
+
+// Game history section of the turn prompt: the summary, then the turns after
+// it verbatim. When the summary lags behind (it is refreshed after the turn
+// commits), the oldest unsummarized turns are dropped to stay within
+// `tokenBudget`; the newest turn is always kept. Returns the text and the IDs
+// of the turns it quotes verbatim.
+export function buildHistoryContext({
+  historyRows,
+  players,
+  summary,
+  tokenBudget,
+}) {
+  const recentRows = summary
+    ? historyRows.filter((row) => row.turn_index > summary.turnIndex)
+    : historyRows;
+  const summaryText = summary
+    ? `Story so far (summary of turns 0-${summary.turnIndex}):\n${summary.summary}`
+    : "";
+
+  let remaining = tokenBudget - estimateTokens(summaryText);
+  const verbatimTurns = [];
+  const verbatimTurnIds = new Set();
+  for (let i = recentRows.length - 1; i >= 0; i--) {
+    const turnText = formatTurnForHistory(recentRows[i], players);
+    const cost = estimateTokens(turnText);
+    if (verbatimTurns.length > 0 && cost > remaining) break;
+    verbatimTurns.unshift(turnText);
+    verbatimTurnIds.add(recentRows[i].turn_id);
+    remaining -= cost;
+  }
+
+  const omittedCount = recentRows.length - verbatimTurns.length;
+  const sections = [];
+  if (summaryText) sections.push(summaryText);
+  if (omittedCount > 0) {
+    sections.push(
+      `(${omittedCount} earlier turn${
+        omittedCount === 1 ? " is" : "s are"
+      } left out to fit the context budget.)`
+    );
+  }
+  return {
+    text: [...sections, ...verbatimTurns].join("\n\n"),
+    verbatimTurnIds,
+  };
+}
+
+// Turns to fold into the summary next: everything after the current summary
+// except the last `verbatimTurns`, once at least `batchTurns` have piled up
+// (so the LLM isn't asked to summarize after every single turn)
+export function getTurnsToSummarize(
+  historyRows,
+  summary,
+  verbatimTurns,
+  batchTurns
+) {
+  const unsummarized = summary
+    ? historyRows.filter((row) => row.turn_index > summary.turnIndex)
+    : historyRows;
+  const foldable = unsummarized.slice(
+    0,
+    Math.max(0, unsummarized.length - verbatimTurns)
+  );
+  return foldable.length >= Math.max(1, batchTurns)
+    ? foldable.slice(0, MAX_TURNS_PER_SUMMARY)
+    : [];
+}
+
+// User prompt asking the LLM to extend the summary with the given turns
+export function buildSummaryPrompt(previousSummary, turns, players) {
+  const turnsText = turns
+    .map((turn) => formatTurnForHistory(turn, players))
+    .join("\n\n");
+  return `--- Summary So Far ---
+${previousSummary || "(Nothing yet: these are the first turns of the story.)"}
+
+--- New Turns ---
+${turnsText}
+
+Rewrite the summary so it covers the story up to turn ${
+    turns[turns.length - 1].turn_index
+  }.`;
+}
+
+// Trims the LLM's summary, returning null when there is nothing usable
+export function sanitizeSummary(summary) {
+  if (typeof summary !== "string") return null;
+  const trimmed = summary.trim();
+  return trimmed ? trimmed.slice(0, MAX_SUMMARY_LENGTH) : null;
+}
@@ -0,0 +1,183 @@
+import { sanitizeCharacters } from "./npcCodex.js";
+
+// --- Story Retrieval ---
+// Local full-text index (SQLite FTS5, ranked by BM25) over a session's turns,
+// NPC sightings and world lore. Before the GM writes a turn, the passages that
+// best match the player's action are pulled back into the prompt, so details
+// that dropped out of the summary long ago can still come back. Turn and NPC
+// passages carry their turn ID and only count on timelines that include it;
+// lore passages belong to every timeline.
+
+export const PASSAGE_TYPES = {
+  TURN: "turn",
+  NPC: "npc",
+  LORE: "lore",
+};
+
+// Longest passage text put into the prompt; the index keeps the whole text
+export const MAX_PASSAGE_PROMPT_LENGTH = 700;
+
+// Words too common to say anything about which passage is relevant
+const STOP_WORDS = new Set(
+  `a about above after again all also am an and any are as at be because been
+  before being below between both but by can could did do does doing down
+  during each few for from further get go had has have having he her here hers
+  him his how i if in into is it its just let me more most my no nor not now of
+  off on once only or other our out over own same she should so some such take
+  than that the their them then there these they this those through to too try
+  under until up use very was we were what when where which while who whom why
+  will with would you your`.split(/\s+/)
+);
+const MAX_QUERY_TERMS = 16;
+
+// Passages of one turn: its action and narrative, plus one per NPC sighting.
+// `turn` is a turns row (turn_id, turn_index, action_taken, scenario_text,
+// characters).
+export function getTurnPassages(turn) {
+  const passages = [
+    {
+      sourceType: PASSAGE_TYPES.TURN,
+      sourceId: turn.turn_id,
+      turnId: turn.turn_id,
+      label: `Turn ${turn.turn_index}`,
+      content: [
+        turn.turn_index > 0 && turn.action_taken
+          ? `Action: ${turn.action_taken}`
+          : null,
+        turn.scenario_text,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    },
+  ];
+  let characters = [];
+  try {
+    characters = sanitizeCharacters(JSON.parse(turn.characters || "[]"));
+  } catch {
+    // Unreadable character lists have nothing to contribute
+  }
+  for (const character of characters) {
+    passages.push({
+      sourceType: PASSAGE_TYPES.NPC,
+      sourceId: `${turn.turn_id}:${character.name}`,
+      turnId: turn.turn_id,
+      label: `${character.name} (turn ${turn.turn_index})`,
+      content: [
+        character.name,
+        character.description,
+        character.appearance,
+        character.opinionOfPlayer &&
+          `Opinion of the players: ${character.opinionOfPlayer}`,
+      ]
+        .filter(Boolean)
+        .join(". "),
+    });
+  }
+  return passages.filter((passage) => passage.content);
+}
+
+function humanizeLoreKey(key) {
+  const words = key.replace(/_/g, " ").trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function loreEntryToText(entry) {
+  if (typeof entry === "string") return entry.trim();
+  if (entry && typeof entry === "object") {
+    return Object.values(entry)
+      .filter((value) => typeof value === "string" && value.trim())
+      .join(": ");
+  }
+  return "";
+}
+
+// Passages of a session's world lore (parsed or as stored in
+// sessions.world_lore): one per list entry, one per plain text field
+export function getLorePassages(worldLore) {
+  let lore = worldLore;
+  if (typeof lore === "string") {
+    try {
+      lore = JSON.parse(lore);
+    } catch {
+      return [];
+    }
+  }
+  if (!lore || typeof lore !== "object") return [];
+  const passages = [];
+  for (const [key, value] of Object.entries(lore)) {
+    const entries = Array.isArray(value) ? value : [value];
+    entries.forEach((entry, index) => {
+      const content = loreEntryToText(entry);
+      if (!content) return;
+      passages.push({
+        sourceType: PASSAGE_TYPES.LORE,
+        sourceId: `lore:${key}:${index}`,
+        turnId: null,
+        label: `Lore: ${humanizeLoreKey(key)}`,
+        content,
+      });
+    });
+  }
+  return passages;
+}
+
+// FTS5 MATCH expression for free text: any of its significant words, each
+// quoted so punctuation and FTS operators in player input can't break the
+// query. Null when nothing is left to search for.
+export function buildPassageQuery(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+  if (!words) return null;
+  const terms = [
+    ...new Set(
+      words.filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+    ),
+  ].slice(0, MAX_QUERY_TERMS);
+  return terms.length > 0
+    ? terms.map((term) => `"${term}"`).join(" OR ")
+    : null;
+}
+
+// Best matches that belong to the timeline, as
+// [{ sourceType, sourceId, turnIndex, label, content, score }].
+// `candidates` are index rows in rank order; `turnIndexById` maps the
+// timeline's turn IDs to their index, and passages of `excludedTurnIds`
+// (turns already in the prompt verbatim) are skipped.
+export function selectRelevantPassages(
+  candidates,
+  { turnIndexById, excludedTurnIds, limit }
+) {
+  const selected = [];
+  const seen = new Set();
+  for (const candidate of candidates) {
+    if (selected.length >= limit) break;
+    const isLore = candidate.source_type === PASSAGE_TYPES.LORE;
+    if (!isLore && !turnIndexById.has(candidate.turn_id)) continue;
+    if (!isLore && excludedTurnIds.has(candidate.turn_id)) continue;
+    if (seen.has(candidate.source_id)) continue;
+    seen.add(candidate.source_id);
+    selected.push({
+      sourceType: candidate.source_type,
+      sourceId: candidate.source_id,
+      turnIndex: isLore ? null : turnIndexById.get(candidate.turn_id),
+      label: candidate.label,
+      content: candidate.content,
+      score: Math.round(candidate.score * 1000) / 1000,
+    });
+  }
+  return selected;
+}
+
+// Retrieved passages section of the turn prompt
+export function formatPassagesForPrompt(passages) {
+  return passages
+    .map((passage) => {
+      const content =
+        passage.content.length > MAX_PASSAGE_PROMPT_LENGTH
+          ? `${passage.content.slice(0, MAX_PASSAGE_PROMPT_LENGTH - 1)}…`
+          : passage.content;
+      return `[${passage.label}] ${content}`;
+    })
+    .join("\n\n");
+}
@@ -0,0 +1,207 @@
+import {
+  WORLD_BUILDING_PROMPTS,
+  WORLD_BUILDING_JSON_STRUCTURE,
+  WORLD_BUILDING_PROMPT_TEMPLATE,
+} from "./prompts.js";
+
+// --- Theme Registry ---
+// Every theme a game can start with lives in the `themes` table: the built-in
+// ones below (re-seeded from this file on startup, so edits here take effect)
+// and custom themes created by users, which only their creator can see. A
+// theme carries everything the server needs to start a game in it: the
+// world-building system prompt, the JSON structure the lore must follow, and
+// the style keywords for character portraits.
+
+export const DEFAULT_PORTRAIT_STYLE =
+  "digital painting, detailed, character concept art";
+
+export const BUILT_IN_THEMES = [
+  {
+    id: "fantasy",
+    name: "Fantasy",
+    description: "Embark on an epic quest in a world of magic and monsters.",
+    coverImageUrl: "/images/fantasy.png",
+    color: "#5E4321",
+    portraitStyle:
+      "fantasy art, digital painting, detailed illustration, character portrait",
+  },
+  {
+    id: "sci-fi",
+    name: "Sci-Fi",
+    description: "Explore distant galaxies and encounter alien civilizations.",
+    coverImageUrl: "/images/scifi.png",
+    color: "#22333C",
+    portraitStyle:
+      "sci-fi art, futuristic, detailed concept art, character portrait",
+  },
+  {
+    id: "apocalyptic",
+    name: "Apocalyptic",
+    description: "Survive the end of the world and rebuild civilization.",
+    coverImageUrl: "/images/apocalyptic.png",
+    color: "#2F2430",
+    portraitStyle: DEFAULT_PORTRAIT_STYLE,
+  },
+  {
+    id: "mystery",
+    name: "Mystery",
+    description: "Unravel clues and solve perplexing cases.",
+    coverImageUrl: "/images/mystery.png",
+    color: "#233423",
+    portraitStyle:
+      "photorealistic, dramatic lighting, suspenseful, character portrait",
+  },
+  {
+    id: "horror",
+    name: "Horror",
+    description: "Survive chilling encounters and escape terrifying entities.",
+    coverImageUrl: "/images/horror.png",
+    color: "#323130",
+    portraitStyle:
+      "horror art, dark fantasy, atmospheric, unsettling, character portrait",
+  },
+  {
+    id: "romance",
+    name: "Romance",
+    description: "Explore the complexities of love and relationships.",
+    coverImageUrl: "/images/romance.png",
+    color: "#44272B",
+    portraitStyle: DEFAULT_PORTRAIT_STYLE,
+  },
+].map((theme) => ({
+  ...theme,
+  systemPrompt: WORLD_BUILDING_PROMPTS[theme.id].trim(),
+  jsonStructure: WORLD_BUILDING_JSON_STRUCTURE[theme.id].trim(),
+}));
+
+export const THEME_LIMITS = {
+  name: 50,
+  description: 200,
+  systemPrompt: 8000,
+  jsonStructure: 8000,
+  portraitStyle: 300,
+  coverImageUrl: 2000,
+};
+
+// Invalid theme definitions (reported to the client as 400s)
+export class ThemeValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ThemeValidationError";
+  }
+}
+
+function readText(input, field, label, { required = false } = {}) {
+  const value = input[field];
+  if (value === undefined || value === null || value === "") {
+    if (required) throw new ThemeValidationError(`${label} is required.`);
+    return null;
+  }
+  if (typeof value !== "string") {
+    throw new ThemeValidationError(`${label} must be a string.`);
+  }
+  const text = value.trim();
+  if (required && !text) {
+    throw new ThemeValidationError(`${label} is required.`);
+  }
+  if (text.length > THEME_LIMITS[field]) {
+    throw new ThemeValidationError(
+      `${label} must be at most ${THEME_LIMITS[field]} characters.`
+    );
+  }
+  return text || null;
+}
+
+// Same-site paths (e.g. /images/...) or absolute http(s) URLs
+function isValidCoverImageUrl(url) {
+  if (url.startsWith("/")) return !url.startsWith("//");
+  try {
+    return ["http:", "https:"].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Checks a create/update request body and returns the theme fields to store;
+// throws ThemeValidationError
+export function normalizeThemeInput(input) {
+  if (typeof input !== "object" || input === null) {
+    throw new ThemeValidationError("Theme definition is required.");
+  }
+  const name = readText(input, "name", "Name", { required: true });
+  const systemPrompt = readText(input, "systemPrompt", "System prompt", {
+    required: true,
+  });
+  const jsonStructure = readText(input, "jsonStructure", "JSON structure", {
+    required: true,
+  });
+  let parsedStructure;
+  try {
+    parsedStructure = JSON.parse(jsonStructure);
+  } catch (error) {
+    throw new ThemeValidationError(
+      `JSON structure is not valid JSON: ${error.message}`
+    );
+  }
+  if (
+    typeof parsedStructure !== "object" ||
+    parsedStructure === null ||
+    Array.isArray(parsedStructure)
+  ) {
+    throw new ThemeValidationError("JSON structure must be a JSON object.");
+  }
+  const coverImageUrl = readText(input, "coverImageUrl", "Cover image URL");
+  if (coverImageUrl && !isValidCoverImageUrl(coverImageUrl)) {
+    throw new ThemeValidationError(
+      "Cover image URL must be an http(s) URL or a path on this site."
+    );
+  }
+  const color = input.color || null;
+  if (color !== null && !/^#[0-9a-f]{6}$/i.test(color)) {
+    throw new ThemeValidationError("Color must be a hex color like #5E4321.");
+  }
+  return {
+    name,
+    description: readText(input, "description", "Description"),
+    systemPrompt,
+    jsonStructure,
+    portraitStyle:
+      readText(input, "portraitStyle", "Portrait style") ||
+      DEFAULT_PORTRAIT_STYLE,
+    coverImageUrl,
+    color,
+  };
+}
+
+// World-building system prompt for a theme row; {{protagonist_gender}} in the
+// theme's prompt is filled with the starting character's gender. `template`
+// is the version of the shared instructions the session uses.
+export function buildWorldBuildingPrompt(
+  themeRow,
+  characterGender,
+  template = WORLD_BUILDING_PROMPT_TEMPLATE
+) {
+  return [
+    themeRow.system_prompt.replace(/{{protagonist_gender}}/g, characterGender),
+    template,
+    themeRow.json_structure,
+  ].join("\n");
+}
+
+// API shape of a themes row
+export function formatTheme(row, userId) {
+  return {
+    id: row.theme_id,
+    name: row.name,
+    description: row.description,
+    systemPrompt: row.system_prompt,
+    jsonStructure: row.json_structure,
+    portraitStyle: row.portrait_style,
+    coverImageUrl: row.cover_image_url,
+    color: row.color,
+    isBuiltIn: row.owner_user_id === null,
+    isOwner: row.owner_user_id !== null && row.owner_user_id === userId,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
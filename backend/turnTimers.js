@@ -0,0 +1,152 @@
+import { v4 as uuidv4 } from "uuid";
+
+// --- Turn Timers ---
+// Per-session countdown for round-robin multiplayer turns, so an idle player
+// can't stall the session. Only one timer runs per session; starting a new one
+// replaces the old. Timers are rows of the turn_timers table, so every
+// instance sharing the game database sees the same countdown and it survives
+// restarts. Each instance sweeps for expired timers; the one that claims a
+// timer calls onExpire. The instance that started a timer reports the
+// remaining time through onTick at a fixed interval.
+
+export const TURN_TIMEOUT_ACTIONS = {
+  SKIP: "skip", // Pass the turn to the next connected player
+  AUTO_ACT: "auto_act", // Play one of the turn's suggested actions for them
+};
+
+export function isValidTurnTimeoutAction(timeoutAction) {
+  return Object.values(TURN_TIMEOUT_ACTIONS).includes(timeoutAction);
+}
+
+function timerFromRow(row) {
+  return {
+    timerId: row.timer_id,
+    turnId: row.turn_id,
+    playerIndex: row.player_index,
+    timeoutAction: row.timeout_action,
+    startedAt: row.started_at,
+    endsAt: row.ends_at,
+  };
+}
+
+export function createTurnTimers({
+  db,
+  onExpire, // async (sessionId, timer) => void
+  onTick = null, // (sessionId, timer) => void, also called when a timer starts
+  tickIntervalMs = 5000,
+  sweepIntervalMs = 1000,
+}) {
+  const tickers = new Map(); // sessionId -> { timerId, interval } started here
+  let isSweeping = false;
+
+  function stopTicking(sessionId, timerId = null) {
+    const ticker = tickers.get(sessionId);
+    if (!ticker || (timerId && ticker.timerId !== timerId)) return;
+    clearInterval(ticker.interval);
+    tickers.delete(sessionId);
+  }
+
+  async function get(sessionId) {
+    const row = await db.get("SELECT * FROM turn_timers WHERE session_id = ?", [
+      sessionId,
+    ]);
+    return row ? timerFromRow(row) : null;
+  }
+
+  async function clear(sessionId) {
+    stopTicking(sessionId);
+    const result = await db.run(
+      "DELETE FROM turn_timers WHERE session_id = ?",
+      [sessionId]
+    );
+    return result.changes > 0;
+  }
+
+  // `details` are the turn and player the timer was started for, and what
+  // happens when it runs out; they're handed back to the callbacks
+  async function start(
+    sessionId,
+    { durationMs, turnId, playerIndex, timeoutAction }
+  ) {
+    stopTicking(sessionId);
+    const startedAt = Date.now();
+    const timer = {
+      timerId: uuidv4(),
+      turnId,
+      playerIndex,
+      timeoutAction,
+      startedAt,
+      endsAt: startedAt + durationMs,
+    };
+    await db.run(
+      `INSERT OR REPLACE INTO turn_timers
+         (session_id, timer_id, turn_id, player_index, timeout_action, started_at, ends_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        sessionId,
+        timer.timerId,
+        turnId,
+        playerIndex,
+        timeoutAction,
+        startedAt,
+        timer.endsAt,
+      ]
+    );
+    const interval = setInterval(async () => {
+      try {
+        // Another instance may have replaced or cleared it meanwhile
+        const current = await get(sessionId);
+        if (current?.timerId !== timer.timerId) {
+          stopTicking(sessionId, timer.timerId);
+          return;
+        }
+        onTick?.(sessionId, current);
+      } catch (error) {
+        console.error(`Turn timer tick for ${sessionId} failed:`, error);
+      }
+    }, tickIntervalMs);
+    interval.unref?.(); // Don't keep the process alive just for a countdown
+    tickers.set(sessionId, { timerId: timer.timerId, interval });
+    onTick?.(sessionId, timer);
+    return timer;
+  }
+
+  async function sweep() {
+    if (isSweeping) return; // Previous sweep still running
+    isSweeping = true;
+    try {
+      const rows = await db.all(
+        "SELECT * FROM turn_timers WHERE ends_at <= ?",
+        [Date.now()]
+      );
+      for (const row of rows) {
+        // Whichever instance deletes the row handles the expiry
+        const claim = await db.run(
+          "DELETE FROM turn_timers WHERE session_id = ? AND timer_id = ?",
+          [row.session_id, row.timer_id]
+        );
+        if (claim.changes !== 1) continue;
+        stopTicking(row.session_id, row.timer_id);
+        Promise.resolve(onExpire(row.session_id, timerFromRow(row))).catch(
+          (error) =>
+            console.error(
+              `Turn timer for session ${row.session_id} failed:`,
+              error
+            )
+        );
+      }
+    } catch (error) {
+      console.error("Turn timer sweep failed:", error);
+    } finally {
+      isSweeping = false;
+    }
+  }
+
+  setInterval(sweep, sweepIntervalMs).unref?.();
+
+  return { start, clear, get };
+}
+
+export function getSecondsLeft(timer) {
+  return Math.max(0, Math.ceil((timer.endsAt - Date.now()) / 1000));
+}
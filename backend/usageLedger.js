@@ -0,0 +1,128 @@
+// --- Usage Ledger ---
+// Every LLM and image call is recorded in the usage_ledger table with the
+// tokens it used and an estimated cost, billed to a user (and session, when
+// there is one). Token counts come from the provider when it reports them and
+// are estimated from the text otherwise. Prices are list prices in USD and
+// only an estimate of the real bill; USAGE_PRICES_JSON can add or correct
+// them without a release.
+
+export const IMAGE_CALL_TYPES = {
+  TURN_IMAGE: "turn_image",
+  PORTRAIT: "portrait",
+};
+
+// USD per million input/output tokens, matched by the longest model prefix
+const LLM_PRICES = {
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "claude-3-5-sonnet": { input: 3, output: 15 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  "claude-opus-4": { input: 15, output: 75 },
+};
+
+// USD per generated image, matched the same way
+const IMAGE_PRICES = {
+  "imagen-3.0": { perImage: 0.03 },
+  "imagen-4.0": { perImage: 0.04 },
+  "gemini-2.0-flash-exp-image-generation": { perImage: 0.039 },
+  "gpt-image-1": { perImage: 0.063 }, // Medium quality, portrait size
+};
+
+export class UsagePricesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsagePricesError";
+  }
+}
+
+// Built-in prices merged with overrides given as JSON:
+// { "model-prefix": { "input": 1, "output": 2 } | { "perImage": 0.05 } }
+export function buildPriceTable(overridesJson = null) {
+  const prices = { ...LLM_PRICES, ...IMAGE_PRICES };
+  if (!overridesJson) return prices;
+  let overrides;
+  try {
+    overrides = JSON.parse(overridesJson);
+  } catch (error) {
+    throw new UsagePricesError(`Prices are not valid JSON: ${error.message}`);
+  }
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new UsagePricesError("Prices must be an object keyed by model.");
+  }
+  for (const [model, price] of Object.entries(overrides)) {
+    const values = Object.values(price ?? {});
+    if (
+      values.length === 0 ||
+      !values.every((value) => typeof value === "number" && value >= 0)
+    ) {
+      throw new UsagePricesError(
+        `Price of '${model}' must hold non-negative numbers.`
+      );
+    }
+    prices[model] = price;
+  }
+  return prices;
+}
+
+function findPrice(prices, model) {
+  const normalized = String(model || "").toLowerCase();
+  let best = null;
+  for (const prefix of Object.keys(prices)) {
+    if (
+      normalized.startsWith(prefix.toLowerCase()) &&
+      (!best || prefix.length > best.length)
+    ) {
+      best = prefix;
+    }
+  }
+  return best ? prices[best] : null;
+}
+
+// Estimated cost in USD, or null for models without a known price
+export function estimateCost(
+  prices,
+  { model, inputTokens = 0, outputTokens = 0, imageCount = 0 }
+) {
+  const price = findPrice(prices, model);
+  if (!price) return null;
+  const cost =
+    (inputTokens * (price.input ?? 0) + outputTokens * (price.output ?? 0)) /
+      1_000_000 +
+    imageCount * (price.perImage ?? 0);
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+// Start of the UTC day `date` falls in; daily quotas reset then
+export function getUsageDayStart(date = new Date()) {
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+}
+
+// Where a user stands against the daily quotas (limits of 0 mean unlimited).
+// `today` holds the user's totals since the start of the UTC day.
+export function getQuotaStatus(today, { tokenLimit, costLimitUsd }, now) {
+  const resetsAt = new Date(getUsageDayStart(now).getTime() + 86_400_000);
+  const isTokenLimitReached = tokenLimit > 0 && today.tokens >= tokenLimit;
+  const isCostLimitReached = costLimitUsd > 0 && today.costUsd >= costLimitUsd;
+  return {
+    tokensUsed: today.tokens,
+    tokenLimit: tokenLimit > 0 ? tokenLimit : null,
+    costUsedUsd: Math.round(today.costUsd * 10_000) / 10_000,
+    costLimitUsd: costLimitUsd > 0 ? costLimitUsd : null,
+    isExceeded: isTokenLimitReached || isCostLimitReached,
+    resetsAt: resetsAt.toISOString(),
+    retryAfterSeconds: Math.max(
+      1,
+      Math.ceil((resetsAt.getTime() - now.getTime()) / 1000)
+    ),
+  };
+}
@@ -0,0 +1,156 @@
+import { v4 as uuidv4 } from "uuid";
+
+// --- Turn Modes & Vote Rounds ---
+// In the default round-robin mode only the current player acts. In the voting
+// modes every connected player proposes an action (or backs someone else's)
+// during a time window; the round then resolves to the most-voted proposal
+// ("vote") or to all proposals merged into one party action ("merge").
+// Rounds are rows of the vote_rounds table, so every instance sharing the game
+// database sees the same round and an unfinished round survives a restart.
+
+export const TURN_MODES = {
+  ROUND_ROBIN: "round_robin",
+  VOTE: "vote",
+  MERGE: "merge",
+};
+
+export function isValidTurnMode(turnMode) {
+  return Object.values(TURN_MODES).includes(turnMode);
+}
+
+export function isVotingTurnMode(turnMode) {
+  return turnMode === TURN_MODES.VOTE || turnMode === TURN_MODES.MERGE;
+}
+
+export function createVoteRound({ turnMode, turnIndex, branchId, durationMs }) {
+  const startedAt = Date.now();
+  return {
+    roundId: uuidv4(),
+    turnMode,
+    turnIndex, // Turn the proposals continue from
+    branchId,
+    startedAt,
+    endsAt: startedAt + durationMs,
+    isResolving: false,
+    proposals: [], // { proposalId, userId, playerName, action, createdAt }
+    votes: new Map(), // userId -> proposalId
+  };
+}
+
+// Each player has at most one proposal; proposing again replaces its text.
+// Proposing doesn't count as a vote, so the round can't close early before
+// everyone has had a chance to back a proposal.
+export function submitProposal(round, { userId, playerName, action }) {
+  let proposal = round.proposals.find((p) => p.userId === userId);
+  if (proposal) {
+    proposal.action = action;
+    // Votes were cast for the old text, so they don't carry over
+    for (const [voterId, proposalId] of round.votes) {
+      if (proposalId === proposal.proposalId) round.votes.delete(voterId);
+    }
+  } else {
+    proposal = {
+      proposalId: uuidv4(),
+      userId,
+      playerName,
+      action,
+      createdAt: Date.now(),
+    };
+    round.proposals.push(proposal);
+  }
+  return proposal;
+}
+
+export function castVote(round, userId, proposalId) {
+  if (!round.proposals.some((p) => p.proposalId === proposalId)) {
+    throw new Error("Proposal not found in the current round.");
+  }
+  round.votes.set(userId, proposalId);
+}
+
+function countVotes(round, proposalId) {
+  let count = 0;
+  for (const votedProposalId of round.votes.values()) {
+    if (votedProposalId === proposalId) count++;
+  }
+  return count;
+}
+
+export function hasEveryoneVoted(round, userIds) {
+  return userIds.length > 0 && userIds.every((id) => round.votes.has(id));
+}
+
+// Most votes wins; ties (including no votes at all) go to the earliest proposal
+export function pickWinningProposal(round) {
+  return round.proposals.reduce((best, proposal) =>
+    countVotes(round, proposal.proposalId) > countVotes(round, best.proposalId)
+      ? proposal
+      : best
+  );
+}
+
+// One line per proposal, stored as the turn's action in merge mode
+export function buildMergedAction(round) {
+  return round.proposals
+    .map((proposal) => `${proposal.playerName}: ${proposal.action}`)
+    .join("\n");
+}
+
+// The action a round resolves to, and the proposal that won it (null when
+// proposals were merged). A merge of a single proposal is just that proposal.
+export function getRoundOutcome(round) {
+  if (round.turnMode === TURN_MODES.MERGE && round.proposals.length > 1) {
+    return { action: buildMergedAction(round), winningProposal: null };
+  }
+  const winningProposal = pickWinningProposal(round);
+  return { action: winningProposal.action, winningProposal };
+}
+
+// vote_rounds row <-> round; resolving_at is set when an instance claims the
+// round, so saving an open round leaves it NULL
+export function voteRoundFromRow(row) {
+  return {
+    roundId: row.round_id,
+    turnMode: row.turn_mode,
+    turnIndex: row.turn_index,
+    branchId: row.branch_id,
+    startedAt: row.started_at,
+    endsAt: row.ends_at,
+    isResolving: row.resolving_at !== null,
+    proposals: JSON.parse(row.proposals),
+    votes: new Map(Object.entries(JSON.parse(row.votes))),
+  };
+}
+
+export function voteRoundToRow(sessionId, round) {
+  return {
+    session_id: sessionId,
+    round_id: round.roundId,
+    turn_mode: round.turnMode,
+    turn_index: round.turnIndex,
+    branch_id: round.branchId,
+    started_at: round.startedAt,
+    ends_at: round.endsAt,
+    proposals: JSON.stringify(round.proposals),
+    votes: JSON.stringify(Object.fromEntries(round.votes)),
+  };
+}
+
+// Client-facing shape of a round (VOTE_ROUND_UPDATE and session state)
+export function serializeVoteRound(round) {
+  return {
+    roundId: round.roundId,
+    turnMode: round.turnMode,
+    turnIndex: round.turnIndex,
+    endsAt: new Date(round.endsAt).toISOString(),
+    isResolving: round.isResolving,
+    proposals: round.proposals.map((proposal) => ({
+      proposalId: proposal.proposalId,
+      userId: proposal.userId,
+      playerName: proposal.playerName,
+      action: proposal.action,
+      voteCount: countVotes(round, proposal.proposalId),
+    })),
+    votes: Object.fromEntries(round.votes), // userId -> proposalId
+  };
+}
@@ -17,6 +17,10 @@ import type {
   StartGamePayload,
   StartGameResponse,
   InviteInfoResponse,
+  TurnMode,
+  TurnTimeoutAction,
+  CharacterAttributes,
+  ContentRating,
 } from "./types";
 import Header from "./components/Header";
 import HomePage from "./pages/HomePage";
@@ -269,6 +273,12 @@ const CreatePage = ({
       name: string;
       gender: string;
       imageUrl?: string | null;
+      turnMode?: TurnMode;
+      turnTimeoutSeconds?: number;
+      turnTimeoutAction?: TurnTimeoutAction;
+      useDiceRules?: boolean;
+      contentRating?: ContentRating;
+      attributes?: CharacterAttributes;
     }) => {
       if (combinedLoading || !theme || !setIsGameLoading) {
         if (!theme) setError("Theme is missing.");
@@ -286,6 +296,12 @@ const CreatePage = ({
           characterGender: characterData.gender,
           characterImageUrl: characterData.imageUrl,
           isMultiplayer: isMultiplayer,
+          turnMode: characterData.turnMode,
+          turnTimeoutSeconds: characterData.turnTimeoutSeconds,
+          turnTimeoutAction: characterData.turnTimeoutAction,
+          useDiceRules: characterData.useDiceRules,
+          characterAttributes: characterData.attributes,
+          contentRating: characterData.contentRating,
         };
         const response: StartGameResponse = await startGame(payload);
 
@@ -412,6 +428,7 @@ const JoinPage = ({
       name: string;
       gender: string;
       imageUrl?: string | null;
+      attributes?: CharacterAttributes;
     }) => {
       if (globalLoading || isFetchingInvite || !inviteCode || !setIsJoiningGame)
         return;
@@ -425,6 +442,7 @@ const JoinPage = ({
           characterName: characterData.name,
           characterGender: characterData.gender,
           characterImageUrl: characterData.imageUrl,
+          characterAttributes: characterData.attributes,
         };
         const response = await joinGame(payload);
         navigate(`/play/${encodeURIComponent(response.sessionId)}`, {
@@ -497,6 +515,8 @@ const JoinPage = ({
         isLoading={currentPageLoading} // Pass combined loading state
         mode={"join-multiplayer"}
         inviteCode={inviteCode!} // Pass invite code (we know it exists here)
+        sessionUsesDiceRules={inviteInfo.useDiceRules}
+        sessionContentRating={inviteInfo.contentRating}
       />
     );
   }
@@ -5,23 +5,28 @@ interface ActionInputProps {
   suggestedActions: string[];
   onActionSubmit: (action: string) => void;
   isLoading: boolean;
+  isTurnInProgress?: boolean; // Another action is being processed
   isMultiplayer: boolean;
   isMyTurn: boolean;
   activePlayerName: string | null;
+  submitLabel?: string; // Replaces "Submit Action" (e.g. when proposing)
 }
 
 const ActionInput: React.FC<ActionInputProps> = ({
   suggestedActions,
   onActionSubmit,
   isLoading,
+  isTurnInProgress = false,
   isMultiplayer,
   isMyTurn,
   activePlayerName,
+  submitLabel = "Submit Action",
 }) => {
   const [customAction, setCustomAction] = useState("");
   const [errorText, setErrorText] = useState("");
 
-  const isDisabled = isLoading || (isMultiplayer && !isMyTurn);
+  const isDisabled =
+    isLoading || isTurnInProgress || (isMultiplayer && !isMyTurn);
 
   const handleCustomSubmit = (event: React.FormEvent) => {
     event.preventDefault();
@@ -120,11 +125,11 @@ const ActionInput: React.FC<ActionInputProps> = ({
             className="px-6 py-2 bg-slate-600 hover:bg-slate-700 text-white font-medium rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed disabled:bg-slate-300 disabled:text-slate-900 dark:disabled:bg-slate-700 dark:disabled:text-slate-200"
           >
             {/* Adjust button text slightly when waiting */}
-            {isLoading
+            {isLoading || isTurnInProgress
               ? "Processing..."
               : isMultiplayer && !isMyTurn
               ? "Waiting..."
-              : "Submit Action"}
+              : submitLabel}
           </button>
         </form>
         {errorText && (
@@ -1,6 +1,17 @@
 import React, { useState, useCallback, useEffect, useRef } from "react";
-import { uploadCharacterImage, generateCharacterImage } from "../services/api";
+import {
+  uploadCharacterImage,
+  generateCharacterImage,
+  getRetryAfterSeconds,
+} from "../services/api";
 import { ChevronDownIcon, ChevronUpIcon } from "@heroicons/react/24/solid";
+import type {
+  CharacterAttribute,
+  CharacterAttributes,
+  ContentRating,
+  TurnMode,
+  TurnTimeoutAction,
+} from "../types";
 
 // --- Sample Random Data (Expand as needed) ---
 const firstNames = [
@@ -271,6 +282,103 @@ type CreationMode =
   | "create-multiplayer"
   | "join-multiplayer";
 
+// Turn modes offered when creating a multiplayer game
+const TURN_MODE_OPTIONS: {
+  value: TurnMode;
+  label: string;
+  description: string;
+}[] = [
+  {
+    value: "round_robin",
+    label: "Take Turns",
+    description: "Players act one after another.",
+  },
+  {
+    value: "vote",
+    label: "Vote",
+    description: "Everyone proposes an action; the most-voted one is played.",
+  },
+  {
+    value: "merge",
+    label: "Merge",
+    description: "Everyone proposes an action; the GM combines them all.",
+  },
+];
+
+// Idle limits offered for round-robin multiplayer turns (0 = no limit)
+const TURN_TIMEOUT_OPTIONS: { seconds: number; label: string }[] = [
+  { seconds: 0, label: "Off" },
+  { seconds: 60, label: "1 min" },
+  { seconds: 120, label: "2 min" },
+  { seconds: 300, label: "5 min" },
+];
+
+const TURN_TIMEOUT_ACTION_OPTIONS: {
+  value: TurnTimeoutAction;
+  label: string;
+}[] = [
+  { value: "skip", label: "Skip their turn" },
+  { value: "auto_act", label: "Pick a suggested action" },
+];
+
+const CONTENT_RATING_OPTIONS: {
+  value: ContentRating;
+  label: string;
+  description: string;
+}[] = [
+  {
+    value: "family",
+    label: "Family",
+    description:
+      "Suitable for all ages: no gore, romance, swearing or scary scenes.",
+  },
+  {
+    value: "teen",
+    label: "Teen",
+    description:
+      "Like a PG-13 film: action violence and mild language, no gore or explicit scenes.",
+  },
+  {
+    value: "mature",
+    label: "Mature",
+    description:
+      "For adults: graphic violence, dark themes and strong language. Never sexually explicit.",
+  },
+];
+
+// Dice rules attributes (mirrors ATTRIBUTE_RULES in backend/diceRules.js)
+const ATTRIBUTE_OPTIONS: {
+  value: CharacterAttribute;
+  label: string;
+  description: string;
+}[] = [
+  {
+    value: "strength",
+    label: "Strength",
+    description: "Fighting, lifting, forcing",
+  },
+  { value: "agility", label: "Agility", description: "Sneaking, dodging" },
+  {
+    value: "intellect",
+    label: "Intellect",
+    description: "Searching, solving",
+  },
+  {
+    value: "charisma",
+    label: "Charisma",
+    description: "Persuading, deceiving",
+  },
+];
+const ATTRIBUTE_MIN = 0;
+const ATTRIBUTE_MAX = 3;
+const ATTRIBUTE_POINT_POOL = 6;
+const DEFAULT_ATTRIBUTES: CharacterAttributes = {
+  strength: 1,
+  agility: 1,
+  intellect: 1,
+  charisma: 1,
+};
+
 interface CharacterCreationProps {
   theme: string; // Theme might be "Unknown" when joining
   onCharacterCreated: (characterData: {
@@ -278,12 +386,21 @@ interface CharacterCreationProps {
     name: string;
     gender: string;
     imageUrl?: string | null;
+    // Only set when creating a multiplayer game
+    turnMode?: TurnMode;
+    turnTimeoutSeconds?: number;
+    turnTimeoutAction?: TurnTimeoutAction;
+    useDiceRules?: boolean; // Only set when creating a game
+    contentRating?: ContentRating; // Only set when creating a game
+    attributes?: CharacterAttributes; // Only set for dice rules games
   }) => void;
   onCancel: () => void;
   isLoading: boolean;
   // --- NEW Props ---
   mode: CreationMode;
   inviteCode?: string; // Only relevant for join mode
+  sessionUsesDiceRules?: boolean; // Join mode: the game has dice rules
+  sessionContentRating?: ContentRating; // Join mode: the game's rating
 }
 
 const CharacterCreation: React.FC<CharacterCreationProps> = ({
@@ -294,9 +411,19 @@ const CharacterCreation: React.FC<CharacterCreationProps> = ({
   // Destructure new props
   mode,
   inviteCode, // May be undefined
+  sessionUsesDiceRules = false,
+  sessionContentRating = "teen",
 }) => {
   const [name, setName] = useState("");
   const [gender, setGender] = useState<string>("");
+  const [turnMode, setTurnMode] = useState<TurnMode>("round_robin");
+  const [turnTimeoutSeconds, setTurnTimeoutSeconds] = useState(0);
+  const [turnTimeoutAction, setTurnTimeoutAction] =
+    useState<TurnTimeoutAction>("skip");
+  const [useDiceRules, setUseDiceRules] = useState(false);
+  const [contentRating, setContentRating] = useState<ContentRating>("teen");
+  const [attributes, setAttributes] =
+    useState<CharacterAttributes>(DEFAULT_ATTRIBUTES);
   const [imageUrl, setImageUrl] = useState(""); // Final URL for submission
   const [imageSource, setImageSource] = useState<ImageSource>("url");
   const [previewUrl, setPreviewUrl] = useState<string | null>(null);
@@ -310,6 +437,17 @@ const CharacterCreation: React.FC<CharacterCreationProps> = ({
   >(null);
   // --- NEW: State for accordion visibility ---
   const [isAdvancedOpen, setIsAdvancedOpen] = useState(false);
+  // Seconds until portrait generation may be retried after a 429
+  const [imageCooldownSeconds, setImageCooldownSeconds] = useState(0);
+
+  useEffect(() => {
+    if (imageCooldownSeconds <= 0) return;
+    const timer = setTimeout(
+      () => setImageCooldownSeconds((seconds) => seconds - 1),
+      1000
+    );
+    return () => clearTimeout(timer);
+  }, [imageCooldownSeconds]);
 
   const fileInputRef = useRef<HTMLInputElement>(null);
 
@@ -342,6 +480,21 @@ const CharacterCreation: React.FC<CharacterCreationProps> = ({
       ? "Starting..."
       : "Start Adventure";
 
+  const gameContentRating =
+    mode === "join-multiplayer" ? sessionContentRating : contentRating;
+  const showAttributes =
+    mode === "join-multiplayer" ? sessionUsesDiceRules : useDiceRules;
+  const attributePointsLeft =
+    ATTRIBUTE_POINT_POOL -
+    Object.values(attributes).reduce((sum, value) => sum + value, 0);
+
+  const changeAttribute = (attribute: CharacterAttribute, delta: number) => {
+    setAttributes((prev) => ({
+      ...prev,
+      [attribute]: prev[attribute] + delta,
+    }));
+  };
+
   const handleSubmit = useCallback(
     (event: React.FormEvent) => {
       event.preventDefault();
@@ -361,9 +514,33 @@ const CharacterCreation: React.FC<CharacterCreationProps> = ({
         name: name.trim(),
         gender,
         imageUrl: imageUrl.trim() || null,
+        ...(mode === "create-multiplayer" && {
+          turnMode,
+          // Voting rounds have their own time limit
+          turnTimeoutSeconds:
+            turnMode === "round_robin" ? turnTimeoutSeconds : 0,
+          turnTimeoutAction,
+        }),
+        ...(mode !== "join-multiplayer" && { useDiceRules, contentRating }),
+        ...(showAttributes && { attributes }),
       });
     },
-    [isLoading, isImageLoading, name, gender, onCharacterCreated, imageUrl]
+    [
+      isLoading,
+      isImageLoading,
+      name,
+      gender,
+      onCharacterCreated,
+      imageUrl,
+      mode,
+      turnMode,
+      turnTimeoutSeconds,
+      turnTimeoutAction,
+      useDiceRules,
+      contentRating,
+      showAttributes,
+      attributes,
+    ]
   );
 
   // --- Randomize Name --- (Handle Unknown Theme)
@@ -487,7 +664,13 @@ const CharacterCreation: React.FC<CharacterCreationProps> = ({
   // --- Modify Handle AI Image Generation ---
   const handleGenerateImage = async () => {
     // Add check for unknown theme
-    if (isLoading || isImageLoading || theme === "Unknown") return;
+    if (
+      isLoading ||
+      isImageLoading ||
+      imageCooldownSeconds > 0 ||
+      theme === "Unknown"
+    )
+      return;
     if (!name.trim()) {
       setImageError(
         "Please enter a character name before generating an image."
@@ -509,6 +692,7 @@ const CharacterCreation: React.FC<CharacterCreationProps> = ({
         characterName: name.trim(),
         characterGender: gender,
         characterDescription: characterDescription.trim(),
+        contentRating: gameContentRating,
       };
       const response = await generateCharacterImage(payload);
       // --- Store in lastGenerated as well ---
@@ -518,6 +702,7 @@ const CharacterCreation: React.FC<CharacterCreationProps> = ({
       console.log("AI Image generated successfully:", response.imageUrl);
     } catch (err: any) {
       console.error("AI Image generation failed:", err);
+      setImageCooldownSeconds(getRetryAfterSeconds(err) ?? 0);
       const apiErrorMessage =
         err.response?.data?.error ||
         err.message ||
@@ -544,6 +729,17 @@ const CharacterCreation: React.FC<CharacterCreationProps> = ({
     }
   };
 
+  // Same look as the gender toggle, for the multiplayer game options
+  const getOptionButtonClass = (isSelected: boolean) => {
+    const baseClass =
+      "px-4 py-2 border rounded-md text-sm font-medium transition-colors disabled:opacity-50 flex-1";
+    if (isSelected) {
+      return `${baseClass} bg-blue-600 text-white border-blue-700 dark:bg-slate-600 dark:border-slate-500`;
+    } else {
+      return `${baseClass} bg-transparent border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-600`;
+    }
+  };
+
   // Helper for image source radio buttons
   const getImageSourceRadioClass = (source: ImageSource) => {
     const base =
@@ -690,6 +886,227 @@ const CharacterCreation: React.FC<CharacterCreationProps> = ({
           />
         </div>
 
+        {/* Turn Mode Toggle (multiplayer games only) */}
+        {mode === "create-multiplayer" && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Turn Mode
+            </label>
+            <div
+              className="flex space-x-2"
+              role="radiogroup"
+              aria-label="Turn Mode"
+            >
+              {TURN_MODE_OPTIONS.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  role="radio"
+                  aria-checked={turnMode === option.value}
+                  onClick={() => setTurnMode(option.value)}
+                  disabled={isLoading || isImageLoading}
+                  className={getOptionButtonClass(turnMode === option.value)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              {
+                TURN_MODE_OPTIONS.find((option) => option.value === turnMode)
+                  ?.description
+              }
+            </p>
+          </div>
+        )}
+
+        {/* Turn Timer (round-robin multiplayer games only) */}
+        {mode === "create-multiplayer" && turnMode === "round_robin" && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Turn Timer
+            </label>
+            <div
+              className="flex space-x-2"
+              role="radiogroup"
+              aria-label="Turn Timer"
+            >
+              {TURN_TIMEOUT_OPTIONS.map((option) => (
+                <button
+                  key={option.seconds}
+                  type="button"
+                  role="radio"
+                  aria-checked={turnTimeoutSeconds === option.seconds}
+                  onClick={() => setTurnTimeoutSeconds(option.seconds)}
+                  disabled={isLoading || isImageLoading}
+                  className={getOptionButtonClass(
+                    turnTimeoutSeconds === option.seconds
+                  )}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {turnTimeoutSeconds > 0 && (
+              <>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mt-3 mb-2">
+                  When a player runs out of time
+                </label>
+                <div
+                  className="flex space-x-2"
+                  role="radiogroup"
+                  aria-label="When a player runs out of time"
+                >
+                  {TURN_TIMEOUT_ACTION_OPTIONS.map((option) => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      role="radio"
+                      aria-checked={turnTimeoutAction === option.value}
+                      onClick={() => setTurnTimeoutAction(option.value)}
+                      disabled={isLoading || isImageLoading}
+                      className={getOptionButtonClass(
+                        turnTimeoutAction === option.value
+                      )}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Dice Rules Toggle (new games only) */}
+        {mode !== "join-multiplayer" && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Dice Rolls
+            </label>
+            <div
+              className="flex space-x-2"
+              role="radiogroup"
+              aria-label="Dice Rolls"
+            >
+              {[false, true].map((value) => (
+                <button
+                  key={String(value)}
+                  type="button"
+                  role="radio"
+                  aria-checked={useDiceRules === value}
+                  onClick={() => setUseDiceRules(value)}
+                  disabled={isLoading || isImageLoading}
+                  className={getOptionButtonClass(useDiceRules === value)}
+                >
+                  {value ? "On" : "Off"}
+                </button>
+              ))}
+            </div>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              {useDiceRules
+                ? "Every action gets a d20 skill check, and the GM must play out the result."
+                : "The GM decides how each action turns out."}
+            </p>
+          </div>
+        )}
+
+        {/* Content Rating (new games only) */}
+        {mode !== "join-multiplayer" && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Content Rating
+            </label>
+            <div
+              className="flex space-x-2"
+              role="radiogroup"
+              aria-label="Content Rating"
+            >
+              {CONTENT_RATING_OPTIONS.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  role="radio"
+                  aria-checked={contentRating === option.value}
+                  onClick={() => setContentRating(option.value)}
+                  disabled={isLoading || isImageLoading}
+                  className={getOptionButtonClass(
+                    contentRating === option.value
+                  )}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              {
+                CONTENT_RATING_OPTIONS.find(
+                  (option) => option.value === contentRating
+                )?.description
+              }
+            </p>
+          </div>
+        )}
+
+        {/* Attributes (dice rules games only) */}
+        {showAttributes && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Attributes{" "}
+              <span className="font-normal text-gray-500 dark:text-gray-400">
+                ({attributePointsLeft} point
+                {attributePointsLeft === 1 ? "" : "s"} left)
+              </span>
+            </label>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {ATTRIBUTE_OPTIONS.map((option) => (
+                <div
+                  key={option.value}
+                  className="flex items-center justify-between gap-2 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md"
+                >
+                  <div>
+                    <p className="text-sm font-medium text-gray-800 dark:text-gray-200">
+                      {option.label}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {option.description}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={() => changeAttribute(option.value, -1)}
+                      disabled={
+                        isLoading || attributes[option.value] <= ATTRIBUTE_MIN
+                      }
+                      className="w-7 h-7 border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-200 disabled:opacity-40"
+                      aria-label={`Lower ${option.label}`}
+                    >
+                      -
+                    </button>
+                    <span className="w-6 text-center text-sm font-semibold text-gray-900 dark:text-white">
+                      +{attributes[option.value]}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => changeAttribute(option.value, 1)}
+                      disabled={
+                        isLoading ||
+                        attributePointsLeft <= 0 ||
+                        attributes[option.value] >= ATTRIBUTE_MAX
+                      }
+                      className="w-7 h-7 border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-200 disabled:opacity-40"
+                      aria-label={`Raise ${option.label}`}
+                    >
+                      +
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* --- Accordion for Advanced Customization (Image) --- */}
         <div className="">
           <button
@@ -846,6 +1263,7 @@ const CharacterCreation: React.FC<CharacterCreationProps> = ({
                         disabled={
                           isLoading ||
                           isImageLoading ||
+                          imageCooldownSeconds > 0 ||
                           !name.trim() ||
                           !gender ||
                           theme === "Unknown"
@@ -861,6 +1279,8 @@ const CharacterCreation: React.FC<CharacterCreationProps> = ({
                       >
                         {isImageLoading
                           ? "Generating..."
+                          : imageCooldownSeconds > 0
+                          ? `Try again in ${imageCooldownSeconds}s`
                           : "Generate Portrait with AI"}
                       </button>
                       {theme === "Unknown" && (
@@ -0,0 +1,159 @@
+// src/components/CodexPanel.tsx
+import React, { useEffect, useState } from "react";
+import { BookOpenIcon, ChevronDownIcon } from "@heroicons/react/24/outline";
+import { getSessionCodex } from "../services/api";
+import type { NpcCodexEntry } from "../types";
+
+interface CodexPanelProps {
+  sessionId: string;
+  branchId?: string;
+  turnCount: number; // Refetches when a turn is added to the timeline
+  onTurnClick: (turnIndex: number) => void;
+}
+
+// Everyone the players have met on the current timeline
+const CodexPanel: React.FC<CodexPanelProps> = ({
+  sessionId,
+  branchId,
+  turnCount,
+  onTurnClick,
+}) => {
+  const [npcs, setNpcs] = useState<NpcCodexEntry[]>([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [expandedNpcId, setExpandedNpcId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let isCurrent = true; // Ignore responses for a previous branch
+    getSessionCodex(sessionId, branchId)
+      .then((codex) => {
+        if (!isCurrent) return;
+        setNpcs(codex.npcs);
+        setError(null);
+      })
+      .catch((err) => {
+        console.error("CodexPanel: Error fetching NPC codex:", err);
+        if (isCurrent) setError("Failed to load the codex.");
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [sessionId, branchId, turnCount]);
+
+  const turnLink = (turnIndex: number) => (
+    <button
+      type="button"
+      onClick={() => onTurnClick(turnIndex)}
+      className="underline hover:text-blue-600 dark:hover:text-blue-400"
+    >
+      turn {turnIndex}
+    </button>
+  );
+
+  return (
+    <div className="codex-panel mt-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        className="w-full flex items-center justify-between px-4 py-3 text-sm font-semibold text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-800 rounded-lg"
+        aria-expanded={isOpen}
+      >
+        <span className="flex items-center gap-2">
+          <BookOpenIcon className="w-5 h-5" />
+          Codex &middot; {npcs.length} character{npcs.length === 1 ? "" : "s"}{" "}
+          met
+        </span>
+        <ChevronDownIcon
+          className={`w-4 h-4 transition-transform ${
+            isOpen ? "rotate-180" : ""
+          }`}
+        />
+      </button>
+      {isOpen && (
+        <div className="px-4 pb-4">
+          {error && (
+            <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+          {!error && npcs.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 italic">
+              You haven't met anyone yet.
+            </p>
+          )}
+          <ul className="space-y-3">
+            {npcs.map((npc) => {
+              const isExpanded = expandedNpcId === npc.npcId;
+              return (
+                <li
+                  key={npc.npcId}
+                  className="text-sm text-gray-700 dark:text-gray-300 border-t border-gray-200 dark:border-gray-700 pt-3"
+                >
+                  <div className="flex items-baseline justify-between gap-2">
+                    <strong className="font-medium text-gray-900 dark:text-white">
+                      {npc.name}
+                    </strong>
+                    <span className="text-xs text-gray-500 dark:text-gray-400 shrink-0">
+                      Met {turnLink(npc.firstSeenTurnIndex)}
+                      {npc.lastSeenTurnIndex !== npc.firstSeenTurnIndex && (
+                        <>
+                          {" "}
+                          &middot; last seen {turnLink(npc.lastSeenTurnIndex)}
+                        </>
+                      )}
+                    </span>
+                  </div>
+                  {npc.aliases.length > 0 && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Also called {npc.aliases.join(", ")}
+                    </p>
+                  )}
+                  {npc.description && (
+                    <p className="mt-1 text-xs text-gray-600 dark:text-gray-400 italic">
+                      {npc.description}
+                      {npc.appearance && ` Appearance: ${npc.appearance}`}
+                    </p>
+                  )}
+                  {npc.opinionOfPlayer && (
+                    <p className="mt-1 text-xs">
+                      <span className="font-medium">Opinion of you:</span>{" "}
+                      {npc.opinionOfPlayer}
+                    </p>
+                  )}
+                  {npc.opinionHistory.length > 1 && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setExpandedNpcId(isExpanded ? null : npc.npcId)
+                        }
+                        className="mt-1 text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                      >
+                        {isExpanded
+                          ? "Hide how their opinion changed"
+                          : `Opinion changed ${
+                              npc.opinionHistory.length - 1
+                            } time${
+                              npc.opinionHistory.length === 2 ? "" : "s"
+                            }`}
+                      </button>
+                      {isExpanded && (
+                        <ol className="mt-1 ml-4 list-disc text-xs text-gray-600 dark:text-gray-400 space-y-1">
+                          {npc.opinionHistory.map((entry) => (
+                            <li key={entry.turnIndex}>
+                              {turnLink(entry.turnIndex)}: {entry.opinion}
+                            </li>
+                          ))}
+                        </ol>
+                      )}
+                    </>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CodexPanel;
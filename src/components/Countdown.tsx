@@ -0,0 +1,37 @@
+// src/components/Countdown.tsx
+import React, { useState, useEffect } from "react";
+
+interface CountdownProps {
+  endsAt: string; // ISO date string
+  className?: string;
+}
+
+// Seconds left until endsAt, never negative
+const getSecondsLeft = (endsAt: string) =>
+  Math.max(0, Math.ceil((new Date(endsAt).getTime() - Date.now()) / 1000));
+
+// Formats seconds as m:ss
+const formatSeconds = (seconds: number) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+
+// Ticks locally between server updates, so only endsAt has to be kept in sync
+const Countdown: React.FC<CountdownProps> = ({ endsAt, className }) => {
+  const [secondsLeft, setSecondsLeft] = useState(() => getSecondsLeft(endsAt));
+
+  useEffect(() => {
+    setSecondsLeft(getSecondsLeft(endsAt));
+    const interval = setInterval(
+      () => setSecondsLeft(getSecondsLeft(endsAt)),
+      1000
+    );
+    return () => clearInterval(interval);
+  }, [endsAt]);
+
+  return (
+    <span className={`tabular-nums ${className ?? ""}`}>
+      {formatSeconds(secondsLeft)}
+    </span>
+  );
+};
+
+export default Countdown;
@@ -0,0 +1,52 @@
+// src/components/DiceRollBadge.tsx
+import React from "react";
+import type { DiceOutcome, DiceRoll } from "../types";
+
+const OUTCOME_LABELS: Record<DiceOutcome, string> = {
+  critical_success: "Critical success",
+  success: "Success",
+  failure: "Failure",
+  critical_failure: "Critical failure",
+};
+
+const OUTCOME_CLASSES: Record<DiceOutcome, string> = {
+  critical_success:
+    "bg-green-200 text-green-900 dark:bg-green-800 dark:text-green-100",
+  success: "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200",
+  failure: "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200",
+  critical_failure: "bg-red-200 text-red-900 dark:bg-red-800 dark:text-red-100",
+};
+
+interface DiceRollBadgeProps {
+  diceRoll: DiceRoll;
+  className?: string;
+}
+
+// Compact result of a skill check, with the full roll in the tooltip
+const DiceRollBadge: React.FC<DiceRollBadgeProps> = ({
+  diceRoll,
+  className = "",
+}) => {
+  const attributeLabel = diceRoll.attribute
+    ? diceRoll.attribute.charAt(0).toUpperCase() + diceRoll.attribute.slice(1)
+    : null;
+  const details = attributeLabel
+    ? `${attributeLabel} check: d${diceRoll.die} ${diceRoll.roll} + ${diceRoll.modifier} = ${diceRoll.total} vs ${diceRoll.difficulty}`
+    : `Check: d${diceRoll.die} ${diceRoll.roll} vs ${diceRoll.difficulty}`;
+
+  return (
+    <span
+      title={`${details} (roll ${diceRoll.nonce})`}
+      className={`inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[11px] font-medium ${
+        OUTCOME_CLASSES[diceRoll.outcome]
+      } ${className}`}
+    >
+      <span aria-hidden="true">&#x1F3B2;</span>
+      {diceRoll.total}
+      {attributeLabel && ` ${attributeLabel}`} &middot;{" "}
+      {OUTCOME_LABELS[diceRoll.outcome]}
+    </span>
+  );
+};
+
+export default DiceRollBadge;
@@ -0,0 +1,72 @@
+// src/components/ExportStoryMenu.tsx
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import { ArrowDownTrayIcon } from "@heroicons/react/20/solid";
+import { exportSession } from "../services/api";
+import { saveBlobAsFile } from "../services/download";
+import type { StoryExportFormat } from "../types";
+
+const EXPORT_FORMAT_OPTIONS: { value: StoryExportFormat; label: string }[] = [
+  { value: "html", label: "Web Page (HTML)" },
+  { value: "epub", label: "E-Book (EPUB)" },
+  { value: "md", label: "Markdown" },
+];
+
+interface ExportStoryMenuProps {
+  sessionId: string;
+  disabled?: boolean;
+}
+
+const ExportStoryMenu: React.FC<ExportStoryMenuProps> = ({
+  sessionId,
+  disabled = false,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async (format: StoryExportFormat) => {
+    setIsOpen(false);
+    setIsExporting(true);
+    try {
+      const { blob, fileName } = await exportSession(sessionId, format);
+      saveBlobAsFile(blob, fileName);
+    } catch (err) {
+      console.error("ExportStoryMenu: Error exporting story:", err);
+      toast.error("Failed to export the story.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative inline-block text-left">
+      <button
+        type="button"
+        onClick={() => setIsOpen((prev) => !prev)}
+        disabled={disabled || isExporting}
+        className="flex items-center gap-1 px-3 py-1 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-100 text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+        title="Download this adventure as a storybook"
+      >
+        <ArrowDownTrayIcon className="w-4 h-4" />
+        {isExporting ? "Exporting..." : "Export"}
+      </button>
+      {isOpen && (
+        <ul className="absolute right-0 z-10 mt-1 w-44 py-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md shadow-lg">
+          {EXPORT_FORMAT_OPTIONS.map((option) => (
+            <li key={option.value}>
+              <button
+                type="button"
+                onClick={() => handleExport(option.value)}
+                className="w-full text-left px-3 py-1.5 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+              >
+                {option.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportStoryMenu;
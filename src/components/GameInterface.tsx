@@ -1,21 +1,48 @@
 // src/components/GameInterface.tsx
 import React from "react";
-import type { Turn, Player } from "../types";
+import type {
+  Turn,
+  Player,
+  BranchSummary,
+  StreamingTurn,
+  TurnMode,
+  TurnTimer,
+  VoteRound,
+} from "../types";
 import HistorySidebar from "./HistorySidebar";
 import ActionInput from "./ActionInput";
+import VotePanel from "./VotePanel";
+import Countdown from "./Countdown";
+import ExportStoryMenu from "./ExportStoryMenu";
+import CodexPanel from "./CodexPanel";
+import DiceRollBadge from "./DiceRollBadge";
+import InventoryPanel from "./InventoryPanel";
+import WorldMapPanel from "./WorldMapPanel";
 import { CheckCircleIcon } from "@heroicons/react/24/solid"; // Import for goal met
+import { ArrowPathIcon } from "@heroicons/react/20/solid"; // Import for image regeneration
 
 interface GameInterfaceProps {
+  sessionId: string;
   currentTurn: Turn | null;
   history: Turn[];
   currentTurnIndex: number;
   isLoading: boolean;
   onActionSubmit: (action: string) => void;
   onHistoryClick: (index: number) => void;
+  branches: BranchSummary[];
+  activeBranchId?: string;
+  onBranchSelect: (branchId: string) => void;
+  onRegenerateImage: (turnId: string) => void;
+  streamingTurn?: StreamingTurn | null; // Turn whose narrative is streaming in
   isMultiplayer: boolean;
   players: Player[];
   currentPlayerIndex: number | null;
   currentUserId?: string;
+  turnMode?: TurnMode;
+  voteRound?: VoteRound | null; // Open vote round (voting turn modes only)
+  onVote: (proposalId: string) => void;
+  turnTimer?: TurnTimer | null; // Idle countdown for the current player
+  isTurnInProgress?: boolean; // An action (possibly another player's) is being processed
   isGoalMet?: boolean; // NEW: Add prop for goal status
   // --- NEW: Debug Props ---
   gameGoal?: string | null;
@@ -24,16 +51,27 @@ interface GameInterfaceProps {
 }
 
 const GameInterface: React.FC<GameInterfaceProps> = ({
+  sessionId,
   currentTurn,
   history,
   currentTurnIndex,
   isLoading,
   onActionSubmit,
   onHistoryClick,
+  branches,
+  activeBranchId,
+  onBranchSelect,
+  onRegenerateImage,
+  streamingTurn,
   isMultiplayer,
   players,
   currentPlayerIndex,
   currentUserId,
+  turnMode,
+  voteRound,
+  onVote,
+  turnTimer,
+  isTurnInProgress = false,
   isGoalMet, // Destructure new prop
   // --- NEW: Destructure Debug Props ---
   gameGoal,
@@ -46,24 +84,45 @@ const GameInterface: React.FC<GameInterfaceProps> = ({
 
   // const showImageLoading = isLoading && currentTurnIndex === history.length - 1;
 
+  // Turns from before image statuses existed have an image but no status
+  const isImagePending =
+    currentTurn.imageStatus === "pending" ||
+    (!currentTurn.imageStatus && !currentTurn.imageUrl);
+  const isImageFailed = currentTurn.imageStatus === "failed";
+
+  // In the voting modes everyone proposes, so there is no single active player
+  const isVotingMode =
+    isMultiplayer && (turnMode === "vote" || turnMode === "merge");
+
   const isMyTurn =
     isMultiplayer && currentUserId
-      ? players.find((p) => p.userId === currentUserId)?.playerIndex ===
-        currentPlayerIndex
+      ? isVotingMode
+        ? !voteRound?.isResolving
+        : players.find((p) => p.userId === currentUserId)?.playerIndex ===
+          currentPlayerIndex
       : false;
 
   const activePlayerName =
-    isMultiplayer && currentPlayerIndex !== null
+    isMultiplayer && !isVotingMode && currentPlayerIndex !== null
       ? players.find((p) => p.playerIndex === currentPlayerIndex)
           ?.characterName || "Unknown Player"
       : null;
 
+  const streamingPlayerName =
+    isMultiplayer && streamingTurn
+      ? players.find((p) => p.playerIndex === streamingTurn.actingPlayerIndex)
+          ?.characterName || null
+      : null;
+
   return (
     <div className="game-interface flex flex-col md:flex-row mt-4 gap-6 relative">
       <HistorySidebar
         history={history}
         currentTurnIndex={currentTurnIndex}
         onHistoryClick={onHistoryClick}
+        branches={branches}
+        activeBranchId={activeBranchId}
+        onBranchSelect={onBranchSelect}
         isLoading={isLoading}
         isMultiplayer={isMultiplayer}
         players={players}
@@ -75,10 +134,28 @@ const GameInterface: React.FC<GameInterfaceProps> = ({
         {/* min-w-0 prevents flexbox overflow */}
         {isMultiplayer && (
           <div className="mb-2 p-2 bg-blue-100 dark:bg-slate-700 border border-blue-200 dark:border-slate-600 rounded-md text-center text-sm font-medium text-blue-800 dark:text-blue-100">
-            {activePlayerName ? (
+            {isVotingMode ? (
+              <span>
+                {turnMode === "merge"
+                  ? "Everyone proposes an action; the GM combines them all"
+                  : "Everyone proposes an action; the most-voted one is played"}
+              </span>
+            ) : activePlayerName ? (
               <span>
                 Turn: <strong>{activePlayerName}</strong>
                 {isMyTurn ? " (You)" : ""}
+                {turnTimer && turnTimer.playerIndex === currentPlayerIndex && (
+                  <span
+                    className="ml-2"
+                    title={
+                      turnTimer.timeoutAction === "auto_act"
+                        ? "A suggested action is played when time runs out"
+                        : "The turn passes on when time runs out"
+                    }
+                  >
+                    &middot; <Countdown endsAt={turnTimer.endsAt} />
+                  </span>
+                )}
               </span>
             ) : (
               <span>Waiting for players...</span>
@@ -94,17 +171,47 @@ const GameInterface: React.FC<GameInterfaceProps> = ({
               Generating Image...
             </div>
           )} */}
-            {/* Image */}
-            <img
-              src={currentTurn.imageUrl}
-              alt={currentTurn.imagePrompt || "Adventure scene"}
-              // Basic image styling
-              className={`block w-full h-full object-cover transition-opacity duration-300`}
-              onError={(e) =>
-                (e.currentTarget.src =
-                  "https://via.placeholder.com/600x337.png?text=Image+Error")
-              } // Basic error fallback
-            />
+            {/* Image (generated in the background, so it may still be pending) */}
+            {currentTurn.imageUrl ? (
+              <img
+                src={currentTurn.imageUrl}
+                alt={currentTurn.imagePrompt || "Adventure scene"}
+                // Basic image styling
+                className={`block w-full h-full object-cover transition-opacity duration-300`}
+                onError={(e) =>
+                  (e.currentTarget.src =
+                    "https://via.placeholder.com/600x337.png?text=Image+Error")
+                } // Basic error fallback
+              />
+            ) : isImageFailed ? (
+              <div className="absolute inset-0 flex items-center justify-center text-gray-500 dark:text-gray-400 text-lg font-semibold">
+                Image generation failed
+              </div>
+            ) : (
+              <div className="absolute inset-0 flex items-center justify-center text-gray-500 dark:text-gray-400 text-lg font-semibold animate-pulse">
+                Generating Image...
+              </div>
+            )}
+            {/* Regenerate Button (or progress while a new image is queued) */}
+            {currentTurn.turnId &&
+              (isImagePending ? (
+                currentTurn.imageUrl && (
+                  <div className="absolute top-2 right-2 flex items-center gap-1 px-2 py-1 rounded-md bg-black/60 text-white text-xs font-medium">
+                    <ArrowPathIcon className="h-4 w-4 animate-spin" />
+                    Regenerating...
+                  </div>
+                )
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => onRegenerateImage(currentTurn.turnId!)}
+                  className="absolute top-2 right-2 flex items-center gap-1 px-2 py-1 rounded-md bg-black/60 hover:bg-black/80 text-white text-xs font-medium transition-colors"
+                  title="Generate a new image for this turn"
+                >
+                  <ArrowPathIcon className="h-4 w-4" />
+                  {isImageFailed ? "Retry image" : "Regenerate"}
+                </button>
+              ))}
             {/* Image Prompt Display */}
             <p className="image-prompt-display text-xs text-gray-500 dark:text-gray-400 text-center italic px-2 py-1">
               <em>{currentTurn.imagePrompt}</em>
@@ -115,6 +222,14 @@ const GameInterface: React.FC<GameInterfaceProps> = ({
             {/* <div className="mb-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 italic">
               ({currentTurn.timeOfDay || "Time not specified"})
             </div> */}
+            {currentTurn.locationName && (
+              <p className="mb-2 text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                {currentTurn.locationName}
+              </p>
+            )}
+            {currentTurn.diceRoll && (
+              <DiceRollBadge diceRoll={currentTurn.diceRoll} className="mb-2" />
+            )}
             {/* Use prose for better text formatting if needed */}
             <p className="text-gray-800 dark:text-gray-200 leading-relaxed whitespace-pre-wrap">
               {currentTurn.scenarioText}
@@ -145,6 +260,28 @@ const GameInterface: React.FC<GameInterfaceProps> = ({
             )} */}
           </div>
         </div>
+        {/* NPCs met on this timeline */}
+        <CodexPanel
+          sessionId={sessionId}
+          branchId={activeBranchId}
+          turnCount={history.length}
+          onTurnClick={onHistoryClick}
+        />
+        {/* Places visited on this timeline */}
+        <WorldMapPanel
+          sessionId={sessionId}
+          branchId={activeBranchId}
+          turnCount={history.length}
+          canTravel={
+            !isGoalMet &&
+            !isLoading &&
+            !streamingTurn &&
+            !isTurnInProgress &&
+            (!isMultiplayer || isMyTurn)
+          }
+          onTravel={onActionSubmit}
+          onTurnClick={onHistoryClick}
+        />
         {/* --- DEBUG SECTION --- */}
         {(gameGoal || goalPrerequisites || metPrerequisites) && (
           <div className="debug-info mt-4 p-3 border border-dashed border-yellow-500 dark:border-yellow-700 bg-yellow-50 dark:bg-gray-800 rounded-md text-xs text-yellow-800 dark:text-yellow-200">
@@ -180,12 +317,26 @@ const GameInterface: React.FC<GameInterfaceProps> = ({
             Adventure Complete!
             {/* Optionally display the goal text if available */}
             {/* {currentTurn.gameGoal && <p className="text-sm font-normal mt-1">Goal: {currentTurn.gameGoal}</p>} */}
-            <button
-              onClick={() => (window.location.href = "/")} // Simple redirect to home
-              className="mt-4 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md transition-colors"
-            >
-              Return to Main Menu
-            </button>
+            <div className="mt-4 flex items-center justify-center gap-3">
+              <button
+                onClick={() => (window.location.href = "/")} // Simple redirect to home
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md transition-colors"
+              >
+                Return to Main Menu
+              </button>
+              <ExportStoryMenu sessionId={sessionId} />
+            </div>
+          </div>
+        ) : streamingTurn ? (
+          <div className="mt-4 p-4 sm:p-6 border border-gray-200 dark:border-gray-700 rounded-lg">
+            <p className="text-sm text-gray-500 dark:text-gray-400 italic mb-2">
+              {streamingPlayerName ? `${streamingPlayerName}: ` : ""}
+              {streamingTurn.action}
+            </p>
+            <p className="text-gray-800 dark:text-gray-200 leading-relaxed whitespace-pre-wrap">
+              {streamingTurn.narrative || "Progressing the story..."}
+              <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-gray-500 dark:bg-gray-400 animate-pulse" />
+            </p>
           </div>
         ) : isLoading ? (
           <div className="text-center text-sm text-gray-500 dark:text-gray-400 mt-2 py-12">
@@ -214,15 +365,40 @@ const GameInterface: React.FC<GameInterfaceProps> = ({
             </div>
           </div>
         ) : (
-          <ActionInput
-            suggestedActions={currentTurn.suggestedActions}
-            onActionSubmit={onActionSubmit}
-            isLoading={isLoading}
-            isMultiplayer={isMultiplayer}
-            isMyTurn={isMyTurn}
-            activePlayerName={activePlayerName}
-          />
+          <>
+            {isVotingMode && voteRound && (
+              <VotePanel
+                voteRound={voteRound}
+                currentUserId={currentUserId}
+                onVote={onVote}
+              />
+            )}
+            <ActionInput
+              suggestedActions={currentTurn.suggestedActions}
+              onActionSubmit={onActionSubmit}
+              isLoading={isLoading}
+              isTurnInProgress={isTurnInProgress}
+              isMultiplayer={isMultiplayer}
+              isMyTurn={isMyTurn}
+              activePlayerName={isVotingMode ? "the GM" : activePlayerName}
+              submitLabel={
+                isVotingMode
+                  ? voteRound?.proposals.some((p) => p.userId === currentUserId)
+                    ? "Update Proposal"
+                    : "Propose Action"
+                  : undefined
+              }
+            />
+          </>
         )}
+        {/* Items each player carries, alongside the action input */}
+        <InventoryPanel
+          sessionId={sessionId}
+          branchId={activeBranchId}
+          turnCount={history.length}
+          currentUserId={currentUserId}
+          recentChanges={currentTurn.inventoryChanges ?? []}
+        />
         {/* <div className="flex flex-col min-w-0 border border-gray-200 dark:border-gray-700 rounded-lg">
           <p>{JSON.stringify(currentTurn, null, 2)}</p>
         </div> */}
@@ -1,84 +1,175 @@
-import React from "react";
+import React, { useCallback, useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import toast from "react-hot-toast";
+import {
+  PencilSquareIcon,
+  PlusIcon,
+  TrashIcon,
+} from "@heroicons/react/24/outline";
+import { deleteTheme, getThemes } from "../services/api";
+import type { GameTheme } from "../types";
+import ThemeEditor from "./ThemeEditor";
 
 interface GenreSelectorProps {
-  onGenreSelected: (genre: string) => void;
+  onGenreSelected: (theme: GameTheme, isMultiplayer: boolean) => void;
   isLoading: boolean;
 }
 
-const genres = [
-  "Apocalypse",
-  "Fantasy",
-  "Sci-Fi",
-  "Mystery",
-  "Horror",
-  "Romance",
-];
-
-const genreImages: { [key: string]: string } = {
-  Fantasy: "/images/fantasy.png",
-  Horror: "/images/horror.png",
-  Romance: "/images/romance.png",
-  "Sci-Fi": "/images/scifi.png", // Use 'Sci-Fi' as the key
-  Mystery: "/images/mystery.png",
-  Apocalypse: "/images/apocalyptic.png", // Added Apocalypse
-};
-
-const genreColors: { [key: string]: string } = {
-  Fantasy: "bg-[#5E4321]",
-  Horror: "bg-[#323130]",
-  Romance: "bg-[#44272B]",
-  "Sci-Fi": "bg-[#22333C]",
-  Mystery: "bg-[#233423]",
-  Apocalypse: "bg-[#2F2430]",
-};
-
-const genreDescriptions: { [key: string]: string } = {
-  Fantasy: "Magic and mythical creatures",
-  Horror: "Fear, suspense, and horror",
-  Romance: "Fall in love",
-  "Sci-Fi": "Explore the future",
-  Mystery: "Put together the clues",
-  Apocalypse: "Survive the apocalypse",
-};
+const startButtonClassName =
+  "flex-1 cursor-pointer hover:bg-white/10 px-3 py-3 border border-[#C6B273]/60 text-[#DDD09D] text-sm font-medium rounded-md transition-colors disabled:opacity-50";
 
+// Theme cards driven by the theme registry (built-in plus the user's own)
 const GenreSelector: React.FC<GenreSelectorProps> = ({
   onGenreSelected,
   isLoading,
 }) => {
+  const [themes, setThemes] = useState<GameTheme[]>([]);
+  const [isFetching, setIsFetching] = useState(true);
+  const [fetchError, setFetchError] = useState<string | null>(null);
+  const [isEditorOpen, setIsEditorOpen] = useState(false);
+  const [editingTheme, setEditingTheme] = useState<GameTheme | null>(null);
+
+  const fetchThemes = useCallback(async () => {
+    setIsFetching(true);
+    setFetchError(null);
+    try {
+      setThemes(await getThemes());
+    } catch (err) {
+      const response = isAxiosError(err) ? err.response : undefined;
+      setFetchError(response?.data?.error || "Failed to load themes.");
+    } finally {
+      setIsFetching(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchThemes();
+  }, [fetchThemes]);
+
+  const openEditor = (theme: GameTheme | null) => {
+    setEditingTheme(theme);
+    setIsEditorOpen(true);
+  };
+
+  const handleSaved = (saved: GameTheme) => {
+    setIsEditorOpen(false);
+    toast.success(`Theme "${saved.name}" saved.`);
+    fetchThemes();
+  };
+
+  const handleDelete = async (theme: GameTheme) => {
+    if (
+      !window.confirm(
+        `Delete the theme "${theme.name}"? Adventures already started with it are kept.`
+      )
+    )
+      return;
+    try {
+      await deleteTheme(theme.id);
+      setThemes((prev) => prev.filter((t) => t.id !== theme.id));
+    } catch (err) {
+      console.error("GenreSelector: Error deleting theme:", err);
+      toast.error("Failed to delete the theme.");
+    }
+  };
+
+  if (isFetching && themes.length === 0) {
+    return (
+      <p className="text-center text-gray-500 dark:text-gray-400 mb-8">
+        Loading themes...
+      </p>
+    );
+  }
+
   return (
-    <div className="mt-8 p-6 sm:p-8 bg-white dark:bg-transparent shadow-md dark:shadow-none rounded-lg border border-gray-200 dark:border-gray-700 max-w-3xl mx-4 md:mx-auto">
-      <h2 className="text-2xl sm:text-4xl font-semibold mb-6 text-center text-gray-800 dark:text-gray-200 cormorant-upright-semibold">
-        Choose Your Genre
-      </h2>
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-        {genres.map((genre) => (
-          <button
-            key={genre}
-            onClick={() => !isLoading && onGenreSelected(genre)}
-            disabled={isLoading}
-            className={`relative cursor-pointer group rounded-lg overflow-hidden shadow-sm hover:shadow-md transition duration-300 ease-in-out transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed py-2 px-2 noise-background ${
-              genreColors[genre] || "bg-gray-800 hover:bg-gray-700"
+    <>
+      {fetchError && (
+        <p className="text-center text-red-600 dark:text-red-400 mb-4">
+          {fetchError}
+        </p>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-8">
+        {themes.map((theme) => (
+          <div
+            key={theme.id}
+            className={`relative rounded-lg overflow-hidden shadow-sm p-4 flex flex-col justify-between noise-background ${
+              theme.color ? "" : "bg-gray-800"
             }`}
+            style={theme.color ? { backgroundColor: theme.color } : undefined}
           >
-            <img
-              src={genreImages[genre]}
-              alt={genre}
-              className="w-full h-full object-contain transition-opacity duration-300 group-hover:opacity-90"
-            />
-            <div className="absolute inset-x-0 bottom-6 p-4 flex items-end justify-center h-1/4">
-              <div className="flex flex-col items-center">
-                <h3 className="text-[#DDD09D] text-2xl font-bold text-center tracking-wide uppercase cormorant-upright-bold">
-                  {genre}
-                </h3>
-                <p className="text-sm text-center text-[#C6B273]">
-                  {genreDescriptions[genre]}
-                </p>
+            {theme.isOwner && (
+              <div className="absolute top-2 right-2 flex gap-1">
+                <button
+                  onClick={() => openEditor(theme)}
+                  disabled={isLoading}
+                  className="p-1 rounded-md text-[#DDD09D] hover:bg-white/10 disabled:opacity-50"
+                  title={`Edit ${theme.name}`}
+                >
+                  <PencilSquareIcon className="w-5 h-5" />
+                </button>
+                <button
+                  onClick={() => handleDelete(theme)}
+                  disabled={isLoading}
+                  className="p-1 rounded-md text-[#DDD09D] hover:bg-white/10 disabled:opacity-50"
+                  title={`Delete ${theme.name}`}
+                >
+                  <TrashIcon className="w-5 h-5" />
+                </button>
               </div>
+            )}
+            <div>
+              {theme.coverImageUrl && (
+                <img
+                  src={theme.coverImageUrl}
+                  alt={theme.name}
+                  className="w-full h-40 object-contain mb-2"
+                />
+              )}
+              <h3 className="text-[#DDD09D] text-2xl uppercase mb-2 cormorant-upright-bold text-center tracking-wider">
+                {theme.name}
+              </h3>
+              {theme.description && (
+                <p className="text-sm text-[#C6B273] mb-4 text-center">
+                  {theme.description}
+                </p>
+              )}
+            </div>
+            <div className="flex flex-col gap-2 mt-auto">
+              <button
+                onClick={() => !isLoading && onGenreSelected(theme, false)}
+                disabled={isLoading}
+                className={startButtonClassName}
+                title={`Start Single Player ${theme.name} Game`}
+              >
+                Single Player
+              </button>
+              <button
+                onClick={() => !isLoading && onGenreSelected(theme, true)}
+                disabled={isLoading}
+                className={startButtonClassName}
+                title={`Start Multiplayer ${theme.name} Game`}
+              >
+                Multiplayer
+              </button>
             </div>
-          </button>
+          </div>
         ))}
+        <button
+          onClick={() => openEditor(null)}
+          disabled={isLoading}
+          className="border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg p-4 flex flex-col items-center justify-center gap-2 min-h-48 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+        >
+          <PlusIcon className="w-8 h-8" />
+          <span className="text-sm font-medium">Create Your Own Theme</span>
+        </button>
       </div>
-    </div>
+      <ThemeEditor
+        isOpen={isEditorOpen}
+        theme={editingTheme}
+        onClose={() => setIsEditorOpen(false)}
+        onSaved={handleSaved}
+      />
+    </>
   );
 };
 
@@ -1,11 +1,15 @@
 // src/components/HistorySidebar.tsx
 import React, { useEffect, useRef } from "react";
-import type { Turn, Player } from "../types";
+import type { Turn, Player, BranchSummary } from "../types";
+import DiceRollBadge from "./DiceRollBadge";
 
 interface HistorySidebarProps {
   history: Turn[];
   currentTurnIndex: number;
   onHistoryClick: (index: number) => void;
+  branches: BranchSummary[];
+  activeBranchId?: string;
+  onBranchSelect: (branchId: string) => void;
   isLoading: boolean;
   isMultiplayer: boolean;
   players: Player[];
@@ -16,6 +20,9 @@ const HistorySidebar: React.FC<HistorySidebarProps> = ({
   history,
   currentTurnIndex,
   onHistoryClick,
+  branches,
+  activeBranchId,
+  onBranchSelect,
   isLoading,
   isMultiplayer,
   players,
@@ -52,6 +59,14 @@ const HistorySidebar: React.FC<HistorySidebarProps> = ({
     );
   };
 
+  // Label a branch by where it forked and the action that started it
+  const getBranchLabel = (branch: BranchSummary): string => {
+    if (branch.forkTurnIndex === null) return "Original timeline";
+    return `From turn ${branch.forkTurnIndex}: ${
+      branch.firstAction || "(Unknown Action)"
+    }`;
+  };
+
   return (
     <div className="h-full flex-shrink-0 w-full md:w-64 border-r-0 md:border-r border-gray-300 dark:border-gray-700 pr-0 mb-4 md:mb-0 flex flex-col">
       {/* Player List (Only in Multiplayer) */}
@@ -69,8 +84,18 @@ const HistorySidebar: React.FC<HistorySidebarProps> = ({
                     ? "bg-blue-100 dark:bg-slate-700"
                     : "bg-transparent"
                 }`}
-                title={`${player.characterName} (${player.characterGender})`}
+                title={`${player.characterName} (${player.characterGender}) - ${
+                  player.isOnline ? "Online" : "Offline"
+                }`}
               >
+                <span
+                  className={`w-2 h-2 rounded-full mr-1.5 flex-shrink-0 ${
+                    player.isOnline
+                      ? "bg-green-500"
+                      : "bg-gray-400 dark:bg-gray-600"
+                  }`}
+                  aria-label={player.isOnline ? "Online" : "Offline"}
+                />
                 <img
                   src={
                     player.characterImageUrl ||
@@ -101,6 +126,52 @@ const HistorySidebar: React.FC<HistorySidebarProps> = ({
         </div>
       )}
 
+      {/* Timeline Branches (Only once the story has forked) */}
+      {branches.length > 1 && (
+        <div className="mb-4 border-b border-gray-300 dark:border-gray-700 pb-3">
+          <h4 className="text-md font-semibold mb-2 sticky top-0 bg-gray-100 dark:bg-gray-900 py-1 text-gray-800 dark:text-gray-200 px-1">
+            Timelines ({branches.length})
+          </h4>
+          <ul className="space-y-1 px-1 max-h-[20vh] overflow-y-auto">
+            {branches.map((branch) => {
+              const isActive = branch.branchId === activeBranchId;
+              const branchLabel = getBranchLabel(branch);
+              return (
+                <li key={branch.branchId}>
+                  <button
+                    onClick={() =>
+                      !isLoading &&
+                      !isMultiplayer &&
+                      onBranchSelect(branch.branchId)
+                    }
+                    disabled={isLoading || isActive || isMultiplayer}
+                    title={branchLabel}
+                    className={`
+                      w-full text-left px-3 py-1.5 rounded-md transition-colors duration-150 text-sm
+                      ${
+                        isActive
+                          ? "bg-blue-600 dark:bg-slate-600 text-white font-semibold shadow-sm cursor-default"
+                          : "text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700"
+                      }
+                      ${
+                        isLoading || isMultiplayer
+                          ? "opacity-60 cursor-not-allowed"
+                          : ""
+                      }
+                    `}
+                  >
+                    <span className="block truncate">{branchLabel}</span>
+                    <span className="block text-xs opacity-80">
+                      {branch.tipTurnIndex + 1} turns
+                    </span>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
       {/* History List */}
       <div className="flex-grow flex flex-col min-h-0">
         <h3 className="text-lg font-semibold mb-3 sticky top-0 bg-gray-100 dark:bg-gray-900 py-2 text-gray-800 dark:text-gray-200 px-1">
@@ -163,6 +234,9 @@ const HistorySidebar: React.FC<HistorySidebarProps> = ({
                       {turn.actionTaken}
                     </span>
                   )}
+                  {turn.diceRoll && (
+                    <DiceRollBadge diceRoll={turn.diceRoll} className="mt-1" />
+                  )}
                 </button>
               </li>
             );
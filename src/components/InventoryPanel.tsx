@@ -0,0 +1,130 @@
+// src/components/InventoryPanel.tsx
+import React, { useEffect, useState } from "react";
+import { BriefcaseIcon } from "@heroicons/react/24/outline";
+import { getSessionInventory } from "../services/api";
+import type { InventoryChange, PlayerInventory } from "../types";
+
+interface InventoryPanelProps {
+  sessionId: string;
+  branchId?: string;
+  turnCount: number; // Refetches when a turn is added to the timeline
+  currentUserId?: string;
+  recentChanges: InventoryChange[]; // Changes of the turn being viewed
+}
+
+// What each player carries on the current timeline, the viewer's own items
+// first
+const InventoryPanel: React.FC<InventoryPanelProps> = ({
+  sessionId,
+  branchId,
+  turnCount,
+  currentUserId,
+  recentChanges,
+}) => {
+  const [players, setPlayers] = useState<PlayerInventory[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let isCurrent = true; // Ignore responses for a previous branch
+    getSessionInventory(sessionId, branchId)
+      .then((inventory) => {
+        if (!isCurrent) return;
+        setPlayers(inventory.players);
+        setError(null);
+      })
+      .catch((err) => {
+        console.error("InventoryPanel: Error fetching inventory:", err);
+        if (isCurrent) setError("Failed to load the inventory.");
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [sessionId, branchId, turnCount]);
+
+  const sortedPlayers = [...players].sort(
+    (a, b) =>
+      Number(b.userId === currentUserId) - Number(a.userId === currentUserId) ||
+      a.playerIndex - b.playerIndex
+  );
+
+  const changeBadge = (playerIndex: number, itemName: string) => {
+    const change = recentChanges.find(
+      (c) =>
+        c.playerIndex === playerIndex &&
+        c.item.toLowerCase() === itemName.toLowerCase()
+    );
+    if (!change) return null;
+    return (
+      <span
+        className={`ml-1 text-[10px] font-semibold ${
+          change.quantity > 0
+            ? "text-green-600 dark:text-green-400"
+            : "text-red-600 dark:text-red-400"
+        }`}
+      >
+        {change.quantity > 0 ? `+${change.quantity}` : change.quantity}
+      </span>
+    );
+  };
+
+  return (
+    <div className="inventory-panel mt-4 px-4 py-3 border border-gray-200 dark:border-gray-700 rounded-lg">
+      <h4 className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-200 mb-2">
+        <BriefcaseIcon className="w-5 h-5" />
+        Inventory
+      </h4>
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      )}
+      <div className="space-y-2">
+        {sortedPlayers.map((player) => {
+          // Items lost this turn are gone from the list, so mention them
+          const lostItems = recentChanges.filter(
+            (change) =>
+              change.playerIndex === player.playerIndex &&
+              change.quantity < 0 &&
+              !player.items.some(
+                (item) => item.name.toLowerCase() === change.item.toLowerCase()
+              )
+          );
+          return (
+            <div key={player.playerIndex} className="text-sm">
+              {players.length > 1 && (
+                <p className="text-xs font-medium text-gray-500 dark:text-gray-400">
+                  {player.characterName}
+                  {player.userId === currentUserId ? " (You)" : ""}
+                </p>
+              )}
+              {player.items.length === 0 ? (
+                <p className="text-xs text-gray-500 dark:text-gray-400 italic">
+                  Carrying nothing.
+                </p>
+              ) : (
+                <ul className="flex flex-wrap gap-1.5">
+                  {player.items.map((item) => (
+                    <li
+                      key={item.name}
+                      title={item.note ?? undefined}
+                      className="px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-800 text-xs text-gray-800 dark:text-gray-200"
+                    >
+                      {item.name}
+                      {item.quantity > 1 && ` ×${item.quantity}`}
+                      {changeBadge(player.playerIndex, item.name)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {lostItems.length > 0 && (
+                <p className="mt-1 text-xs text-red-600 dark:text-red-400">
+                  Lost: {lostItems.map((change) => change.item).join(", ")}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default InventoryPanel;
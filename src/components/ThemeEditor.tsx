@@ -0,0 +1,238 @@
+import React, { useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import { createTheme, updateTheme } from "../services/api";
+import type { GameTheme, GameThemeInput } from "../types";
+
+interface ThemeEditorProps {
+  isOpen: boolean;
+  theme: GameTheme | null; // Custom theme being edited (null = create a new one)
+  onClose: () => void;
+  onSaved: (theme: GameTheme) => void;
+}
+
+const emptyTheme: GameThemeInput = {
+  name: "",
+  description: "",
+  systemPrompt: "",
+  jsonStructure:
+    '{\n  "world_summary": "String",\n  "key_locations": [\n    { "name": "String", "description": "String" }\n  ]\n}',
+  portraitStyle: "",
+  coverImageUrl: "",
+  color: "#333333",
+};
+
+const inputClassName =
+  "w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+const labelClassName =
+  "block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1";
+
+const ThemeEditor: React.FC<ThemeEditorProps> = ({
+  isOpen,
+  theme,
+  onClose,
+  onSaved,
+}) => {
+  const [form, setForm] = useState<GameThemeInput>(emptyTheme);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Reset the form whenever the editor opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setError(null);
+    setForm(
+      theme
+        ? {
+            name: theme.name,
+            description: theme.description ?? "",
+            systemPrompt: theme.systemPrompt,
+            jsonStructure: theme.jsonStructure,
+            portraitStyle: theme.portraitStyle,
+            coverImageUrl: theme.coverImageUrl ?? "",
+            color: theme.color ?? emptyTheme.color,
+          }
+        : emptyTheme
+    );
+  }, [isOpen, theme]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const setField =
+    (field: keyof GameThemeInput) =>
+    (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>): void => {
+      setForm((prev) => ({ ...prev, [field]: e.target.value }));
+    };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (isSaving) return;
+    setIsSaving(true);
+    setError(null);
+    try {
+      const saved = theme
+        ? await updateTheme(theme.id, form)
+        : await createTheme(form);
+      onSaved(saved);
+    } catch (err) {
+      const response = isAxiosError(err) ? err.response : undefined;
+      setError(response?.data?.error || "Failed to save the theme.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm"
+      aria-labelledby="theme-editor-title"
+      role="dialog"
+      aria-modal="true"
+      onClick={onClose}
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="relative bg-white dark:bg-gray-800 rounded-lg shadow-xl sm:max-w-2xl w-full m-4 p-6 max-h-[90vh] overflow-y-auto space-y-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3
+          id="theme-editor-title"
+          className="text-lg font-medium text-gray-900 dark:text-gray-100"
+        >
+          {theme ? `Edit "${theme.name}"` : "Create a Custom Theme"}
+        </h3>
+
+        <div className="grid grid-cols-1 sm:grid-cols-[1fr_auto] gap-4">
+          <div>
+            <label htmlFor="theme-name" className={labelClassName}>
+              Name
+            </label>
+            <input
+              id="theme-name"
+              type="text"
+              value={form.name}
+              onChange={setField("name")}
+              maxLength={50}
+              required
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor="theme-color" className={labelClassName}>
+              Card Color
+            </label>
+            <input
+              id="theme-color"
+              type="color"
+              value={form.color ?? emptyTheme.color ?? ""}
+              onChange={setField("color")}
+              className="h-10 w-20 rounded-md border border-gray-300 dark:border-gray-600"
+            />
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="theme-description" className={labelClassName}>
+            Description
+          </label>
+          <input
+            id="theme-description"
+            type="text"
+            value={form.description ?? ""}
+            onChange={setField("description")}
+            maxLength={200}
+            className={inputClassName}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="theme-system-prompt" className={labelClassName}>
+            World-Building Prompt
+          </label>
+          <textarea
+            id="theme-system-prompt"
+            value={form.systemPrompt}
+            onChange={setField("systemPrompt")}
+            rows={5}
+            maxLength={8000}
+            required
+            placeholder="You are an expert in ... writing. You are tasked with creating a setting, backdrop, and characters for ..."
+            className={inputClassName}
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            {"{{protagonist_gender}}"} is replaced with the starting character's
+            gender.
+          </p>
+        </div>
+
+        <div>
+          <label htmlFor="theme-json-structure" className={labelClassName}>
+            World Lore JSON Structure
+          </label>
+          <textarea
+            id="theme-json-structure"
+            value={form.jsonStructure}
+            onChange={setField("jsonStructure")}
+            rows={8}
+            maxLength={8000}
+            required
+            className={`${inputClassName} font-mono`}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="theme-portrait-style" className={labelClassName}>
+            Character Portrait Style
+          </label>
+          <input
+            id="theme-portrait-style"
+            type="text"
+            value={form.portraitStyle}
+            onChange={setField("portraitStyle")}
+            maxLength={300}
+            placeholder="e.g. watercolor, storybook illustration, character portrait"
+            className={inputClassName}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="theme-cover-image" className={labelClassName}>
+            Cover Image URL
+          </label>
+          <input
+            id="theme-cover-image"
+            type="text"
+            value={form.coverImageUrl ?? ""}
+            onChange={setField("coverImageUrl")}
+            placeholder="https://..."
+            className={inputClassName}
+          />
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+        )}
+
+        <div className="flex flex-row-reverse gap-2">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+          >
+            {isSaving ? "Saving..." : "Save Theme"}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-600 text-sm font-medium rounded-md transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ThemeEditor;
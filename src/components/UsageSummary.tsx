@@ -0,0 +1,140 @@
+// src/components/UsageSummary.tsx
+import React, { useEffect, useState } from "react";
+import { ChartBarIcon, ChevronDownIcon } from "@heroicons/react/24/outline";
+import { getUsageReport } from "../services/api";
+import type { UsageQuota, UsageReport } from "../types";
+
+const REPORT_DAYS = 30;
+
+const formatTokens = (tokens: number) => tokens.toLocaleString();
+const formatCost = (costUsd: number) =>
+  `$${costUsd < 1 ? costUsd.toFixed(4) : costUsd.toFixed(2)}`;
+
+// Share of the tightest daily limit used so far, or null without limits
+function getQuotaShare(quota: UsageQuota): number | null {
+  const shares = [
+    quota.tokenLimit ? quota.tokensUsed / quota.tokenLimit : null,
+    quota.costLimitUsd ? quota.costUsedUsd / quota.costLimitUsd : null,
+  ].filter((share): share is number => share !== null);
+  return shares.length > 0 ? Math.min(1, Math.max(...shares)) : null;
+}
+
+// Today's usage against the daily quotas, with the last month by model
+const UsageSummary: React.FC = () => {
+  const [report, setReport] = useState<UsageReport | null>(null);
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    let isCurrent = true;
+    getUsageReport(REPORT_DAYS)
+      .then((usage) => {
+        if (isCurrent) setReport(usage);
+      })
+      .catch((err) => {
+        // Usage is informational; the home page works without it
+        console.error("UsageSummary: Error fetching usage report:", err);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, []);
+
+  if (!report) return null;
+  const { quota, totals } = report;
+  const quotaShare = getQuotaShare(quota);
+
+  return (
+    <div className="usage-summary bg-white dark:bg-gray-800 rounded-lg shadow-md">
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        className="w-full flex items-center justify-between gap-4 px-6 py-3 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-lg"
+        aria-expanded={isOpen}
+      >
+        <span className="flex items-center gap-2">
+          <ChartBarIcon className="w-5 h-5" />
+          <span className="font-semibold">Usage today:</span>
+          {formatTokens(quota.tokensUsed)}
+          {quota.tokenLimit && ` / ${formatTokens(quota.tokenLimit)}`} tokens
+          &middot; {formatCost(quota.costUsedUsd)}
+          {quota.costLimitUsd && ` / ${formatCost(quota.costLimitUsd)}`}
+        </span>
+        <ChevronDownIcon
+          className={`w-4 h-4 transition-transform ${
+            isOpen ? "rotate-180" : ""
+          }`}
+        />
+      </button>
+      {quotaShare !== null && (
+        <div className="mx-6 mb-3 h-1.5 rounded-full bg-gray-200 dark:bg-gray-700">
+          <div
+            className={`h-1.5 rounded-full ${
+              quota.isExceeded ? "bg-red-500" : "bg-blue-500"
+            }`}
+            style={{ width: `${Math.round(quotaShare * 100)}%` }}
+          />
+        </div>
+      )}
+      {quota.isExceeded && (
+        <p className="px-6 pb-3 text-sm text-red-600 dark:text-red-400">
+          Daily limit reached. New turns are available again after{" "}
+          {new Date(quota.resetsAt).toLocaleTimeString([], {
+            hour: "2-digit",
+            minute: "2-digit",
+          })}
+          .
+        </p>
+      )}
+      {isOpen && (
+        <div className="px-6 pb-4 text-sm text-gray-700 dark:text-gray-300">
+          <p className="mb-2">
+            Last {report.days} days: {totals.calls} calls,{" "}
+            {formatTokens(totals.inputTokens + totals.outputTokens)} tokens,{" "}
+            {totals.images} images, about {formatCost(totals.estimatedCostUsd)}
+            {totals.unpricedCalls > 0 &&
+              ` (plus ${totals.unpricedCalls} calls without a known price)`}
+            .
+          </p>
+          {report.byModel.length > 0 && (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400">
+                  <th className="font-medium py-1">Model</th>
+                  <th className="font-medium py-1 text-right">Calls</th>
+                  <th className="font-medium py-1 text-right">Tokens</th>
+                  <th className="font-medium py-1 text-right">Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.byModel.map((row) => (
+                  <tr
+                    key={`${row.provider}|${row.model}`}
+                    className="border-t border-gray-200 dark:border-gray-700"
+                  >
+                    <td className="py-1">
+                      {row.model ?? "unknown"}{" "}
+                      <span className="text-gray-500 dark:text-gray-400">
+                        ({row.provider})
+                      </span>
+                    </td>
+                    <td className="py-1 text-right">{row.calls}</td>
+                    <td className="py-1 text-right">
+                      {formatTokens(row.inputTokens + row.outputTokens)}
+                    </td>
+                    <td className="py-1 text-right">
+                      {row.unpricedCalls === row.calls
+                        ? "n/a"
+                        : formatCost(row.estimatedCostUsd)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UsageSummary;
@@ -0,0 +1,83 @@
+// src/components/VotePanel.tsx
+import React from "react";
+import type { VoteRound } from "../types";
+import { CheckIcon } from "@heroicons/react/20/solid";
+import Countdown from "./Countdown";
+
+interface VotePanelProps {
+  voteRound: VoteRound;
+  currentUserId?: string;
+  onVote: (proposalId: string) => void;
+}
+
+const VotePanel: React.FC<VotePanelProps> = ({
+  voteRound,
+  currentUserId,
+  onVote,
+}) => {
+  const myVote = currentUserId ? voteRound.votes[currentUserId] : undefined;
+  const isMerge = voteRound.turnMode === "merge";
+
+  return (
+    <div className="mt-4 p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+      <div className="flex items-center justify-between mb-3 text-sm">
+        <h4 className="font-semibold text-gray-700 dark:text-gray-200">
+          {isMerge ? "Proposed Actions" : "Vote on the Next Action"}
+        </h4>
+        <span className="text-gray-500 dark:text-gray-400">
+          {voteRound.isResolving ? (
+            "The GM is deciding..."
+          ) : (
+            <>
+              <Countdown endsAt={voteRound.endsAt} /> left
+            </>
+          )}
+        </span>
+      </div>
+      <ul className="space-y-2">
+        {voteRound.proposals.map((proposal) => {
+          const isMyVote = myVote === proposal.proposalId;
+          return (
+            <li
+              key={proposal.proposalId}
+              className="flex items-center gap-3 p-2 rounded-md bg-gray-100 dark:bg-gray-800"
+            >
+              <div className="flex-1 min-w-0">
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {proposal.playerName}
+                  {proposal.userId === currentUserId ? " (You)" : ""}
+                </p>
+                <p className="text-sm text-gray-800 dark:text-gray-100 break-words">
+                  {proposal.action}
+                </p>
+              </div>
+              <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                {proposal.voteCount} vote{proposal.voteCount === 1 ? "" : "s"}
+              </span>
+              <button
+                type="button"
+                onClick={() => onVote(proposal.proposalId)}
+                disabled={voteRound.isResolving || isMyVote}
+                className={`flex items-center gap-1 px-3 py-1 rounded-md text-xs font-medium transition-colors disabled:cursor-not-allowed ${
+                  isMyVote
+                    ? "bg-blue-600 text-white dark:bg-slate-600"
+                    : "bg-slate-600 hover:bg-slate-700 text-white disabled:opacity-50"
+                }`}
+              >
+                {isMyVote && <CheckIcon className="h-4 w-4" />}
+                {isMyVote ? "Voted" : "Vote"}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      <p className="mt-3 text-xs text-gray-500 dark:text-gray-400 italic">
+        {isMerge
+          ? "When time runs out or everyone has voted, all proposals are combined into one party action."
+          : "When time runs out or everyone has voted, the most-voted action is played."}
+      </p>
+    </div>
+  );
+};
+
+export default VotePanel;
@@ -0,0 +1,243 @@
+// src/components/WorldMapPanel.tsx
+import React, { useEffect, useState } from "react";
+import { ChevronDownIcon, MapIcon } from "@heroicons/react/24/outline";
+import { getSessionMap } from "../services/api";
+import type { LocationMapResponse, MapLocation } from "../types";
+
+interface WorldMapPanelProps {
+  sessionId: string;
+  branchId?: string;
+  turnCount: number; // Refetches when a turn is added to the timeline
+  canTravel: boolean; // The player may act right now
+  onTravel: (action: string) => void;
+  onTurnClick: (turnIndex: number) => void;
+}
+
+const MAP_SIZE = 320;
+const MAP_RADIUS = 120;
+const NODE_RADIUS = 10;
+
+// Locations are laid out on a circle in the order they became known, which
+// keeps the graph readable without a layout library
+function getNodePositions(locations: MapLocation[]) {
+  const positions = new Map<string, { x: number; y: number }>();
+  const center = MAP_SIZE / 2;
+  locations.forEach((location, index) => {
+    if (locations.length === 1) {
+      positions.set(location.locationId, { x: center, y: center });
+      return;
+    }
+    const angle = (2 * Math.PI * index) / locations.length - Math.PI / 2;
+    positions.set(location.locationId, {
+      x: center + MAP_RADIUS * Math.cos(angle),
+      y: center + MAP_RADIUS * Math.sin(angle),
+    });
+  });
+  return positions;
+}
+
+// Places visited on the current timeline and the routes between them
+const WorldMapPanel: React.FC<WorldMapPanelProps> = ({
+  sessionId,
+  branchId,
+  turnCount,
+  canTravel,
+  onTravel,
+  onTurnClick,
+}) => {
+  const [map, setMap] = useState<LocationMapResponse | null>(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let isCurrent = true; // Ignore responses for a previous branch
+    getSessionMap(sessionId, branchId)
+      .then((locationMap) => {
+        if (!isCurrent) return;
+        setMap(locationMap);
+        setError(null);
+      })
+      .catch((err) => {
+        console.error("WorldMapPanel: Error fetching location map:", err);
+        if (isCurrent) setError("Failed to load the map.");
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [sessionId, branchId, turnCount]);
+
+  const locations = map?.locations ?? [];
+  const positions = getNodePositions(locations);
+  const current = locations.find(
+    (location) => location.locationId === map?.currentLocationId
+  );
+  const selected =
+    locations.find((location) => location.locationId === selectedId) ?? current;
+  const visitedCount = locations.filter(
+    (location) => location.visitCount > 0
+  ).length;
+
+  return (
+    <div className="world-map-panel mt-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        className="w-full flex items-center justify-between px-4 py-3 text-sm font-semibold text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-800 rounded-lg"
+        aria-expanded={isOpen}
+      >
+        <span className="flex items-center gap-2">
+          <MapIcon className="w-5 h-5" />
+          Map &middot; {visitedCount} place{visitedCount === 1 ? "" : "s"}{" "}
+          visited
+          {current && (
+            <span className="font-normal text-gray-500 dark:text-gray-400">
+              &middot; {current.name}
+            </span>
+          )}
+        </span>
+        <ChevronDownIcon
+          className={`w-4 h-4 transition-transform ${
+            isOpen ? "rotate-180" : ""
+          }`}
+        />
+      </button>
+      {isOpen && (
+        <div className="px-4 pb-4">
+          {error && (
+            <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+          {!error && locations.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 italic">
+              No places on the map yet.
+            </p>
+          )}
+          {locations.length > 0 && (
+            <div className="flex flex-col sm:flex-row gap-4">
+              <svg
+                viewBox={`0 0 ${MAP_SIZE} ${MAP_SIZE}`}
+                className="w-full sm:w-1/2 max-w-xs self-center"
+                role="img"
+                aria-label="World map"
+              >
+                {map?.connections.map(({ locationIds: [a, b] }) => {
+                  const from = positions.get(a);
+                  const to = positions.get(b);
+                  if (!from || !to) return null;
+                  return (
+                    <line
+                      key={`${a}|${b}`}
+                      x1={from.x}
+                      y1={from.y}
+                      x2={to.x}
+                      y2={to.y}
+                      className="stroke-gray-400 dark:stroke-gray-500"
+                      strokeWidth={2}
+                    />
+                  );
+                })}
+                {locations.map((location) => {
+                  const position = positions.get(location.locationId)!;
+                  const isCurrent =
+                    location.locationId === map?.currentLocationId;
+                  const isSelected =
+                    location.locationId === selected?.locationId;
+                  return (
+                    <g
+                      key={location.locationId}
+                      onClick={() => setSelectedId(location.locationId)}
+                      className="cursor-pointer"
+                    >
+                      <title>{location.name}</title>
+                      <circle
+                        cx={position.x}
+                        cy={position.y}
+                        r={NODE_RADIUS}
+                        className={
+                          isCurrent
+                            ? "fill-blue-600"
+                            : location.visitCount > 0
+                            ? "fill-gray-600 dark:fill-gray-300"
+                            : "fill-white dark:fill-gray-800"
+                        }
+                        stroke={isSelected ? "#f59e0b" : "#9ca3af"}
+                        strokeWidth={isSelected ? 3 : 2}
+                        strokeDasharray={
+                          location.visitCount > 0 ? undefined : "3 2"
+                        }
+                      />
+                      <text
+                        x={position.x}
+                        y={position.y + NODE_RADIUS + 12}
+                        textAnchor="middle"
+                        className="fill-gray-700 dark:fill-gray-300 text-[10px]"
+                      >
+                        {location.name.length > 18
+                          ? `${location.name.slice(0, 17)}…`
+                          : location.name}
+                      </text>
+                    </g>
+                  );
+                })}
+              </svg>
+              {selected && (
+                <div className="flex-1 text-sm text-gray-700 dark:text-gray-300">
+                  <strong className="font-medium text-gray-900 dark:text-white">
+                    {selected.name}
+                  </strong>
+                  {selected.locationId === map?.currentLocationId && (
+                    <span className="ml-2 text-xs text-blue-600 dark:text-blue-400">
+                      You are here
+                    </span>
+                  )}
+                  {selected.aliases.length > 0 && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Also called {selected.aliases.join(", ")}
+                    </p>
+                  )}
+                  {selected.description && (
+                    <p className="mt-1 text-xs text-gray-600 dark:text-gray-400 italic">
+                      {selected.description}
+                    </p>
+                  )}
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    {selected.firstVisitTurnIndex === null ||
+                    selected.lastVisitTurnIndex === null ? (
+                      "Not visited yet"
+                    ) : (
+                      <>
+                        Visited {selected.visitCount} time
+                        {selected.visitCount === 1 ? "" : "s"}, last on{" "}
+                        <button
+                          type="button"
+                          onClick={() =>
+                            onTurnClick(selected.lastVisitTurnIndex!)
+                          }
+                          className="underline hover:text-blue-600 dark:hover:text-blue-400"
+                        >
+                          turn {selected.lastVisitTurnIndex}
+                        </button>
+                      </>
+                    )}
+                  </p>
+                  {selected.locationId !== map?.currentLocationId && (
+                    <button
+                      type="button"
+                      onClick={() => onTravel(`Travel to ${selected.name}`)}
+                      disabled={!canTravel}
+                      className="mt-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-xs font-medium rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Travel to {selected.name}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorldMapPanel;
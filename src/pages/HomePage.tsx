@@ -1,43 +1,25 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { isAxiosError } from "axios";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
-import { getGameHistoryList, deleteSession } from "../services/api";
+import {
+  getGameHistoryList,
+  deleteSession,
+  downloadSessionBackup,
+  restoreSessionBackup,
+} from "../services/api";
+import { saveBlobAsFile } from "../services/download";
 import type { SessionListItem } from "../types";
 import { formatDistanceToNow } from "date-fns";
-import { TrashIcon } from "@heroicons/react/24/outline";
-// Theme definitions (consider moving to a shared constants file)
-const themes = [
-  {
-    name: "Fantasy",
-    description: "Embark on an epic quest in a world of magic and monsters.",
-    emoji: "🧙‍♂️",
-  },
-  {
-    name: "Sci-Fi",
-    description: "Explore distant galaxies and encounter alien civilizations.",
-    emoji: "🚀",
-  },
-  {
-    name: "Apocalyptic",
-    description: "Survive the end of the world and rebuild civilization.",
-    emoji: "☣️",
-  },
-  {
-    name: "Mystery",
-    description: "Unravel clues and solve perplexing cases.",
-    emoji: "🔍",
-  },
-  {
-    name: "Horror",
-    description: "Survive chilling encounters and escape terrifying entities.",
-    emoji: "👻",
-  },
-  {
-    name: "Romance",
-    description: "Explore the complexities of love and relationships.",
-    emoji: "💖",
-  },
-];
+import {
+  TrashIcon,
+  ArchiveBoxArrowDownIcon,
+  ArrowUpTrayIcon,
+} from "@heroicons/react/24/outline";
+import toast from "react-hot-toast";
+import ExportStoryMenu from "../components/ExportStoryMenu";
+import GenreSelector from "../components/GenreSelector";
+import UsageSummary from "../components/UsageSummary";
 
 interface HomePageProps {
   setError: React.Dispatch<React.SetStateAction<string | null>>;
@@ -58,6 +40,8 @@ const HomePage: React.FC<HomePageProps> = ({
   const { user } = useAuth(); // Get user info if needed for display
   const [sessions, setSessions] = useState<SessionListItem[]>([]);
   const [inviteCode, setInviteCode] = useState<string>("");
+  const [isRestoring, setIsRestoring] = useState(false);
+  const restoreInputRef = useRef<HTMLInputElement>(null); // Hidden backup file picker
 
   // --- Fetch History ---
   const fetchHistory = useCallback(async () => {
@@ -124,6 +108,46 @@ const HomePage: React.FC<HomePageProps> = ({
     }
   };
 
+  const handleBackup = async (sessionId: string) => {
+    if (combinedLoading) return;
+    try {
+      const { blob, fileName } = await downloadSessionBackup(sessionId);
+      saveBlobAsFile(blob, fileName);
+    } catch (err) {
+      console.error("HomePage: Error backing up session:", err);
+      toast.error("Failed to back up the session.");
+    }
+  };
+
+  const handleRestoreFile = async (
+    event: React.ChangeEvent<HTMLInputElement>
+  ) => {
+    const file = event.target.files?.[0];
+    event.target.value = ""; // Allow picking the same file again
+    if (!file || combinedLoading) return;
+
+    setIsRestoring(true);
+    setError(null);
+    try {
+      await restoreSessionBackup(file);
+      toast.success("Adventure restored from backup.");
+      await fetchHistory();
+    } catch (err) {
+      const response = isAxiosError(err) ? err.response : undefined;
+      setError(
+        `Failed to restore backup: ${
+          response?.data?.error ||
+          (err instanceof Error ? err.message : "Unknown error")
+        }`
+      );
+      if (response?.status === 401) {
+        logout();
+      }
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
   return (
     <div className="homepage-container space-y-12">
       {/* --- Welcome Message (Optional) --- */}
@@ -133,57 +157,22 @@ const HomePage: React.FC<HomePageProps> = ({
         </h1>
       )}
 
+      {/* --- Usage And Daily Quota --- */}
+      <UsageSummary />
+
       {/* --- Start/Join Game Section --- */}
       <div className="start-join-section bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md">
         <h2 className="text-xl font-semibold mb-6 text-gray-900 dark:text-gray-100 border-b pb-3 dark:border-gray-600">
           Start a New Adventure
         </h2>
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-8">
-          {themes.map((theme) => (
-            <div
-              key={theme.name}
-              className="border border-gray-200 dark:border-gray-700 rounded-lg p-4 flex flex-col justify-between"
-            >
-              <div>
-                <h3 className="text-2xl uppercase mb-2 text-gray-800 dark:text-gray-100 cormorant-upright-bold text-center tracking-wider">
-                  {theme.name}
-                </h3>
-                <p className="text-sm text-gray-600 dark:text-gray-400 mb-4 text-center">
-                  {theme.description}
-                </p>
-              </div>
-              <div className="flex flex-col gap-2 mt-auto">
-                {/* Pass isMultiplayer flag in route state */}
-                <button
-                  onClick={() =>
-                    handleNavigate(
-                      `/create/${encodeURIComponent(theme.name)}`,
-                      { isMultiplayer: false }
-                    )
-                  }
-                  disabled={combinedLoading}
-                  className="flex-1 cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 px-3 py-3 border border-gray-400 dark:border-gray-600 text-gray-900 dark:text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
-                  title={`Start Single Player ${theme.name} Game`}
-                >
-                  Single Player
-                </button>
-                <button
-                  onClick={() =>
-                    handleNavigate(
-                      `/create/${encodeURIComponent(theme.name)}`,
-                      { isMultiplayer: true }
-                    )
-                  }
-                  disabled={combinedLoading}
-                  className="flex-1 cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 px-3 py-3 border border-gray-400 dark:border-gray-600 text-gray-900 dark:text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
-                  title={`Start Multiplayer ${theme.name} Game`}
-                >
-                  Multiplayer
-                </button>
-              </div>
-            </div>
-          ))}
-        </div>
+        <GenreSelector
+          isLoading={combinedLoading}
+          onGenreSelected={(theme, isMultiplayer) =>
+            handleNavigate(`/create/${encodeURIComponent(theme.name)}`, {
+              isMultiplayer,
+            })
+          }
+        />
 
         <h2 className="text-xl font-semibold mb-4 text-gray-900 dark:text-gray-100 border-b pb-3 dark:border-gray-600">
           Join Multiplayer Game
@@ -210,9 +199,27 @@ const HomePage: React.FC<HomePageProps> = ({
 
       {/* --- Past Sessions Section --- */}
       <div className="past-sessions-section">
-        <h2 className="text-xl font-semibold mb-4 text-gray-900 dark:text-gray-100">
-          Continue Adventure
-        </h2>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">
+            Continue Adventure
+          </h2>
+          <button
+            onClick={() => restoreInputRef.current?.click()}
+            disabled={combinedLoading || isRestoring}
+            className="flex items-center gap-1 px-3 py-1 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-100 text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+            title="Restore an adventure from a backup file"
+          >
+            <ArrowUpTrayIcon className="w-4 h-4" />
+            {isRestoring ? "Restoring..." : "Restore Backup"}
+          </button>
+          <input
+            ref={restoreInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleRestoreFile}
+            className="hidden"
+          />
+        </div>
         {combinedLoading && sessions.length === 0 ? (
           <p className="text-center text-gray-500 dark:text-gray-400">
             Loading sessions...
@@ -266,6 +273,20 @@ const HomePage: React.FC<HomePageProps> = ({
                   >
                     Continue
                   </button>
+                  <ExportStoryMenu
+                    sessionId={session.session_id}
+                    disabled={combinedLoading}
+                  />
+                  {session.isOwner && (
+                    <button
+                      onClick={() => handleBackup(session.session_id)}
+                      disabled={combinedLoading}
+                      className="px-3 py-1 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-100 text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+                      title="Download a backup of this session"
+                    >
+                      <ArchiveBoxArrowDownIcon className="w-4 h-4" />
+                    </button>
+                  )}
                   <button
                     onClick={() => handleDelete(session.session_id)}
                     disabled={combinedLoading}
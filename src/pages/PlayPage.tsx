@@ -1,10 +1,35 @@
 import { useState, useEffect, useCallback, useRef } from "react";
 import { useNavigate, useParams } from "react-router-dom";
 import { io, Socket } from "socket.io-client"; // Import Socket type
+import { isAxiosError } from "axios";
 import { useAuth } from "../context/AuthContext";
 import GameInterface from "../components/GameInterface";
-import { getSessionHistory, submitAction } from "../services/api";
-import type { SessionState } from "../types";
+import {
+  getSessionHistory,
+  submitAction,
+  getSessionBranches,
+  activateBranch,
+  regenerateTurnImage,
+} from "../services/api";
+import type {
+  SessionState,
+  BranchSummary,
+  StreamingTurn,
+  TurnStreamStartEvent,
+  TurnStreamDeltaEvent,
+  TurnStreamEndEvent,
+  VoteRound,
+  VoteRoundUpdateEvent,
+  VoteRoundResolvedEvent,
+  VoteActionAck,
+  TurnTimer,
+  TurnTimerUpdateEvent,
+  TurnTimerExpiredEvent,
+  TurnInProgressEvent,
+  AuthenticatedEvent,
+  PlayerJoinedEvent,
+  PlayerLeftEvent,
+} from "../types";
 import toast from "react-hot-toast"; // Import toast
 import { ClipboardDocumentIcon, CheckIcon } from "@heroicons/react/24/outline"; // Import icons
 import {
@@ -43,6 +68,10 @@ const copyToClipboard = async (text: string, onCopy?: () => void) => {
   }
 };
 
+// ID of the newest turn, used to tell new turns apart from in-place updates
+const getLatestTurnId = (state: SessionState | null) =>
+  state?.history[state.history.length - 1]?.turnId;
+
 // --- Connection Status Type ---
 type ConnectionStatus =
   | "idle"
@@ -70,14 +99,32 @@ const PlayPage = ({
   const [sessionState, setSessionState] = useState<SessionState | null>(null);
   const [currentTurnIndex, setCurrentTurnIndex] = useState<number>(0);
   const socketRef = useRef<Socket | null>(null);
+  const heartbeatRef = useRef<ReturnType<typeof setInterval> | null>(null); // Presence heartbeat while authenticated
+  const sessionStateRef = useRef<SessionState | null>(null); // Latest state for socket handlers
+  // Submit that got no response; resubmitting it reuses the idempotency key
+  const pendingActionRef = useRef<{
+    action: string;
+    turnIndex: number;
+    idempotencyKey: string;
+  } | null>(null);
   const [didShowInviteToast, setDidShowInviteToast] = useState(false); // Prevent re-showing toast on hot reload
   const [copiedCode, setCopiedCode] = useState(false); // State for copy button feedback
   const [connectionStatus, setConnectionStatus] =
     useState<ConnectionStatus>("idle");
+  const [branches, setBranches] = useState<BranchSummary[]>([]); // Timeline branches of the session
+  const [streamingTurn, setStreamingTurn] = useState<StreamingTurn | null>(
+    null
+  ); // Turn whose narrative is currently streaming in
+  const [voteRound, setVoteRound] = useState<VoteRound | null>(null); // Open vote round (voting turn modes)
+  const [turnTimer, setTurnTimer] = useState<TurnTimer | null>(null); // Idle countdown for the current turn
+  const [isTurnInProgress, setIsTurnInProgress] = useState(false); // Someone's action is being processed
   // --- End State ---
 
   // Define isMultiplayerGame in component scope
   const isMultiplayerGame = sessionState?.isMultiplayer;
+  const isVotingMode =
+    !!isMultiplayerGame &&
+    (sessionState?.turnMode === "vote" || sessionState?.turnMode === "merge");
 
   const combinedLoading =
     isGlobalAuthLoading ||
@@ -132,6 +179,9 @@ const PlayPage = ({
             );
             setSessionState(loadedState);
             setCurrentTurnIndex(historyLength - 1);
+            setVoteRound(loadedState.voteRound ?? null);
+            setTurnTimer(loadedState.turnTimer ?? null);
+            setIsTurnInProgress(!!loadedState.turnInProgress);
 
             // --- Check for and Display Invite Code Toast ---
             if (!didShowInviteToast) {
@@ -204,164 +254,295 @@ const PlayPage = ({
             }
             // -----------------------------------------------
 
-            // --- Initialize WebSocket if Multiplayer ---
-            if (loadedState.isMultiplayer) {
+            // --- Initialize WebSocket ---
+            // Single-player sessions connect too, to receive streamed turns and images
+            console.log(
+              `PlayPage: Initializing WebSocket for session ${sessionId}.`
+            );
+            if (socketRef.current) {
+              socketRef.current.disconnect();
+            }
+
+            setConnectionStatus("connecting"); // Set initial status
+
+            // Determine backend URL: Use env var if set, otherwise use current origin (relative path for socket.io)
+            // This ensures connections go to the same domain the site is hosted on (e.g., infiniteadventure.co)
+            const backendUrl =
+              import.meta.env.VITE_BACKEND_URL || window.location.origin;
+            console.log(`PlayPage: Connecting WebSocket to ${backendUrl}`); // Log the URL
+
+            const newSocket = io(backendUrl, {
+              reconnectionAttempts: 5, // Example: Limit attempts
+              reconnectionDelay: 1000, // Start delay 1s
+              reconnectionDelayMax: 5000, // Max delay 5s
+              // Ensure path matches server configuration if needed (usually defaults to /socket.io/)
+              // path: "/socket.io/" // Typically not needed unless server path is customized
+            });
+            socketRef.current = newSocket;
+
+            // --- WebSocket Event Listeners ---
+            newSocket.on("connect", () => {
               console.log(
-                `PlayPage: Session ${sessionId} is multiplayer. Initializing WebSocket.`
+                `PlayPage: WebSocket connected: ${newSocket.id}. Authenticating...`
               );
-              if (socketRef.current) {
-                socketRef.current.disconnect();
-              }
-
-              setConnectionStatus("connecting"); // Set initial status
-
-              // Determine backend URL: Use env var if set, otherwise use current origin (relative path for socket.io)
-              // This ensures connections go to the same domain the site is hosted on (e.g., infiniteadventure.co)
-              const backendUrl =
-                import.meta.env.VITE_BACKEND_URL || window.location.origin;
-              console.log(`PlayPage: Connecting WebSocket to ${backendUrl}`); // Log the URL
-
-              const newSocket = io(backendUrl, {
-                reconnectionAttempts: 5, // Example: Limit attempts
-                reconnectionDelay: 1000, // Start delay 1s
-                reconnectionDelayMax: 5000, // Max delay 5s
-                // Ensure path matches server configuration if needed (usually defaults to /socket.io/)
-                // path: "/socket.io/" // Typically not needed unless server path is customized
-              });
-              socketRef.current = newSocket;
-
-              // --- WebSocket Event Listeners ---
-              newSocket.on("connect", () => {
-                console.log(
-                  `PlayPage: WebSocket connected: ${newSocket.id}. Authenticating...`
-                );
-                setConnectionStatus("connected"); // Set status
-                newSocket.emit("authenticate", { token: idToken, sessionId });
-              });
+              setConnectionStatus("connected"); // Set status
+              newSocket.emit("authenticate", { token: idToken, sessionId });
+            });
 
-              newSocket.on("authenticated", () => {
-                console.log(
-                  `PlayPage: WebSocket authenticated for session ${sessionId}.`
-                );
-              });
+            newSocket.on("authenticated", (event?: AuthenticatedEvent) => {
+              console.log(
+                `PlayPage: WebSocket authenticated for session ${sessionId}.`
+              );
+              // Keep our presence fresh; the server treats silence as offline
+              if (heartbeatRef.current) clearInterval(heartbeatRef.current);
+              heartbeatRef.current = setInterval(
+                () => newSocket.emit("heartbeat"),
+                event?.heartbeatIntervalMs || 20000
+              );
+            });
 
-              newSocket.on("SESSION_UPDATE", (updatedState: SessionState) => {
-                console.log(
-                  `PlayPage: Received SESSION_UPDATE for ${sessionId}:`,
-                  updatedState
-                );
-                if (isMounted) {
-                  // Check mount status before setting state
-                  setSessionState(updatedState);
+            newSocket.on("SESSION_UPDATE", (updatedState: SessionState) => {
+              console.log(
+                `PlayPage: Received SESSION_UPDATE for ${sessionId}:`,
+                updatedState
+              );
+              if (isMounted) {
+                // Check mount status before setting state
+                // Image updates re-send the same turns; only a new turn (or a
+                // skipped player) should move the view and end loading
+                const prevState = sessionStateRef.current;
+                const isTurnProgress =
+                  !prevState ||
+                  getLatestTurnId(prevState) !==
+                    getLatestTurnId(updatedState) ||
+                  prevState.currentPlayerIndex !==
+                    updatedState.currentPlayerIndex;
+                setSessionState(updatedState);
+                setError(null); // Clear error on successful update
+                if (isTurnProgress) {
                   setCurrentTurnIndex(updatedState.history.length - 1);
-                  setError(null); // Clear error on successful update
                   setIsGameLoading(false); // Ensure loading indicator stops on update
                 }
-              });
+              }
+            });
 
-              newSocket.on("player_left", (leavingUserId: string) => {
-                console.log(
-                  `PlayPage: Received player_left event for user ${leavingUserId}`
+            // --- Turn Streaming Listeners ---
+            newSocket.on("TURN_STREAM_START", (event: TurnStreamStartEvent) => {
+              console.log(
+                `PlayPage: Turn ${event.turnIndex} streaming (attempt ${event.attempt}).`
+              );
+              if (isMounted) {
+                // Start fresh on every attempt: a retry rewrites the narrative
+                setStreamingTurn({
+                  turnId: event.turnId,
+                  action: event.action,
+                  actingPlayerIndex: event.actingPlayerIndex,
+                  narrative: "",
+                });
+              }
+            });
+
+            newSocket.on("TURN_STREAM_DELTA", (event: TurnStreamDeltaEvent) => {
+              if (isMounted) {
+                setStreamingTurn((prevTurn) =>
+                  prevTurn && prevTurn.turnId === event.turnId
+                    ? {
+                        ...prevTurn,
+                        narrative: prevTurn.narrative + event.delta,
+                      }
+                    : prevTurn
                 );
-                if (isMounted) {
-                  setSessionState((prevState) => {
-                    if (!prevState) return null;
-                    const leavingPlayer = prevState.players.find(
-                      (p) => p.userId === leavingUserId
-                    );
-                    // Show toast notification
-                    if (leavingPlayer) {
-                      toast(
-                        `${
-                          leavingPlayer.characterName || "A player"
-                        } left the game.`,
-                        { icon: "👋" }
-                      );
-                    }
-                    // Return new state with player removed
-                    return {
+              }
+            });
+
+            newSocket.on("TURN_STREAM_END", (event: TurnStreamEndEvent) => {
+              if (!event.success) {
+                console.warn(`PlayPage: Turn stream failed: ${event.error}`);
+              }
+              if (isMounted) setStreamingTurn(null);
+            });
+
+            // --- Vote Round Listeners ---
+            // Rounds are tracked here rather than from SESSION_UPDATE, which
+            // can still carry a round that is about to resolve
+            newSocket.on("VOTE_ROUND_UPDATE", (event: VoteRoundUpdateEvent) => {
+              if (isMounted) setVoteRound(event.voteRound);
+            });
+
+            newSocket.on(
+              "VOTE_ROUND_RESOLVED",
+              (event: VoteRoundResolvedEvent) => {
+                if (!isMounted) return;
+                setVoteRound(null);
+                if (!event.success) {
+                  toast.error(
+                    `The chosen action couldn't be played: ${
+                      event.error || "Unknown error"
+                    }`
+                  );
+                }
+              }
+            );
+
+            // --- Turn Lock Listener ---
+            newSocket.on("turn_in_progress", (event: TurnInProgressEvent) => {
+              if (isMounted) setIsTurnInProgress(event.inProgress);
+            });
+
+            // --- Turn Timer Listeners ---
+            newSocket.on("TURN_TIMER_UPDATE", (event: TurnTimerUpdateEvent) => {
+              if (isMounted) setTurnTimer(event.turnTimer);
+            });
+
+            newSocket.on(
+              "TURN_TIMER_EXPIRED",
+              (event: TurnTimerExpiredEvent) => {
+                if (!isMounted) return;
+                const isMe =
+                  sessionStateRef.current?.players.find(
+                    (p) => p.userId === user.id
+                  )?.playerIndex === event.playerIndex;
+                const playerName = isMe
+                  ? "You"
+                  : event.playerName || "A player";
+                toast(
+                  event.outcome === "auto_act"
+                    ? `${playerName} ran out of time. Playing "${event.action}".`
+                    : `${playerName} ran out of time. Turn skipped.`,
+                  { icon: "⏰" }
+                );
+              }
+            );
+
+            // --- Presence Listeners ---
+            // Players stay in the list while offline; they can come back
+            const setPlayerOnline = (userId: string, isOnline: boolean) =>
+              setSessionState((prevState) =>
+                prevState
+                  ? {
                       ...prevState,
-                      players: prevState.players.filter(
-                        (p) => p.userId !== leavingUserId
+                      players: prevState.players.map((p) =>
+                        p.userId === userId ? { ...p, isOnline } : p
                       ),
-                      // TODO: Potentially adjust currentPlayerIndex if the leaving player was the current one
-                      // or if their index affects the current player's index.
-                      // This depends on how the backend handles turn skipping on disconnect (not yet implemented).
-                    };
-                  });
-                }
-              });
+                    }
+                  : prevState
+              );
 
-              newSocket.on("auth_error", (error) => {
-                console.error(
-                  `PlayPage: WebSocket authentication error: ${error.message}`
+            newSocket.on("player_joined", (event: PlayerJoinedEvent) => {
+              console.log(
+                `PlayPage: Received player_joined event for user ${event.userId}`
+              );
+              if (!isMounted) return;
+              const knownPlayer = sessionStateRef.current?.players.find(
+                (p) => p.userId === event.userId
+              );
+              // New players arrive through SESSION_UPDATE; only greet them here
+              if (!knownPlayer || !knownPlayer.isOnline) {
+                toast(`${event.characterName || "A player"} joined the game.`, {
+                  icon: "👋",
+                });
+              }
+              setPlayerOnline(event.userId, true);
+            });
+
+            newSocket.on("player_left", (event: PlayerLeftEvent) => {
+              console.log(
+                `PlayPage: Received player_left event for user ${event.userId}`
+              );
+              if (!isMounted) return;
+              const leavingPlayer = sessionStateRef.current?.players.find(
+                (p) => p.userId === event.userId
+              );
+              if (leavingPlayer) {
+                toast(
+                  `${leavingPlayer.characterName || "A player"} left the game.`,
+                  {
+                    icon: "👋",
+                  }
                 );
+              }
+              setPlayerOnline(event.userId, false);
+            });
+
+            newSocket.on("auth_error", (error) => {
+              console.error(
+                `PlayPage: WebSocket authentication error: ${error.message}`
+              );
+              // Single player still works over HTTP, just without streaming
+              if (loadedState.isMultiplayer) {
                 setError(
                   `WebSocket connection failed: ${error.message}. Try refreshing.`
                 );
-                setConnectionStatus("disconnected"); // Auth error means disconnect
-                socketRef.current?.disconnect();
-              });
+              }
+              setConnectionStatus("disconnected"); // Auth error means disconnect
+              socketRef.current?.disconnect();
+            });
 
-              newSocket.on("disconnect", (reason) => {
-                console.log(
-                  `PlayPage: WebSocket disconnected. Reason: ${reason}`
-                );
-                if (
-                  isMounted &&
-                  reason !== "io server disconnect" &&
-                  reason !== "io client disconnect"
-                ) {
-                  // If disconnect wasn't manual or server-initiated auth error, it's likely trying to reconnect
-                  setConnectionStatus("reconnecting");
-                } else {
-                  // If it was a manual disconnect or auth error, stay disconnected
-                  setConnectionStatus("disconnected");
-                }
-              });
+            newSocket.on("disconnect", (reason) => {
+              console.log(
+                `PlayPage: WebSocket disconnected. Reason: ${reason}`
+              );
+              // Resumes once the socket re-authenticates
+              if (heartbeatRef.current) {
+                clearInterval(heartbeatRef.current);
+                heartbeatRef.current = null;
+              }
+              if (
+                isMounted &&
+                reason !== "io server disconnect" &&
+                reason !== "io client disconnect"
+              ) {
+                // If disconnect wasn't manual or server-initiated auth error, it's likely trying to reconnect
+                setConnectionStatus("reconnecting");
+              } else {
+                // If it was a manual disconnect or auth error, stay disconnected
+                setConnectionStatus("disconnected");
+              }
+            });
 
-              newSocket.on("connect_error", (error) => {
-                console.error(
-                  `PlayPage: WebSocket connection error: ${error.message}`
-                );
-                setConnectionStatus("reconnecting"); // Assume it will retry
-                // Don't set global error immediately, let reconnection attempts happen
-                // if (isMounted) {
-                //    setError('Could not connect to the game server. Retrying...');
-                // }
-              });
-
-              // Reconnection listeners
-              newSocket.io.on("reconnect_attempt", (attempt) => {
-                console.log(`WS: Reconnect attempt ${attempt}`);
-                if (isMounted) setConnectionStatus("reconnecting");
-              });
-
-              newSocket.io.on("reconnect", (attempt) => {
-                console.log(
-                  `WS: Reconnected successfully after ${attempt} attempts`
-                );
-                // Status will be set to 'connected' by the 'connect' event handler
-                // We might not need to explicitly set it here unless connect doesn't fire on reconnect
-                // if (isMounted) setConnectionStatus('connected');
-              });
-
-              newSocket.io.on("reconnect_error", (error) => {
-                console.error("WS: Reconnect error:", error.message);
-                // Stay in 'reconnecting' state while attempts continue
-                if (isMounted) setConnectionStatus("reconnecting");
-              });
-
-              newSocket.io.on("reconnect_failed", () => {
-                console.error(
-                  "WS: Reconnection failed permanently after attempts."
-                );
-                if (isMounted) {
-                  setConnectionStatus("disconnected");
+            newSocket.on("connect_error", (error) => {
+              console.error(
+                `PlayPage: WebSocket connection error: ${error.message}`
+              );
+              setConnectionStatus("reconnecting"); // Assume it will retry
+              // Don't set global error immediately, let reconnection attempts happen
+              // if (isMounted) {
+              //    setError('Could not connect to the game server. Retrying...');
+              // }
+            });
+
+            // Reconnection listeners
+            newSocket.io.on("reconnect_attempt", (attempt) => {
+              console.log(`WS: Reconnect attempt ${attempt}`);
+              if (isMounted) setConnectionStatus("reconnecting");
+            });
+
+            newSocket.io.on("reconnect", (attempt) => {
+              console.log(
+                `WS: Reconnected successfully after ${attempt} attempts`
+              );
+              // Status will be set to 'connected' by the 'connect' event handler
+              // We might not need to explicitly set it here unless connect doesn't fire on reconnect
+              // if (isMounted) setConnectionStatus('connected');
+            });
+
+            newSocket.io.on("reconnect_error", (error) => {
+              console.error("WS: Reconnect error:", error.message);
+              // Stay in 'reconnecting' state while attempts continue
+              if (isMounted) setConnectionStatus("reconnecting");
+            });
+
+            newSocket.io.on("reconnect_failed", () => {
+              console.error(
+                "WS: Reconnection failed permanently after attempts."
+              );
+              if (isMounted) {
+                setConnectionStatus("disconnected");
+                if (loadedState.isMultiplayer) {
                   setError("Connection lost. Please refresh the page.");
                 }
-              });
-            }
+              }
+            });
             // --- End WebSocket Init ---
           } else {
             // This block should only run if historyLength is 0
@@ -392,6 +573,10 @@ const PlayPage = ({
     // Cleanup function
     return () => {
       isMounted = false;
+      if (heartbeatRef.current) {
+        clearInterval(heartbeatRef.current);
+        heartbeatRef.current = null;
+      }
       if (socketRef.current) {
         console.log(
           `PlayPage: Disconnecting WebSocket on unmount for session ${sessionId}`
@@ -412,9 +597,63 @@ const PlayPage = ({
     didShowInviteToast,
   ]); // Use idToken in dependency array
 
+  // Keep the socket handlers' view of the state current
+  useEffect(() => {
+    sessionStateRef.current = sessionState;
+  }, [sessionState]);
+
+  // --- Load Timeline Branches Effect ---
+  // Refetch whenever the active branch or its length changes (new turn or fork)
+  const activeBranchId = sessionState?.activeBranchId;
+  const historyLength = sessionState?.history.length;
+  useEffect(() => {
+    if (!sessionId || !isAuthenticated || !activeBranchId) return;
+    let isMounted = true;
+    getSessionBranches(sessionId)
+      .then((response) => {
+        if (isMounted) setBranches(response.branches);
+      })
+      .catch((err) => {
+        // Branch list is supplementary; don't block play if it fails
+        console.error("PlayPage: Failed to load branches", err);
+      });
+    return () => {
+      isMounted = false;
+    };
+  }, [sessionId, isAuthenticated, activeBranchId, historyLength]);
+
+  // --- Vote Round Handlers ---
+  // Proposals and votes go over the socket; the server answers in the ack
+  const emitVoteAction = useCallback(
+    (eventName: "propose_action" | "vote_action", data: object) => {
+      if (!socketRef.current || connectionStatus !== "connected") {
+        toast.error("Not connected to server.");
+        return;
+      }
+      socketRef.current.emit(eventName, data, (ack: VoteActionAck) => {
+        if (!ack?.ok) {
+          console.warn(`PlayPage: ${eventName} rejected: ${ack?.error}`);
+          toast.error(ack?.error || "Something went wrong.");
+        }
+      });
+    },
+    [connectionStatus]
+  );
+
+  const handleVote = useCallback(
+    (proposalId: string) => emitVoteAction("vote_action", { proposalId }),
+    [emitVoteAction]
+  );
+
   // --- Action Submission Handler --- (Keep local loading for immediate feedback)
   const handleActionSubmit = useCallback(
     async (action: string) => {
+      // In the voting modes an action is only a proposal for the next turn
+      if (isVotingMode) {
+        emitVoteAction("propose_action", { action });
+        return;
+      }
+
       const isConnected = connectionStatus === "connected";
       const isCurrentlyMyTurn =
         sessionState?.players.find((p) => p.userId === user?.id)
@@ -440,6 +679,19 @@ const PlayPage = ({
       setIsGameLoading(true);
       setError(null);
       const actionFromTurnIndex = currentTurnIndex;
+      // A retry of a submit that never got an answer keeps its key, so the
+      // backend can hand back the turn it may already have created
+      const pendingAction = pendingActionRef.current;
+      const idempotencyKey =
+        pendingAction?.action === action &&
+        pendingAction.turnIndex === actionFromTurnIndex
+          ? pendingAction.idempotencyKey
+          : crypto.randomUUID();
+      pendingActionRef.current = {
+        action,
+        turnIndex: actionFromTurnIndex,
+        idempotencyKey,
+      };
 
       try {
         console.log(
@@ -451,8 +703,12 @@ const PlayPage = ({
         const response = await submitAction(
           sessionId!,
           action,
-          actionFromTurnIndex
+          actionFromTurnIndex,
+          sessionState.activeBranchId,
+          idempotencyKey,
+          actionFromTurnIndex < sessionState.history.length - 1 // Fork from an older turn
         );
+        pendingActionRef.current = null;
 
         console.log("PlayPage: submitAction API call successful.");
 
@@ -474,6 +730,25 @@ const PlayPage = ({
       } catch (err: any) {
         // Ensure loading stops on error
         setIsGameLoading(false);
+        // Only keep the key when the request may still have gone through
+        if (err.response) pendingActionRef.current = null;
+        if (
+          err.response?.status === 409 &&
+          err.response.data?.code === "turn_in_progress"
+        ) {
+          setIsTurnInProgress(true);
+          toast.error("Another action is being processed. Please wait.");
+          return;
+        }
+        if (
+          err.response?.status === 409 &&
+          err.response.data?.code === "turn_conflict"
+        ) {
+          toast.error(
+            "The story moved on before your action went through. Check the latest turn and try again."
+          );
+          return;
+        }
         const errorMsg = `Failed to process action: ${
           err.response?.data?.error || err.message || "Unknown error"
         }`;
@@ -495,6 +770,8 @@ const PlayPage = ({
       user?.id,
       connectionStatus,
       isMultiplayerGame,
+      isVotingMode,
+      emitVoteAction,
     ]
   );
 
@@ -511,6 +788,72 @@ const PlayPage = ({
     [combinedLoading, sessionState?.isMultiplayer] // Dependency
   );
 
+  // --- Branch Switch Handler ---
+  const handleBranchSelect = useCallback(
+    async (branchId: string) => {
+      if (
+        combinedLoading ||
+        !sessionId ||
+        sessionState?.isMultiplayer ||
+        branchId === sessionState?.activeBranchId
+      ) {
+        return;
+      }
+      setIsGameLoading(true);
+      setError(null);
+      try {
+        const response = await activateBranch(sessionId, branchId);
+        setSessionState(response);
+        setCurrentTurnIndex(response.history.length - 1);
+      } catch (err) {
+        const responseError = isAxiosError(err) ? err.response : undefined;
+        const errorMsg = `Failed to switch timeline: ${
+          responseError?.data?.error ||
+          (err as Error).message ||
+          "Unknown error"
+        }`;
+        console.error("PlayPage: Error switching branch:", errorMsg);
+        setError(errorMsg);
+        if (responseError?.status === 401 || responseError?.status === 403)
+          logout();
+      } finally {
+        setIsGameLoading(false);
+      }
+    },
+    [
+      combinedLoading,
+      sessionId,
+      sessionState?.isMultiplayer,
+      sessionState?.activeBranchId,
+      setIsGameLoading,
+      setError,
+      logout,
+    ]
+  );
+
+  // --- Image Regeneration Handler ---
+  // Queues a new image; the turn shows as pending until SESSION_UPDATE delivers it
+  const handleRegenerateImage = useCallback(
+    async (turnId: string) => {
+      if (!sessionId) return;
+      try {
+        const response = await regenerateTurnImage(sessionId, turnId);
+        setSessionState(response);
+      } catch (err) {
+        const responseError = isAxiosError(err) ? err.response : undefined;
+        const errorMsg =
+          responseError?.data?.error ||
+          (err as Error).message ||
+          "Unknown error";
+        console.error("PlayPage: Error regenerating image:", errorMsg);
+        toast.error(`Failed to regenerate image: ${errorMsg}`);
+        if (responseError?.status === 401 || responseError?.status === 403)
+          logout();
+      }
+    },
+    [sessionId, logout]
+  );
+
   // --- Return to Selection Handler --- (No change needed)
   const handleReturnToSelection = useCallback(() => {
     navigate("/");
@@ -556,6 +899,7 @@ const PlayPage = ({
     }
 
     if (connectionStatus === "idle") return null; // Don't show if idle (before load)
+    if (!isMultiplayerGame) return null; // Single player plays over HTTP; the socket only adds streaming
 
     return (
       <div
@@ -602,17 +946,30 @@ const PlayPage = ({
 
       {sessionState && currentTurn && !currentError && (
         <GameInterface
+          sessionId={sessionState.sessionId}
           currentTurn={currentTurn}
           history={sessionState.history} // Pass full history
           currentTurnIndex={currentTurnIndex}
           isLoading={gameInterfaceLoading} // Pass specific loading state
           onActionSubmit={handleActionSubmit}
           onHistoryClick={handleHistoryClick}
+          // --- Timeline Branching ---
+          branches={branches}
+          activeBranchId={sessionState.activeBranchId}
+          onBranchSelect={handleBranchSelect}
+          onRegenerateImage={handleRegenerateImage}
+          // --- Turn Streaming ---
+          streamingTurn={streamingTurn}
           // --- NEW Props for Multiplayer ---
           isMultiplayer={sessionState.isMultiplayer}
           players={sessionState.players}
           currentPlayerIndex={sessionState.currentPlayerIndex}
           currentUserId={user?.id} // Pass current user's ID
+          turnMode={sessionState.turnMode}
+          voteRound={voteRound}
+          onVote={handleVote}
+          turnTimer={turnTimer}
+          isTurnInProgress={isTurnInProgress}
           // --- NEW Prop for Goal State ---
           isGoalMet={!!sessionState.isGoalMet} // Pass goal met status (ensure boolean)
           // --- NEW Debug Props ---
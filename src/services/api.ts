@@ -1,14 +1,26 @@
 // src/services/api.ts
-import axios from "axios";
+import axios, { isAxiosError } from "axios";
 // Remove useAuth import if not needed elsewhere after this change
 // import { useAuth } from "../context/AuthContext";
 import type {
   Turn,
   SessionListItem,
   SessionState,
+  SubmitActionResponse,
+  StoryExportFormat,
+  RestoreSessionResponse,
+  GameTheme,
+  GameThemeInput,
   JoinGamePayload,
   JoinGameResponse,
   InviteInfoResponse,
+  SessionLoreResponse,
+  NpcCodexResponse,
+  LocationMapResponse,
+  InventoryResponse,
+  SessionBranchesResponse,
+  UsageReport,
+  ContentRating,
 } from "../types";
 
 // Use relative path if VITE_API_BASE_URL is not explicitly set
@@ -48,6 +60,20 @@ apiClient.interceptors.request.use(
   }
 );
 
+// Seconds a 429 response asks the client to wait (from its Retry-After
+// header, in seconds or as an HTTP date), or null for other errors
+export const getRetryAfterSeconds = (error: unknown): number | null => {
+  if (!isAxiosError(error) || error.response?.status !== 429) return null;
+  const header = error.response.headers?.["retry-after"];
+  if (header == null) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const retryAt = Date.parse(String(header));
+  return Number.isNaN(retryAt)
+    ? null
+    : Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+};
+
 // Optional: Add response interceptor for global error handling (like 401/403)
 // You might want to enhance this later to coordinate with AuthContext for logout
 apiClient.interceptors.response.use(
@@ -65,6 +91,25 @@ apiClient.interceptors.response.use(
         // Currently, App.tsx catches errors from API calls and handles logout there.
         // This interceptor just logs the issue for now.
       }
+
+      // Rate limits and usage quotas: callers show data.error, so make sure
+      // there is one (proxies answer 429s without our JSON body)
+      if (status === 429) {
+        const retryAfterSeconds = getRetryAfterSeconds(error);
+        console.warn(
+          `API Interceptor: Rate limited on ${error.config.url}; retry after ${
+            retryAfterSeconds ?? "?"
+          }s.`
+        );
+        if (typeof data?.error !== "string") {
+          error.response.data = {
+            error: `Too many requests. Please try again ${
+              retryAfterSeconds ? `in ${retryAfterSeconds} seconds` : "shortly"
+            }.`,
+            retryAfterSeconds,
+          };
+        }
+      }
     } else if (error.request) {
       console.error("API Network Error:", error.message);
     } else {
@@ -108,17 +153,35 @@ interface SubmitActionPayload {
   sessionId: string;
   action: string;
   turnIndex: number;
+  branchId?: string;
+  fork?: boolean; // Set when acting from a turn before the branch tip
+  idempotencyKey?: string; // Reused when retrying the same submit
 }
 
 // Function to submit an action
+// Acting from a turn before the branch tip forks a new timeline branch when
+// `fork` is set; without it the backend takes it for a stale submit (409)
 export const submitAction = async (
   sessionId: string,
   action: string,
-  turnIndex: number
-): Promise<SessionState> => {
+  turnIndex: number,
+  branchId?: string,
+  idempotencyKey?: string,
+  fork?: boolean
+): Promise<SubmitActionResponse> => {
   // No need to call useApiClient anymore
-  const payload: SubmitActionPayload = { sessionId, action, turnIndex };
-  const response = await apiClient.post<SessionState>("/game/action", payload);
+  const payload: SubmitActionPayload = {
+    sessionId,
+    action,
+    turnIndex,
+    branchId,
+    fork,
+    idempotencyKey,
+  };
+  const response = await apiClient.post<SubmitActionResponse>(
+    "/game/action",
+    payload
+  );
   return response.data;
 };
 
@@ -140,12 +203,190 @@ export const getSessionHistory = async (
   return response.data;
 };
 
+// Function to get the persisted world lore of a session
+export const getSessionLore = async (
+  sessionId: string
+): Promise<SessionLoreResponse> => {
+  const response = await apiClient.get<SessionLoreResponse>(
+    `/games/${encodeURIComponent(sessionId)}/lore`
+  );
+  return response.data;
+};
+
+// Function to get the NPCs met on a timeline branch (default: the active one)
+export const getSessionCodex = async (
+  sessionId: string,
+  branchId?: string
+): Promise<NpcCodexResponse> => {
+  const response = await apiClient.get<NpcCodexResponse>(
+    `/games/${encodeURIComponent(sessionId)}/codex`,
+    { params: { branchId } }
+  );
+  return response.data;
+};
+
+// Function to fetch what each player carries on a timeline branch (defaults
+// to the active one)
+export const getSessionInventory = async (
+  sessionId: string,
+  branchId?: string
+): Promise<InventoryResponse> => {
+  const response = await apiClient.get<InventoryResponse>(
+    `/games/${encodeURIComponent(sessionId)}/inventory`,
+    { params: { branchId } }
+  );
+  return response.data;
+};
+
+// Function to fetch the world map of a timeline branch (defaults to the active one)
+export const getSessionMap = async (
+  sessionId: string,
+  branchId?: string
+): Promise<LocationMapResponse> => {
+  const response = await apiClient.get<LocationMapResponse>(
+    `/games/${encodeURIComponent(sessionId)}/map`,
+    { params: { branchId } }
+  );
+  return response.data;
+};
+
+// Function to list the timeline branches of a session
+export const getSessionBranches = async (
+  sessionId: string
+): Promise<SessionBranchesResponse> => {
+  const response = await apiClient.get<SessionBranchesResponse>(
+    `/games/${encodeURIComponent(sessionId)}/branches`
+  );
+  return response.data;
+};
+
+// Function to switch the active timeline branch of a session
+export const activateBranch = async (
+  sessionId: string,
+  branchId: string
+): Promise<SessionState> => {
+  const response = await apiClient.post<SessionState>(
+    `/games/${encodeURIComponent(sessionId)}/branches/${encodeURIComponent(
+      branchId
+    )}/activate`
+  );
+  return response.data;
+};
+
+// Function to queue a new image for a turn (the result arrives via SESSION_UPDATE)
+export const regenerateTurnImage = async (
+  sessionId: string,
+  turnId: string
+): Promise<SessionState> => {
+  const response = await apiClient.post<SessionState>(
+    `/games/${encodeURIComponent(sessionId)}/turns/${encodeURIComponent(
+      turnId
+    )}/image/regenerate`
+  );
+  return response.data;
+};
+
 // Function to delete a game session
 export const deleteSession = async (sessionId: string): Promise<void> => {
   // No need to call useApiClient anymore
   await apiClient.delete(`/games/history/${encodeURIComponent(sessionId)}`);
 };
 
+// Function to download a session as a storybook file
+export const exportSession = async (
+  sessionId: string,
+  format: StoryExportFormat
+): Promise<{ blob: Blob; fileName: string }> => {
+  const response = await apiClient.get<Blob>(
+    `/games/history/${encodeURIComponent(sessionId)}/export`,
+    { params: { format }, responseType: "blob" }
+  );
+  return {
+    blob: response.data,
+    fileName: getDownloadFileName(response.headers, `adventure.${format}`),
+  };
+};
+
+// Function to download a restorable backup of a session (owner only)
+export const downloadSessionBackup = async (
+  sessionId: string
+): Promise<{ blob: Blob; fileName: string }> => {
+  const response = await apiClient.get<Blob>(
+    `/games/history/${encodeURIComponent(sessionId)}/backup`,
+    { responseType: "blob" }
+  );
+  return {
+    blob: response.data,
+    fileName: getDownloadFileName(response.headers, "adventure-backup.json"),
+  };
+};
+
+// Function to restore a session from a backup file. userIdMap maps archived
+// user IDs to users of this deployment; every player other than the caller
+// needs an entry.
+export const restoreSessionBackup = async (
+  file: File,
+  userIdMap?: Record<string, string>
+): Promise<RestoreSessionResponse> => {
+  const formData = new FormData();
+  formData.append("archive", file); // Field name must match multer config
+  if (userIdMap) formData.append("userIdMap", JSON.stringify(userIdMap));
+  const response = await apiClient.post<RestoreSessionResponse>(
+    "/games/restore",
+    formData,
+    { headers: { "Content-Type": "multipart/form-data" } }
+  );
+  return response.data;
+};
+
+// Function to list the themes a game can start with (built-in and own custom)
+export const getThemes = async (): Promise<GameTheme[]> => {
+  const response = await apiClient.get<GameTheme[]>("/themes");
+  return response.data;
+};
+
+// Function to create a custom theme
+export const createTheme = async (
+  theme: GameThemeInput
+): Promise<GameTheme> => {
+  const response = await apiClient.post<GameTheme>("/themes", theme);
+  return response.data;
+};
+
+// Function to update one of the user's custom themes
+export const updateTheme = async (
+  themeId: string,
+  theme: GameThemeInput
+): Promise<GameTheme> => {
+  const response = await apiClient.put<GameTheme>(
+    `/themes/${encodeURIComponent(themeId)}`,
+    theme
+  );
+  return response.data;
+};
+
+// Function to delete one of the user's custom themes
+export const deleteTheme = async (themeId: string): Promise<void> => {
+  await apiClient.delete(`/themes/${encodeURIComponent(themeId)}`);
+};
+
+// Function to fetch the user's usage and daily quota status over the last days
+export const getUsageReport = async (days = 30): Promise<UsageReport> => {
+  const response = await apiClient.get<UsageReport>("/usage", {
+    params: { days },
+  });
+  return response.data;
+};
+
+// File name from the Content-Disposition header of a download
+const getDownloadFileName = (
+  headers: Record<string, unknown>,
+  fallback: string
+): string =>
+  String(headers["content-disposition"] ?? "").match(
+    /filename="([^"]+)"/
+  )?.[1] ?? fallback;
+
 // --- NEW: Character Image Upload Function ---
 interface UploadImageResponse {
   imageUrl: string; // The URL path returned by the backend
@@ -181,6 +422,7 @@ interface GenerateCharacterImagePayload {
   characterName: string;
   characterGender: string;
   characterDescription?: string | null; // Add optional description
+  contentRating?: ContentRating; // Rating of the game the portrait is for
 }
 
 // Response type is the same as upload (contains imageUrl)
@@ -201,7 +443,7 @@ export const generateCharacterImage = async (
     payload
   );
   console.log("Generation response:", response.data);
-  // The imageUrl here will likely be a base64 data URI from Imagen
+  // The imageUrl here is a content-addressed image store URL (/api/images/generated/...)
   return response.data;
 };
 
@@ -0,0 +1,12 @@
+// src/services/download.ts
+
+// Saves a downloaded file through a temporary link, since API downloads need
+// the auth header and can't be plain links
+export const saveBlobAsFile = (blob: Blob, fileName: string): void => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -8,19 +8,29 @@ export interface Character {
   opinionOfPlayer: string;
 }
 
+// Background image generation state of a turn
+export type ImageStatus = "pending" | "ready" | "failed";
+
 export interface Turn {
   turnIndex: number;
   scenarioText: string;
-  imageUrl: string; // URL received from backend
+  imageUrl: string | null; // URL received from backend (null until the first image is ready)
+  imageStatus?: ImageStatus; // Background image generation state
   imagePrompt: string; // The prompt used to generate the image
   suggestedActions: string[];
   actionTaken: string | null; // Action that led to this turn
   // New fields from LLM
   timeOfDay: string;
   isSameLocation: boolean;
+  locationName?: string | null; // Where the turn takes place, as named by the GM
   characters: Character[]; // Array of characters in the scene
+  inventoryChanges?: InventoryChange[]; // Items gained and lost this turn
+  diceRoll?: DiceRoll | null; // Skill check of the action (dice rules sessions only)
   actingPlayerUserId?: string | null;
   actingPlayerIndex?: number | null;
+  // Timeline branching: stable turn ID and the branch the turn was created on
+  turnId?: string;
+  branchId?: string;
   // Optional character image URL (already present in SessionHistoryResponse, maybe not needed here?)
   characterImageUrl?: string | null;
 }
@@ -35,6 +45,48 @@ export interface GameActionResponse {
   updatedHistory: Turn[]; // Backend sends the full history on action
 }
 
+// How a multiplayer session decides its next action: the current player acts
+// (round_robin), or everyone proposes and the most-voted action (vote) or all
+// proposals combined (merge) become the turn
+export type TurnMode = "round_robin" | "vote" | "merge";
+
+// A player's proposed action in an open vote round
+export interface VoteProposal {
+  proposalId: string;
+  userId: string;
+  playerName: string;
+  action: string;
+  voteCount: number;
+}
+
+// Open vote round of a session in a voting turn mode
+export interface VoteRound {
+  roundId: string;
+  turnMode: TurnMode;
+  turnIndex: number; // Turn the proposals continue from
+  endsAt: string; // ISO date string, when the round resolves at the latest
+  isResolving: boolean; // The GM is writing the resulting turn
+  proposals: VoteProposal[];
+  votes: Record<string, string>; // userId -> proposalId
+}
+
+// What happens when a player lets their turn time out: the turn passes to the
+// next connected player (skip), or one of the suggested actions is played for
+// them (auto_act)
+export type TurnTimeoutAction = "skip" | "auto_act";
+
+// Content limits the GM, image prompts and moderation hold a game to
+export type ContentRating = "family" | "teen" | "mature";
+
+// Running countdown for the current player's turn
+export interface TurnTimer {
+  turnId: string; // Turn awaiting an action
+  playerIndex: number; // Player the countdown is for
+  timeoutAction: TurnTimeoutAction;
+  endsAt: string; // ISO date string
+  secondsLeft: number; // As of when the server sent it
+}
+
 // Possible states for the game UI
 export type GameState =
   | "selectingTheme"
@@ -61,6 +113,9 @@ export interface Player {
   characterName: string;
   characterGender: string;
   characterImageUrl?: string | null;
+  attributes?: CharacterAttributes | null; // Dice rules sessions only
+  isOnline?: boolean; // Connected, with a recent heartbeat
+  lastSeenAt?: string | null; // Date string of the last connect, heartbeat or disconnect
 }
 
 // Describes the response when fetching the list of past sessions
@@ -72,6 +127,7 @@ export interface SessionListItem {
   initial_scenario_snippet: string;
   isMultiplayer: boolean;
   playerCount: number;
+  isOwner?: boolean; // Only the owner can delete or back up the session
 }
 
 // Describes the data structure for the main game state,
@@ -81,12 +137,21 @@ export interface SessionState {
   theme: string;
   isMultiplayer: boolean;
   currentPlayerIndex: number | null;
+  activeBranchId?: string; // Timeline branch that `history` belongs to
   players: Player[];
   history: Turn[];
   gameGoal?: string | null; // The goal text (optional for type safety before load)
   goalPrerequisites?: string[]; // All prerequisites for the goal
   metPrerequisites?: string[]; // Prerequisites met so far
   isGoalMet?: boolean; // Has the final goal been achieved?
+  turnMode?: TurnMode;
+  voteRound?: VoteRound | null; // Open vote round (voting turn modes only)
+  turnTimeoutSeconds?: number | null; // Idle limit per turn (null = no limit)
+  turnTimeoutAction?: TurnTimeoutAction;
+  useDiceRules?: boolean; // Every action gets a skill check
+  contentRating?: ContentRating;
+  turnTimer?: TurnTimer | null; // Running countdown, if any
+  turnInProgress?: boolean; // An action is being processed (only reliable on load)
 }
 
 // --- API Request Payloads ---
@@ -99,6 +164,12 @@ export interface StartGamePayload {
   characterImageUrl?: string | null;
   isMultiplayer?: boolean;
   maxPlayers?: number;
+  turnMode?: TurnMode; // Multiplayer only (defaults to round_robin)
+  turnTimeoutSeconds?: number; // Multiplayer only, 0 = no limit
+  turnTimeoutAction?: TurnTimeoutAction;
+  useDiceRules?: boolean;
+  characterAttributes?: CharacterAttributes; // Dice rules only
+  contentRating?: ContentRating; // Defaults to teen
 }
 
 // Payload for joining a game (/api/game/join)
@@ -107,6 +178,7 @@ export interface JoinGamePayload {
   characterName: string;
   characterGender: string;
   characterImageUrl?: string | null;
+  characterAttributes?: CharacterAttributes; // Only if the session uses dice rules
 }
 
 // Payload for submitting an action (/api/game/action)
@@ -114,6 +186,8 @@ export interface SubmitActionPayload {
   sessionId: string;
   action: string;
   turnIndex: number;
+  branchId?: string; // Branch the turnIndex refers to (defaults to the active branch)
+  idempotencyKey?: string; // Same key on a retry returns the original turn
 }
 
 // Payload for generating a character image (/api/images/generate/character)
@@ -141,12 +215,187 @@ export interface JoinGameResponse {
 
 // Response from submitting an action (/api/game/action)
 // This now returns the full SessionState
-export type SubmitActionResponse = SessionState;
+export interface SubmitActionResponse extends SessionState {
+  resultTurnId?: string; // Turn created by the action
+  isReplay?: boolean; // The idempotency key was seen before; nothing new was played
+}
 
 // Response from getting specific session history (/api/games/history/:sessionId)
 // This also returns the full SessionState
 export type SessionHistoryResponse = SessionState;
 
+// Response from restoring a session backup (/api/games/restore)
+export interface RestoreSessionResponse {
+  message: string;
+  sessionId: string;
+  inviteCode: string | null; // New code for restored multiplayer sessions
+}
+
+// Game theme from the theme registry (/api/themes): built-in or custom
+export interface GameTheme {
+  id: string;
+  name: string;
+  description: string | null;
+  systemPrompt: string; // World-building system prompt
+  jsonStructure: string; // JSON structure the world lore must follow
+  portraitStyle: string; // Style keywords for character portraits
+  coverImageUrl: string | null;
+  color: string | null; // Card background color (#RRGGBB)
+  isBuiltIn: boolean;
+  isOwner: boolean; // Custom theme created by the current user
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Editable fields of a custom theme
+export type GameThemeInput = Pick<
+  GameTheme,
+  | "name"
+  | "description"
+  | "systemPrompt"
+  | "jsonStructure"
+  | "portraitStyle"
+  | "coverImageUrl"
+  | "color"
+>;
+
+// Storybook download formats (/api/games/history/:sessionId/export)
+export type StoryExportFormat = "md" | "html" | "epub";
+
+// Response from getting the world lore of a session (/api/games/:sessionId/lore)
+// Lore shape depends on the theme's world-building structure; null for
+// sessions created before lore was persisted.
+export interface SessionLoreResponse {
+  sessionId: string;
+  theme: string;
+  lore: Record<string, unknown> | null;
+}
+
+// One NPC of the codex, merged from the characters lists of every turn of a
+// timeline where they appeared
+export interface NpcCodexEntry {
+  npcId: string;
+  name: string;
+  aliases: string[]; // Other names the GM used for them
+  description: string | null;
+  appearance: string | null;
+  opinionOfPlayer: string | null; // Latest opinion
+  opinionHistory: { turnIndex: number; opinion: string }[]; // Each change
+  firstSeenTurnIndex: number;
+  lastSeenTurnIndex: number;
+  appearanceCount: number;
+}
+
+export interface NpcCodexResponse {
+  sessionId: string;
+  branchId: string;
+  npcs: NpcCodexEntry[]; // Most recently seen first
+}
+
+// --- Dice Rules ---
+
+export type CharacterAttribute =
+  | "strength"
+  | "agility"
+  | "intellect"
+  | "charisma";
+
+// Bonus added to the d20 for checks of each attribute
+export type CharacterAttributes = Record<CharacterAttribute, number>;
+
+export type DiceOutcome =
+  | "critical_success"
+  | "success"
+  | "failure"
+  | "critical_failure";
+
+// Skill check rolled by the server before the GM wrote the turn
+export interface DiceRoll {
+  die: number;
+  roll: number;
+  attribute: CharacterAttribute | null; // null = plain roll without a bonus
+  modifier: number;
+  total: number;
+  difficulty: number;
+  outcome: DiceOutcome;
+  nonce: string; // Hashed with the session's seed to produce the roll
+}
+
+// An item gained (positive quantity) or lost (negative) by a player in a turn
+export interface InventoryChange {
+  playerIndex: number;
+  item: string;
+  quantity: number;
+  note: string | null;
+}
+
+export interface InventoryItem {
+  name: string;
+  quantity: number;
+  note: string | null;
+  acquiredTurnIndex: number;
+  lastChangedTurnIndex: number;
+}
+
+export interface PlayerInventory {
+  userId: string;
+  playerIndex: number;
+  characterName: string;
+  items: InventoryItem[];
+}
+
+export interface InventoryResponse {
+  sessionId: string;
+  branchId: string;
+  players: PlayerInventory[]; // Ordered by player index
+}
+
+// One place of the world map: visited on the timeline or a key location of the
+// world lore that hasn't been visited yet
+export interface MapLocation {
+  locationId: string;
+  name: string;
+  aliases: string[]; // Other names the GM used for it
+  description: string | null;
+  isKeyLocation: boolean;
+  visitCount: number;
+  firstVisitTurnIndex: number | null;
+  lastVisitTurnIndex: number | null;
+}
+
+// The players travelled between two locations (on the listed turns)
+export interface MapConnection {
+  locationIds: [string, string];
+  turnIndices: number[];
+}
+
+export interface LocationMapResponse {
+  sessionId: string;
+  branchId: string;
+  currentLocationId: string | null;
+  locations: MapLocation[];
+  connections: MapConnection[];
+}
+
+// Summary of one timeline branch of a session
+export interface BranchSummary {
+  branchId: string;
+  parentBranchId: string | null;
+  forkTurnIndex: number | null; // Turn the branch continues from (null for main)
+  firstAction: string | null; // Action that started the branch
+  tipTurnIndex: number;
+  turnCount: number;
+  createdAt: string;
+  isActive: boolean;
+}
+
+// Response from listing session branches (/api/games/:sessionId/branches)
+export interface SessionBranchesResponse {
+  sessionId: string;
+  activeBranchId: string;
+  branches: BranchSummary[];
+}
+
 // Response from uploading an image (/api/images/upload/character)
 export interface UploadImageResponse {
   imageUrl: string;
@@ -164,6 +413,145 @@ export interface InviteInfoResponse {
   isFull: boolean;
   playerCount: number;
   maxPlayers: number;
+  useDiceRules?: boolean;
+  contentRating?: ContentRating;
+}
+
+// --- WebSocket Turn Streaming Events ---
+
+// TURN_STREAM_START: the GM began writing a turn (re-sent on each LLM retry)
+export interface TurnStreamStartEvent {
+  sessionId: string;
+  turnId: string;
+  turnIndex: number;
+  branchId: string;
+  action: string;
+  actingPlayerIndex: number;
+  attempt: number;
+}
+
+// TURN_STREAM_DELTA: newly written narrative text
+export interface TurnStreamDeltaEvent {
+  sessionId: string;
+  turnId: string;
+  delta: string;
+}
+
+// TURN_STREAM_END: the turn was committed (followed by SESSION_UPDATE) or failed
+export interface TurnStreamEndEvent {
+  sessionId: string;
+  turnId?: string;
+  success: boolean;
+  error?: string;
+}
+
+// Partial turn rendered while its narrative streams in
+export interface StreamingTurn {
+  turnId: string;
+  action: string;
+  actingPlayerIndex: number;
+  narrative: string;
+}
+
+// --- WebSocket Presence Events ---
+
+// Sent after socket authentication; the client then emits "heartbeat" this often
+export interface AuthenticatedEvent {
+  heartbeatIntervalMs: number;
+}
+
+// player_joined: a player connected to the session
+export interface PlayerJoinedEvent {
+  userId: string;
+  playerIndex: number;
+  characterName: string;
+}
+
+// player_left: a player's socket disconnected
+export interface PlayerLeftEvent {
+  userId: string;
+}
+
+// --- WebSocket Vote Round Events ---
+
+// VOTE_ROUND_UPDATE: a round opened, or a proposal or vote changed it
+export interface VoteRoundUpdateEvent {
+  sessionId: string;
+  voteRound: VoteRound;
+}
+
+// VOTE_ROUND_RESOLVED: the round's action was played (followed by
+// SESSION_UPDATE on success) or failed
+export interface VoteRoundResolvedEvent {
+  sessionId: string;
+  roundId: string;
+  action: string;
+  winningProposalId: string | null; // null when proposals were merged
+  success: boolean;
+  error?: string;
+}
+
+// Acknowledgement of propose_action and vote_action socket events
+export interface VoteActionAck {
+  ok: boolean;
+  error?: string;
+}
+
+// --- WebSocket Turn Timer Events ---
+
+// TURN_TIMER_UPDATE: a countdown started, ticked or stopped (turnTimer null)
+export interface TurnTimerUpdateEvent {
+  sessionId: string;
+  turnTimer: TurnTimer | null;
+}
+
+// turn_in_progress: an action started or finished processing
+export interface TurnInProgressEvent {
+  sessionId: string;
+  inProgress: boolean;
+  actingPlayerIndex: number | null; // null for party actions (voting modes)
+  actingPlayerName: string | null;
+}
+
+// TURN_TIMER_EXPIRED: a player ran out of time (followed by SESSION_UPDATE)
+export interface TurnTimerExpiredEvent {
+  sessionId: string;
+  playerIndex: number;
+  playerName: string | null;
+  outcome: TurnTimeoutAction;
+  action: string | null; // Action played for them (auto_act only)
+}
+
+// Where the user stands against the daily usage quotas (UTC days)
+export interface UsageQuota {
+  tokensUsed: number;
+  tokenLimit: number | null; // null = unlimited
+  costUsedUsd: number;
+  costLimitUsd: number | null; // null = unlimited
+  isExceeded: boolean;
+  resetsAt: string; // ISO timestamp
+  retryAfterSeconds: number;
+}
+
+// LLM and image usage aggregated over a group of ledger rows
+export interface UsageTotals {
+  calls: number;
+  inputTokens: number;
+  outputTokens: number;
+  images: number;
+  estimatedCostUsd: number; // Excludes calls to models without a known price
+  unpricedCalls: number;
+}
+
+export interface UsageReport {
+  userId: string;
+  days: number;
+  since: string; // ISO timestamp of the first day's start
+  quota: UsageQuota;
+  totals: UsageTotals;
+  byDay: (UsageTotals & { day: string })[];
+  byModel: (UsageTotals & { provider: string; model: string | null })[];
+  bySession: (UsageTotals & { sessionId: string; theme: string | null })[]; // theme null once deleted
 }
 
 // Type for the authenticated user object from useAuth context